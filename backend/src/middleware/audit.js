@@ -0,0 +1,56 @@
+import { summarizeParams, affectedCounts, writeAuditEntry } from '../services/audit.js';
+
+const AUDITED_METHODS = ['POST', 'DELETE'];
+// Machine traffic that isn't a user's change: each webhook signal is already stored as a signal,
+// and auditing them would bury the admin actions under one entry per signal
+const UNAUDITED_PREFIXES = ['/webhook/'];
+
+// Records every POST/DELETE under /api (except UNAUDITED_PREFIXES) in the audit log once the response
+// has gone out. Mount before the routers: req.auth and the route pattern are read when the handler responds.
+export function auditLog(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method) || UNAUDITED_PREFIXES.some(prefix => req.path.startsWith(prefix))) return next();
+
+  const startedAt = Date.now();
+  // Read now: once a response goes out before the body is read, the socket may already be gone
+  const ip = req.ip || null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.audit = { ...res.locals.audit, body, route: `${req.baseUrl}${req.route?.path || ''}`, params: req.params };
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const { body, route, params, previous } = res.locals.audit || {};
+    const entry = {
+      timestamp: startedAt,
+      actor: req.auth?.sub || 'anonymous',
+      role: req.auth?.role || null,
+      authMethod: req.auth?.method || null,
+      method: req.method,
+      route: route || req.originalUrl.split('?')[0],
+      path: req.originalUrl.split('?')[0],
+      params: {
+        query: summarizeParams(req.query),
+        params: summarizeParams(params || {}),
+        body: summarizeParams(typeof req.body === 'string' || Buffer.isBuffer(req.body) ? `${req.body.length} bytes` : req.body),
+      },
+      status: res.statusCode,
+      success: res.statusCode < 400 && body?.success !== false,
+      error: body?.success === false ? body.error || body.reason || null : null,
+      affected: affectedCounts(body),
+      previous: previous === undefined ? null : previous,
+      ip,
+      forwardedFor: req.get('X-Forwarded-For') || null,
+      userAgent: req.get('User-Agent') || null,
+      durationMs: Date.now() - startedAt,
+    };
+    writeAuditEntry(entry).catch(error => console.error('Audit log write failed:', error.message));
+  });
+
+  next();
+}
+
+// Handlers call this before a settings change so the entry keeps the values it replaced
+export function recordPrevious(res, previous) {
+  res.locals.audit = { ...res.locals.audit, previous };
+}
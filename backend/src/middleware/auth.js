@@ -0,0 +1,26 @@
+import { authenticateRequest, hasRole } from '../services/auth.js';
+
+// Requires a valid session token or API key; attaches req.auth = { role, sub, method }
+export function authenticate(req, res, next) {
+  const auth = authenticateRequest({
+    authorization: req.get('Authorization'),
+    apiKey: req.get('X-API-Key'),
+  });
+
+  if (!auth) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  req.auth = auth;
+  next();
+}
+
+// Use after authenticate: router.delete('/clear', requireRole('admin'), handler)
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.auth, role)) {
+      return res.status(403).json({ success: false, error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
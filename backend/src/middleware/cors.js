@@ -22,6 +22,8 @@ export const corsMiddleware = cors({
     callback(new Error(`CORS: origin ${origin} not allowed`));
   },
   methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID'],
+  // Download file names and export row counts are read by the dashboard
+  exposedHeaders: ['Content-Disposition', 'X-Export-Rows'],
   credentials: true,
 });
@@ -0,0 +1,23 @@
+import { settleWebhookRequest, verifyWebhookRequest } from '../services/webhookAuth.js';
+
+// Rejects unsigned, mis-signed, stale or replayed webhook calls before any handler touches storage.
+// Relies on req.rawBody, captured by the express.json verify hook in server.js. The signature only
+// counts as used once the handler has answered below 400, so a failed delivery can be retried.
+export function verifyWebhookSignature(req, res, next) {
+  const signature = req.get('X-Webhook-Signature');
+  const result = verifyWebhookRequest({
+    source: req.get('X-Webhook-Source'),
+    timestamp: req.get('X-Webhook-Timestamp'),
+    signature,
+    rawBody: req.rawBody?.toString('utf8'),
+  });
+
+  if (!result.ok) {
+    console.warn(`🚫 Webhook rejected: ${result.reason} (source=${req.get('X-Webhook-Source') || '-'}, ip=${req.ip})`);
+    return res.status(401).json({ success: false, error: 'Unauthorized', reason: result.reason });
+  }
+
+  res.on('close', () => settleWebhookRequest(signature, res.writableFinished && res.statusCode < 400));
+  req.webhookSource = result.source;
+  next();
+}
@@ -1,55 +1,153 @@
 import { Router } from 'express';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordPrevious } from '../middleware/audit.js';
+import { getAgentConfigService } from '../services/agentConfigs.js';
+import { createAgentRegistryService } from '../services/agentRegistry.js';
+import { parseTime } from '../services/listQuery.js';
 
 const router = Router();
+const registry = () => createAgentRegistryService({ storage: getStorage() });
 
-// GET /api/agents/list - Fetch agents from Firestore
-// POST /api/agents/list - Save agents to Firestore
+// Written only by the config routes, which validate and version them
+const CONFIG_FIELDS = ['config', 'configVersion', 'configUpdatedAt', 'configUpdatedBy'];
+
+// GET /api/agents/list - Fetch agents from storage
+// POST /api/agents/list - Save agents to storage, merged into each agent's document so
+// registry fields and configs the payload leaves out are kept
 router.route('/list')
   .get(async (req, res) => {
     try {
-      const db = getDb();
-      const userId = getUserId();
-
-      const snapshot = await db
-        .collection('users').doc(userId)
-        .collection('agents').get();
-
-      const agents = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const agents = await getStorage().agents.all();
 
       res.json({ success: true, agents, timestamp: new Date().toISOString() });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   })
-  .post(async (req, res) => {
+  .post(requireRole('admin'), async (req, res) => {
     try {
-      const db = getDb();
-      const userId = getUserId();
-      const { agents } = req.body;
+      const storage = getStorage();
+      const { agents } = req.body || {};
 
       if (!Array.isArray(agents)) {
         return res.status(400).json({ success: false, error: 'agents must be an array' });
       }
-
-      const batch = db.batch();
-
-      // Clear existing agents
-      const existing = await db.collection('users').doc(userId).collection('agents').get();
-      existing.docs.forEach(doc => batch.delete(doc.ref));
-
-      // Add new agents
-      for (const agent of agents) {
-        const ref = db.collection('users').doc(userId).collection('agents').doc(agent.id);
-        batch.set(ref, { ...agent, updatedAt: new Date().toISOString() });
+      if (agents.some(agent => !agent || typeof agent !== 'object' || !agent.id)) {
+        return res.status(400).json({ success: false, error: 'every agent needs an id' });
       }
 
-      await batch.commit();
+      const updatedAt = new Date().toISOString();
+      const docs = agents.map(agent => {
+        const doc = { ...agent, id: String(agent.id), updatedAt };
+        for (const field of CONFIG_FIELDS) delete doc[field];
+        return doc;
+      });
+      recordPrevious(res, { agents: (await storage.agents.getMany(docs.map(doc => doc.id))).filter(Boolean) });
+      await storage.agents.setMany(docs, { merge: true });
 
-      res.json({ success: true, savedCount: agents.length, timestamp: new Date().toISOString() });
+      res.json({ success: true, savedCount: docs.length, timestamp: new Date().toISOString() });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   });
 
+// GET /api/agents/registry - Every registered agent (archived ones flagged), in dashboard order
+router.get('/registry', async (req, res) => {
+  try {
+    const agents = await registry().list();
+
+    res.json({ success: true, agents, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/agents/registry - Register an agent. Body: { id, name, abbr, tag?, description?, color? }
+router.post('/registry', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await registry().create(req.body, req.auth.sub);
+    if (!result.ok) {
+      return res.status(result.exists ? 409 : 400).json({ success: false, error: 'Invalid agent', errors: result.errors });
+    }
+
+    res.json({ success: true, agent: result.agent, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/agents/registry/:agentId - Edit an agent's name, abbr, tag, description, color or archived flag
+router.post('/registry/:agentId', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await registry().update(req.params.agentId, req.body, req.auth.sub);
+    if (!result) return res.status(404).json({ success: false, error: 'Agent not registered' });
+    if (!result.ok) {
+      return res.status(400).json({ success: false, error: 'Invalid agent', errors: result.errors });
+    }
+
+    const { name, abbr, tag, description, color, archived } = result.previous;
+    recordPrevious(res, { agent: { name, abbr, tag, description, color, archived } });
+    res.json({ success: true, agent: result.agent, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/agents/configs - Every agent's Nexgent settings (saved, or the defaults it was set up with)
+router.get('/configs', async (req, res) => {
+  try {
+    const configs = await getAgentConfigService().list();
+
+    res.json({ success: true, configs, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/agents/:agentId/config - One agent's settings
+router.get('/:agentId/config', async (req, res) => {
+  try {
+    const config = await getAgentConfigService().get(req.params.agentId);
+    if (!config) return res.status(404).json({ success: false, error: 'No config for this agent' });
+
+    res.json({ success: true, config, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/agents/:agentId/config/versions - Config versions, newest first, with stats for the trades
+// made under each. Query: mode (live | simulation) narrows the stats
+router.get('/:agentId/config/versions', async (req, res) => {
+  try {
+    const versions = await getAgentConfigService().versionHistory(req.params.agentId, { mode: req.query.mode || null });
+
+    res.json({ success: true, versions, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/agents/:agentId/config - Save an agent's settings as a new version.
+// Body: { config, note, effectiveFrom? (epoch ms or ISO date, default now) }
+// Invalid fields come back as 400 with errors: { "section.field" | "note" | "effectiveFrom": message }
+router.post('/:agentId/config', requireRole('admin'), async (req, res) => {
+  try {
+    const { config, note, effectiveFrom } = req.body || {};
+    const result = await getAgentConfigService().save(req.params.agentId, config, req.auth.sub, {
+      note,
+      effectiveFrom: effectiveFrom === undefined || effectiveFrom === null ? null : parseTime(String(effectiveFrom)),
+    });
+    if (!result.ok) {
+      return res.status(400).json({ success: false, error: 'Invalid config', errors: result.errors });
+    }
+
+    recordPrevious(res, { config: result.previous?.config || null, version: result.previous?.version || null });
+    res.json({ success: true, config: result.entry, version: result.version, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
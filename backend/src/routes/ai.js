@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import Anthropic from '@anthropic-ai/sdk';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -169,16 +170,14 @@ router.post('/chat', async (req, res) => {
       }
     }
 
-    // Save conversation to Firestore if we have a conversationId
+    // Save conversation if we have a conversationId
     if (conversationId) {
       try {
-        const db = getDb();
-        const userId = getUserId();
-        const convRef = db.collection('users').doc(userId).collection('ai_conversations').doc(conversationId);
+        const { aiConversations } = getStorage();
 
         // Get existing conversation or create new
-        const doc = await convRef.get();
-        const existing = doc.exists ? doc.data() : { messages: [], createdAt: new Date().toISOString() };
+        const existing = (await aiConversations.get(conversationId)) || { messages: [], createdAt: new Date().toISOString() };
+        delete existing.id;
 
         existing.messages.push(
           { role: 'user', content: message, timestamp: new Date().toISOString() },
@@ -188,7 +187,7 @@ router.post('/chat', async (req, res) => {
         existing.title = existing.title || message.slice(0, 80);
         if (context) existing.lastContext = context;
 
-        await convRef.set(existing, { merge: true });
+        await aiConversations.set(conversationId, existing, { merge: true });
       } catch (saveErr) {
         console.error('Failed to save conversation:', saveErr.message);
       }
@@ -210,20 +209,14 @@ router.post('/chat', async (req, res) => {
 // GET /api/ai/conversations — list saved conversations
 router.get('/conversations', async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-    const snapshot = await db.collection('users').doc(userId)
-      .collection('ai_conversations')
-      .orderBy('updatedAt', 'desc')
-      .limit(50)
-      .get();
-
-    const conversations = snapshot.docs.map(doc => ({
+    const docs = await getStorage().aiConversations.query({ orderBy: 'updatedAt', direction: 'desc', limit: 50 });
+
+    const conversations = docs.map(doc => ({
       id: doc.id,
-      title: doc.data().title || 'Untitled',
-      messageCount: (doc.data().messages || []).length,
-      createdAt: doc.data().createdAt,
-      updatedAt: doc.data().updatedAt,
+      title: doc.title || 'Untitled',
+      messageCount: (doc.messages || []).length,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
     }));
 
     res.json({ success: true, conversations });
@@ -235,30 +228,24 @@ router.get('/conversations', async (req, res) => {
 // GET /api/ai/conversations/:id — get a specific conversation
 router.get('/conversations/:id', async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-    const doc = await db.collection('users').doc(userId)
-      .collection('ai_conversations').doc(req.params.id).get();
+    const conversation = await getStorage().aiConversations.get(req.params.id);
 
-    if (!doc.exists) {
+    if (!conversation) {
       return res.status(404).json({ success: false, error: 'Conversation not found' });
     }
 
-    res.json({ success: true, conversation: { id: doc.id, ...doc.data() } });
+    res.json({ success: true, conversation });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // DELETE /api/ai/conversations/:id — delete a conversation
-router.delete('/conversations/:id', async (req, res) => {
+router.delete('/conversations/:id', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-    await db.collection('users').doc(userId)
-      .collection('ai_conversations').doc(req.params.id).delete();
+    await getStorage().aiConversations.delete(req.params.id);
 
-    res.json({ success: true });
+    res.json({ success: true, deleted: 1 });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -0,0 +1,131 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { recordPrevious } from '../middleware/audit.js';
+import { getAlertService, RULE_TYPES, ALERT_STATUSES, CHANNEL_TYPES } from '../services/alerts.js';
+import { parseLimit } from '../services/listQuery.js';
+
+const router = Router();
+
+// GET /api/alerts - Alert history, newest first
+//   status=active|acknowledged|resolved|open, limit
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && status !== 'open' && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be open or one of ${ALERT_STATUSES.join(', ')}` });
+    }
+
+    const alerts = await getAlertService().list({ status, limit: parseLimit(req.query.limit, 200) });
+    res.json({ success: true, alerts, count: alerts.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/alerts/config - Rules, channels (URLs and bot tokens masked) and active snoozes
+router.get('/config', async (req, res) => {
+  try {
+    const config = await getAlertService().publicConfig();
+    res.json({ success: true, ...config, ruleTypes: RULE_TYPES, channelTypes: CHANNEL_TYPES, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/rules - Create a rule, or replace the one with the same id
+router.post('/rules', requireRole('admin'), async (req, res) => {
+  try {
+    const { ok, error, rule, previous } = await getAlertService().saveRule(req.body);
+    if (!ok) return res.status(400).json({ success: false, error });
+    recordPrevious(res, { rule: previous });
+    res.json({ success: true, rule, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/alerts/rules/:id
+router.delete('/rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await getAlertService().deleteRule(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Rule not found' });
+    recordPrevious(res, { rule: deleted });
+    res.json({ success: true, message: `Rule ${req.params.id} deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/channels - Create a notification channel, or replace the one with the same id
+router.post('/channels', requireRole('admin'), async (req, res) => {
+  try {
+    const { ok, error, channel, previous } = await getAlertService().saveChannel(req.body);
+    if (!ok) return res.status(400).json({ success: false, error });
+    recordPrevious(res, { channel: previous });
+    res.json({ success: true, channel, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/alerts/channels/:id
+router.delete('/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await getAlertService().deleteChannel(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Channel not found' });
+    recordPrevious(res, { channel: deleted });
+    res.json({ success: true, message: `Channel ${req.params.id} deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/channels/:id/test - Send a test notification
+router.post('/channels/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await getAlertService().testChannel(req.params.id);
+    if (!result) return res.status(404).json({ success: false, error: 'Channel not found' });
+    res.json({ success: result.ok, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/evaluate - Run the rules now instead of waiting for the next event or tick
+router.post('/evaluate', requireRole('admin'), async (req, res) => {
+  try {
+    const summary = await getAlertService().evaluate();
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/:id/ack
+router.post('/:id/ack', requireRole('admin'), async (req, res) => {
+  try {
+    const alert = await getAlertService().acknowledge(req.params.id, req.auth.sub);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    res.json({ success: true, alert, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/alerts/:id/snooze - { minutes } — acknowledge and mute this rule/agent's notifications
+router.post('/:id/snooze', requireRole('admin'), async (req, res) => {
+  try {
+    const minutes = Number(req.body?.minutes);
+    if (!(minutes > 0) || minutes > 7 * 24 * 60) {
+      return res.status(400).json({ success: false, error: 'minutes must be between 1 and 10080 (7 days)' });
+    }
+
+    const alert = await getAlertService().snooze(req.params.id, minutes, req.auth.sub);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    res.json({ success: true, alert, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
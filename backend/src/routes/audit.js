@@ -0,0 +1,55 @@
+import { Router } from 'express';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { paginate, decodeCursor, parseLimit, parseTime } from '../services/listQuery.js';
+
+const router = Router();
+
+// GET /api/audit - Audit log, newest first, one page at a time (admin only: entries include IPs)
+//   limit, cursor, actor, method (POST|DELETE), route (prefix, e.g. /api/trades), outcome (success|failed), from, to
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const limitCount = parseLimit(req.query.limit, 100);
+    const { actor, method, route, outcome } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const cursorId = decodeCursor(req.query.cursor);
+    const { audit: collection } = getStorage();
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+    if (outcome && !['success', 'failed'].includes(outcome)) {
+      return res.status(400).json({ success: false, error: 'outcome must be success or failed' });
+    }
+    if (cursorId && !(await collection.get(cursorId))) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired cursor' });
+    }
+
+    const where = [];
+    if (actor) where.push(['actor', '==', actor]);
+    if (method) where.push(['method', '==', String(method).toUpperCase()]);
+    if (from !== null) where.push(['timestamp', '>=', from]);
+    if (to !== null) where.push(['timestamp', '<=', to]);
+
+    // Route prefix and outcome are checked in memory so they combine with any indexed filter
+    const filter = route || outcome
+      ? e => (!route || e.route?.startsWith(route)) && (!outcome || e.success === (outcome === 'success'))
+      : undefined;
+
+    const { items: entries, nextCursor } = await paginate(collection, {
+      where,
+      orderBy: 'timestamp',
+      direction: 'desc',
+      limit: limitCount,
+      startAfter: cursorId,
+      filter,
+    });
+
+    res.json({ success: true, entries, count: entries.length, nextCursor, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import { Router } from 'express';
+import { getUserId } from '../services/firebase.js';
+import {
+  issueToken, resolvePassword, isAuthDisabled, loginRetryAfter, recordLoginAttempt,
+} from '../services/auth.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = Router();
+
+// POST /api/auth/login - Exchange a dashboard password for a signed session token
+// After LOGIN_MAX_ATTEMPTS failures from one IP, logins from it get a 429 until the lockout ends
+router.post('/login', (req, res) => {
+  try {
+    const retryAfterMs = loginRetryAfter(req.ip);
+    if (retryAfterMs > 0) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ success: false, error: 'Too many failed login attempts, try again later' });
+    }
+
+    const { password } = req.body || {};
+    const role = resolvePassword(password);
+    recordLoginAttempt(req.ip, Boolean(role));
+
+    if (!role) {
+      console.warn(`🚫 Failed login attempt (ip=${req.ip})`);
+      return res.status(401).json({ success: false, error: 'Invalid password' });
+    }
+
+    const { token, expiresAt } = issueToken({ role, sub: `dashboard:${role}` });
+    res.json({ success: true, token, role, expiresAt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/auth/me - Role and expiry of the current credentials
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    role: req.auth.role,
+    sub: req.auth.sub,
+    method: req.auth.method,
+    expiresAt: req.auth.expiresAt || null,
+    authDisabled: isAuthDisabled(),
+  });
+});
+
+// GET /api/auth/user - Tells the frontend which Firestore document to read/write
+// No FIREBASE_USER_ID needed: defaults to 'nexgent' for single-tenant use
+router.get('/user', authenticate, (req, res) => {
+  res.json({ success: true, userId: getUserId() });
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { getStorage } from '../services/storage/index.js';
+import { getUserId } from '../services/firebase.js';
+import { requireRole } from '../middleware/auth.js';
+import { parseList } from '../services/listQuery.js';
+import { limitBytes } from '../services/requestBody.js';
+import {
+  writeBackup, restoreBackup, backupFileName, BACKUP_COLLECTIONS, RESTORE_MODES,
+} from '../services/backup.js';
+
+const router = Router();
+
+const ARCHIVE_TYPES = ['application/gzip', 'application/x-gzip', 'application/octet-stream'];
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024;
+
+function pickCollections(value) {
+  const names = parseList(value);
+  const unknown = names.filter(name => !BACKUP_COLLECTIONS.includes(name));
+  return unknown.length ? { error: `Unknown collection(s): ${unknown.join(', ')} (known: ${BACKUP_COLLECTIONS.join(', ')})` } : { names: names.length ? names : null };
+}
+
+// GET /api/backup - Download every collection as a gzip-compressed NDJSON archive
+//   collections=trades,signals (default: all)
+router.get('/', requireRole('admin'), async (req, res) => {
+  const { names, error } = pickCollections(req.query.collections);
+  if (error) return res.status(400).json({ success: false, error });
+
+  const storage = getStorage();
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="${backupFileName()}"`);
+  try {
+    const manifest = await writeBackup(storage, res, {
+      collections: names || BACKUP_COLLECTIONS,
+      source: { backend: storage.backend, userId: storage.backend === 'firestore' ? getUserId() : null },
+    });
+    console.log(`💾 Backup downloaded by ${req.auth.sub}: ${manifest.totalDocs} documents`);
+  } catch (error) {
+    // Headers are gone once streaming starts; cutting the response leaves the client a truncated archive
+    console.error('Backup failed:', error.message);
+    if (!res.headersSent) res.status(500).json({ success: false, error: error.message });
+    else res.destroy(error);
+  }
+});
+
+// POST /api/backup/restore - Body: a backup archive (application/gzip)
+//   mode=merge|replace (default merge), collections=a,b (default: all in the archive), dryRun=true to only verify
+// The upload streams to a temp file, which the restore then reads twice (verify, write)
+router.post('/restore', requireRole('admin'), async (req, res) => {
+  let dir = null;
+  try {
+    const mode = req.query.mode || 'merge';
+    if (!RESTORE_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of ${RESTORE_MODES.join(', ')}` });
+    }
+    const { names, error } = pickCollections(req.query.collections);
+    if (error) return res.status(400).json({ success: false, error });
+    const missing = { success: false, error: 'Send the .ndjson.gz archive as the request body (Content-Type: application/gzip)' };
+    if (!req.is(ARCHIVE_TYPES)) return res.status(400).json(missing);
+
+    dir = await mkdtemp(join(tmpdir(), 'nexgent-restore-'));
+    const file = join(dir, 'archive.ndjson.gz');
+    await pipeline(limitBytes(req, MAX_ARCHIVE_BYTES, 'Archive'), createWriteStream(file));
+    if (!(await stat(file)).size) return res.status(400).json(missing);
+
+    const result = await restoreBackup(getStorage(), () => createReadStream(file), {
+      mode, collections: names, dryRun: req.query.dryRun === 'true',
+    });
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error });
+
+    const { ok: _ok, ...summary } = result;
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  } finally {
+    if (dir) await rm(dir, { recursive: true, force: true });
+  }
+});
+
+export default router;
@@ -1,50 +1,46 @@
 import { Router } from 'express';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { recordPrevious } from '../middleware/audit.js';
+import { publishEvent } from '../services/events.js';
+import { getBreakerService, describeBotStatus } from '../services/breakers.js';
 
 const router = Router();
 
 // GET /api/bot/status
-// POST /api/bot/status
+// POST /api/bot/status - { enabled?, webhookEnabled?, reason? }
+//   Turning the webhook back on also lifts any circuit-breaker trips that switched it off
 router.route('/status')
   .get(async (req, res) => {
     try {
-      const db = getDb();
-      const userId = getUserId();
-      const ref = db.collection('users').doc(userId).collection('settings').doc('bot');
-      const doc = await ref.get();
-      const data = doc.exists ? doc.data() : { enabled: true };
-
-      res.json({
-        success: true,
-        botEnabled: data.enabled !== false,
-        webhookEnabled: data.webhookEnabled !== false,
-        lastUpdated: data.lastUpdated || null,
-      });
+      const data = (await getStorage().settings.get('bot')) || { enabled: true };
+      const trips = await getBreakerService().activeTrips();
+
+      res.json({ success: true, ...describeBotStatus(data, trips) });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   })
-  .post(async (req, res) => {
+  .post(requireRole('admin'), async (req, res) => {
     try {
-      const db = getDb();
-      const userId = getUserId();
-      const { enabled, webhookEnabled } = req.body;
-      const ref = db.collection('users').doc(userId).collection('settings').doc('bot');
+      const { settings } = getStorage();
+      const { enabled, webhookEnabled, reason } = req.body;
+
+      const current = (await settings.get('bot')) || {};
+      recordPrevious(res, Object.fromEntries(['enabled', 'webhookEnabled', 'reason', 'resumeAt', 'updatedBy', 'lastUpdated'].map(k => [k, current[k] ?? null])));
 
-      const update = { lastUpdated: Date.now(), updatedBy: 'dashboard' };
+      const update = { lastUpdated: Date.now(), updatedBy: req.auth.sub, reason: reason ? String(reason).slice(0, 200) : null, resumeAt: null };
       if (typeof enabled === 'boolean') update.enabled = enabled;
       if (typeof webhookEnabled === 'boolean') update.webhookEnabled = webhookEnabled;
 
-      await ref.set(update, { merge: true });
-      const doc = await ref.get();
-      const data = doc.data();
+      await settings.set('bot', update, { merge: true });
+      const breakers = getBreakerService();
+      if (webhookEnabled === true) await breakers.resume({ action: 'disable_webhook', by: req.auth.sub });
+
+      const status = describeBotStatus(await settings.get('bot'), await breakers.activeTrips());
+      publishEvent('bot-status-changed', status);
 
-      res.json({
-        success: true,
-        botEnabled: data.enabled !== false,
-        webhookEnabled: data.webhookEnabled !== false,
-        lastUpdated: data.lastUpdated,
-      });
+      res.json({ success: true, ...status });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
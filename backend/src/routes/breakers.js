@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { recordPrevious } from '../middleware/audit.js';
+import { getBreakerService, GUARD_TYPES, GUARD_ACTIONS } from '../services/breakers.js';
+
+const router = Router();
+
+// GET /api/breakers - Guards, active trips and recent trip history
+router.get('/', async (req, res) => {
+  try {
+    const state = await getBreakerService().publicState();
+    res.json({ success: true, ...state, guardTypes: GUARD_TYPES, guardActions: GUARD_ACTIONS, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/breakers/guards - Create a guard, or replace the one with the same id
+router.post('/guards', requireRole('admin'), async (req, res) => {
+  try {
+    const { ok, error, guard, previous } = await getBreakerService().saveGuard(req.body);
+    if (!ok) return res.status(400).json({ success: false, error });
+    recordPrevious(res, { guard: previous });
+    res.json({ success: true, guard, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/breakers/guards/:id - Active trips from the guard stay until resumed
+router.delete('/guards/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await getBreakerService().deleteGuard(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Guard not found' });
+    recordPrevious(res, { guard: deleted });
+    res.json({ success: true, message: `Guard ${req.params.id} deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/breakers/evaluate - Check the guards now instead of waiting for the next import or tick
+router.post('/evaluate', requireRole('admin'), async (req, res) => {
+  try {
+    const summary = await getBreakerService().evaluate();
+    res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/breakers/resume - { keys? } — lift the given active trips, or all of them
+router.post('/resume', requireRole('admin'), async (req, res) => {
+  try {
+    const { keys } = req.body || {};
+    if (keys !== undefined && !Array.isArray(keys)) {
+      return res.status(400).json({ success: false, error: 'keys must be an array of trip keys' });
+    }
+
+    const resumed = await getBreakerService().resume({ keys: keys || null, by: req.auth.sub });
+    if (keys && !resumed.length) return res.status(404).json({ success: false, error: 'No active trip with those keys' });
+    res.json({ success: true, resumed, count: resumed.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import { Router } from 'express';
+import { getEventBus } from '../services/events.js';
+
+const router = Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`);
+}
+
+/**
+ * GET /api/events - Server-sent event stream (see services/events.js for the event types)
+ * Send Last-Event-ID (header, or lastEventId query param) when reconnecting to replay what was missed;
+ * if that isn't possible a `resync` event tells the client to reload instead.
+ */
+router.get('/', (req, res) => {
+  const bus = getEventBus();
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n: connected\n\n`);
+
+  if (lastEventId) {
+    const missed = bus.since(lastEventId);
+    if (missed) missed.forEach(event => writeEvent(res, event));
+    else res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'history_unavailable', time: Date.now() })}\n\n`);
+  }
+
+  const unsubscribe = bus.subscribe(event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { getStorage } from '../services/storage/index.js';
+import { parseTime } from '../services/listQuery.js';
+import { EXPORT_FORMATS, EXPORT_TYPES, exportFileName } from '../../../shared/export.js';
+import {
+  EXPORT_DATASETS, scanExport, writeExport, xlsxTooLarge,
+} from '../services/export.js';
+
+const router = Router();
+
+// GET /api/export/:dataset - Download every stored trade or signal matching the list filters
+//   dataset   trades | signals
+//   format    csv | json | xlsx (default csv)
+//   direction desc | asc on the timestamp (default desc, newest first)
+//   trades:   agentId, mode, status, signalType, minStrength, outcome, from, to — as /api/trades/list
+//   signals:  agentId, status, signalType, minStrength, from, to — as /api/signals/list
+router.get('/:dataset', async (req, res) => {
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+  const format = req.query.format || 'csv';
+  const direction = req.query.direction || 'desc';
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+
+  if (!dataset) {
+    return res.status(404).json({ success: false, error: `Unknown dataset (known: ${Object.keys(EXPORT_DATASETS).join(', ')})` });
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(direction)) {
+    return res.status(400).json({ success: false, error: 'direction must be asc or desc' });
+  }
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+  }
+  if (req.query.outcome && !['win', 'loss'].includes(req.query.outcome)) {
+    return res.status(400).json({ success: false, error: 'outcome must be win or loss' });
+  }
+
+  const collection = getStorage()[req.params.dataset];
+  const selection = {
+    where: dataset.where({ ...req.query, from, to }),
+    orderBy: dataset.orderBy,
+    direction,
+    filter: dataset.filter(req.query),
+  };
+
+  try {
+    const { columns, count } = format === 'json' ? { columns: null, count: null } : await scanExport(collection, selection);
+    if (format === 'xlsx' && xlsxTooLarge(count)) {
+      return res.status(400).json({ success: false, error: `${count} rows is more than an XLSX sheet holds — narrow the filters or export CSV` });
+    }
+
+    res.setHeader('Content-Type', EXPORT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(req.params.dataset, format)}"`);
+    if (count !== null) res.setHeader('X-Export-Rows', String(count));
+    await writeExport(collection, res, selection, { format, columns, sheetName: req.params.dataset });
+  } catch (error) {
+    // Once streaming has started the only way to signal failure is to cut the response
+    console.error('Export failed:', error.message);
+    if (!res.headersSent) res.status(500).json({ success: false, error: error.message });
+    else res.destroy(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { analyzeCsvStream } from '../services/csvImport.js';
+import { upsertDocs } from '../services/importer.js';
+import { publishImport } from '../services/events.js';
+import { limitBytes } from '../services/requestBody.js';
+import { createAgentRegistryService } from '../services/agentRegistry.js';
+import { resolveExportFile, agentIdFromName } from '../../../shared/nexgent.js';
+import { normalizeMode } from '../../../shared/stats.js';
+
+const router = Router();
+
+const CSV_TYPES = ['text/csv', 'text/plain'];
+const MAX_CSV_BYTES = 50 * 1024 * 1024;
+const MODE_REQUIRED = 'Trade history files need a mode: pass mode=live or mode=simulation, or a filename ending in "Live Mode" or "Simulation Mode"';
+
+/**
+ * POST /api/import/csv - Raw Nexgent CSV export as the body (Content-Type: text/csv)
+ *   agentId, mode   required for trade history files, unless they can be inferred from
+ *   filename        the original export filename ("Nexgent Pro Trade History - Live Mode.csv").
+ *                   A trade history named for an agent that isn't registered gets a new id from
+ *                   that name ("Nexgent Moon Shot …" → nexgent-moon-shot). There is no default
+ *                   mode: a trade history without one is rejected with 400.
+ *   timeZone        IANA zone the export's times are in (default NEXGENT_TIMEZONE, then UTC)
+ *   dryRun          defaults to true: validate and report only. Pass dryRun=false to write.
+ * The body is parsed as it streams in. The report lists row-level errors and warnings;
+ * rows with errors are never written.
+ * `result` previews (dry run) or reports how many rows are inserted / updated / skipped.
+ * Writing trades for an agentId the registry doesn't know registers it (`registeredAgents`).
+ */
+router.post('/csv', requireRole('admin'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== 'false';
+    const registry = createAgentRegistryService({ storage: getStorage() });
+    const inferred = req.query.filename ? resolveExportFile(req.query.filename, await registry.list()) : {};
+    // The id a new agent gets from the file name, so it can be registered under the name as written
+    const namedId = inferred.kind === 'trades' && !inferred.agentId && inferred.agentName ? agentIdFromName(inferred.agentName) : null;
+    const agentId = req.query.agentId || inferred.agentId || namedId;
+    const mode = req.query.mode || inferred.mode;
+    const timeZone = req.query.timeZone || undefined;
+
+    if (!req.is(CSV_TYPES)) {
+      return res.status(400).json({ success: false, error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+    // Files the name doesn't identify are checked once the header row is read
+    if (inferred.kind === 'trades' && !mode) {
+      return res.status(400).json({ success: false, error: MODE_REQUIRED });
+    }
+
+    const { ok, error, docs, ...report } = await analyzeCsvStream(limitBytes(req, MAX_CSV_BYTES, 'CSV body'), { agentId, mode, timeZone });
+    if (!ok) return res.status(400).json({ success: false, error });
+
+    const importedAt = new Date().toISOString();
+    const collection = report.format === 'trades' ? getStorage().trades : getStorage().signals;
+    const written = docs.map(doc => ({ ...doc, importedAt }));
+    const result = await upsertDocs(collection, written, { dryRun });
+    let registeredAgents = [];
+
+    if (!dryRun) {
+      if (report.format === 'trades' && docs.length) {
+        registeredAgents = await registry.registerUnknown([agentId], { names: namedId ? { [namedId]: inferred.agentName } : {} });
+      }
+      publishImport(report.format, written, result);
+      console.log(`📥 Imported ${report.format} CSV: ${result.inserted} inserted, ${result.updated} updated, ${result.skipped} skipped, ${report.errorRows} rejected`);
+    }
+
+    res.json({ success: true, dryRun, agentId, mode: report.format === 'trades' ? normalizeMode(mode) : null, ...report, result, registeredAgents, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+import express, { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { getSolPriceService, parseSolPriceCsv, INTERVALS } from '../services/solPrice.js';
+import { parseLimit, parseTime } from '../services/listQuery.js';
+import { getTokenPriceService } from '../services/tokenPrices/index.js';
+
+const router = Router();
+
+// GET /api/prices/sol - Stored SOL/USD rates, oldest first
+//   from, to (epoch ms or ISO), interval=hour|day, limit
+router.get('/sol', async (req, res) => {
+  try {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const { interval } = req.query;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+    if (interval && !INTERVALS[interval]) {
+      return res.status(400).json({ success: false, error: 'interval must be hour or day' });
+    }
+
+    const rates = await getSolPriceService().list({ from, to, interval, limit: parseLimit(req.query.limit, 1000) });
+    res.json({ success: true, rates, count: rates.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/prices/sol/at?time=... - The rate used for a given moment (defaults to now)
+router.get('/sol/at', async (req, res) => {
+  try {
+    const time = req.query.time ? parseTime(req.query.time) : Date.now();
+    if (Number.isNaN(time)) {
+      return res.status(400).json({ success: false, error: 'time must be epoch milliseconds or an ISO date' });
+    }
+
+    const rate = await getSolPriceService().rateAt(time);
+    if (!rate) return res.status(404).json({ success: false, error: 'No SOL/USD rates stored yet' });
+
+    const { time: rateTime, ...rest } = rate;
+    res.json({ success: true, time, rateTime, ...rest, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/prices/sol/import - SOL/USD history CSV as the body (Content-Type: text/csv)
+ *   interval   hour|day, when the file has no interval column (otherwise inferred)
+ *   dryRun     defaults to true, like the trade/signal CSV import. Pass dryRun=false to write.
+ */
+router.post('/sol/import', requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== 'false';
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, error: 'Send the CSV file as the request body with Content-Type: text/csv' });
+    }
+
+    const { ok, error, docs, ...report } = parseSolPriceCsv(req.body, { interval: req.query.interval });
+    if (!ok) return res.status(400).json({ success: false, error });
+
+    const result = await getSolPriceService().importRates(docs, { dryRun });
+    res.json({ success: true, dryRun, rows: docs.length, ...report, result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/prices/sol/backfill - Fetch rates for { from, to } from SOL_PRICE_SOURCE
+router.post('/sol/backfill', requireRole('admin'), async (req, res) => {
+  try {
+    const service = getSolPriceService();
+    const from = parseTime(req.body?.from);
+    const to = req.body?.to ? parseTime(req.body.to) : Date.now();
+
+    if (!service.hasFetcher) {
+      return res.status(400).json({ success: false, error: 'No SOL price source configured — set SOL_PRICE_SOURCE=coingecko or import a CSV' });
+    }
+    if (from === null || Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      return res.status(400).json({ success: false, error: 'from (and optional to) must be epoch milliseconds or ISO dates, from before to' });
+    }
+
+    const result = await service.backfill({ from, to });
+    console.log(`💱 SOL/USD backfill: ${result.inserted} inserted, ${result.updated} updated`);
+    res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/prices/tokens?addresses=a,b - Live USD prices from PRICE_PROVIDER (cached, stale-flagged)
+router.get('/tokens', async (req, res) => {
+  try {
+    const addresses = String(req.query.addresses || '').split(',').map(a => a.trim()).filter(Boolean);
+    if (addresses.length === 0) {
+      return res.status(400).json({ success: false, error: 'addresses must be a comma-separated list of token addresses' });
+    }
+    if (addresses.length > 200) {
+      return res.status(400).json({ success: false, error: 'At most 200 addresses per request' });
+    }
+
+    const service = getTokenPriceService();
+    const prices = await service.getPrices(addresses);
+    const stale = Object.keys(prices).filter(a => prices[a].stale);
+    res.json({ success: true, prices, stale, cache: service.stats(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,28 +1,44 @@
 import { Router } from 'express';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import {
+  paginate, decodeCursor, parseLimit, parseTime, signalWhere,
+} from '../services/listQuery.js';
+import { upsertDocs } from '../services/importer.js';
+import { publishImport } from '../services/events.js';
+import { getTrashService } from '../services/trash.js';
 
 const router = Router();
 
-// GET /api/signals/list - Fetch signals from Firestore
+// GET /api/signals/list - Newest first (direction=asc for oldest first), one page at a time
+//   limit, cursor (nextCursor from the previous page)
+//   agentId, status, signalType (trading strategy), strength (exact) or minStrength, from, to
 router.get('/list', async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-    const limitCount = parseInt(req.query.limit) || 50;
-    const agentId = req.query.agentId;
-
-    let query = db
-      .collection('users').doc(userId)
-      .collection('signals')
-      .orderBy('signalReceivedAt', 'desc')
-      .limit(limitCount);
-
-    if (agentId) {
-      query = query.where('agentId', '==', agentId);
+    const limitCount = parseLimit(req.query.limit, 50);
+    const { agentId, status, signalType, strength, minStrength } = req.query;
+    const direction = req.query.direction === 'asc' ? 'asc' : 'desc';
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const cursorId = decodeCursor(req.query.cursor);
+    const { signals: collection } = getStorage();
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
     }
+    if (cursorId && !(await collection.get(cursorId))) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired cursor' });
+    }
+
+    const where = signalWhere({ agentId, status, signalType, strength, minStrength, from, to });
 
-    const snapshot = await query.get();
-    const signals = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const { items: signals, nextCursor } = await paginate(collection, {
+      where,
+      orderBy: 'signalReceivedAt',
+      direction,
+      limit: limitCount,
+      startAfter: cursorId,
+    });
 
     const stats = {
       total: signals.length,
@@ -32,63 +48,44 @@ router.get('/list', async (req, res) => {
       processing: signals.filter(s => s.status === 'processing').length,
     };
 
-    res.json({ success: true, signals, stats, timestamp: new Date().toISOString() });
+    res.json({ success: true, signals, stats, nextCursor, timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // POST /api/signals/import - Bulk import signals from CSV data
-router.post('/import', async (req, res) => {
+router.post('/import', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
     const { signals, agentId } = req.body;
 
     if (!Array.isArray(signals) || signals.length === 0) {
       return res.status(400).json({ success: false, error: 'signals must be a non-empty array' });
     }
 
-    let batch = db.batch();
-    let saved = 0;
+    const importedAt = new Date().toISOString();
+    const docs = signals.map((signal, i) => ({
+      ...signal,
+      id: signal.id ? String(signal.id) : `sig_${Date.now()}_${i}`,
+      agentId: agentId || signal.agentId || 'imported',
+      importedAt,
+    }));
 
-    for (const signal of signals) {
-      const id = signal.id ? String(signal.id) : `sig_${Date.now()}_${saved}`;
-      const ref = db.collection('users').doc(userId).collection('signals').doc(id);
-      batch.set(ref, {
-        ...signal,
-        agentId: agentId || signal.agentId || 'imported',
-        importedAt: new Date().toISOString(),
-      }, { merge: true });
-      saved++;
+    const result = await upsertDocs(getStorage().signals, docs);
+    publishImport('signals', docs, result);
 
-      // Firestore batch limit is 500
-      if (saved % 450 === 0) {
-        await batch.commit();
-        batch = db.batch();
-      }
-    }
-
-    await batch.commit();
-
-    res.json({ success: true, saved, timestamp: new Date().toISOString() });
+    res.json({ success: true, ...result, timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// DELETE /api/signals/clear - Clear all signals
-router.delete('/clear', async (req, res) => {
+// DELETE /api/signals/clear - Moves every signal to the trash as one deletion batch
+router.delete('/clear', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-
-    const snapshot = await db.collection('users').doc(userId).collection('signals').get();
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => batch.delete(doc.ref));
-    await batch.commit();
+    const batch = await getTrashService().trashDocs('signals', null, { by: req.auth.sub, reason: 'clear' });
 
-    res.json({ success: true, deleted: snapshot.docs.length });
+    res.json({ success: true, deleted: batch.count, batchId: batch.id, purgeAfter: batch.purgeAfter });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -0,0 +1,90 @@
+import { Router } from 'express';
+import { getStorage } from '../services/storage/index.js';
+import {
+  calcStats, groupStats, normalizeTrade, normalizeMode, GROUP_DIMENSIONS, TIME_BUCKETS,
+} from '../../../shared/stats.js';
+import { parseList, parseTime } from '../services/listQuery.js';
+import { getStatsCache } from '../services/statsCache.js';
+
+const router = Router();
+
+/**
+ * GET /api/stats
+ * Realized trade statistics (calcStats) computed server-side. OPEN and FAILED trades are excluded.
+ * Trades come from the stats cache, which rereads the collection only after it changes.
+ *   groupBy   comma list of agent, mode, signalType, signalStrength, token, time
+ *   bucket    hour | day | week | month — used when grouping by time (default day)
+ *   from, to  epoch ms or ISO date, inclusive range on trade timestamp
+ *   agentId, mode, signalType   comma lists to filter on ('sim' is accepted for simulation)
+ *   minStrength                 only trades with signalStrength >= this
+ *   outcome                     win | loss
+ *   top                         also return the `top` best and worst trades by P/L % (stored documents)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groupBy = parseList(req.query.groupBy);
+    const bucket = req.query.bucket || 'day';
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const agentIds = parseList(req.query.agentId);
+    const modes = parseList(req.query.mode).map(normalizeMode);
+    const signalTypes = parseList(req.query.signalType);
+    const minStrength = Number(req.query.minStrength) || 0;
+    const outcome = req.query.outcome;
+    const top = Math.min(parseInt(req.query.top) || 0, 100);
+
+    const unknown = groupBy.filter(dim => !GROUP_DIMENSIONS.includes(dim));
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Unknown groupBy dimension(s): ${unknown.join(', ')}` });
+    }
+    if (!TIME_BUCKETS.includes(bucket)) {
+      return res.status(400).json({ success: false, error: `bucket must be one of ${TIME_BUCKETS.join(', ')}` });
+    }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+
+    const docs = await getStatsCache(getStorage()).trades();
+
+    const matches = t => t.status !== 'OPEN' && t.status !== 'FAILED'
+      && (from === null || t.timestamp >= from)
+      && (to === null || t.timestamp <= to)
+      && (!agentIds.length || agentIds.includes(t.agentId))
+      && (!modes.length || modes.includes(t.mode))
+      && (!signalTypes.length || signalTypes.includes(t.signalType))
+      && t.signalStrength >= minStrength
+      && (outcome === 'win' ? t.pnlUsd > 0 : outcome === 'loss' ? t.pnlUsd < 0 : true);
+    const kept = docs.filter(doc => matches(normalizeTrade(doc)));
+    const trades = kept.map(normalizeTrade);
+
+    const response = {
+      success: true,
+      groupBy,
+      bucket,
+      overall: calcStats(trades),
+      groups: groupBy.length ? groupStats(trades, groupBy, { bucket }) : [],
+    };
+    if (top > 0) {
+      const byReturn = [...kept].sort((a, b) => (b.pnlPercent || 0) - (a.pnlPercent || 0));
+      response.best = byReturn.slice(0, top);
+      response.worst = byReturn.reverse().slice(0, top);
+    }
+    res.json({ ...response, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/stats/counts - Stored trades and signals in every status, for the sidebar, filter
+// options and import page (which no longer download the collections to count them). Cached until
+// either collection changes.
+router.get('/counts', async (req, res) => {
+  try {
+    const counts = await getStatsCache(getStorage()).counts();
+    res.json({ success: true, ...counts, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,44 +1,56 @@
 import { Router } from 'express';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { upsertDocs, withTradeIds } from '../services/importer.js';
+import { getSolPriceService } from '../services/solPrice.js';
+import { getTokenPriceService } from '../services/tokenPrices/index.js';
+import { publishImport } from '../services/events.js';
+import { getTrashService } from '../services/trash.js';
+import { createAgentRegistryService } from '../services/agentRegistry.js';
+import {
+  paginate, decodeCursor, parseLimit, parseTime, tradeWhere, outcomeFilter,
+} from '../services/listQuery.js';
+import { normalizeMode } from '../../../shared/stats.js';
 
 const router = Router();
 
-const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex';
-
-// Fetch live prices from DexScreener
-async function fetchLivePrices(tokenAddresses) {
-  const prices = {};
-  const unique = [...new Set(tokenAddresses.filter(Boolean))];
-
-  for (const address of unique.slice(0, 10)) {
-    try {
-      const response = await fetch(`${DEXSCREENER_API}/tokens/${address}`);
-      if (response.ok) {
-        const data = await response.json();
-        if (data.pairs?.length > 0) {
-          const best = data.pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
-          prices[address] = {
-            priceUsd: parseFloat(best.priceUsd) || null,
-            priceChange24h: best.priceChange?.h24 || null,
-            liquidity: best.liquidity?.usd || null,
-            volume24h: best.volume?.h24 || null,
-            dex: best.dexId,
-          };
-        }
-      }
-    } catch { /* skip failed */ }
-  }
-  return prices;
+// Firestore caps the values of an `in` filter
+const IN_QUERY_LIMIT = 30;
+
+// Attach a token price quote to an OPEN raw trade, falling back to the entry price
+function withLivePrice(trade, quote) {
+  const fallback = !quote?.priceUsd;
+  return {
+    ...trade,
+    livePrice: fallback ? (trade.entryPrice || trade.executionPrice || null) : quote.priceUsd,
+    livePriceAt: quote?.fetchedAt ?? null,
+    livePriceStale: fallback || quote.stale,
+    livePriceSource: fallback ? 'entry' : quote.source,
+  };
+}
+
+// SOL → USD at the rates in effect when each leg happened. pnl is null when no rate is stored;
+// solUsdEstimated is set when a leg fell back to the nearest stored rate rather than its own hour/day.
+function usdFigures(entrySol, exitSol, entryTime, exitTime, rateAt) {
+  const entry = rateAt(entryTime);
+  const exit = rateAt(exitTime);
+  return {
+    entrySolUsd: entry?.rate ?? null,
+    exitSolUsd: exit?.rate ?? null,
+    entryValueUsd: entry ? entrySol * entry.rate : null,
+    exitValueUsd: exit ? exitSol * exit.rate : null,
+    pnl: entry && exit ? exitSol * exit.rate - entrySol * entry.rate : null,
+    solUsdEstimated: !(entry?.exact && exit?.exact),
+  };
 }
 
-// Combine BUY+SELL into unified trade entries
-function unifyTrades(rawTrades) {
+// Combine BUY+SELL into unified trade entries; rateAt(ms) gives the SOL/USD rate at a time
+function unifyTrades(rawTrades, rateAt, now = Date.now()) {
   const unified = [];
   const processedSellIds = new Set();
   const sorted = [...rawTrades].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
   const buys = sorted.filter(t => t.side === 'BUY');
   const sells = sorted.filter(t => t.side === 'SELL');
-  const SOL_PRICE = 200;
 
   for (const buy of buys) {
     let sell = sells.find(s => s.linkedBuyTradeId === buy.id && !processedSellIds.has(s.id));
@@ -66,15 +78,17 @@ function unifyTrades(rawTrades) {
         pnlPct = buyPos > 0 ? (pnlSol / buyPos) * 100 : 0;
       }
 
+      const entryTime = buy.entryTime || buy.timestamp;
+      const exitTime = sell.exitTime || sell.timestamp;
       unified.push({
-        id: buy.id, type: 'unified', status: 'CLOSED', agentId: buy.agentId,
+        id: buy.id, type: 'unified', status: 'CLOSED', agentId: buy.agentId, mode: buy.mode,
         token: buy.token || buy.tokenSymbol, tokenSymbol: buy.tokenSymbol || buy.token,
         tokenAddress: buy.tokenAddress, source: buy.source,
-        entryPrice: buy.entryPrice || buy.executionPrice, entryTime: buy.entryTime || buy.timestamp,
+        entryPrice: buy.entryPrice || buy.executionPrice, entryTime,
         entryPositionSol: buyPos, entryTxSignature: buy.txSignature, entryDex: buy.dex,
-        exitPrice: sell.exitPrice || sell.entryPrice, exitTime: sell.exitTime || sell.timestamp,
+        exitPrice: sell.exitPrice || sell.entryPrice, exitTime,
         exitPositionSol: exitPos, exitTxSignature: sell.txSignature, exitDex: sell.dex,
-        pnl: pnlSol * SOL_PRICE, pnlSol, pnlPercent: pnlPct,
+        ...usdFigures(buyPos, exitPos, entryTime, exitTime, rateAt), pnlSol, pnlPercent: pnlPct,
         timestamp: buy.timestamp, holdTime: (sell.timestamp || 0) - (buy.timestamp || 0),
         buyTradeId: buy.id, sellTradeId: sell.id,
       });
@@ -83,13 +97,16 @@ function unifyTrades(rawTrades) {
       const current = buy.livePrice || buy.currentPrice || entry;
       const pnlPct = entry > 0 ? ((current - entry) / entry) * 100 : 0;
       const pnlSol = buyPos * (pnlPct / 100);
+      const entryTime = buy.entryTime || buy.timestamp;
 
       unified.push({
-        id: buy.id, type: 'open', status: 'OPEN', agentId: buy.agentId,
+        id: buy.id, type: 'open', status: 'OPEN', agentId: buy.agentId, mode: buy.mode,
         token: buy.token || buy.tokenSymbol, tokenSymbol: buy.tokenSymbol || buy.token,
-        tokenAddress: buy.tokenAddress, entryPrice: entry, entryPositionSol: buyPos,
-        currentPrice: current, pnl: pnlSol * SOL_PRICE, pnlSol, pnlPercent: pnlPct,
-        timestamp: buy.timestamp, buyTradeId: buy.id,
+        tokenAddress: buy.tokenAddress, entryPrice: entry, entryTime, entryPositionSol: buyPos,
+        currentPrice: current, priceAt: buy.livePriceAt ?? null, priceStale: buy.livePriceStale ?? true,
+        priceSource: buy.livePriceSource ?? null, ...usdFigures(buyPos, buyPos + pnlSol, entryTime, now, rateAt),
+        pnlSol, pnlPercent: pnlPct,
+        timestamp: buy.timestamp, holdTime: now - (entryTime || now), buyTradeId: buy.id,
       });
     } else if (buy.status === 'CLOSED' && buy.exitPositionSol) {
       const exitPos = buy.exitPositionSol;
@@ -97,16 +114,17 @@ function unifyTrades(rawTrades) {
       const pnlPct = buy.pnlPercent || (buyPos > 0 ? (pnlSol / buyPos) * 100 : 0);
 
       unified.push({
-        id: buy.id, type: 'unified', status: 'CLOSED', agentId: buy.agentId,
+        id: buy.id, type: 'unified', status: 'CLOSED', agentId: buy.agentId, mode: buy.mode,
         token: buy.token || buy.tokenSymbol, tokenSymbol: buy.tokenSymbol || buy.token,
         tokenAddress: buy.tokenAddress, entryPrice: buy.entryPrice || buy.executionPrice,
         entryPositionSol: buyPos, exitPositionSol: exitPos,
-        pnl: pnlSol * SOL_PRICE, pnlSol, pnlPercent: pnlPct,
+        ...usdFigures(buyPos, exitPos, buy.entryTime || buy.timestamp, buy.exitTime || buy.timestamp, rateAt),
+        pnlSol, pnlPercent: pnlPct,
         timestamp: buy.timestamp, combinedSell: true, buyTradeId: buy.id,
       });
     } else if (buy.status === 'FAILED') {
       unified.push({
-        id: buy.id, type: 'failed', status: 'FAILED', agentId: buy.agentId,
+        id: buy.id, type: 'failed', status: 'FAILED', agentId: buy.agentId, mode: buy.mode,
         token: buy.token || buy.tokenSymbol, tokenSymbol: buy.tokenSymbol || buy.token,
         tokenAddress: buy.tokenAddress, pnl: 0, pnlPercent: 0,
         errorType: buy.errorType, errorMessage: buy.errorMessage,
@@ -121,7 +139,7 @@ function unifyTrades(rawTrades) {
       const failed = sell.status === 'FAILED' || sell.errorType;
       unified.push({
         id: sell.id, type: failed ? 'failed' : 'orphan_sell',
-        status: failed ? 'FAILED' : 'CLOSED', agentId: sell.agentId,
+        status: failed ? 'FAILED' : 'CLOSED', agentId: sell.agentId, mode: sell.mode,
         token: sell.token || sell.tokenSymbol, tokenSymbol: sell.tokenSymbol || sell.token,
         tokenAddress: sell.tokenAddress,
         exitPrice: failed ? null : (sell.exitPrice || sell.entryPrice),
@@ -136,121 +154,145 @@ function unifyTrades(rawTrades) {
   return unified.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
 }
 
-// GET /api/trades/list
+// A BUY and its SELL can land on different pages, so every stored trade in the page's tokens
+// (same agent/mode filter) is read to pair against. Pairing then sees each token's whole history,
+// which gives the same pairs on every page.
+async function tokenHistory(collection, page, { agentId, mode }) {
+  const onPage = new Set(page.map(t => t.id));
+  const addresses = [...new Set(page.map(t => t.tokenAddress).filter(Boolean))];
+  const others = [];
+  for (let i = 0; i < addresses.length; i += IN_QUERY_LIMIT) {
+    const where = [['tokenAddress', 'in', addresses.slice(i, i + IN_QUERY_LIMIT)]];
+    if (agentId) where.push(['agentId', '==', agentId]);
+    if (mode) where.push(['mode', '==', normalizeMode(mode)]);
+    const docs = await collection.query({ where });
+    others.push(...docs.filter(t => !onPage.has(t.id)));
+  }
+  return [...page, ...others];
+}
+
+// GET /api/trades/list - Newest first, one page at a time
+//   limit, cursor (nextCursor from the previous page); limit counts stored BUY/SELL documents
+//   raw=true returns them as stored; otherwise they are paired into one row per trade
+//   agentId, mode, status, signalType, minStrength, from, to — applied in storage
+//   outcome=win|loss — applied after the read (P/L can't be indexed alongside the timestamp order)
 router.get('/list', async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-    const limitCount = parseInt(req.query.limit) || 100;
+    const limitCount = parseLimit(req.query.limit, 100);
     const returnRaw = req.query.raw === 'true';
     const includeLive = req.query.live !== 'false';
     const includeFailed = req.query.includeFailed === 'true';
-    const agentId = req.query.agentId;
-
-    let query = db.collection('users').doc(userId).collection('trades')
-      .orderBy('timestamp', 'desc').limit(limitCount);
-
-    const snapshot = await query.get();
-    let rawTrades = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-    // Filter by agent if requested
-    if (agentId) {
-      rawTrades = rawTrades.filter(t => t.agentId === agentId);
+    const { agentId, mode, status, signalType, minStrength, outcome } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const cursorId = decodeCursor(req.query.cursor);
+    const { trades: collection } = getStorage();
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+    if (outcome && !['win', 'loss'].includes(outcome)) {
+      return res.status(400).json({ success: false, error: 'outcome must be win or loss' });
+    }
+    if (cursorId && !(await collection.get(cursorId))) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired cursor' });
     }
 
-    // Fetch live prices for open positions
+    const where = tradeWhere({ agentId, mode, status, signalType, minStrength, from, to });
+
+    const page = await paginate(collection, {
+      where,
+      orderBy: 'timestamp',
+      direction: 'desc',
+      limit: limitCount,
+      startAfter: cursorId,
+      filter: outcomeFilter(outcome),
+    });
+    let rawTrades = page.items;
+
+    // Live prices for open positions. Every open trade gets one: when the provider has
+    // nothing usable it falls back to the entry price, flagged stale.
+    let stalePrices = [];
     if (includeLive) {
       const openAddresses = rawTrades.filter(t => t.status === 'OPEN').map(t => t.tokenAddress);
       if (openAddresses.length > 0) {
-        const livePrices = await fetchLivePrices(openAddresses);
-        rawTrades = rawTrades.map(t => {
-          if (t.status === 'OPEN' && livePrices[t.tokenAddress]) {
-            return { ...t, livePrice: livePrices[t.tokenAddress].priceUsd };
-          }
-          return t;
-        });
+        const prices = await getTokenPriceService().getPrices(openAddresses);
+        rawTrades = rawTrades.map(t => (t.status === 'OPEN' ? withLivePrice(t, prices[t.tokenAddress]) : t));
+        stalePrices = rawTrades.filter(t => t.status === 'OPEN' && t.livePriceStale).map(t => ({
+          id: t.id, tokenAddress: t.tokenAddress, livePriceAt: t.livePriceAt, livePriceSource: t.livePriceSource,
+        }));
       }
     }
 
     if (returnRaw) {
-      return res.json({ success: true, trades: rawTrades, timestamp: new Date().toISOString() });
+      return res.json({ success: true, trades: rawTrades, stalePrices, nextCursor: page.nextCursor, timestamp: new Date().toISOString() });
     }
 
-    let trades = unifyTrades(rawTrades);
+    // Each pair is returned once, on the page that holds its BUY (or the SELL, for a sell with no buy)
+    const now = Date.now();
+    const onPage = new Set(rawTrades.map(t => t.id));
+    const legs = await tokenHistory(collection, rawTrades, { agentId, mode });
+    const legTimes = legs.flatMap(t => [t.entryTime || t.timestamp, t.exitTime || t.timestamp]);
+    const rateAt = await getSolPriceService().lookupFor([...legTimes, now]);
+    let trades = unifyTrades(legs, rateAt, now).filter(t => onPage.has(t.buyTradeId || t.sellTradeId));
     if (!includeFailed) trades = trades.filter(t => t.status !== 'FAILED');
 
-    res.json({ success: true, trades, rawCount: rawTrades.length, timestamp: new Date().toISOString() });
+    res.json({ success: true, trades, rawCount: rawTrades.length, stalePrices, nextCursor: page.nextCursor, timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // POST /api/trades/import - Bulk import trades from CSV
-router.post('/import', async (req, res) => {
+// Re-importing the same rows is safe: reports inserted / updated / skipped (duplicates).
+// Agents the registry doesn't know yet are registered (registeredAgents)
+router.post('/import', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
     const { trades, agentId } = req.body;
 
     if (!Array.isArray(trades) || trades.length === 0) {
       return res.status(400).json({ success: false, error: 'trades must be a non-empty array' });
     }
 
-    let saved = 0;
-    let batch = db.batch();
-
-    for (const trade of trades) {
-      const id = trade.id || `trade_${Date.now()}_${saved}`;
-      const ref = db.collection('users').doc(userId).collection('trades').doc(id);
-      batch.set(ref, {
-        ...trade,
-        agentId: agentId || trade.agentId || 'imported',
-        importedAt: new Date().toISOString(),
-      }, { merge: true });
-      saved++;
-
-      if (saved % 450 === 0) {
-        await batch.commit();
-        batch = db.batch();
-      }
-    }
+    const importedAt = new Date().toISOString();
+    const docs = withTradeIds(trades.map((trade, i) => ({
+      ...trade,
+      id: trade.id || `trade_${Date.now()}_${i}`,
+      agentId: agentId || trade.agentId || 'imported',
+      importedAt,
+    })));
 
-    await batch.commit();
+    const result = await upsertDocs(getStorage().trades, docs);
+    const registeredAgents = await createAgentRegistryService({ storage: getStorage() }).registerUnknown(docs.map(d => d.agentId));
+    publishImport('trades', docs, result);
 
-    res.json({ success: true, saved, timestamp: new Date().toISOString() });
+    res.json({ success: true, ...result, registeredAgents, timestamp: new Date().toISOString() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// DELETE /api/trades/delete?id=xxx
-router.delete('/delete', async (req, res) => {
+// DELETE /api/trades/delete?id=xxx - Moves the trade to the trash (see /api/trash)
+router.delete('/delete', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
     const { id } = req.query;
 
     if (!id) return res.status(400).json({ success: false, error: 'Missing trade id' });
 
-    await db.collection('users').doc(userId).collection('trades').doc(id).delete();
-    res.json({ success: true, message: `Trade ${id} deleted` });
+    const batch = await getTrashService().trashDocs('trades', [String(id)], { by: req.auth.sub, reason: 'delete' });
+    if (!batch.count) return res.status(404).json({ success: false, error: 'Trade not found' });
+    res.json({ success: true, deleted: batch.count, batchId: batch.id, purgeAfter: batch.purgeAfter, message: `Trade ${id} moved to trash` });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// DELETE /api/trades/clear
-router.delete('/clear', async (req, res) => {
+// DELETE /api/trades/clear - Moves every trade to the trash as one deletion batch
+router.delete('/clear', requireRole('admin'), async (req, res) => {
   try {
-    const db = getDb();
-    const userId = getUserId();
-
-    const snapshot = await db.collection('users').doc(userId).collection('trades').get();
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => batch.delete(doc.ref));
-    await batch.commit();
+    const batch = await getTrashService().trashDocs('trades', null, { by: req.auth.sub, reason: 'clear' });
 
-    res.json({ success: true, deleted: snapshot.docs.length });
+    res.json({ success: true, deleted: batch.count, batchId: batch.id, purgeAfter: batch.purgeAfter });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
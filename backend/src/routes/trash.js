@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { getTrashService, BATCH_STATUSES } from '../services/trash.js';
+import { parseLimit } from '../services/listQuery.js';
+
+const router = Router();
+
+// GET /api/trash - Deletion batches, newest first
+//   status=deleting|trashed|restoring|restored|purged, limit
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${BATCH_STATUSES.join(', ')}` });
+    }
+
+    const trash = getTrashService();
+    const batches = await trash.list({ status, limit: parseLimit(req.query.limit, 100) });
+    res.json({
+      success: true,
+      batches,
+      count: batches.length,
+      retentionDays: trash.retentionMs / (24 * 60 * 60 * 1000),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/trash/:batchId/restore - Put every document of the batch back (re-imported ids are kept as they are)
+router.post('/:batchId/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const batch = await getTrashService().restore(req.params.batchId, req.auth.sub);
+    if (!batch) return res.status(404).json({ success: false, error: 'Deletion batch not found' });
+    if (batch.error) return res.status(409).json({ success: false, error: batch.error });
+
+    res.json({ success: true, batch, restored: batch.restored, skipped: batch.skipped, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/trash/:batchId - Purge the batch permanently, once its retention period is over
+router.delete('/:batchId', requireRole('admin'), async (req, res) => {
+  try {
+    const batch = await getTrashService().purge(req.params.batchId, req.auth.sub);
+    if (!batch) return res.status(404).json({ success: false, error: 'Deletion batch not found' });
+    if (batch.error) return res.status(409).json({ success: false, error: batch.error });
+
+    res.json({ success: true, batch, purged: batch.purged, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,19 +1,21 @@
 import { Router } from 'express';
-import { getDb, getUserId } from '../services/firebase.js';
+import { getStorage } from '../services/storage/index.js';
+import { verifyWebhookSignature } from '../middleware/verifyWebhook.js';
+import { publishEvent } from '../services/events.js';
 
 const router = Router();
 
 /**
  * POST /api/webhook/signal
- * Receives trade signals from Nexgent AI and stores them in Firestore.
+ * Receives trade signals from Nexgent AI and stores them.
  * Trade execution happens on the Nexgent AI side — this endpoint just logs signals.
+ * Requests must be signed (see services/webhookAuth.js); unverified calls get a 401.
  */
-router.post('/signal', async (req, res) => {
+router.post('/signal', verifyWebhookSignature, async (req, res) => {
   const receivedAt = Date.now();
 
   try {
-    const db = getDb();
-    const userId = getUserId();
+    const storage = getStorage();
     const signal = req.body;
 
     if (!signal || typeof signal !== 'object') {
@@ -21,10 +23,7 @@ router.post('/signal', async (req, res) => {
     }
 
     // Check bot/webhook enabled status
-    const settingsDoc = await db
-      .collection('users').doc(userId)
-      .collection('settings').doc('bot').get();
-    const settings = settingsDoc.exists ? settingsDoc.data() : {};
+    const settings = (await storage.settings.get('bot')) || {};
 
     if (settings.enabled === false || settings.webhookEnabled === false) {
       return res.status(200).json({
@@ -34,18 +33,26 @@ router.post('/signal', async (req, res) => {
       });
     }
 
-    // Store signal in Firestore
+    // Agents paused by the circuit breaker
+    const paused = signal.agentId && settings.pausedAgents?.[signal.agentId];
+    if (paused) {
+      return res.status(200).json({ success: false, status: 'rejected', reason: 'agent_paused', detail: paused.reason });
+    }
+
+    // Store signal
     const signalId = signal.id ? String(signal.id) : `sig_${receivedAt}`;
-    const signalRef = db.collection('users').doc(userId).collection('signals').doc(signalId);
 
-    await signalRef.set({
+    const stored = {
       ...signal,
+      verifiedSource: req.webhookSource,
       signalReceivedAt: receivedAt,
       status: 'received',
       processedAt: new Date().toISOString(),
-    }, { merge: true });
+    };
+    await storage.signals.set(signalId, stored, { merge: true });
+    publishEvent('signal-received', { signal: { ...stored, id: signalId } });
 
-    console.log(`📡 Signal received: ${signal.tokenSymbol || signal.token || signalId}`);
+    console.log(`📡 Signal received from ${req.webhookSource}: ${signal.tokenSymbol || signal.token || signalId}`);
 
     res.json({
       success: true,
@@ -1,49 +1,93 @@
 import 'dotenv/config';
 import express from 'express';
 import { corsMiddleware } from './middleware/cors.js';
-import { initFirebase } from './services/firebase.js';
+import { initStorage, getStorageBackend } from './services/storage/index.js';
+import { authenticate } from './middleware/auth.js';
+import { auditLog } from './middleware/audit.js';
+import { isAuthDisabled } from './services/auth.js';
+import authRouter from './routes/auth.js';
 import agentsRouter from './routes/agents.js';
 import signalsRouter from './routes/signals.js';
 import tradesRouter from './routes/trades.js';
 import botRouter from './routes/bot.js';
 import webhookRouter from './routes/webhook.js';
 import aiRouter from './routes/ai.js';
+import statsRouter from './routes/stats.js';
+import importRouter from './routes/import.js';
+import pricesRouter from './routes/prices.js';
+import eventsRouter from './routes/events.js';
+import alertsRouter from './routes/alerts.js';
+import breakersRouter from './routes/breakers.js';
+import auditRouter from './routes/audit.js';
+import trashRouter from './routes/trash.js';
+import backupRouter from './routes/backup.js';
+import exportRouter from './routes/export.js';
+import { startAlertEngine } from './services/alerts.js';
+import { startCircuitBreaker } from './services/breakers.js';
+import { startTrashSweeper } from './services/trash.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Track Firebase init state
-let firebaseReady = false;
-let firebaseError = null;
+// Behind a reverse proxy (Railway), TRUST_PROXY=1 makes req.ip the client's address rather than the proxy's,
+// for the per-IP login limit and the audit log. A number is a hop count, `true` trusts every hop, anything
+// else is passed to Express as a list of trusted addresses.
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  app.set('trust proxy', value === 'true' ? true : Number.isInteger(Number(value)) ? Number(value) : value);
+}
+
+// Track storage init state
+let storageReady = false;
+let storageError = null;
 
 // Middleware
 app.use(corsMiddleware);
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the exact bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhook')) req.rawBody = buf;
+  },
+}));
 
 // Health check — always responds so Railway can verify the server is up
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'nexgent-agents-dashboard-backend',
-    firebase: firebaseReady ? 'connected' : (firebaseError || 'initializing'),
+    storage: getStorageBackend(),
+    storageStatus: storageReady ? 'connected' : (storageError || 'initializing'),
     timestamp: new Date().toISOString(),
   });
 });
 
-// Auth — tells the frontend which Firestore document to read/write
-// No FIREBASE_USER_ID needed: defaults to 'nexgent' for single-tenant use
-app.get('/api/auth/user', (req, res) => {
-  const userId = process.env.FIREBASE_USER_ID || 'nexgent';
-  res.json({ success: true, userId });
-});
+// Every POST/DELETE below is recorded in the audit log, including logins; webhook signals are not
+app.use('/api', auditLog);
+
+// Public routes — login, and the webhook which verifies its own HMAC signatures
+app.use('/api/auth', authRouter);
+app.use('/api/webhook', webhookRouter);
+
+// Everything below requires a session token or API key
+app.use('/api', authenticate);
 
 // API Routes
 app.use('/api/agents', agentsRouter);
 app.use('/api/signals', signalsRouter);
 app.use('/api/trades', tradesRouter);
 app.use('/api/bot', botRouter);
-app.use('/api/webhook', webhookRouter);
 app.use('/api/ai', aiRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/import', importRouter);
+app.use('/api/prices', pricesRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/breakers', breakersRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/backup', backupRouter);
+app.use('/api/export', exportRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -59,15 +103,21 @@ app.use((err, req, res, next) => {
 // Start server first so Railway health check passes immediately
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Nexgent Agents Dashboard backend running on port ${PORT}`);
+  if (isAuthDisabled()) console.warn('⚠️  AUTH_DISABLED=true — every request is treated as admin');
 
-  // Initialize Firebase after server is listening
+  // Initialize storage after server is listening
   try {
-    initFirebase();
-    firebaseReady = true;
-    console.log('✅ Firebase Admin initialized');
+    const storage = initStorage();
+    storageReady = true;
+    console.log(`✅ Storage initialized (${storage.backend}${storage.dir ? `: ${storage.dir}` : ''})`);
+    startAlertEngine();
+    startCircuitBreaker();
+    startTrashSweeper();
   } catch (err) {
-    firebaseError = err.message;
-    console.error('❌ Firebase Admin init failed:', err.message);
-    console.error('   Set FIREBASE_SERVICE_ACCOUNT and FIREBASE_USER_ID in Railway Variables');
+    storageError = err.message;
+    console.error('❌ Storage init failed:', err.message);
+    if (getStorageBackend() === 'firestore') {
+      console.error('   Set FIREBASE_SERVICE_ACCOUNT and FIREBASE_USER_ID in Railway Variables, or STORAGE_BACKEND=local');
+    }
   }
 });
@@ -0,0 +1,97 @@
+/**
+ * Nexgent settings each agent was set up with, in the shared/agentConfig.js shape.
+ * Served until an agent's config is first saved through the agents API; after that the stored
+ * config wins and these are only a fallback for agents nobody has edited.
+ */
+
+const sizes = (small, medium, large) => ({
+  small: { min: small[0], max: small[1] }, medium: { min: medium[0], max: medium[1] }, large: { min: large[0], max: large[1] },
+});
+const slLevels = rows => rows.map(([priceUpPct, stopLossPct]) => ({ priceUpPct, stopLossPct }));
+const tpLevels = rows => rows.map(([targetPct, sellPct]) => ({ targetPct, sellPct }));
+const noMoonBag = { enabled: false, pct: null, atTargetPct: null };
+const noDca = { enabled: false, levels: [], note: '' };
+
+export const DEFAULT_AGENT_CONFIGS = {
+  'nexgent-degen': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.3, 0.5], [0.5, 1.0], [1.0, 1.5]), randomization: true, note: 'Tight slippage prevents overpaying. Ranges: 0.2-3 SOL, 3-7 SOL, 7+ SOL. Small positions use up to ~25% of balance, medium up to ~30% per trade.' },
+    signals: { minStrength: 1, signalTypes: [], note: 'Every signal triggers.' },
+    risk: { filterMode: 'none', minMarketCap: null, minLiquidity: null, minHolders: null, note: 'Pure exposure — trades everything.' },
+    stopLoss: { enabled: true, defaultPct: -20, strategy: 'custom', levels: slLevels([[300, 92], [200, 85], [100, 65], [50, 20], [25, 3]]), note: 'Custom levels avoid Exponential Decay clustering.' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[100, 20], [200, 20], [400, 20], [600, 20]]), moonBag: { enabled: true, pct: 20, atTargetPct: 400 }, note: '80% sold. 20% moon bag at 400%.' },
+    dca: { ...noDca, note: 'DCA multiplies losses on rugs.' },
+    staleTrade: { enabled: false, holdMinutes: null, pnlRange: { min: 1, max: 10 }, note: 'Moonshots take hours — never cut short.' },
+  },
+  'nexgent-pro': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.2, 0.3], [0.3, 0.5], [0.5, 1.0]), randomization: true, note: 'Medium positions are ~10-15% per trade.' },
+    signals: { minStrength: 2, signalTypes: [], note: 'Filters the weakest ~20%.' },
+    risk: { filterMode: 'none', minMarketCap: 50000, minLiquidity: 15000, minHolders: 200, note: 'No Filter mode, but the token metrics apply. Strict — filters rugs and bots.' },
+    stopLoss: { enabled: true, defaultPct: -15, strategy: 'custom', levels: slLevels([[250, 88], [120, 60], [60, 28], [30, 10], [15, 2]]), note: 'Offset from Step-Based Zones to avoid cascades.' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[40, 25], [130, 25], [270, 25], [370, 15]]), moonBag: { enabled: true, pct: 10, atTargetPct: 270 }, note: 'Exits before the Moderate preset walls. 90% sold, 10% moon bag at 270%.' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 120, pnlRange: { min: 1, max: 10 }, note: 'After 2 hours, trades at 1-10% are closed.' },
+  },
+  'nexgent-scalper': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.2, 0.3], [0.3, 0.5], [0.5, 1.0]), randomization: true, note: 'The -10% stop caps risk on a medium position to ~1.5% of balance.' },
+    signals: { minStrength: 3, signalTypes: [], note: 'Quality — filters the bottom ~40%.' },
+    risk: { filterMode: 'none', minMarketCap: 10000, minLiquidity: 5000, minHolders: 50, note: '' },
+    stopLoss: { enabled: true, defaultPct: -10, strategy: 'custom', levels: slLevels([[150, 85], [100, 65], [50, 30], [20, 8], [10, 2]]), note: 'Tightest default of all. Once up 10%, it can never lose money.' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[5, 30], [15, 30], [35, 25], [60, 15]]), moonBag: noMoonBag, note: 'Ultra-aggressive. 100% sold, no moon bag.' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 60, pnlRange: { min: 1, max: 8 }, note: 'After 1 hour, trades at 1-8% are closed.' },
+  },
+  'nexgent-base': {
+    purchase: { maxSlippagePct: 5, balance: { small: 0.2, medium: 5, large: 10 }, positionSize: sizes([0.2, 0.5], [0.5, 1.0], [1.0, 1.5]), randomization: true, note: 'Default slippage — wider than the custom agents (3%). Small range is 0.2-5 SOL.' },
+    signals: { minStrength: 1, signalTypes: [], note: 'Same as Degen.' },
+    risk: { filterMode: 'none', minMarketCap: null, minLiquidity: null, minHolders: null, note: 'No filters — benchmark.' },
+    stopLoss: { enabled: true, defaultPct: -32, strategy: 'exponential_decay', levels: slLevels([[100, 90], [50, 30.8], [25, 3.7], [10, -32]]), note: 'The preset most users run, wider than the custom agents. Levels show how it behaves.' },
+    takeProfit: { enabled: false, strategy: 'custom', levels: [], moonBag: noMoonBag, note: 'No TP — relies on the stop loss only.' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 60, pnlRange: { min: 1, max: 10 }, note: '' },
+  },
+  'nexgent-boost-hunter': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.2, 0.4], [0.4, 0.8], [0.8, 1.2]), randomization: true, note: '' },
+    signals: { minStrength: 2, signalTypes: ['Dex Boost'], note: 'Filters for boosted tokens.' },
+    risk: { filterMode: 'metrics', minMarketCap: 25000, minLiquidity: 10000, minHolders: 100, note: '' },
+    stopLoss: { enabled: true, defaultPct: -18, strategy: 'custom', levels: [], note: '' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[50, 25], [150, 25], [300, 25], [500, 15]]), moonBag: { enabled: true, pct: 10, atTargetPct: null }, note: '' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 90, pnlRange: { min: 1, max: 8 }, note: '' },
+  },
+  'nexgent-signal-sniper': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.3, 0.5], [0.5, 0.8], [0.8, 1.2]), randomization: true, note: '' },
+    signals: { minStrength: 3, signalTypes: [], note: 'High quality only.' },
+    risk: { filterMode: 'metrics', minMarketCap: 30000, minLiquidity: 10000, minHolders: 150, note: '' },
+    stopLoss: { enabled: true, defaultPct: -15, strategy: 'custom', levels: [], note: '' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[80, 20], [180, 25], [350, 25], [500, 20]]), moonBag: { enabled: true, pct: 10, atTargetPct: null }, note: '' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 90, pnlRange: { min: 1, max: 10 }, note: '' },
+  },
+  'nexgent-scalper-2': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.2, 0.3], [0.3, 0.5], [0.5, 0.8]), randomization: true, note: '' },
+    signals: { minStrength: 3, signalTypes: [], note: 'Quality filter.' },
+    risk: { filterMode: 'metrics', minMarketCap: 15000, minLiquidity: 8000, minHolders: 75, note: '' },
+    stopLoss: { enabled: true, defaultPct: -12, strategy: 'custom', levels: [], note: 'Refined from Scalper v1.' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[8, 25], [20, 30], [45, 25], [80, 20]]), moonBag: noMoonBag, note: 'Aggressive.' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 45, pnlRange: { min: 1, max: 6 }, note: '' },
+  },
+  'nexgent-base-2': {
+    purchase: { maxSlippagePct: 4, balance: { small: 0.2, medium: 4, large: 8 }, positionSize: sizes([0.2, 0.4], [0.4, 0.8], [0.8, 1.2]), randomization: true, note: 'Slippage slightly tighter than v1.' },
+    signals: { minStrength: 1, signalTypes: [], note: '' },
+    risk: { filterMode: 'none', minMarketCap: null, minLiquidity: null, minHolders: null, note: 'No filters — updated control benchmark.' },
+    stopLoss: { enabled: true, defaultPct: -28, strategy: 'exponential_decay', levels: [], note: 'Default tighter than v1.' },
+    takeProfit: { enabled: false, strategy: 'custom', levels: [], moonBag: noMoonBag, note: 'No TP — relies on the stop loss only.' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 75, pnlRange: { min: 1, max: 10 }, note: '' },
+  },
+  'nexgent-ignition-tester': {
+    purchase: { maxSlippagePct: 3, balance: { small: 0.2, medium: 3, large: 7 }, positionSize: sizes([0.2, 0.4], [0.4, 0.7], [0.7, 1.0]), randomization: true, note: '' },
+    signals: { minStrength: 2, signalTypes: ['Ignition'], note: 'Tests ignition-type triggers.' },
+    risk: { filterMode: 'metrics', minMarketCap: 20000, minLiquidity: 8000, minHolders: 100, note: '' },
+    stopLoss: { enabled: true, defaultPct: -16, strategy: 'custom', levels: [], note: '' },
+    takeProfit: { enabled: true, strategy: 'custom', levels: tpLevels([[60, 25], [150, 25], [300, 25], [500, 15]]), moonBag: { enabled: true, pct: 10, atTargetPct: null }, note: '' },
+    dca: noDca,
+    staleTrade: { enabled: true, holdMinutes: 90, pnlRange: { min: 1, max: 10 }, note: '' },
+  },
+};
@@ -0,0 +1,140 @@
+/**
+ * Agent configurations
+ * Each agent's Nexgent settings are stored on its document in the `agents` collection
+ * (id = agentId) as { config, configVersion, configUpdatedAt, configUpdatedBy }. Configs are checked
+ * against the shared schema (shared/agentConfig.js) before they are written. Agents nobody has saved
+ * a config for are served from DEFAULT_AGENT_CONFIGS.
+ *
+ * Every save also appends an immutable version to `agent_config_versions` (id = agentId__v<n>):
+ *   { agentId, version, config, note, effectiveFrom, createdAt, createdBy }
+ * A trade belongs to the version in force at its timestamp (configVersionAt). The first save also
+ * records the config the agent ran before it as version 1, effective from 0, so earlier trades
+ * have a version too.
+ *
+ * Entry: { agentId, config, version, source: 'saved' | 'default', updatedAt, updatedBy }
+ */
+
+import { getStorage } from './storage/index.js';
+import { validateAgentConfig, configChanges, configVersionAt } from '../../../shared/agentConfig.js';
+import { calcStats } from '../../../shared/stats.js';
+import { DEFAULT_AGENT_CONFIGS } from './agentConfigDefaults.js';
+import { realizedTrades } from './tradeMetrics.js';
+
+const MAX_NOTE_LENGTH = 500;
+const BASELINE_NOTE = 'Settings before versioning';
+
+function toEntry(agentId, doc) {
+  if (doc?.config) {
+    return { agentId, config: doc.config, version: doc.configVersion || null, source: 'saved', updatedAt: doc.configUpdatedAt || null, updatedBy: doc.configUpdatedBy || null };
+  }
+  if (DEFAULT_AGENT_CONFIGS[agentId]) {
+    return { agentId, config: DEFAULT_AGENT_CONFIGS[agentId], version: null, source: 'default', updatedAt: null, updatedBy: null };
+  }
+  return null;
+}
+
+const versionId = (agentId, version) => `${agentId}__v${version}`;
+
+export function createAgentConfigService({ storage, now = Date.now }) {
+  const agents = storage.agents;
+  const versionStore = storage.agentConfigVersions;
+
+  // Every agent with a saved or default config
+  async function list() {
+    const docs = await agents.all();
+    const byId = new Map(docs.map(d => [d.id, d]));
+    const ids = [...new Set([...Object.keys(DEFAULT_AGENT_CONFIGS), ...docs.filter(d => d.config).map(d => d.id)])];
+    return ids.map(id => toEntry(id, byId.get(id)));
+  }
+
+  async function get(agentId) {
+    return toEntry(agentId, await agents.get(agentId));
+  }
+
+  // Stored versions, oldest first
+  async function storedVersions(agentId) {
+    const docs = await versionStore.query({ where: [['agentId', '==', agentId]] });
+    return docs.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * An agent's versions, oldest first. Before its first save the current config stands in as an
+   * unsaved version 1 (id null) so the timeline always covers every trade.
+   */
+  async function versions(agentId) {
+    const stored = await storedVersions(agentId);
+    if (stored.length) return stored;
+    const entry = await get(agentId);
+    if (!entry) return [];
+    return [{ id: null, agentId, version: 1, config: entry.config, note: BASELINE_NOTE, effectiveFrom: 0, createdAt: entry.updatedAt, createdBy: entry.updatedBy }];
+  }
+
+  /**
+   * Versions newest first, each with effectiveTo (the next version's effectiveFrom, or null),
+   * the fields it changed and calcStats over the realized trades made while it was in force.
+   */
+  async function versionHistory(agentId, { mode = null } = {}) {
+    const list = await versions(agentId);
+    const docs = await storage.trades.query({ where: [['agentId', '==', agentId]] });
+    const byVersion = new Map(list.map(v => [v.version, []]));
+    for (const trade of realizedTrades(docs, { agentId, mode })) {
+      const version = configVersionAt(list, trade.timestamp);
+      if (version) byVersion.get(version.version).push(trade);
+    }
+    return list.map((v, i) => ({
+      ...v,
+      effectiveTo: list[i + 1]?.effectiveFrom ?? null,
+      changes: i ? configChanges(list[i - 1].config, v.config).map(c => `${c.section.key}.${c.field.key}`) : [],
+      stats: calcStats(byVersion.get(v.version)),
+    })).reverse();
+  }
+
+  /**
+   * Validate and store an agent's config as a new version.
+   * `note` explains the change; `effectiveFrom` (epoch ms, default now) may be backdated to when the
+   * change went live, but not before the previous version or into the future.
+   * Resolves to { ok: true, entry, version, previous } or { ok: false, errors } (field path → message).
+   */
+  async function save(agentId, input, by, { note, effectiveFrom } = {}) {
+    const result = validateAgentConfig(input);
+    const errors = result.ok ? {} : { ...result.errors };
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!text) errors.note = 'Describe the change';
+    else if (text.length > MAX_NOTE_LENGTH) errors.note = `Keep the note under ${MAX_NOTE_LENGTH} characters`;
+
+    const at = now();
+    const from = effectiveFrom === undefined || effectiveFrom === null ? at : effectiveFrom;
+    const history = await versions(agentId);
+    const latest = history[history.length - 1];
+    if (!Number.isFinite(from)) errors.effectiveFrom = 'Effective from must be a date';
+    else if (from > at) errors.effectiveFrom = 'Effective from cannot be in the future';
+    else if (latest && from <= latest.effectiveFrom) errors.effectiveFrom = `Must be after version ${latest.version} took effect`;
+    if (result.ok && latest && !configChanges(latest.config, result.config, { notes: true }).length) errors.config = `Nothing changed since version ${latest.version}`;
+    if (Object.keys(errors).length) return { ok: false, errors };
+
+    const doc = await agents.get(agentId);
+    const previous = toEntry(agentId, doc);
+    const writes = [];
+    if (latest && !latest.id) writes.push({ ...latest, id: versionId(agentId, latest.version), createdAt: at, createdBy: by || null });
+    const version = {
+      id: versionId(agentId, (latest?.version || 0) + 1), agentId, version: (latest?.version || 0) + 1,
+      config: result.config, note: text, effectiveFrom: from, createdAt: at, createdBy: by || null,
+    };
+    writes.push(version);
+    await versionStore.setMany(writes);
+
+    // Whole-document write: a merge would keep fields the new config dropped
+    const { id: _id, ...rest } = doc || {};
+    await agents.set(agentId, { ...rest, config: result.config, configVersion: version.version, configUpdatedAt: at, configUpdatedBy: by || null });
+    return { ok: true, entry: await get(agentId), version, previous };
+  }
+
+  return { list, get, versions, versionHistory, save };
+}
+
+let service = null;
+
+export function getAgentConfigService() {
+  if (!service) service = createAgentConfigService({ storage: getStorage() });
+  return service;
+}
@@ -0,0 +1,150 @@
+/**
+ * Agent registry
+ * Which agents exist and how the dashboard shows them. Registry fields live on each agent's
+ * document in the `agents` collection (id = agentId), next to its config (agentConfigs.js):
+ *   { name, abbr, tag, description, color, archived, autoRegistered, registeredAt, registryUpdatedAt, registryUpdatedBy }
+ * The agents in NEXGENT_AGENTS are always registered and use those values until edited. Any other
+ * agent document counts as registered too — imports add one for each agentId they haven't seen.
+ * Archived agents keep their trades and stay listed, flagged, so history still shows their names.
+ *
+ * Entry: { id, name, abbr, tag, description, color, archived, autoRegistered, source: 'default' | 'saved', registeredAt, updatedAt, updatedBy }
+ *
+ * Only takes storage objects (no storage/index.js import) — data/cli.js uses loadAgentRegistry and
+ * registerUnknownAgents with its own agents collection.
+ */
+
+import { NEXGENT_AGENTS, agentNameFromId, agentAbbr } from '../../../shared/nexgent.js';
+
+export const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const FIELD_LIMITS = { name: 40, abbr: 3, tag: 40, description: 300 };
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const REGISTRY_FIELDS = ['name', 'abbr', 'tag', 'description', 'color', 'archived'];
+const DEFAULTS = new Map(NEXGENT_AGENTS.map((a, i) => [a.id, { ...a, order: i }]));
+// Stand-ins for a missing agentId (POST /api/trades/import and /api/signals/import, normalizeTrade), not agents
+export const PLACEHOLDER_AGENT_IDS = new Set(['imported', 'unknown']);
+
+function toEntry(id, doc) {
+  const base = DEFAULTS.get(id) || {};
+  const edited = REGISTRY_FIELDS.some(f => doc?.[f] !== undefined);
+  const field = f => doc?.[f] ?? base[f];
+  return {
+    id,
+    name: field('name') || agentNameFromId(id),
+    abbr: field('abbr') || agentAbbr(field('name') || agentNameFromId(id)),
+    tag: field('tag') || '',
+    description: field('description') || '',
+    color: field('color') || null,
+    archived: Boolean(doc?.archived),
+    autoRegistered: Boolean(doc?.autoRegistered),
+    source: edited ? 'saved' : 'default',
+    registeredAt: doc?.registeredAt || null,
+    updatedAt: doc?.registryUpdatedAt || null,
+    updatedBy: doc?.registryUpdatedBy || null,
+  };
+}
+
+// Default agents first, in dashboard order, then the rest by when they were registered
+function registryOrder(a, b) {
+  const da = DEFAULTS.get(a.id)?.order ?? Infinity;
+  const db = DEFAULTS.get(b.id)?.order ?? Infinity;
+  if (da !== db) return da - db;
+  return (a.registeredAt || 0) - (b.registeredAt || 0) || a.id.localeCompare(b.id);
+}
+
+export async function loadAgentRegistry(collection) {
+  const docs = await collection.all();
+  const byId = new Map(docs.map(d => [d.id, d]));
+  const ids = new Set([...DEFAULTS.keys(), ...byId.keys()]);
+  return [...ids].map(id => toEntry(id, byId.get(id))).sort(registryOrder);
+}
+
+/**
+ * Register every agentId in `agentIds` that has no entry yet, named from `names[agentId]` when the
+ * caller knows it (an import's file name) or from the id. Placeholder ids are skipped. Resolves to the
+ * entries it added.
+ */
+export async function registerUnknownAgents(collection, agentIds, { names = {}, now = Date.now } = {}) {
+  const wanted = [...new Set(agentIds)]
+    .filter(id => id && AGENT_ID_PATTERN.test(id) && !DEFAULTS.has(id) && !PLACEHOLDER_AGENT_IDS.has(id));
+  if (!wanted.length) return [];
+  const existing = await collection.getMany(wanted);
+  const known = new Set(existing.filter(Boolean).map(d => d.id));
+  const at = now();
+  const docs = wanted.filter(id => !known.has(id)).map((id) => {
+    const name = String(names[id] || agentNameFromId(id)).slice(0, FIELD_LIMITS.name);
+    return { id, name, abbr: agentAbbr(name), autoRegistered: true, registeredAt: at };
+  });
+  if (docs.length) await collection.setMany(docs, { merge: true });
+  return docs.map(d => toEntry(d.id, d));
+}
+
+// Checks registry fields; with `partial` only the fields present. Returns { values } or { errors }
+function checkFields(input, { partial = false } = {}) {
+  const values = {};
+  const errors = {};
+  for (const field of ['name', 'abbr', 'tag', 'description']) {
+    if (partial && input?.[field] === undefined) continue;
+    const text = typeof input?.[field] === 'string' ? input[field].trim() : '';
+    if (!text && (field === 'name' || field === 'abbr')) errors[field] = `${field === 'name' ? 'Name' : 'Abbreviation'} is required`;
+    else if (text.length > FIELD_LIMITS[field]) errors[field] = `At most ${FIELD_LIMITS[field]} characters`;
+    else values[field] = field === 'abbr' ? text.toUpperCase() : text;
+  }
+  if (!partial || input?.color !== undefined) {
+    const color = input?.color || null;
+    if (color !== null && !COLOR_PATTERN.test(color)) errors.color = 'Colour must look like #6366f1';
+    else values.color = color && color.toLowerCase();
+  }
+  if (!partial || input?.archived !== undefined) {
+    if (input?.archived !== undefined && typeof input.archived !== 'boolean') errors.archived = 'archived must be true or false';
+    else values.archived = Boolean(input?.archived);
+  }
+  return Object.keys(errors).length ? { errors } : { values };
+}
+
+export function createAgentRegistryService({ storage, now = Date.now }) {
+  const agents = storage.agents;
+
+  async function get(id) {
+    const doc = await agents.get(id);
+    return doc || DEFAULTS.has(id) ? toEntry(id, doc) : null;
+  }
+
+  /**
+   * Add an agent. Resolves to { ok: true, agent } or { ok: false, errors }; an id that is
+   * already registered also sets `exists`.
+   */
+  async function create(input, by) {
+    const id = typeof input?.id === 'string' ? input.id.trim() : '';
+    const checked = checkFields(input);
+    const errors = { ...checked.errors };
+    if (!AGENT_ID_PATTERN.test(id)) errors.id = 'Use lowercase letters, digits and dashes, e.g. nexgent-moon-shot';
+    if (!errors.id && await get(id)) return { ok: false, exists: true, errors: { id: `${id} is already registered` } };
+    if (Object.keys(errors).length) return { ok: false, errors };
+
+    const at = now();
+    await agents.set(id, { ...checked.values, registeredAt: at, registryUpdatedAt: at, registryUpdatedBy: by || null }, { merge: true });
+    return { ok: true, agent: await get(id) };
+  }
+
+  /**
+   * Change some of an agent's registry fields (archived included). Resolves to null for an
+   * unknown agent, { ok: false, errors }, or { ok: true, agent, previous }.
+   */
+  async function update(id, input, by) {
+    const previous = await get(id);
+    if (!previous) return null;
+    const checked = checkFields(input, { partial: true });
+    if (checked.errors) return { ok: false, errors: checked.errors };
+
+    await agents.set(id, { ...checked.values, registryUpdatedAt: now(), registryUpdatedBy: by || null }, { merge: true });
+    return { ok: true, agent: await get(id), previous };
+  }
+
+  return {
+    list: () => loadAgentRegistry(agents),
+    get,
+    create,
+    update,
+    registerUnknown: (agentIds, options) => registerUnknownAgents(agents, agentIds, { now, ...options }),
+  };
+}
@@ -0,0 +1,293 @@
+/**
+ * Alert rules engine
+ * Rules and notification channels live in settings/alerts; fired alerts in the `alerts` collection.
+ *
+ * Rule types (params):
+ *   loss_streak     count       — an agent's last `count` realized trades were all losses
+ *   daily_pnl       threshold   — realized P/L since midnight (timeZone, default UTC) is at or below −threshold USD
+ *   expectancy      window      — expectancy over the last `window` trades is negative (once minTrades exist)
+ *   signal_silence  minutes     — no webhook signal for `minutes`
+ * Trade rules take agentId (null = all agents together, "*" = each agent separately) and mode.
+ *
+ * Every evaluation compares the rules with the open alerts: a condition that starts firing opens an
+ * alert and notifies every enabled channel (unless its rule/subject is snoozed); an open alert whose
+ * condition has cleared is resolved. Evaluations run on trade/signal events and on a timer.
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage/index.js';
+import { publishEvent } from './events.js';
+import { serialRunner, scheduleRuns } from './scheduler.js';
+import { sendNotification, validateChannel, maskChannel, CHANNEL_TYPES } from './notifiers.js';
+import {
+  loadRecentTrades, realizedTrades, agentIds, lossStreak, dailyPnl, recentStats, usd,
+} from './tradeMetrics.js';
+import { isValidTimeZone, DEFAULT_TIME_ZONE } from '../../../shared/time.js';
+import { normalizeMode } from '../../../shared/stats.js';
+
+export const RULE_TYPES = {
+  loss_streak: { label: 'Consecutive losses', params: { count: 5 } },
+  daily_pnl: { label: 'Daily P/L', params: { threshold: 100 } },
+  expectancy: { label: 'Negative expectancy', params: { window: 50, minTrades: 20 } },
+  signal_silence: { label: 'Signal silence', params: { minutes: 60 } },
+};
+
+export const ALERT_STATUSES = ['active', 'acknowledged', 'resolved'];
+const OPEN_STATUSES = ['active', 'acknowledged'];
+const TRIGGER_EVENTS = ['signal-received', 'trade-imported', 'import-completed'];
+
+export function validateRule(input, existing = null) {
+  const type = input?.type;
+  if (!RULE_TYPES[type]) return { ok: false, error: `type must be one of ${Object.keys(RULE_TYPES).join(', ')}` };
+
+  const params = {};
+  for (const [name, fallback] of Object.entries(RULE_TYPES[type].params)) {
+    const value = input.params?.[name] ?? fallback;
+    if (!(Number(value) > 0)) return { ok: false, error: `params.${name} must be a positive number` };
+    params[name] = Number(value);
+  }
+
+  const timeZone = input.timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) return { ok: false, error: `Unknown time zone "${timeZone}"` };
+  if (input.mode && !['live', 'sim', 'simulation'].includes(input.mode)) return { ok: false, error: 'mode must be live or simulation' };
+
+  return {
+    ok: true,
+    rule: {
+      id: input.id || existing?.id || `rule_${randomBytes(4).toString('hex')}`,
+      name: String(input.name || RULE_TYPES[type].label).slice(0, 80),
+      type,
+      enabled: input.enabled !== false,
+      agentId: type === 'signal_silence' ? null : input.agentId || null,
+      mode: type === 'signal_silence' || !input.mode ? null : normalizeMode(input.mode),
+      params,
+      ...(type === 'daily_pnl' && { timeZone }),
+    },
+  };
+}
+
+function subjectsFor(rule, trades) {
+  if (rule.type === 'signal_silence' || !rule.agentId) return [null];
+  if (rule.agentId === '*') return agentIds(realizedTrades(trades, { mode: rule.mode }));
+  return [rule.agentId];
+}
+
+function checkRule(rule, trades, { agentId, lastSignalAt, now }) {
+  const { params } = rule;
+  const subjectTrades = () => realizedTrades(trades, { agentId, mode: rule.mode });
+  const who = agentId || (rule.mode ? `all ${rule.mode} agents` : 'all agents');
+
+  switch (rule.type) {
+    case 'loss_streak': {
+      const value = lossStreak(subjectTrades());
+      return { value, threshold: params.count, firing: value >= params.count, message: `${who}: ${value} losing trades in a row (limit ${params.count})` };
+    }
+    case 'daily_pnl': {
+      const value = dailyPnl(subjectTrades(), now, rule.timeZone || DEFAULT_TIME_ZONE);
+      return { value, threshold: -params.threshold, firing: value <= -params.threshold, message: `${who}: P/L today ${usd(value)} (limit ${usd(-params.threshold)})` };
+    }
+    case 'expectancy': {
+      const stats = recentStats(subjectTrades(), params.window);
+      return {
+        value: stats.expectancy,
+        threshold: 0,
+        firing: stats.n >= params.minTrades && stats.expectancy < 0,
+        message: `${who}: expectancy ${stats.expectancy.toFixed(2)}% over the last ${stats.n} trades`,
+      };
+    }
+    case 'signal_silence': {
+      if (!lastSignalAt) return { value: null, threshold: params.minutes, firing: false, message: 'No signals received yet' };
+      const value = Math.floor((now - lastSignalAt) / 60000);
+      return { value, threshold: params.minutes, firing: value >= params.minutes, message: `No signal for ${value} minutes (limit ${params.minutes})` };
+    }
+    default:
+      return null;
+  }
+}
+
+// One finding per rule and subject: { key, rule, agentId, firing, value, threshold, message }
+export function evaluateRules(rules, { trades = [], lastSignalAt = null, now = Date.now() } = {}) {
+  const findings = [];
+  for (const rule of rules) {
+    for (const agentId of subjectsFor(rule, trades)) {
+      const result = checkRule(rule, trades, { agentId, lastSignalAt, now });
+      if (result) findings.push({ key: `${rule.id}:${agentId || 'all'}`, rule, agentId, ...result });
+    }
+  }
+  return findings;
+}
+
+export function createAlertService({ storage, send = sendNotification, publish = publishEvent, now = Date.now }) {
+  async function getConfig() {
+    const doc = (await storage.settings.get('alerts')) || {};
+    return { rules: doc.rules || [], channels: doc.channels || [], snoozes: doc.snoozes || {} };
+  }
+
+  // Whole-document write: a merge would keep snoozes that were pruned from the map
+  async function saveConfig(patch) {
+    const { id, ...doc } = (await storage.settings.get('alerts')) || {};
+    await storage.settings.set('alerts', { ...doc, ...patch, updatedAt: now() });
+  }
+
+  async function notifyAll(channels, alert) {
+    return Promise.all(channels.filter(c => c.enabled !== false).map(c => send(c, alert)));
+  }
+
+  async function evaluateOnce() {
+    const config = await getConfig();
+    const rules = config.rules.filter(r => r.enabled !== false);
+    const time = now();
+
+    let findings = [];
+    if (rules.length) {
+      const needsTrades = rules.some(r => r.type !== 'signal_silence');
+      const needsSignals = rules.some(r => r.type === 'signal_silence');
+      const trades = needsTrades ? await loadRecentTrades(storage.trades) : [];
+      const [lastSignal] = needsSignals
+        ? await storage.signals.query({ orderBy: 'signalReceivedAt', direction: 'desc', limit: 1 })
+        : [];
+      findings = evaluateRules(rules, { trades, lastSignalAt: lastSignal?.signalReceivedAt ?? null, now: time });
+    }
+
+    const open = await storage.alerts.query({ where: [['status', 'in', OPEN_STATUSES]] });
+    const openKeys = new Set(open.map(a => a.key));
+    const firing = findings.filter(f => f.firing);
+    const firingKeys = new Set(firing.map(f => f.key));
+
+    const fired = [];
+    for (const f of firing.filter(f => !openKeys.has(f.key))) {
+      const alert = {
+        id: `alert_${time}_${randomBytes(3).toString('hex')}`,
+        key: f.key, ruleId: f.rule.id, ruleName: f.rule.name, type: f.rule.type,
+        agentId: f.agentId, mode: f.rule.mode, message: f.message, value: f.value, threshold: f.threshold,
+        status: 'active', firedAt: time, resolvedAt: null,
+        acknowledgedAt: null, acknowledgedBy: null, snoozedUntil: null,
+        suppressed: config.snoozes[f.key] > time,
+        notifications: [],
+      };
+      if (!alert.suppressed) alert.notifications = await notifyAll(config.channels, alert);
+      fired.push(alert);
+    }
+    const resolved = open.filter(a => !firingKeys.has(a.key)).map(a => ({ ...a, status: 'resolved', resolvedAt: time }));
+
+    if (fired.length || resolved.length) await storage.alerts.setMany([...fired, ...resolved]);
+    fired.forEach(alert => publish('alert-fired', { alert }));
+    resolved.forEach(alert => publish('alert-resolved', { alert }));
+    if (fired.length) console.log(`🚨 ${fired.length} alert(s) fired: ${fired.map(a => a.ruleName).join(', ')}`);
+
+    return { evaluatedAt: time, rules: rules.length, checked: findings.length, firing: firing.length, fired: fired.length, resolved: resolved.length };
+  }
+
+  // Evaluations never overlap; a request during a run queues exactly one more
+  const evaluate = serialRunner(evaluateOnce);
+
+  async function list({ status = null, limit = 200 } = {}) {
+    const where = [];
+    if (status === 'open') where.push(['status', 'in', OPEN_STATUSES]);
+    else if (status) where.push(['status', '==', status]);
+    const docs = await storage.alerts.query({ where });
+    return docs.sort((a, b) => b.firedAt - a.firedAt).slice(0, limit);
+  }
+
+  async function acknowledge(id, by) {
+    const alert = await storage.alerts.get(id);
+    if (!alert) return null;
+    if (alert.status !== 'active') return alert;
+    const updated = { ...alert, status: 'acknowledged', acknowledgedAt: now(), acknowledgedBy: by };
+    await storage.alerts.set(id, updated);
+    return updated;
+  }
+
+  // Acknowledges the alert and silences notifications for its rule/subject until `minutes` from now
+  async function snooze(id, minutes, by) {
+    const alert = await storage.alerts.get(id);
+    if (!alert) return null;
+    const time = now();
+    const until = time + minutes * 60000;
+    const updated = {
+      ...alert,
+      ...(alert.status === 'active' && { status: 'acknowledged', acknowledgedAt: time, acknowledgedBy: by }),
+      snoozedUntil: until,
+    };
+    await storage.alerts.set(id, updated);
+
+    const { snoozes } = await getConfig();
+    const live = Object.fromEntries(Object.entries(snoozes).filter(([, t]) => t > time));
+    await saveConfig({ snoozes: { ...live, [alert.key]: until } });
+    return updated;
+  }
+
+  async function publicConfig() {
+    const config = await getConfig();
+    return { rules: config.rules, channels: config.channels.map(maskChannel), snoozes: config.snoozes };
+  }
+
+  async function saveRule(input) {
+    const { rules } = await getConfig();
+    const existing = input?.id ? rules.find(r => r.id === input.id) : null;
+    const result = validateRule(input, existing);
+    if (!result.ok) return result;
+    await saveConfig({ rules: existing ? rules.map(r => (r.id === existing.id ? result.rule : r)) : [...rules, result.rule] });
+    return { ...result, previous: existing };
+  }
+
+  // Resolves to the deleted rule, or null when there was none
+  async function deleteRule(id) {
+    const { rules } = await getConfig();
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return null;
+    await saveConfig({ rules: rules.filter(r => r.id !== id) });
+    return rule;
+  }
+
+  async function saveChannel(input) {
+    const { channels } = await getConfig();
+    const existing = input?.id ? channels.find(c => c.id === input.id) : null;
+    const result = validateChannel(input, existing);
+    if (!result.ok) return result;
+    await saveConfig({ channels: existing ? channels.map(c => (c.id === existing.id ? result.channel : c)) : [...channels, result.channel] });
+    return { ok: true, channel: maskChannel(result.channel), previous: existing && maskChannel(existing) };
+  }
+
+  // Resolves to the deleted channel (masked), or null when there was none
+  async function deleteChannel(id) {
+    const { channels } = await getConfig();
+    const channel = channels.find(c => c.id === id);
+    if (!channel) return null;
+    await saveConfig({ channels: channels.filter(c => c.id !== id) });
+    return maskChannel(channel);
+  }
+
+  async function testChannel(id) {
+    const { channels } = await getConfig();
+    const channel = channels.find(c => c.id === id);
+    if (!channel) return null;
+    return send(channel, { test: true, ruleName: 'Test', message: 'Nexgent dashboard alerts are connected', firedAt: now() });
+  }
+
+  // Evaluate on trade/signal events (debounced) and every intervalMs; returns a stop function
+  function start({ intervalMs = 60 * 1000, debounceMs = 2000 } = {}) {
+    return scheduleRuns(evaluate, { events: TRIGGER_EVENTS, intervalMs, debounceMs, label: 'Alert evaluation' });
+  }
+
+  return {
+    evaluate, list, acknowledge, snooze, publicConfig,
+    saveRule, deleteRule, saveChannel, deleteChannel, testChannel, start,
+  };
+}
+
+export { CHANNEL_TYPES };
+
+let service = null;
+
+export function getAlertService() {
+  if (!service) service = createAlertService({ storage: getStorage() });
+  return service;
+}
+
+// ALERT_EVAL_INTERVAL_SECONDS (default 60, 0 = only on trade/signal events)
+export function startAlertEngine() {
+  const raw = process.env.ALERT_EVAL_INTERVAL_SECONDS;
+  const seconds = raw === undefined || raw === '' ? 60 : Number(raw);
+  return getAlertService().start({ intervalMs: Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0 });
+}
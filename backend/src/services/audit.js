@@ -0,0 +1,57 @@
+/**
+ * Audit log
+ * One append-only entry per POST/DELETE request in the `audit_log` collection, written by
+ * middleware/audit.js once the response has been sent. Entries are never updated or deleted.
+ *
+ * Entry: timestamp, actor, role, authMethod, method, route (Express pattern), path, params
+ * (query, route params and a summary of the body), status, success, error, affected (document
+ * counts from the response), previous (values a settings change replaced), ip, forwardedFor,
+ * userAgent, durationMs.
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage/index.js';
+
+// Response fields that count affected documents
+const COUNT_FIELDS = ['inserted', 'updated', 'skipped', 'saved', 'savedCount', 'deleted', 'count', 'tripped', 'resumed', 'evaluated', 'restored', 'purged', 'total'];
+// Field names that hold credentials, compared without case, dashes or underscores. Exact names rather
+// than substrings, so tokenAddress or tokenSymbol stay readable. Channel URLs embed their tokens.
+const SECRET_FIELDS = new Set([
+  'password', 'currentpassword', 'newpassword', 'secret', 'clientsecret', 'token', 'accesstoken', 'refreshtoken',
+  'bottoken', 'apikey', 'xapikey', 'authorization', 'signature', 'url', 'webhookurl',
+]);
+const isSecretField = key => SECRET_FIELDS.has(key.toLowerCase().replace(/[-_]/g, ''));
+const MAX_STRING = 200;
+const MAX_KEYS = 30;
+const MAX_DEPTH = 3;
+
+// Body/query summary that is safe and small enough to keep forever:
+// secrets redacted, arrays reduced to their length, long strings cut
+export function summarizeParams(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value)) return `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+  if (depth >= MAX_DEPTH) return '{…}';
+
+  const out = {};
+  for (const [key, v] of Object.entries(value).slice(0, MAX_KEYS)) {
+    out[key] = isSecretField(key) && v ? '[redacted]' : summarizeParams(v, depth + 1);
+  }
+  return out;
+}
+
+export function affectedCounts(body) {
+  if (!body || typeof body !== 'object') return null;
+  const counts = {};
+  for (const field of COUNT_FIELDS) {
+    if (typeof body[field] === 'number') counts[field] = body[field];
+  }
+  return Object.keys(counts).length ? counts : null;
+}
+
+export async function writeAuditEntry(entry) {
+  const id = `${entry.timestamp}_${randomBytes(3).toString('hex')}`;
+  await getStorage().audit.set(id, entry);
+  return id;
+}
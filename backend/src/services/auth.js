@@ -0,0 +1,139 @@
+/**
+ * Dashboard authentication
+ * Two roles: 'admin' (may mutate and clear data) and 'viewer' (read-only).
+ * Credentials are either a signed session token issued by POST /api/auth/login,
+ * or a static API key from API_KEYS for scripts and server-to-server calls.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const ROLES = ['viewer', 'admin'];
+
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+const DEFAULT_LOGIN_MAX_ATTEMPTS = 5;
+const DEFAULT_LOGIN_LOCKOUT_MINUTES = 15;
+
+// Failed logins per client IP: ip → { failures, resetAt (ms) }. The count starts with the first failure and
+// is dropped at resetAt or on a successful login. Held in memory, so it is per instance and a restart clears it.
+const loginFailures = new Map();
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function sign(data) {
+  return createHmac('sha256', process.env.AUTH_SECRET).update(data).digest('base64url');
+}
+
+// Local development escape hatch — every request is treated as admin
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+// API_KEYS={"<key>":{"role":"admin","name":"ci"},"<other key>":"viewer"}
+function getApiKeys() {
+  try {
+    return JSON.parse(process.env.API_KEYS || '{}') || {};
+  } catch {
+    console.error('❌ API_KEYS is not valid JSON — API key auth disabled');
+    return {};
+  }
+}
+
+// How a key shows up as the actor in the audit log — never any part of the key itself.
+// Keys without a name get a short hash, stable for as long as the key is.
+function apiKeyLabel(key, name) {
+  if (name) return `apikey:${name}`;
+  return `apikey:#${createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+}
+
+export function resolveApiKey(key) {
+  if (!key) return null;
+  for (const [candidate, entry] of Object.entries(getApiKeys())) {
+    const { role, name = null } = typeof entry === 'string' ? { role: entry } : entry || {};
+    if (ROLES.includes(role) && safeEqual(candidate, key)) {
+      return { role, sub: apiKeyLabel(candidate, name), method: 'api_key' };
+    }
+  }
+  return null;
+}
+
+// Maps a login password to its role — ADMIN_PASSWORD wins if both match
+export function resolvePassword(password) {
+  if (!password) return null;
+  if (process.env.ADMIN_PASSWORD && safeEqual(process.env.ADMIN_PASSWORD, password)) return 'admin';
+  if (process.env.VIEWER_PASSWORD && safeEqual(process.env.VIEWER_PASSWORD, password)) return 'viewer';
+  return null;
+}
+
+function loginLimits() {
+  return {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_LOGIN_MAX_ATTEMPTS,
+    lockoutMs: (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOGIN_LOCKOUT_MINUTES) * 60 * 1000,
+  };
+}
+
+function pruneLoginFailures(now) {
+  for (const [ip, entry] of loginFailures) {
+    if (entry.resetAt <= now) loginFailures.delete(ip);
+  }
+}
+
+// Milliseconds until `ip` may try to log in again; 0 when it isn't locked out
+export function loginRetryAfter(ip, now = Date.now()) {
+  const entry = loginFailures.get(ip);
+  if (!entry || entry.resetAt <= now) return 0;
+  return entry.failures >= loginLimits().maxAttempts ? entry.resetAt - now : 0;
+}
+
+// After each login checked against the passwords: success clears the IP's failures, failure adds one
+export function recordLoginAttempt(ip, succeeded, now = Date.now()) {
+  if (succeeded) {
+    loginFailures.delete(ip);
+    return;
+  }
+  pruneLoginFailures(now);
+  const entry = loginFailures.get(ip) || { failures: 0, resetAt: now + loginLimits().lockoutMs };
+  entry.failures++;
+  loginFailures.set(ip, entry);
+}
+
+export function issueToken({ role, sub }) {
+  if (!process.env.AUTH_SECRET) throw new Error('AUTH_SECRET not configured');
+  const ttlHours = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || DEFAULT_TOKEN_TTL_HOURS;
+  const iat = Date.now();
+  const exp = iat + ttlHours * 3600 * 1000;
+  const payload = Buffer.from(JSON.stringify({ sub, role, iat, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: exp };
+}
+
+export function verifyToken(token) {
+  if (!token || !process.env.AUTH_SECRET) return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ROLES.includes(claims.role) || !(claims.exp > Date.now())) return null;
+    return { role: claims.role, sub: claims.sub, method: 'token', expiresAt: claims.exp };
+  } catch {
+    return null;
+  }
+}
+
+// Accepts "Authorization: Bearer <token or api key>" or "X-API-Key: <key>"
+export function authenticateRequest({ authorization, apiKey }) {
+  if (isAuthDisabled()) return { role: 'admin', sub: 'auth-disabled', method: 'disabled' };
+
+  if (apiKey) return resolveApiKey(apiKey);
+
+  const bearer = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  if (!bearer) return null;
+  return verifyToken(bearer) || resolveApiKey(bearer);
+}
+
+export function hasRole(auth, role) {
+  return !!auth && ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
@@ -0,0 +1,227 @@
+/**
+ * Portable backups
+ * A backup is gzip-compressed NDJSON, one record per line:
+ *   { type: 'header', format: 'nexgent-backup', formatVersion, schemaVersion, createdAt, source, collections }
+ *   { type: 'doc', collection, id, data }                       — every document, collection by collection
+ *   { type: 'manifest', collections: { name: { count, sha256 } }, totalDocs, sha256 }
+ * Checksums are SHA-256 over the exact doc lines (newline included): per collection and overall.
+ *
+ * Restores read the archive twice: once to check the header, counts and checksums, then to write.
+ * `merge` upserts the archived documents and leaves others alone; `replace` clears each restored
+ * collection first, except for the live state in REPLACE_KEEPS. Documents from an older
+ * schemaVersion go through MIGRATIONS on the way in.
+ *
+ * Only takes storage objects (anything with collection(name)) — also used by data/cli.js.
+ */
+
+import { createGzip, createGunzip } from 'zlib';
+import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export const BACKUP_FORMAT = 'nexgent-backup';
+export const FORMAT_VERSION = 1;
+// Bump when stored documents change shape, and add the upgrade step to MIGRATIONS
+export const SCHEMA_VERSION = 1;
+export const BACKUP_COLLECTIONS = [
+  'trades', 'signals', 'agents', 'settings', 'ai_conversations',
+  'sol_prices', 'alerts', 'audit_log', 'trash', 'deletion_batches', 'agent_config_versions',
+];
+export const RESTORE_MODES = ['merge', 'replace'];
+// What a replace leaves in place. audit_log is append-only, so it is never cleared and the archived
+// entries are merged into it; settings/breakers holds the guards' active trips, so the live document
+// wins over the archived one. Collection → document ids kept (null: the whole collection).
+const REPLACE_KEEPS = { audit_log: null, settings: ['breakers'] };
+
+const PAGE_SIZE = 400;
+
+// MIGRATIONS[n] upgrades one document from schema version n to n + 1: (collection, data) => data
+const MIGRATIONS = {};
+
+export function migrateDoc(collection, data, fromVersion) {
+  let out = data;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    if (MIGRATIONS[v]) out = MIGRATIONS[v](collection, out);
+  }
+  return out;
+}
+
+// Pages through a collection in document-id order, so memory stays flat however large it is
+async function* collectionDocs(collection) {
+  let after = null;
+  for (;;) {
+    const page = await collection.query({ limit: PAGE_SIZE, startAfter: after });
+    yield* page;
+    if (page.length < PAGE_SIZE) return;
+    after = page[page.length - 1].id;
+  }
+}
+
+const sha256 = () => createHash('sha256');
+
+async function* backupLines(store, { collections, source, manifest }) {
+  yield `${JSON.stringify({
+    type: 'header', format: BACKUP_FORMAT, formatVersion: FORMAT_VERSION, schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(), source, collections,
+  })}\n`;
+
+  const overall = sha256();
+  let totalDocs = 0;
+  for (const name of collections) {
+    const hash = sha256();
+    let count = 0;
+    for await (const { id, ...data } of collectionDocs(store.collection(name))) {
+      const line = `${JSON.stringify({ type: 'doc', collection: name, id, data })}\n`;
+      hash.update(line);
+      overall.update(line);
+      count++;
+      yield line;
+    }
+    manifest.collections[name] = { count, sha256: hash.digest('hex') };
+    totalDocs += count;
+  }
+
+  manifest.totalDocs = totalDocs;
+  manifest.sha256 = overall.digest('hex');
+  yield `${JSON.stringify({ type: 'manifest', ...manifest })}\n`;
+}
+
+/**
+ * Stream a backup of `collections` into a writable (file or HTTP response).
+ * Resolves to the manifest once everything has been written.
+ */
+export async function writeBackup(store, output, { collections = BACKUP_COLLECTIONS, source = null } = {}) {
+  const manifest = { collections: {} };
+  await pipeline(Readable.from(backupLines(store, { collections, source, manifest })), createGzip(), output);
+  return manifest;
+}
+
+async function* archiveRecords(input) {
+  const lines = createInterface({ input: input.pipe(createGunzip()), crlfDelay: Infinity });
+  let lineNo = 0;
+  for await (const line of lines) {
+    lineNo++;
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${lineNo} is not valid JSON`);
+    }
+    yield { record, line: `${line}\n`, lineNo };
+  }
+}
+
+/**
+ * Read a whole archive and check it against its manifest without writing anything.
+ * `openInput` returns a fresh readable of the .ndjson.gz bytes.
+ * Resolves to { ok, header, manifest } or { ok: false, error }.
+ */
+export async function verifyBackup(openInput) {
+  let header = null;
+  let manifest = null;
+  const seen = {};
+  const overall = sha256();
+
+  try {
+    for await (const { record, line, lineNo } of archiveRecords(openInput())) {
+      if (lineNo === 1) {
+        if (record.type !== 'header' || record.format !== BACKUP_FORMAT) return { ok: false, error: 'Not a nexgent backup (missing header)' };
+        if (record.formatVersion > FORMAT_VERSION) return { ok: false, error: `Archive format v${record.formatVersion} is newer than this version supports (v${FORMAT_VERSION})` };
+        if (record.schemaVersion > SCHEMA_VERSION) return { ok: false, error: `Archive schema v${record.schemaVersion} is newer than this version supports (v${SCHEMA_VERSION})` };
+        header = record;
+      } else if (manifest) {
+        return { ok: false, error: `Unexpected data after the manifest (line ${lineNo})` };
+      } else if (record.type === 'manifest') {
+        manifest = record;
+      } else if (record.type === 'doc' && record.collection && record.id !== undefined) {
+        seen[record.collection] ||= { count: 0, hash: sha256() };
+        seen[record.collection].count++;
+        seen[record.collection].hash.update(line);
+        overall.update(line);
+      } else {
+        return { ok: false, error: `Unexpected record on line ${lineNo}` };
+      }
+    }
+  } catch (error) {
+    return { ok: false, error: `Archive is unreadable: ${error.message}` };
+  }
+
+  if (!header) return { ok: false, error: 'Archive is empty' };
+  if (!manifest) return { ok: false, error: 'Archive is truncated (no manifest)' };
+  for (const [name, expected] of Object.entries(manifest.collections)) {
+    const got = seen[name] || { count: 0, hash: sha256() };
+    if (got.count !== expected.count) return { ok: false, error: `${name}: expected ${expected.count} documents, found ${got.count}` };
+    if (got.hash.digest('hex') !== expected.sha256) return { ok: false, error: `${name}: checksum mismatch` };
+  }
+  const extra = Object.keys(seen).find(name => !manifest.collections[name]);
+  if (extra) return { ok: false, error: `${extra} is not listed in the manifest` };
+  if (overall.digest('hex') !== manifest.sha256) return { ok: false, error: 'Archive checksum mismatch' };
+
+  return { ok: true, header, manifest };
+}
+
+/**
+ * Verify, then restore an archive into `store`.
+ *   mode        merge | replace
+ *   collections restrict to these (default: everything in the archive)
+ *   dryRun      only verify and report what would be restored
+ * Resolves to { ok, mode, dryRun, schemaVersion: { archive, current }, collections: { name: count }, total }
+ * or { ok: false, error }.
+ */
+export async function restoreBackup(store, openInput, { mode = 'merge', collections = null, dryRun = false } = {}) {
+  if (!RESTORE_MODES.includes(mode)) return { ok: false, error: `mode must be one of ${RESTORE_MODES.join(', ')}` };
+
+  const check = await verifyBackup(openInput);
+  if (!check.ok) return check;
+  const { header, manifest } = check;
+
+  const available = Object.keys(manifest.collections);
+  const unknown = (collections || []).filter(name => !available.includes(name));
+  if (unknown.length) return { ok: false, error: `Not in this archive: ${unknown.join(', ')}` };
+  const targets = collections || available;
+
+  const counts = Object.fromEntries(targets.map(name => [name, manifest.collections[name].count]));
+  const summary = {
+    mode, dryRun, createdAt: header.createdAt, source: header.source,
+    schemaVersion: { archive: header.schemaVersion, current: SCHEMA_VERSION },
+    collections: counts,
+    total: Object.values(counts).reduce((a, b) => a + b, 0),
+  };
+  if (dryRun) return { ok: true, ...summary };
+
+  const keep = mode === 'replace' ? REPLACE_KEEPS : {};
+  for (const name of mode === 'replace' ? targets : []) {
+    const collection = store.collection(name);
+    if (!(name in keep)) {
+      await collection.clear();
+      continue;
+    }
+    if (!keep[name]) continue;
+    const ids = [];
+    for await (const { id } of collectionDocs(collection)) if (!keep[name].includes(id)) ids.push(id);
+    await collection.deleteMany(ids);
+  }
+
+  const pending = {};
+  const flush = async (name) => {
+    if (!pending[name]?.length) return;
+    await store.collection(name).setMany(pending[name]);
+    pending[name] = [];
+  };
+  for await (const { record } of archiveRecords(openInput())) {
+    if (record.type !== 'doc' || !targets.includes(record.collection)) continue;
+    if (keep[record.collection]?.includes(record.id)) continue;
+    const data = migrateDoc(record.collection, record.data, header.schemaVersion);
+    (pending[record.collection] ||= []).push({ ...data, id: record.id });
+    if (pending[record.collection].length >= PAGE_SIZE) await flush(record.collection);
+  }
+  for (const name of targets) await flush(name);
+
+  return { ok: true, ...summary };
+}
+
+export function backupFileName(date = new Date()) {
+  return `nexgent-backup-${date.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`;
+}
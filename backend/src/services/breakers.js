@@ -0,0 +1,265 @@
+/**
+ * Circuit breaker
+ * Guards watch realized trades and, when one trips, act on settings/bot without waiting for a human:
+ *   disable_webhook  webhookEnabled = false — the webhook rejects every signal
+ *   pause_agent      pausedAgents[agentId] — the webhook rejects signals for that agent
+ *
+ * Guard types (params):
+ *   daily_loss   threshold  — realized P/L since midnight (timeZone) at or below −threshold USD
+ *   drawdown     threshold  — cumulative realized P/L this far (USD) below its peak
+ *   loss_streak  count      — this many losing trades in a row
+ * Guards apply globally (agentId null), to one agent, or to each agent separately ("*").
+ *
+ * Each trip writes updatedBy ("circuit-breaker:<guard id>"), reason and resumeAt to settings/bot.
+ * With resumeAfterMinutes the trip is lifted automatically at resumeAt; otherwise an admin resumes it.
+ * After a resume the guard only counts trades from then on, so it doesn't trip again on the same losses.
+ * Guards, active trips and recent history live in settings/breakers.
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage/index.js';
+import { publishEvent } from './events.js';
+import { serialRunner, scheduleRuns } from './scheduler.js';
+import {
+  loadRecentTrades, realizedTrades, agentIds, lossStreak, dailyPnl, drawdownFromPeak, usd,
+} from './tradeMetrics.js';
+import { isValidTimeZone, DEFAULT_TIME_ZONE } from '../../../shared/time.js';
+import { normalizeMode } from '../../../shared/stats.js';
+
+export const GUARD_TYPES = {
+  daily_loss: { label: 'Max daily loss', params: { threshold: 100 } },
+  drawdown: { label: 'Max drawdown from peak', params: { threshold: 250 } },
+  loss_streak: { label: 'Max consecutive losses', params: { count: 5 } },
+};
+export const GUARD_ACTIONS = ['disable_webhook', 'pause_agent'];
+
+const HISTORY_SIZE = 100;
+const TRIGGER_EVENTS = ['trade-imported', 'import-completed'];
+
+export function validateGuard(input, existing = null) {
+  const type = input?.type;
+  if (!GUARD_TYPES[type]) return { ok: false, error: `type must be one of ${Object.keys(GUARD_TYPES).join(', ')}` };
+  const action = input.action || 'disable_webhook';
+  if (!GUARD_ACTIONS.includes(action)) return { ok: false, error: `action must be one of ${GUARD_ACTIONS.join(', ')}` };
+  if (action === 'pause_agent' && !input.agentId) return { ok: false, error: 'pause_agent needs an agentId (or "*" for each agent)' };
+
+  const params = {};
+  for (const [name, fallback] of Object.entries(GUARD_TYPES[type].params)) {
+    const value = input.params?.[name] ?? fallback;
+    if (!(Number(value) > 0)) return { ok: false, error: `params.${name} must be a positive number` };
+    params[name] = Number(value);
+  }
+
+  const resumeAfterMinutes = Number(input.resumeAfterMinutes) || 0;
+  if (resumeAfterMinutes < 0) return { ok: false, error: 'resumeAfterMinutes must be 0 (manual) or more' };
+  const timeZone = input.timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) return { ok: false, error: `Unknown time zone "${timeZone}"` };
+
+  return {
+    ok: true,
+    guard: {
+      id: input.id || existing?.id || `guard_${randomBytes(4).toString('hex')}`,
+      name: String(input.name || GUARD_TYPES[type].label).slice(0, 80),
+      type,
+      enabled: input.enabled !== false,
+      agentId: input.agentId || null,
+      mode: input.mode ? normalizeMode(input.mode) : null,
+      action,
+      params,
+      resumeAfterMinutes,
+      ...(type === 'daily_loss' && { timeZone }),
+    },
+  };
+}
+
+function checkGuard(guard, trades, now) {
+  switch (guard.type) {
+    case 'daily_loss': {
+      const value = dailyPnl(trades, now, guard.timeZone || DEFAULT_TIME_ZONE);
+      return { value, tripped: value <= -guard.params.threshold, why: `daily P/L ${usd(value)} hit the ${usd(-guard.params.threshold)} limit` };
+    }
+    case 'drawdown': {
+      const value = drawdownFromPeak(trades);
+      return { value, tripped: value >= guard.params.threshold, why: `drawdown ${usd(value)} from peak hit the ${usd(guard.params.threshold)} limit` };
+    }
+    case 'loss_streak': {
+      const value = lossStreak(trades);
+      return { value, tripped: value >= guard.params.count, why: `${value} losing trades in a row (limit ${guard.params.count})` };
+    }
+    default:
+      return null;
+  }
+}
+
+// settings/bot plus active trips → the status shape returned by GET /api/bot/status and pushed as bot-status-changed
+export function describeBotStatus(bot, trips = []) {
+  return {
+    botEnabled: bot.enabled !== false,
+    webhookEnabled: bot.webhookEnabled !== false,
+    lastUpdated: bot.lastUpdated || null,
+    updatedBy: bot.updatedBy || null,
+    reason: bot.reason || null,
+    resumeAt: bot.resumeAt || null,
+    pausedAgents: bot.pausedAgents || {},
+    breakers: trips,
+  };
+}
+
+export function createBreakerService({ storage, publish = publishEvent, now = Date.now }) {
+  async function getState() {
+    const { id, ...doc } = (await storage.settings.get('breakers')) || {};
+    return { guards: doc.guards || [], active: doc.active || {}, resumedAt: doc.resumedAt || {}, history: doc.history || [] };
+  }
+
+  // Whole-document writes: a merge would keep lifted trips and unpaused agents in the nested maps
+  async function saveState(state) {
+    await storage.settings.set('breakers', { ...state, updatedAt: now() });
+  }
+
+  function applyTrip(bot, trip) {
+    const base = { ...bot, lastUpdated: trip.trippedAt, updatedBy: trip.updatedBy, reason: trip.reason, resumeAt: trip.resumeAt };
+    if (trip.action === 'disable_webhook') return { ...base, webhookEnabled: false };
+    return {
+      ...base,
+      pausedAgents: {
+        ...bot.pausedAgents,
+        [trip.agentId]: { guardId: trip.guardId, reason: trip.reason, since: trip.trippedAt, resumeAt: trip.resumeAt, updatedBy: trip.updatedBy },
+      },
+    };
+  }
+
+  // Lift a trip unless another active trip still holds the same switch
+  function applyResume(bot, trip, remaining, by, time) {
+    const next = { ...bot, lastUpdated: time, updatedBy: by, reason: `Resumed after: ${trip.reason}`, resumeAt: null };
+    if (trip.action === 'disable_webhook') {
+      return remaining.some(t => t.action === 'disable_webhook') ? next : { ...next, webhookEnabled: true };
+    }
+    if (remaining.some(t => t.action === 'pause_agent' && t.agentId === trip.agentId)) return next;
+    const { [trip.agentId]: _lifted, ...pausedAgents } = bot.pausedAgents || {};
+    return { ...next, pausedAgents };
+  }
+
+  // `changes` are bot => bot steps, replayed in a transaction onto settings/bot as it is at write
+  // time, so an admin's POST /api/bot/status landing during an evaluation isn't written over
+  async function commit(state, changes) {
+    await saveState(state);
+    if (!changes.length) return;
+    const bot = await storage.settings.update('bot', current => changes.reduce((next, change) => change(next), current || {}));
+    publish('bot-status-changed', describeBotStatus(bot, Object.values(state.active)));
+  }
+
+  function resumeTrips(state, trips, by, time) {
+    const changes = [];
+    for (const trip of trips) {
+      delete state.active[trip.key];
+      state.resumedAt[trip.key] = time;
+      state.history = state.history.map(h => (h.key === trip.key && h.trippedAt === trip.trippedAt ? { ...h, resumedAt: time, resumedBy: by } : h));
+      const remaining = Object.values(state.active);
+      changes.push(bot => applyResume(bot, trip, remaining, by, time));
+      console.log(`🟢 Circuit breaker lifted by ${by}: ${trip.guardName}${trip.agentId ? ` (${trip.agentId})` : ''}`);
+    }
+    return changes;
+  }
+
+  async function evaluateOnce() {
+    const state = await getState();
+    const time = now();
+
+    const due = Object.values(state.active).filter(t => t.resumeAt && t.resumeAt <= time);
+    const changes = resumeTrips(state, due, 'circuit-breaker:auto-resume', time);
+
+    const guards = state.guards.filter(g => g.enabled !== false);
+    const docs = guards.length ? await loadRecentTrades(storage.trades) : [];
+    const tripped = [];
+
+    for (const guard of guards) {
+      const subjects = guard.agentId === '*' ? agentIds(realizedTrades(docs, { mode: guard.mode })) : [guard.agentId];
+      for (const agentId of subjects) {
+        const key = `${guard.id}:${agentId || 'all'}`;
+        if (state.active[key]) continue;
+        const since = state.resumedAt[key] || 0;
+        const trades = realizedTrades(docs, { agentId, mode: guard.mode }).filter(t => t.timestamp > since);
+        const result = checkGuard(guard, trades, time);
+        if (!result?.tripped) continue;
+
+        const trip = {
+          key, guardId: guard.id, guardName: guard.name, type: guard.type, action: guard.action,
+          agentId, value: result.value,
+          reason: `${guard.name}${agentId ? ` (${agentId})` : ''}: ${result.why}`,
+          trippedAt: time,
+          resumeAt: guard.resumeAfterMinutes > 0 ? time + guard.resumeAfterMinutes * 60000 : null,
+          updatedBy: `circuit-breaker:${guard.id}`,
+        };
+        state.active[key] = trip;
+        state.history = [trip, ...state.history].slice(0, HISTORY_SIZE);
+        changes.push(bot => applyTrip(bot, trip));
+        tripped.push(trip);
+        console.warn(`🛑 Circuit breaker tripped — ${trip.reason} → ${trip.action}`);
+      }
+    }
+
+    await commit(state, changes);
+    return { evaluatedAt: time, guards: guards.length, tripped: tripped.length, resumed: due.length, active: Object.keys(state.active).length };
+  }
+
+  const evaluate = serialRunner(evaluateOnce);
+
+  // Lift active trips by key, or every trip with `action` when no keys are given
+  async function resume({ keys = null, action = null, by }) {
+    const state = await getState();
+    const trips = Object.values(state.active).filter(t => (keys ? keys.includes(t.key) : !action || t.action === action));
+    if (!trips.length) return [];
+    await commit(state, resumeTrips(state, trips, by, now()));
+    return trips;
+  }
+
+  async function activeTrips() {
+    return Object.values((await getState()).active);
+  }
+
+  async function publicState() {
+    const { guards, active, history } = await getState();
+    return { guards, active: Object.values(active), history };
+  }
+
+  async function saveGuard(input) {
+    const state = await getState();
+    const existing = input?.id ? state.guards.find(g => g.id === input.id) : null;
+    const result = validateGuard(input, existing);
+    if (!result.ok) return result;
+    state.guards = existing ? state.guards.map(g => (g.id === existing.id ? result.guard : g)) : [...state.guards, result.guard];
+    await saveState(state);
+    return { ...result, previous: existing };
+  }
+
+  // Resolves to the deleted guard, or null when there was none
+  async function deleteGuard(id) {
+    const state = await getState();
+    const guard = state.guards.find(g => g.id === id);
+    if (!guard) return null;
+    state.guards = state.guards.filter(g => g.id !== id);
+    await saveState(state);
+    return guard;
+  }
+
+  // Evaluate on trade imports (debounced) and every intervalMs, which is also when auto-resumes happen
+  function start({ intervalMs = 60 * 1000, debounceMs = 2000 } = {}) {
+    return scheduleRuns(evaluate, { events: TRIGGER_EVENTS, intervalMs, debounceMs, label: 'Circuit breaker evaluation' });
+  }
+
+  return { evaluate, resume, activeTrips, publicState, saveGuard, deleteGuard, start };
+}
+
+let service = null;
+
+export function getBreakerService() {
+  if (!service) service = createBreakerService({ storage: getStorage() });
+  return service;
+}
+
+// Checked on the alert interval (ALERT_EVAL_INTERVAL_SECONDS), minimum once a minute so auto-resume stays timely
+export function startCircuitBreaker() {
+  const raw = Number(process.env.ALERT_EVAL_INTERVAL_SECONDS);
+  const seconds = raw > 0 ? Math.min(raw, 60) : 60;
+  return getBreakerService().start({ intervalMs: seconds * 1000 });
+}
@@ -0,0 +1,119 @@
+/**
+ * Server-side CSV ingestion
+ * Detects which Nexgent export a CSV is from its header row, validates every row and maps the
+ * valid ones to documents. Nothing is written here — callers decide between dry run and import.
+ */
+
+import { CsvError, createRowMapper, parseCsv, streamCsv } from '../../../shared/csv.js';
+import {
+  detectFormat, validateTradeRow, validateSignalRow, mapTradeRow, mapSignalRow,
+} from '../../../shared/nexgent.js';
+import { normalizeMode } from '../../../shared/stats.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from '../../../shared/time.js';
+
+const MODES = ['live', 'simulation'];
+export const MODE_REQUIRED = `mode is required for trade history files (${MODES.join(' or ')})`;
+const UNRECOGNISED = 'Unrecognised CSV: the header row matches neither a Nexgent trade history nor a signals export';
+
+// Zone Nexgent export times are read in when the caller doesn't pass one
+export function defaultSourceTimeZone() {
+  return process.env.NEXGENT_TIMEZONE || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Validates and maps parsed records one at a time, so the same logic serves whole texts and streams.
+ * add() returns an error string when the file can't be processed at all.
+ */
+function createAnalysis({ agentId, mode, timeZone = defaultSourceTimeZone() }) {
+  const mapRecord = createRowMapper();
+  // normalizeMode falls back to simulation, so a missing mode has to be caught before it
+  const tradeMode = mode ? normalizeMode(mode) : null;
+  const issues = [];
+  const docs = [];
+  let format = null;
+  let missing = [];
+  let totalRows = 0;
+  let errorRows = 0;
+  let warningRows = 0;
+
+  function add(parsed) {
+    if (!format) {
+      if (!isValidTimeZone(timeZone)) return `Unknown time zone "${timeZone}" (use an IANA name like America/New_York)`;
+      ({ format, missing } = detectFormat(mapRecord(parsed).headers));
+      if (!format) return UNRECOGNISED;
+      if (format === 'trades') {
+        if (!agentId) return 'agentId is required for trade history files';
+        if (!tradeMode) return MODE_REQUIRED;
+        if (!MODES.includes(tradeMode)) return `mode must be one of ${MODES.join(', ')}`;
+      }
+      return null;
+    }
+
+    const { line, record } = mapRecord(parsed);
+    const { errors, warnings } = (format === 'trades' ? validateTradeRow : validateSignalRow)(record);
+    totalRows++;
+    for (const e of errors) issues.push({ line, severity: 'error', ...e });
+    for (const w of warnings) issues.push({ line, severity: 'warning', ...w });
+
+    if (errors.length) {
+      errorRows++;
+      return null;
+    }
+    if (warnings.length) warningRows++;
+    docs.push(format === 'trades' ? mapTradeRow(record, agentId, tradeMode, timeZone) : mapSignalRow(record, timeZone));
+    return null;
+  }
+
+  function result() {
+    if (!format) return { ok: false, error: 'The CSV is empty' };
+    return {
+      ok: true,
+      format,
+      timeZone,
+      missingColumns: missing,
+      totalRows,
+      validRows: docs.length,
+      errorRows,
+      warningRows,
+      issues,
+      docs,
+    };
+  }
+
+  return { add, result };
+}
+
+/**
+ * timeZone: IANA zone the export's times were written in (default NEXGENT_TIMEZONE, then UTC).
+ * Returns { ok: true, format, timeZone, missingColumns, totalRows, validRows, errorRows, warningRows, issues, docs }
+ * or { ok: false, error } when the file can't be processed at all.
+ * issues: [{ line, severity: 'error' | 'warning', field, message }] — rows with an error are left out of docs.
+ */
+export function analyzeCsv(text, options = {}) {
+  const analysis = createAnalysis(options);
+  try {
+    for (const parsed of parseCsv(text)) {
+      const error = analysis.add(parsed);
+      if (error) return { ok: false, error };
+    }
+  } catch (err) {
+    if (!(err instanceof CsvError)) throw err;
+    return { ok: false, error: `CSV parse error: ${err.message}` };
+  }
+  return analysis.result();
+}
+
+// Same as analyzeCsv, reading from a stream of chunks (an HTTP request, fs.createReadStream, ...)
+export async function analyzeCsvStream(source, options = {}) {
+  const analysis = createAnalysis(options);
+  try {
+    for await (const parsed of streamCsv(source)) {
+      const error = analysis.add(parsed);
+      if (error) return { ok: false, error };
+    }
+  } catch (err) {
+    if (!(err instanceof CsvError)) throw err;
+    return { ok: false, error: `CSV parse error: ${err.message}` };
+  }
+  return analysis.result();
+}
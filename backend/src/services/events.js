@@ -0,0 +1,92 @@
+/**
+ * Dashboard event bus
+ * Routes publish what they just wrote; GET /api/events streams it to dashboards as server-sent events.
+ *
+ *   signal-received     { signal }                              a webhook signal was stored
+ *   trade-imported      { trades, count, truncated }            trades were written by an import
+ *   import-completed    { format, result, signals, count, truncated }   a committed (non-dry-run) import finished
+ *   bot-status-changed  { botEnabled, webhookEnabled, lastUpdated, updatedBy }
+ *   alert-fired         { alert }                               an alert rule started firing
+ *   alert-resolved      { alert }                               its condition cleared
+ *
+ * Imports carry the written docs so clients can merge them, up to MAX_EVENT_DOCS; beyond that the
+ * docs are null, `truncated` is true and clients should reload. Events live in this process only —
+ * writes from the data CLI or another backend instance are not published.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+
+export const EVENT_TYPES = [
+  'signal-received', 'trade-imported', 'import-completed', 'bot-status-changed', 'alert-fired', 'alert-resolved',
+];
+
+const MAX_EVENT_DOCS = 500;
+
+// Written docs for an event payload: { docs, count, truncated }
+export function eventDocs(docs) {
+  const truncated = docs.length > MAX_EVENT_DOCS;
+  return { docs: truncated ? null : docs, count: docs.length, truncated };
+}
+
+/**
+ * Event ids are "<boot>:<seq>", so a client reconnecting with Last-Event-ID after a restart
+ * (or after its id fell out of the replay history) can be told to resync instead of missing events.
+ */
+export function createEventBus({ historySize = 200 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const boot = randomBytes(4).toString('hex');
+  const history = [];
+  let seq = 0;
+
+  function publish(type, data) {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+    const event = { id: `${boot}:${++seq}`, type, data, time: Date.now() };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    emitter.emit('event', event);
+    return event;
+  }
+
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  // Events after lastEventId, or null when they can't all be replayed
+  function since(lastEventId) {
+    const [idBoot, idSeq] = String(lastEventId).split(':');
+    const after = Number(idSeq);
+    if (idBoot !== boot || !Number.isInteger(after) || after > seq) return null;
+    const oldest = history.length ? Number(history[0].id.split(':')[1]) : seq + 1;
+    if (after < oldest - 1) return null;
+    return history.filter(e => Number(e.id.split(':')[1]) > after);
+  }
+
+  return { publish, subscribe, since, subscribers: () => emitter.listenerCount('event') };
+}
+
+let bus = null;
+
+export function getEventBus() {
+  if (!bus) bus = createEventBus();
+  return bus;
+}
+
+// Publish without letting a listener error fail the request that caused the event
+export function publishEvent(type, data) {
+  try {
+    return getEventBus().publish(type, data);
+  } catch (error) {
+    console.error(`Event ${type} not published:`, error.message);
+    return null;
+  }
+}
+
+// After a committed import: trade-imported (when trades were written), then import-completed
+export function publishImport(format, docs, result) {
+  const { docs: written, count, truncated } = eventDocs(docs);
+  if (format === 'trades' && result.saved > 0) publishEvent('trade-imported', { trades: written, count, truncated });
+  publishEvent('import-completed', { format, result, signals: format === 'signals' ? written : null, count, truncated });
+}
@@ -0,0 +1,90 @@
+/**
+ * Dataset exports
+ * Streams every stored document matching the list filters as CSV, JSON or XLSX (shared/export.js),
+ * so exports aren't limited to what the browser can hold. CSV and XLSX need their columns before
+ * the first row, so those read the matching documents twice: once for the column set and row
+ * count, then to write. Fields first seen between the two passes are left out.
+ */
+
+import { Readable } from 'stream';
+import { deflateRawSync, constants } from 'zlib';
+import { pipeline } from 'stream/promises';
+import {
+  exportColumns, csvLine, csvRow, createXlsxWriter, XLSX_MAX_ROWS,
+} from '../../../shared/export.js';
+import { tradeWhere, signalWhere, outcomeFilter } from './listQuery.js';
+
+// Same filters as /api/trades/list and /api/signals/list; from/to are parsed by the caller
+export const EXPORT_DATASETS = {
+  trades: { orderBy: 'timestamp', where: tradeWhere, filter: query => outcomeFilter(query.outcome) },
+  signals: { orderBy: 'signalReceivedAt', where: signalWhere, filter: () => null },
+};
+
+const PAGE_SIZE = 400;
+
+async function* matchingDocs(collection, { where, orderBy, direction, filter }) {
+  let after = null;
+  for (;;) {
+    const page = await collection.query({ where, orderBy, direction, limit: PAGE_SIZE, startAfter: after });
+    for (const doc of page) {
+      if (!filter || filter(doc)) yield doc;
+    }
+    if (page.length < PAGE_SIZE) return;
+    after = page[page.length - 1].id;
+  }
+}
+
+/**
+ * First pass: { columns, count } for the documents an export would contain.
+ * Pass the result to writeExport so both passes agree on the columns.
+ */
+export async function scanExport(collection, selection) {
+  const columns = ['id'];
+  let count = 0;
+  for await (const doc of matchingDocs(collection, selection)) {
+    exportColumns([doc], columns);
+    count++;
+  }
+  return { columns, count };
+}
+
+// Each batch is flushed to a byte boundary, so the pieces join into one deflate stream
+const sheetDeflate = (bytes, final) => deflateRawSync(bytes, { finishFlush: final ? constants.Z_FINISH : constants.Z_SYNC_FLUSH });
+
+async function* exportChunks(collection, selection, { format, columns, sheetName }) {
+  const docs = matchingDocs(collection, selection);
+  if (format === 'json') {
+    let first = true;
+    yield '[';
+    for await (const doc of docs) {
+      yield `${first ? '\n' : ',\n'}${JSON.stringify(doc)}`;
+      first = false;
+    }
+    yield first ? ']\n' : '\n]\n';
+  } else if (format === 'xlsx') {
+    const writer = createXlsxWriter(columns, { sheetName, deflate: sheetDeflate });
+    yield writer.start();
+    let batch = [];
+    for await (const doc of docs) {
+      batch.push(doc);
+      if (batch.length === PAGE_SIZE) {
+        yield writer.rows(batch);
+        batch = [];
+      }
+    }
+    yield writer.rows(batch);
+    yield writer.end();
+  } else {
+    yield `\uFEFF${csvLine(columns)}`; // BOM so Excel reads the file as UTF-8
+    for await (const doc of docs) yield csvRow(doc, columns);
+  }
+}
+
+// Stream the export into a writable; columns is required for csv and xlsx
+export async function writeExport(collection, output, selection, options) {
+  await pipeline(Readable.from(exportChunks(collection, selection, options)), output);
+}
+
+export function xlsxTooLarge(count) {
+  return count + 1 > XLSX_MAX_ROWS;
+}
@@ -0,0 +1,138 @@
+/**
+ * Idempotent imports
+ * Nexgent CSV trades get a deterministic id (shared/nexgent.js), so importing the same
+ * export twice updates or skips rows instead of duplicating them.
+ * Only takes storage collections — also used by the data/ scripts.
+ */
+
+import { tradeId } from '../../../shared/nexgent.js';
+
+// Bookkeeping fields that change on every import and don't count as a change to the row
+const VOLATILE_FIELDS = new Set(['id', 'importedAt']);
+
+function sameContent(existing, doc) {
+  const keys = new Set([...Object.keys(existing), ...Object.keys(doc)]);
+  for (const key of keys) {
+    if (VOLATILE_FIELDS.has(key)) continue;
+    if (JSON.stringify(existing[key]) !== JSON.stringify(doc[key])) return false;
+  }
+  return true;
+}
+
+// Recompute ids for Nexgent CSV trades so a stale client can't reintroduce random ids
+export function withTradeIds(trades) {
+  return trades.map(t => (t.source === 'nexgent' ? { ...t, id: tradeId(t) } : t));
+}
+
+/**
+ * Write docs, reporting what happened to each one:
+ *   inserted — id not in the collection yet
+ *   updated  — id exists with different content
+ *   skipped  — id exists with identical content, or repeated within this import
+ * Skipped docs are not written.
+ */
+export async function upsertDocs(collection, docs, { dryRun = false } = {}) {
+  const unique = new Map();
+  let skipped = 0;
+  for (const doc of docs) {
+    if (unique.has(doc.id)) skipped++;
+    else unique.set(doc.id, doc);
+  }
+
+  const ids = [...unique.keys()];
+  const existing = await collection.getMany(ids);
+  const toWrite = [];
+  let inserted = 0;
+  let updated = 0;
+
+  ids.forEach((id, i) => {
+    const doc = unique.get(id);
+    if (!existing[i]) {
+      inserted++;
+      toWrite.push(doc);
+    } else if (sameContent(existing[i], doc)) {
+      skipped++;
+    } else {
+      updated++;
+      toWrite.push(doc);
+    }
+  });
+
+  if (!dryRun && toWrite.length) await collection.setMany(toWrite, { merge: true });
+
+  return { inserted, updated, skipped, saved: dryRun ? 0 : toWrite.length };
+}
+
+/**
+ * One-off cleanup for trades imported before ids were deterministic.
+ * Groups Nexgent CSV trades by fingerprint, keeps one doc per group under its deterministic id
+ * (the most recently imported copy, with the earliest importedAt) and deletes the rest.
+ */
+export async function dedupeTrades(collection, { dryRun = false } = {}) {
+  const all = await collection.all();
+  const groups = new Map();
+  for (const trade of all) {
+    if (trade.source !== 'nexgent') continue;
+    const id = tradeId(trade);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(trade);
+  }
+
+  const toWrite = [];
+  const toDelete = [];
+  let duplicateGroups = 0;
+  let rekeyed = 0;
+
+  for (const [id, members] of groups) {
+    if (members.length === 1 && members[0].id === id) continue;
+    if (members.length > 1) duplicateGroups++;
+    else rekeyed++;
+
+    const byImport = [...members].sort((a, b) => String(a.importedAt || '').localeCompare(String(b.importedAt || '')));
+    const latest = byImport[byImport.length - 1];
+    toWrite.push({ ...latest, id, importedAt: byImport[0].importedAt || latest.importedAt });
+    toDelete.push(...members.map(m => m.id).filter(m => m !== id));
+  }
+
+  if (!dryRun) {
+    if (toWrite.length) await collection.setMany(toWrite);
+    if (toDelete.length) await collection.deleteMany(toDelete);
+  }
+
+  return {
+    scanned: all.length,
+    duplicateGroups,
+    rekeyed,
+    removed: toDelete.length,
+    dryRun,
+  };
+}
+
+/**
+ * Consistency check for stored trades or signals.
+ * Returns a list of { id, problem } — empty when everything looks right.
+ */
+export async function verifyCollection(kind, collection) {
+  const problems = [];
+  const docs = await collection.all();
+  const seen = new Map();
+
+  for (const doc of docs) {
+    if (kind === 'trades') {
+      if (!doc.agentId) problems.push({ id: doc.id, problem: 'missing agentId' });
+      if (!['live', 'simulation'].includes(doc.mode)) problems.push({ id: doc.id, problem: `unexpected mode "${doc.mode}"` });
+      if (!Number.isFinite(doc.timestamp)) problems.push({ id: doc.id, problem: 'missing or invalid timestamp' });
+      if (doc.source !== 'nexgent') continue;
+
+      const id = tradeId(doc);
+      if (id !== doc.id) problems.push({ id: doc.id, problem: `id doesn't match its fingerprint (${id}) — run dedupe` });
+      if (seen.has(id)) problems.push({ id: doc.id, problem: `duplicate of ${seen.get(id)}` });
+      else seen.set(id, doc.id);
+    } else {
+      if (!Number.isFinite(doc.signalReceivedAt)) problems.push({ id: doc.id, problem: 'missing or invalid signalReceivedAt' });
+      if (!doc.tokenAddress) problems.push({ id: doc.id, problem: 'missing tokenAddress' });
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,105 @@
+/**
+ * Query-string parsing and cursor pagination shared by the list and stats routes.
+ * A cursor is the opaque (base64url) id of the last document the client has seen;
+ * the next page starts right after it in the same ordering.
+ */
+
+import { MAX_SIGNAL_STRENGTH } from '../../../shared/nexgent.js';
+import { normalizeMode } from '../../../shared/stats.js';
+
+export const MAX_PAGE_SIZE = 5000;
+// Upper bound on extra reads when post-filters drop documents
+const MAX_SCAN_BATCHES = 10;
+
+export function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Accepts epoch milliseconds or anything Date can parse (ISO dates)
+export function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+export function parseLimit(value, fallback) {
+  const limit = parseInt(value) || fallback;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+// Signal strengths are small integers, so "at least N" becomes an equality-style `in` filter
+// that can be combined with ordering on the timestamp without a second range field
+export function strengthsAtLeast(min) {
+  const from = Math.max(Math.ceil(min), 1);
+  return Array.from({ length: Math.max(MAX_SIGNAL_STRENGTH - from + 1, 0) }, (_, i) => from + i);
+}
+
+// Storage conditions for the trade filters of /api/trades/list and /api/export/trades (from/to already parsed)
+export function tradeWhere({ agentId, mode, status, signalType, minStrength, from = null, to = null }) {
+  const where = [];
+  if (agentId) where.push(['agentId', '==', agentId]);
+  if (mode) where.push(['mode', '==', normalizeMode(mode)]);
+  if (status) where.push(['status', '==', status]);
+  if (signalType) where.push(['signalType', '==', signalType]);
+  if (Number(minStrength) > 0) where.push(['signalStrength', 'in', strengthsAtLeast(Number(minStrength))]);
+  if (from !== null) where.push(['timestamp', '>=', from]);
+  if (to !== null) where.push(['timestamp', '<=', to]);
+  return where;
+}
+
+// Outcome can't be indexed alongside the timestamp order, so it is an in-memory filter
+export function outcomeFilter(outcome) {
+  if (!outcome) return null;
+  return t => (outcome === 'win' ? (t.pnl || 0) > 0 : (t.pnl || 0) < 0);
+}
+
+// Same for /api/signals/list and /api/export/signals; signalType is the trading strategy
+export function signalWhere({ agentId, status, signalType, strength, minStrength, from = null, to = null }) {
+  const where = [];
+  if (agentId) where.push(['agentId', '==', agentId]);
+  if (status) where.push(['status', '==', status]);
+  if (signalType) where.push(['tradingStrategy', '==', signalType]);
+  if (Number(strength) > 0) where.push(['signalStrength', '==', Number(strength)]);
+  else if (Number(minStrength) > 0) where.push(['signalStrength', 'in', strengthsAtLeast(Number(minStrength))]);
+  if (from !== null) where.push(['signalReceivedAt', '>=', from]);
+  if (to !== null) where.push(['signalReceivedAt', '<=', to]);
+  return where;
+}
+
+export function encodeCursor(id) {
+  return Buffer.from(String(id), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  return Buffer.from(String(cursor), 'base64url').toString('utf8') || null;
+}
+
+/**
+ * Read one page from a storage collection.
+ * `where` runs in the storage backend; `filter` is an optional in-memory predicate for
+ * conditions the backend can't index alongside the ordering. When it drops documents
+ * more batches are read so the page still fills up to `limit`.
+ * Returns { items, nextCursor } — nextCursor is null once the collection is exhausted.
+ */
+export async function paginate(collection, { where = [], orderBy, direction = 'desc', limit, startAfter = null, filter }) {
+  const items = [];
+  let after = startAfter;
+
+  for (let batchNo = 0; batchNo < MAX_SCAN_BATCHES; batchNo++) {
+    const batch = await collection.query({ where, orderBy, direction, limit, startAfter: after });
+
+    for (const doc of batch) {
+      if (filter && !filter(doc)) continue;
+      items.push(doc);
+      if (items.length === limit) return { items, nextCursor: encodeCursor(doc.id) };
+    }
+
+    if (batch.length < limit) return { items, nextCursor: null };
+    after = batch[batch.length - 1].id;
+  }
+
+  // Scan budget used up: hand back a short page and let the client continue from the last document read
+  return { items, nextCursor: encodeCursor(after) };
+}
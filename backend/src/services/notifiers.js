@@ -0,0 +1,100 @@
+/**
+ * Outgoing alert notifications
+ *   webhook   POST { type: 'alert', alert } as JSON to `url`
+ *   slack     POST { text } to a Slack (or Slack-compatible: Mattermost, Discord /slack) incoming webhook `url`
+ *   telegram  Bot API sendMessage to `chatId` with `botToken`; `url` overrides https://api.telegram.org
+ */
+
+import { randomBytes } from 'crypto';
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'telegram'];
+
+const TELEGRAM_API = 'https://api.telegram.org';
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Validates a channel from the API; keeps the stored url and bot token when an edit leaves them blank
+export function validateChannel(input, existing = null) {
+  const type = input?.type;
+  if (!CHANNEL_TYPES.includes(type)) return { ok: false, error: `type must be one of ${CHANNEL_TYPES.join(', ')}` };
+
+  const channel = {
+    id: input.id || existing?.id || `ch_${randomBytes(4).toString('hex')}`,
+    type,
+    name: String(input.name || type).slice(0, 80),
+    enabled: input.enabled !== false,
+    url: input.url ? String(input.url).trim() : existing?.url || null,
+  };
+
+  if (type === 'telegram') {
+    channel.chatId = input.chatId ? String(input.chatId).trim() : null;
+    channel.botToken = input.botToken ? String(input.botToken).trim() : existing?.botToken || null;
+    if (!channel.chatId || !channel.botToken) return { ok: false, error: 'telegram channels need chatId and botToken' };
+    if (channel.url && !isHttpUrl(channel.url)) return { ok: false, error: 'url must be an http(s) URL' };
+  } else if (!isHttpUrl(channel.url)) {
+    return { ok: false, error: `${type} channels need an http(s) url` };
+  }
+
+  return { ok: true, channel };
+}
+
+// Channel as returned to the dashboard — URLs and bot tokens are write-only. Incoming webhook
+// URLs carry their secret in the path, so only the origin is shown.
+export function maskChannel(channel) {
+  const { url, botToken, ...rest } = channel;
+  const masked = { ...rest, urlOrigin: url ? urlOrigin(url) : null, urlSet: !!url };
+  return botToken ? { ...masked, botTokenSet: true } : masked;
+}
+
+function urlOrigin(value) {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function formatAlertText(alert) {
+  const icon = alert.test ? '🔔' : '🚨';
+  return `${icon} ${alert.ruleName}: ${alert.message}`;
+}
+
+function requestFor(channel, alert) {
+  const text = formatAlertText(alert);
+  switch (channel.type) {
+    case 'slack':
+      return { url: channel.url, body: { text } };
+    case 'telegram':
+      return {
+        url: `${(channel.url || TELEGRAM_API).replace(/\/$/, '')}/bot${channel.botToken}/sendMessage`,
+        body: { chat_id: channel.chatId, text, disable_web_page_preview: true },
+      };
+    default:
+      return { url: channel.url, body: { type: 'alert', text, alert } };
+  }
+}
+
+// Never throws: resolves to { channelId, ok, error?, at }
+export async function sendNotification(channel, alert, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  const at = Date.now();
+  try {
+    const { url, body } = requestFor(channel, alert);
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    if (!response.ok) return { channelId: channel.id, ok: false, error: `HTTP ${response.status}`, at };
+    return { channelId: channel.id, ok: true, at };
+  } catch (error) {
+    return { channelId: channel.id, ok: false, error: error.message, at };
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Streaming request bodies
+ * Routes that take large uploads (CSV imports, backup archives) read the request as a stream
+ * instead of through a body parser, so nothing is buffered whole.
+ */
+
+// Passes the request body through chunk by chunk, failing with a 413 once it grows past `max` bytes
+export async function* limitBytes(req, max, what = 'Body') {
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > max) throw Object.assign(new Error(`${what} exceeds ${max / 1024 / 1024}MB`), { status: 413 });
+    yield chunk;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Background evaluation loop shared by the alert engine and the circuit breaker:
+ * runs on matching bus events (debounced) and on a timer, and never overlaps itself.
+ */
+
+import { getEventBus } from './events.js';
+
+// Wraps an async job so runs never overlap; a call during a run queues exactly one more,
+// and callers get the result of the run that covers their call
+export function serialRunner(job) {
+  let running = null;
+  let again = false;
+  return function run() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        let result;
+        do {
+          again = false;
+          result = await job();
+        } while (again);
+        return result;
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+}
+
+// Calls run() after any of `events` (debounced) and every intervalMs (0 = events only);
+// failures are logged as "<label> failed". Returns a stop function.
+export function scheduleRuns(run, { events, intervalMs, debounceMs, label }) {
+  const runLogged = () => run().catch(error => console.error(`${label} failed:`, error.message));
+  let pending = null;
+  const unsubscribe = getEventBus().subscribe(event => {
+    if (!events.includes(event.type) || pending) return;
+    pending = setTimeout(() => {
+      pending = null;
+      runLogged();
+    }, debounceMs);
+  });
+  const timer = intervalMs > 0 ? setInterval(runLogged, intervalMs) : null;
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+    clearTimeout(pending);
+  };
+}
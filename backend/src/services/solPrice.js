@@ -0,0 +1,210 @@
+/**
+ * SOL/USD price history
+ * Hourly or daily SOL/USD rates live in the sol_prices collection, so SOL-denominated P/L is
+ * converted at the rate in effect when each leg of a trade happened instead of a fixed price.
+ * Rates come from an imported CSV and, optionally, a fetcher — any object with
+ *   { name, fetchRange(fromMs, toMs) → [{ time, price, interval }] }
+ * which keeps the network out of the way when testing.
+ */
+
+import { parseCsvRows, CsvError } from '../../../shared/csv.js';
+import { parseNexgentTime } from '../../../shared/time.js';
+import { getStorage } from './storage/index.js';
+import { upsertDocs } from './importer.js';
+
+export const INTERVALS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const TIME_COLUMNS = ['time', 'timestamp', 'date', 'snapped_at'];
+const PRICE_COLUMNS = ['price', 'close', 'usd', 'price_usd', 'sol_usd'];
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+// CoinGecko serves hourly points for ranges up to 90 days, daily beyond that
+const COINGECKO_HOURLY_SPAN = 90 * INTERVALS.day;
+
+function bucketStart(ms, interval) {
+  return Math.floor(ms / INTERVALS[interval]) * INTERVALS[interval];
+}
+
+// One doc per interval bucket, so re-importing the same history updates instead of duplicating
+export function toRateDoc({ time, price, interval, source }) {
+  const start = bucketStart(time, interval);
+  return { id: `${interval}_${start}`, time: start, price, interval, source };
+}
+
+// Epoch seconds or ms, or a date string; strings without a zone are UTC
+function parseRateTime(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) return text.length <= 10 ? Number(text) * 1000 : Number(text);
+  return parseNexgentTime(text, 'UTC');
+}
+
+/**
+ * Parse a SOL/USD history CSV: a time column (time, timestamp, date or CoinGecko's snapped_at)
+ * and a price column (price, close, usd, price_usd or sol_usd). `interval` may be a column or an
+ * option; otherwise rows all at midnight UTC are daily and anything else hourly.
+ * Returns { ok: true, interval, docs, issues } or { ok: false, error }.
+ */
+export function parseSolPriceCsv(text, { interval, source = 'csv' } = {}) {
+  let parsed;
+  try {
+    parsed = parseCsvRows(text);
+  } catch (err) {
+    if (!(err instanceof CsvError)) throw err;
+    return { ok: false, error: `CSV parse error: ${err.message}` };
+  }
+
+  const columns = new Map(parsed.headers.map(h => [h.toLowerCase(), h]));
+  const timeCol = columns.get(TIME_COLUMNS.find(c => columns.has(c)));
+  const priceCol = columns.get(PRICE_COLUMNS.find(c => columns.has(c)));
+  if (!timeCol || !priceCol) {
+    return { ok: false, error: `Expected a time column (${TIME_COLUMNS.join(', ')}) and a price column (${PRICE_COLUMNS.join(', ')})` };
+  }
+  if (interval && !INTERVALS[interval]) return { ok: false, error: 'interval must be hour or day' };
+
+  const issues = [];
+  const rows = [];
+  for (const { line, record } of parsed.rows) {
+    const time = parseRateTime(record[timeCol]);
+    const price = Number(String(record[priceCol]).replace(/[$,\s]/g, ''));
+    const rowInterval = record[columns.get('interval')] || interval;
+    if (!Number.isFinite(time)) issues.push({ line, field: timeCol, message: `Unparseable time "${record[timeCol]}"` });
+    else if (!(price > 0)) issues.push({ line, field: priceCol, message: `Not a positive price: "${record[priceCol]}"` });
+    else if (rowInterval && !INTERVALS[rowInterval]) issues.push({ line, field: 'interval', message: `Unknown interval "${rowInterval}"` });
+    else rows.push({ time, price, interval: rowInterval });
+  }
+
+  const daily = rows.every(r => r.time % INTERVALS.day === 0);
+  const fallback = daily ? 'day' : 'hour';
+  return {
+    ok: true,
+    interval: interval || fallback,
+    docs: rows.map(r => toRateDoc({ ...r, interval: r.interval || fallback, source })),
+    issues,
+  };
+}
+
+// Index of the last rate at or before ms in a time-sorted list, -1 if none
+function lastAtOrBefore(list, ms) {
+  let lo = 0;
+  let hi = list.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].time <= ms) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Lookup over a set of rate docs: rateAt(ms) → { rate, time, interval, source, exact } or null.
+ * Prefers the hourly bucket containing ms, then the daily one (exact: true); failing both,
+ * the nearest stored rate in time (exact: false).
+ */
+export function createRateLookup(rates) {
+  const sorted = [...rates].sort((a, b) => a.time - b.time);
+  const byInterval = { hour: sorted.filter(r => r.interval === 'hour'), day: sorted.filter(r => r.interval === 'day') };
+  const describe = (r, exact) => ({ rate: r.price, time: r.time, interval: r.interval, source: r.source, exact });
+
+  return function rateAt(ms) {
+    if (!Number.isFinite(ms) || !sorted.length) return null;
+    for (const interval of ['hour', 'day']) {
+      const list = byInterval[interval];
+      const i = lastAtOrBefore(list, ms);
+      if (i >= 0 && ms - list[i].time < INTERVALS[interval]) return describe(list[i], true);
+    }
+    const i = lastAtOrBefore(sorted, ms);
+    const before = sorted[i];
+    const after = sorted[i + 1];
+    const nearest = !before ? after : !after ? before : (ms - before.time <= after.time - ms ? before : after);
+    return describe(nearest, false);
+  };
+}
+
+export function createSolPriceService({ collection, fetcher = null }) {
+  // Rates covering [from, to], plus the nearest ones outside it when nothing is stored nearby
+  async function loadRates(from, to) {
+    const rates = await collection.query({
+      where: [['time', '>=', from - INTERVALS.day], ['time', '<=', to + INTERVALS.day]],
+      orderBy: 'time',
+      direction: 'asc',
+    });
+    if (rates.length) return rates;
+    const [before] = await collection.query({ where: [['time', '<', from]], orderBy: 'time', direction: 'desc', limit: 1 });
+    const [after] = await collection.query({ where: [['time', '>', to]], orderBy: 'time', direction: 'asc', limit: 1 });
+    return [before, after].filter(Boolean);
+  }
+
+  // A lookup for a batch of timestamps (a page of trades). Times are grouped into windows
+  // so a page spanning months, plus "now" for open positions, doesn't read every rate in between.
+  async function lookupFor(timestamps) {
+    const times = [...new Set(timestamps.filter(Number.isFinite))].sort((a, b) => a - b);
+    const windows = [];
+    for (const time of times) {
+      const last = windows[windows.length - 1];
+      if (last && time - last.to <= INTERVALS.day) last.to = time;
+      else windows.push({ from: time, to: time });
+    }
+    const batches = await Promise.all(windows.map(w => loadRates(w.from, w.to)));
+    const unique = new Map(batches.flat().map(r => [r.id, r]));
+    return createRateLookup([...unique.values()]);
+  }
+
+  async function rateAt(ms) {
+    return createRateLookup(await loadRates(ms, ms))(ms);
+  }
+
+  async function list({ from = null, to = null, interval = null, limit } = {}) {
+    const where = [];
+    if (interval) where.push(['interval', '==', interval]);
+    if (from !== null) where.push(['time', '>=', from]);
+    if (to !== null) where.push(['time', '<=', to]);
+    return collection.query({ where, orderBy: 'time', direction: 'asc', limit });
+  }
+
+  async function importRates(docs, { dryRun = false } = {}) {
+    return upsertDocs(collection, docs, { dryRun });
+  }
+
+  async function backfill({ from, to }) {
+    if (!fetcher) throw new Error('No SOL price fetcher configured (set SOL_PRICE_SOURCE)');
+    const points = await fetcher.fetchRange(from, to);
+    return upsertDocs(collection, points.map(p => toRateDoc({ ...p, source: fetcher.name })));
+  }
+
+  return { lookupFor, rateAt, list, importRates, backfill, hasFetcher: Boolean(fetcher) };
+}
+
+// CoinGecko market_chart/range; pass `fetch` to stub the network
+export function createCoinGeckoFetcher({ apiKey = null, fetch: fetchImpl = globalThis.fetch } = {}) {
+  return {
+    name: 'coingecko',
+    async fetchRange(from, to) {
+      const params = new URLSearchParams({ vs_currency: 'usd', from: String(Math.floor(from / 1000)), to: String(Math.ceil(to / 1000)) });
+      const response = await fetchImpl(`${COINGECKO_API}/coins/solana/market_chart/range?${params}`, {
+        headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {},
+      });
+      if (!response.ok) throw new Error(`CoinGecko ${response.status}: ${await response.text()}`);
+      const data = await response.json();
+      const interval = to - from <= COINGECKO_HOURLY_SPAN ? 'hour' : 'day';
+      return (data.prices || []).map(([time, price]) => ({ time, price, interval }));
+    },
+  };
+}
+
+let service = null;
+
+// SOL_PRICE_SOURCE=coingecko enables back-filling; without it rates only come from CSV imports
+export function getSolPriceService() {
+  if (!service) {
+    const source = (process.env.SOL_PRICE_SOURCE || '').toLowerCase();
+    if (source && source !== 'coingecko') throw new Error(`Unknown SOL_PRICE_SOURCE "${source}" (expected coingecko)`);
+    service = createSolPriceService({
+      collection: getStorage().solPrices,
+      fetcher: source ? createCoinGeckoFetcher({ apiKey: process.env.COINGECKO_API_KEY || null }) : null,
+    });
+  }
+  return service;
+}
@@ -0,0 +1,85 @@
+/**
+ * Stats cache
+ * /api/stats and /api/stats/counts work over every stored trade and signal. Rather than reading the
+ * collections on each call, the trades are kept in memory and the counts computed once, until:
+ *   - this process writes to the collection (the storage layer's `writes` counter), or
+ *   - ttlMs passes, which bounds how stale they get after writes from elsewhere (data CLI, other instances).
+ * Concurrent callers share one read. Cached documents are shared too, so callers must not mutate them.
+ */
+
+import { normalizeTrade } from '../../../shared/stats.js';
+
+export const DEFAULT_TTL_SECONDS = 60;
+
+export function countTrades(docs) {
+  const byAgent = {};
+  const signalTypes = new Set();
+  for (const doc of docs) {
+    const t = normalizeTrade(doc);
+    const counts = byAgent[t.agentId] ||= { total: 0, live: 0, simulation: 0 };
+    counts.total++;
+    counts[t.mode === 'live' ? 'live' : 'simulation']++;
+    if (t.signalType) signalTypes.add(t.signalType);
+  }
+  return { total: docs.length, byAgent, signalTypes: [...signalTypes].sort() };
+}
+
+export function countSignals(docs) {
+  const byType = {};
+  for (const s of docs) {
+    if (!s.tradingStrategy) continue;
+    const counts = byType[s.tradingStrategy] ||= { type: s.tradingStrategy, n: 0, strengthSum: 0 };
+    counts.n++;
+    counts.strengthSum += s.signalStrength || 0;
+  }
+  return {
+    total: docs.length,
+    byType: Object.values(byType)
+      .map(({ type, n, strengthSum }) => ({ type, n, avgStrength: +(strengthSum / n).toFixed(1) }))
+      .sort((a, b) => b.n - a.n),
+  };
+}
+
+export function createStatsCache({ storage, ttlMs = DEFAULT_TTL_SECONDS * 1000, now = Date.now }) {
+  const entries = new Map();
+
+  // compute() runs again once any of the collections has been written to, or the entry is ttlMs old
+  async function cached(key, collections, compute) {
+    const writes = collections.map(c => c.writes ?? 0).join(':');
+    const hit = entries.get(key);
+    if (hit && hit.writes === writes && now() - hit.at < ttlMs) return hit.value;
+
+    const value = compute();
+    entries.set(key, { writes, at: now(), value });
+    try {
+      return await value;
+    } catch (error) {
+      if (entries.get(key)?.value === value) entries.delete(key);
+      throw error;
+    }
+  }
+
+  const trades = () => cached('trades', [storage.trades], () => storage.trades.all());
+
+  return {
+    trades,
+    async counts() {
+      const [tradeCounts, signalCounts] = await Promise.all([
+        cached('tradeCounts', [storage.trades], async () => countTrades(await trades())),
+        cached('signalCounts', [storage.signals], async () => countSignals(await storage.signals.all())),
+      ]);
+      return { trades: tradeCounts, signals: signalCounts };
+    },
+  };
+}
+
+const caches = new WeakMap();
+
+// One cache per storage instance, shared by every request; STATS_CACHE_TTL_SECONDS sets the TTL
+export function getStatsCache(storage) {
+  if (!caches.has(storage)) {
+    const ttlSeconds = Number(process.env.STATS_CACHE_TTL_SECONDS);
+    caches.set(storage, createStatsCache({ storage, ...(ttlSeconds > 0 && { ttlMs: ttlSeconds * 1000 }) }));
+  }
+  return caches.get(storage);
+}
@@ -0,0 +1,104 @@
+/**
+ * Firestore storage backend
+ * Every collection lives under users/{userId}/{collection}.
+ * Takes an already-initialized Firestore instance so it can be reused outside the server.
+ */
+
+// Firestore rejects batches with more than 500 writes
+const BATCH_SIZE = 450;
+
+function toDoc(snapshot) {
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+function createCollection(db, ref) {
+  return {
+    async get(id) {
+      return toDoc(await ref.doc(String(id)).get());
+    },
+
+    async getMany(ids) {
+      if (!ids.length) return [];
+      const snapshots = await db.getAll(...ids.map(id => ref.doc(String(id))));
+      return snapshots.map(toDoc);
+    },
+
+    async query({ where = [], orderBy, direction = 'asc', limit, startAfter } = {}) {
+      let query = ref;
+      for (const [field, op, value] of where) query = query.where(field, op, value);
+      if (orderBy) query = query.orderBy(orderBy, direction);
+      if (startAfter) {
+        const cursor = await ref.doc(String(startAfter)).get();
+        if (!cursor.exists) throw new Error(`startAfter document "${startAfter}" not found`);
+        query = query.startAfter(cursor);
+      }
+      if (limit) query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(toDoc);
+    },
+
+    async all() {
+      const snapshot = await ref.get();
+      return snapshot.docs.map(toDoc);
+    },
+
+    async set(id, data, { merge = false } = {}) {
+      await ref.doc(String(id)).set(data, { merge });
+    },
+
+    // Read-modify-write in a transaction. fn gets the stored data (null when missing) and returns the
+    // data to write whole, or undefined to leave it; Firestore may call it again on contention.
+    async update(id, fn) {
+      const doc = ref.doc(String(id));
+      return db.runTransaction(async (tx) => {
+        const snapshot = await tx.get(doc);
+        const next = fn(snapshot.exists ? snapshot.data() : null);
+        if (next !== undefined) tx.set(doc, next);
+        return next;
+      });
+    },
+
+    async setMany(docs, { merge = false } = {}) {
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const { id, ...data } of docs.slice(i, i + BATCH_SIZE)) {
+          batch.set(ref.doc(String(id)), data, { merge });
+        }
+        await batch.commit();
+      }
+      return docs.length;
+    },
+
+    async delete(id) {
+      await ref.doc(String(id)).delete();
+    },
+
+    async deleteMany(ids) {
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const id of ids.slice(i, i + BATCH_SIZE)) batch.delete(ref.doc(String(id)));
+        await batch.commit();
+      }
+      return ids.length;
+    },
+
+    async clear() {
+      const snapshot = await ref.select().get();
+      return this.deleteMany(snapshot.docs.map(doc => doc.id));
+    },
+  };
+}
+
+export function createFirestoreStorage(db, userId) {
+  const userRef = db.collection('users').doc(userId);
+  const cache = new Map();
+
+  return {
+    backend: 'firestore',
+    collection(name) {
+      if (!cache.has(name)) cache.set(name, createCollection(db, userRef.collection(name)));
+      return cache.get(name);
+    },
+  };
+}
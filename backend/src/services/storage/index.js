@@ -0,0 +1,87 @@
+/**
+ * Storage layer
+ * Routes talk to collection repositories instead of building Firestore paths inline.
+ * STORAGE_BACKEND picks the implementation:
+ *   firestore (default) — users/{FIREBASE_USER_ID}/... in the configured Firebase project
+ *   local               — JSON files in LOCAL_DATA_DIR, no Firebase project needed
+ *
+ * Every collection exposes the same async interface:
+ *   get(id), getMany(ids), query({ where, orderBy, direction, limit, startAfter }), all(),
+ *   set(id, data, { merge }), update(id, fn), setMany(docs, { merge }), delete(id), deleteMany(ids), clear()
+ * Documents come back as { id, ...data }; missing documents as null. update() is an atomic
+ * read-modify-write: fn(data or null) returns the new data, and must be pure since it may be retried. startAfter is the id of a
+ * stored document; query() throws when it no longer exists rather than starting over.
+ * The named repositories also count writes made through them (`writes`), so data derived from a
+ * collection can be cached until it changes.
+ */
+
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { initFirebase, getUserId } from '../firebase.js';
+import { createFirestoreStorage } from './firestore.js';
+import { createLocalStorage } from './local.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOCAL_DIR = resolve(__dirname, '../../../.data');
+
+let storage = null;
+
+const WRITE_METHODS = ['set', 'update', 'setMany', 'delete', 'deleteMany', 'clear'];
+
+// Bumps collection.writes once each write settles, whether it succeeded or not
+function countWrites(collection) {
+  collection.writes = 0;
+  for (const method of WRITE_METHODS) {
+    const write = collection[method];
+    collection[method] = async (...args) => {
+      try {
+        return await write.apply(collection, args);
+      } finally {
+        collection.writes++;
+      }
+    };
+  }
+  return collection;
+}
+
+// Named repositories for the collections the dashboard uses
+function withRepositories(base) {
+  return Object.assign(base, {
+    trades: countWrites(base.collection('trades')),
+    signals: countWrites(base.collection('signals')),
+    agents: countWrites(base.collection('agents')),
+    settings: countWrites(base.collection('settings')),
+    aiConversations: countWrites(base.collection('ai_conversations')),
+    solPrices: countWrites(base.collection('sol_prices')),
+    alerts: countWrites(base.collection('alerts')),
+    audit: countWrites(base.collection('audit_log')),
+    trash: countWrites(base.collection('trash')),
+    deletionBatches: countWrites(base.collection('deletion_batches')),
+    agentConfigVersions: countWrites(base.collection('agent_config_versions')),
+  });
+}
+
+export function getStorageBackend() {
+  return (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+}
+
+export function initStorage() {
+  const backend = getStorageBackend();
+
+  if (backend === 'local') {
+    storage = withRepositories(createLocalStorage(process.env.LOCAL_DATA_DIR || DEFAULT_LOCAL_DIR));
+  } else if (backend === 'firestore') {
+    storage = withRepositories(createFirestoreStorage(initFirebase(), getUserId()));
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected firestore or local)`);
+  }
+
+  return storage;
+}
+
+export function getStorage() {
+  if (!storage) {
+    initStorage();
+  }
+  return storage;
+}
@@ -0,0 +1,182 @@
+/**
+ * Local file storage backend
+ * Keeps each collection as a JSON file ({ [id]: data }) in a directory, fully in memory once loaded.
+ * Mirrors the Firestore backend's query semantics closely enough to run the dashboard offline.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const TYPE_ORDER = ['undefined', 'null', 'boolean', 'number', 'string', 'object'];
+
+function typeRank(value) {
+  if (value === null) return TYPE_ORDER.indexOf('null');
+  const rank = TYPE_ORDER.indexOf(typeof value);
+  return rank === -1 ? TYPE_ORDER.length : rank;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Same behaviour as Firestore set(..., { merge: true }): nested maps merge, everything else is replaced
+function deepMerge(target, source) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+function getField(data, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+function matches(data, [field, op, expected]) {
+  const value = getField(data, field);
+  switch (op) {
+    case '==': return value !== undefined && compareValues(value, expected) === 0;
+    case '!=': return value !== undefined && compareValues(value, expected) !== 0;
+    case '<': return value !== undefined && typeRank(value) === typeRank(expected) && compareValues(value, expected) < 0;
+    case '<=': return value !== undefined && typeRank(value) === typeRank(expected) && compareValues(value, expected) <= 0;
+    case '>': return value !== undefined && typeRank(value) === typeRank(expected) && compareValues(value, expected) > 0;
+    case '>=': return value !== undefined && typeRank(value) === typeRank(expected) && compareValues(value, expected) >= 0;
+    case 'in': return expected.some(e => compareValues(value, e) === 0);
+    case 'not-in': return value !== undefined && !expected.some(e => compareValues(value, e) === 0);
+    case 'array-contains': return Array.isArray(value) && value.some(v => compareValues(v, expected) === 0);
+    default: throw new Error(`Unsupported where operator: ${op}`);
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createCollection(dir, name) {
+  const file = join(dir, `${name}.json`);
+  let docs = null;
+
+  function load() {
+    if (!docs) docs = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+    return docs;
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written collection
+  function persist() {
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(docs));
+    renameSync(tmp, file);
+  }
+
+  function toDoc(id) {
+    const data = load()[id];
+    return data === undefined ? null : { id, ...clone(data) };
+  }
+
+  return {
+    async get(id) {
+      return toDoc(String(id));
+    },
+
+    async getMany(ids) {
+      return ids.map(id => toDoc(String(id)));
+    },
+
+    async query({ where = [], orderBy, direction = 'asc', limit, startAfter } = {}) {
+      const store = load();
+      const sign = direction === 'desc' ? -1 : 1;
+      const compare = (a, b) => {
+        const byField = orderBy ? compareValues(getField(store[a], orderBy), getField(store[b], orderBy)) : 0;
+        return sign * (byField || compareValues(a, b));
+      };
+
+      let ids = Object.keys(store).filter(id => where.every(w => matches(store[id], w)));
+      // Firestore leaves out documents that don't have the orderBy field
+      if (orderBy) ids = ids.filter(id => getField(store[id], orderBy) !== undefined);
+      ids.sort(compare);
+
+      if (startAfter !== undefined && startAfter !== null) {
+        if (store[startAfter] === undefined) throw new Error(`startAfter document "${startAfter}" not found`);
+        ids = ids.filter(id => compare(id, String(startAfter)) > 0);
+      }
+      if (limit) ids = ids.slice(0, limit);
+
+      return ids.map(toDoc);
+    },
+
+    async all() {
+      return Object.keys(load()).map(toDoc);
+    },
+
+    async set(id, data, { merge = false } = {}) {
+      const store = load();
+      const key = String(id);
+      store[key] = merge && store[key] ? deepMerge(store[key], clone(data)) : clone(data);
+      persist();
+    },
+
+    // fn runs synchronously between the read and the write, so nothing can interleave
+    async update(id, fn) {
+      const store = load();
+      const key = String(id);
+      const next = fn(store[key] === undefined ? null : clone(store[key]));
+      if (next !== undefined) {
+        store[key] = clone(next);
+        persist();
+      }
+      return next;
+    },
+
+    async setMany(list, { merge = false } = {}) {
+      const store = load();
+      for (const { id, ...data } of list) {
+        const key = String(id);
+        store[key] = merge && store[key] ? deepMerge(store[key], clone(data)) : clone(data);
+      }
+      persist();
+      return list.length;
+    },
+
+    async delete(id) {
+      delete load()[String(id)];
+      persist();
+    },
+
+    async deleteMany(ids) {
+      const store = load();
+      for (const id of ids) delete store[String(id)];
+      persist();
+      return ids.length;
+    },
+
+    async clear() {
+      const count = Object.keys(load()).length;
+      docs = {};
+      persist();
+      return count;
+    },
+  };
+}
+
+export function createLocalStorage(dir) {
+  mkdirSync(dir, { recursive: true });
+  const cache = new Map();
+
+  return {
+    backend: 'local',
+    dir,
+    collection(name) {
+      if (!cache.has(name)) cache.set(name, createCollection(dir, name));
+      return cache.get(name);
+    },
+  };
+}
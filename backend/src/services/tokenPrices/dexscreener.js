@@ -0,0 +1,41 @@
+/**
+ * DexScreener token price provider
+ * One request covers up to 30 token addresses; the most liquid pair quotes each token.
+ */
+
+import { RateLimitError } from './errors.js';
+
+const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex';
+
+export function createDexScreenerProvider({ fetch: fetchImpl = globalThis.fetch } = {}) {
+  return {
+    name: 'dexscreener',
+    maxBatch: 30,
+
+    async fetchPrices(addresses) {
+      const response = await fetchImpl(`${DEXSCREENER_API}/tokens/${addresses.join(',')}`);
+      if (response.status === 429) throw RateLimitError.fromResponse(response, 'dexscreener');
+      if (!response.ok) throw new Error(`DexScreener ${response.status}`);
+
+      const data = await response.json();
+      const best = {};
+      for (const pair of data.pairs || []) {
+        const address = pair.baseToken?.address;
+        if (!addresses.includes(address)) continue;
+        if (!best[address] || (pair.liquidity?.usd || 0) > (best[address].liquidity?.usd || 0)) best[address] = pair;
+      }
+
+      const prices = {};
+      for (const [address, pair] of Object.entries(best)) {
+        prices[address] = {
+          priceUsd: parseFloat(pair.priceUsd) || null,
+          priceChange24h: pair.priceChange?.h24 ?? null,
+          liquidity: pair.liquidity?.usd ?? null,
+          volume24h: pair.volume?.h24 ?? null,
+          dex: pair.dexId,
+        };
+      }
+      return prices;
+    },
+  };
+}
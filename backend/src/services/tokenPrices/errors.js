@@ -0,0 +1,13 @@
+// Thrown by providers on HTTP 429 so the price service can back off and retry
+export class RateLimitError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  static fromResponse(response, provider) {
+    const seconds = Number(response.headers?.get?.('retry-after'));
+    return new RateLimitError(`${provider} rate limit`, Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null);
+  }
+}
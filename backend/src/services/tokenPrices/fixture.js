@@ -0,0 +1,28 @@
+/**
+ * Fixture token price provider
+ * Serves prices from a map ({ [address]: priceUsd | { priceUsd, ... } }) or a JSON file of one,
+ * for tests and offline development. Addresses not in the map have no price.
+ */
+
+import { readFileSync } from 'fs';
+
+export function createFixtureProvider(prices = {}) {
+  return {
+    name: 'fixture',
+    maxBatch: 100,
+
+    async fetchPrices(addresses) {
+      const out = {};
+      for (const address of addresses) {
+        const entry = prices[address];
+        if (entry === undefined) continue;
+        out[address] = typeof entry === 'number' ? { priceUsd: entry } : { ...entry };
+      }
+      return out;
+    },
+  };
+}
+
+export function createFixtureProviderFromFile(file) {
+  return createFixtureProvider(JSON.parse(readFileSync(file, 'utf8')));
+}
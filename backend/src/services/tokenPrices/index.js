@@ -0,0 +1,156 @@
+/**
+ * Token price service
+ * Live USD prices for token addresses (open positions) from a pluggable provider.
+ *
+ *   - Prices are cached per address for ttlMs; only expired or missing addresses hit the provider.
+ *   - Lookups are split into provider-sized batches, at most `concurrency` requests at a time,
+ *     and concurrent callers asking for the same address share one request.
+ *   - Rate limits (RateLimitError) are retried with exponential backoff, honouring Retry-After up to
+ *     maxBackoffMs; a longer Retry-After gives up on the refresh straight away.
+ *   - When a refresh fails the last known price is returned with stale: true (up to maxStaleMs old);
+ *     with nothing usable cached, priceUsd is null and stale is true.
+ *
+ * Provider interface: { name, maxBatch, fetchPrices(addresses) → { [address]: { priceUsd, ... } } }
+ * An address the provider leaves out of its result keeps its last known price (aging towards stale);
+ * without one it is cached as "no price". Either way it isn't asked for again until the TTL passes.
+ */
+
+import { createDexScreenerProvider } from './dexscreener.js';
+import { createJupiterProvider } from './jupiter.js';
+import { createFixtureProvider, createFixtureProviderFromFile } from './fixture.js';
+import { RateLimitError } from './errors.js';
+
+export { RateLimitError, createDexScreenerProvider, createJupiterProvider, createFixtureProvider };
+
+export const PROVIDERS = ['dexscreener', 'jupiter', 'fixture'];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Run async tasks with at most `limit` in flight
+async function runLimited(tasks, limit) {
+  const queue = [...tasks];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length) await queue.shift()();
+  });
+  await Promise.all(workers);
+}
+
+export function createTokenPriceService({
+  provider,
+  ttlMs = 30 * 1000,
+  maxStaleMs = 30 * 60 * 1000,
+  concurrency = 2,
+  retries = 3,
+  backoffMs = 1000,
+  maxBackoffMs = 10 * 1000,
+  maxEntries = 5000,
+  now = Date.now,
+  sleep = wait,
+}) {
+  const cache = new Map();    // address → { priceUsd, fetchedAt, checkedAt, ...provider fields }
+  const inFlight = new Map(); // address → promise settled when its batch finishes
+
+  function remember(address, entry) {
+    cache.delete(address);
+    cache.set(address, entry);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  async function fetchWithBackoff(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await provider.fetchPrices(batch);
+      } catch (error) {
+        if (!(error instanceof RateLimitError) || attempt >= retries) throw error;
+        if (error.retryAfterMs > maxBackoffMs) throw error;
+        await sleep(Math.min(error.retryAfterMs ?? backoffMs * 2 ** attempt, maxBackoffMs));
+      }
+    }
+  }
+
+  async function refresh(batch) {
+    try {
+      const prices = await fetchWithBackoff(batch);
+      const checkedAt = now();
+      for (const address of batch) {
+        const fresh = prices[address]?.priceUsd != null;
+        const previous = cache.get(address);
+        if (fresh) remember(address, { ...prices[address], fetchedAt: checkedAt, checkedAt });
+        else remember(address, { ...(previous || { priceUsd: null, fetchedAt: checkedAt }), checkedAt });
+      }
+    } catch (error) {
+      console.warn(`⚠️ ${provider.name} price refresh failed for ${batch.length} token(s): ${error.message}`);
+    }
+  }
+
+  function quote(address, time) {
+    const entry = cache.get(address);
+    if (!entry || time - entry.fetchedAt > maxStaleMs) {
+      return { priceUsd: null, fetchedAt: null, stale: true, source: provider.name };
+    }
+    return { ...entry, stale: entry.priceUsd === null || time - entry.fetchedAt > ttlMs, source: provider.name };
+  }
+
+  // { [address]: { priceUsd, fetchedAt, stale, source, ... } } for every requested address
+  async function getPrices(addresses) {
+    const unique = [...new Set(addresses.filter(Boolean))];
+    const time = now();
+    const expired = unique.filter(a => !cache.has(a) || time - cache.get(a).checkedAt > ttlMs);
+    const pending = expired.filter(a => inFlight.has(a)).map(a => inFlight.get(a));
+    const toFetch = expired.filter(a => !inFlight.has(a));
+
+    const tasks = chunk(toFetch, provider.maxBatch).map(batch => () => refresh(batch));
+    const run = runLimited(tasks, concurrency);
+    for (const address of toFetch) inFlight.set(address, run);
+    try {
+      await Promise.all([run, ...pending]);
+    } finally {
+      for (const address of toFetch) if (inFlight.get(address) === run) inFlight.delete(address);
+    }
+
+    const checkedAt = now();
+    return Object.fromEntries(unique.map(a => [a, quote(a, checkedAt)]));
+  }
+
+  function stats() {
+    return { provider: provider.name, cached: cache.size, inFlight: inFlight.size, ttlMs, maxStaleMs };
+  }
+
+  return { getPrices, stats, provider: provider.name };
+}
+
+function createProviderFromEnv() {
+  const name = (process.env.PRICE_PROVIDER || 'dexscreener').toLowerCase();
+  switch (name) {
+    case 'dexscreener':
+      return createDexScreenerProvider();
+    case 'jupiter':
+      return createJupiterProvider({ apiKey: process.env.JUPITER_API_KEY || null });
+    case 'fixture':
+      return process.env.PRICE_FIXTURE_FILE ? createFixtureProviderFromFile(process.env.PRICE_FIXTURE_FILE) : createFixtureProvider();
+    default:
+      throw new Error(`Unknown PRICE_PROVIDER "${name}" (expected ${PROVIDERS.join(', ')})`);
+  }
+}
+
+let service = null;
+
+// PRICE_PROVIDER picks the source (default dexscreener); PRICE_CACHE_TTL_SECONDS and PRICE_CONCURRENCY tune it
+export function getTokenPriceService() {
+  if (!service) {
+    const ttlSeconds = Number(process.env.PRICE_CACHE_TTL_SECONDS);
+    const concurrency = Number(process.env.PRICE_CONCURRENCY);
+    service = createTokenPriceService({
+      provider: createProviderFromEnv(),
+      ...(ttlSeconds > 0 && { ttlMs: ttlSeconds * 1000 }),
+      ...(concurrency > 0 && { concurrency: Math.floor(concurrency) }),
+    });
+  }
+  return service;
+}
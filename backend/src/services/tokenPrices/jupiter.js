@@ -0,0 +1,35 @@
+/**
+ * Jupiter token price provider (Price API v3)
+ * One request covers up to 50 mints. Without an API key the free lite endpoint is used.
+ */
+
+import { RateLimitError } from './errors.js';
+
+const JUPITER_LITE_API = 'https://lite-api.jup.ag/price/v3';
+const JUPITER_API = 'https://api.jup.ag/price/v3';
+
+export function createJupiterProvider({ apiKey = null, fetch: fetchImpl = globalThis.fetch } = {}) {
+  return {
+    name: 'jupiter',
+    maxBatch: 50,
+
+    async fetchPrices(addresses) {
+      const url = `${apiKey ? JUPITER_API : JUPITER_LITE_API}?ids=${addresses.join(',')}`;
+      const response = await fetchImpl(url, { headers: apiKey ? { 'x-api-key': apiKey } : {} });
+      if (response.status === 429) throw RateLimitError.fromResponse(response, 'jupiter');
+      if (!response.ok) throw new Error(`Jupiter ${response.status}`);
+
+      const data = await response.json();
+      const prices = {};
+      for (const address of addresses) {
+        const quote = data[address];
+        if (!quote) continue;
+        prices[address] = {
+          priceUsd: Number(quote.usdPrice) || null,
+          priceChange24h: quote.priceChange24h ?? null,
+        };
+      }
+      return prices;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Risk metrics over stored trades, for alert rules and the circuit breaker.
+ * Works on realized trades (OPEN and FAILED dropped) in the calcStats shape, newest first.
+ */
+
+import { calcStats, normalizeTrade, normalizeMode } from '../../../shared/stats.js';
+import { startOfDayInTimeZone } from '../../../shared/time.js';
+
+// How many recent trades rules look at — enough for streaks, a day's P/L and a 50-trade window per agent
+export const RECENT_TRADE_LIMIT = 2000;
+
+export async function loadRecentTrades(collection, limit = RECENT_TRADE_LIMIT) {
+  return collection.query({ orderBy: 'timestamp', direction: 'desc', limit });
+}
+
+export function realizedTrades(docs, { agentId = null, mode = null } = {}) {
+  const wantMode = mode ? normalizeMode(mode) : null;
+  return docs
+    .map(normalizeTrade)
+    .filter(t => t.status !== 'OPEN' && t.status !== 'FAILED')
+    .filter(t => !agentId || t.agentId === agentId)
+    .filter(t => !wantMode || t.mode === wantMode)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Signed USD amount for alert and trip messages
+export const usd = v => `${v < 0 ? '−' : ''}$${Math.abs(v).toFixed(2)}`;
+
+export function agentIds(trades) {
+  return [...new Set(trades.map(t => t.agentId))];
+}
+
+// Losing trades in a row, counting back from the newest; a win or a break-even trade ends the streak
+export function lossStreak(trades) {
+  let streak = 0;
+  for (const t of trades) {
+    if (t.pnlUsd >= 0) break;
+    streak++;
+  }
+  return streak;
+}
+
+export function pnlSince(trades, from) {
+  return trades.filter(t => t.timestamp >= from).reduce((sum, t) => sum + t.pnlUsd, 0);
+}
+
+// Realized P/L since midnight in `timeZone`
+export function dailyPnl(trades, now, timeZone) {
+  return pnlSince(trades, startOfDayInTimeZone(now, timeZone));
+}
+
+export function recentStats(trades, window) {
+  return calcStats(trades.slice(0, window));
+}
+
+// How far cumulative realized P/L is below its running peak (starting from 0), in USD
+export function drawdownFromPeak(trades) {
+  let cumulative = 0;
+  let peak = 0;
+  for (const t of [...trades].reverse()) {
+    cumulative += t.pnlUsd;
+    peak = Math.max(peak, cumulative);
+  }
+  return peak - cumulative;
+}
@@ -0,0 +1,164 @@
+/**
+ * Soft delete
+ * Deleting trades or signals moves them into the `trash` collection in chunks, tagged with a
+ * deletion batch id; the batch itself is recorded in `deletion_batches`. A batch can be restored
+ * as a whole, or purged for good once TRASH_RETENTION_DAYS (default 30) have passed. Expired
+ * batches are also purged automatically.
+ *
+ * Trash entry: { batchId, collection, docId, deletedAt, data }
+ * Batch:       { collection, status, count, deletedAt, deletedBy, reason, purgeAfter,
+ *                restoredAt, restoredBy, restored, skipped, purgedAt, purgedBy }
+ * Status runs deleting → trashed → restoring → restored, or trashed → purged. A batch left in
+ * "deleting" or "restoring" by a crash holds whatever was moved so far and can be resumed.
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage/index.js';
+
+export const TRASHABLE_COLLECTIONS = ['trades', 'signals'];
+export const BATCH_STATUSES = ['deleting', 'trashed', 'restoring', 'restored', 'purged'];
+
+// Documents moved per round: one trash write and one delete, each under Firestore's 500-write batch limit
+const CHUNK_SIZE = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export function retentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+export function createTrashService({ storage, retentionMs = retentionDays() * DAY_MS, now = Date.now }) {
+  const batches = storage.deletionBatches;
+  const trash = storage.trash;
+
+  async function updateBatch(id, changes) {
+    await batches.set(id, changes, { merge: true });
+    return batches.get(id);
+  }
+
+  async function moveToTrash(batchId, collectionName, docs, deletedAt) {
+    await trash.setMany(docs.map(({ id, ...data }) => ({
+      id: `${batchId}:${id}`, batchId, collection: collectionName, docId: id, deletedAt, data,
+    })));
+    await storage[collectionName].deleteMany(docs.map(d => d.id));
+  }
+
+  /**
+   * Soft-delete `ids` from a collection, or every document when ids is null.
+   * Resolves to the batch; count is how many documents went to the trash.
+   */
+  async function trashDocs(collectionName, ids, { by, reason = null } = {}) {
+    if (!TRASHABLE_COLLECTIONS.includes(collectionName)) throw new Error(`Cannot trash ${collectionName}`);
+    const collection = storage[collectionName];
+    const deletedAt = now();
+    const batchId = `del_${deletedAt}_${randomBytes(3).toString('hex')}`;
+    await batches.set(batchId, {
+      collection: collectionName, status: 'deleting', count: 0, deletedAt, deletedBy: by || null,
+      reason, purgeAfter: deletedAt + retentionMs, scope: ids ? 'selected' : 'all',
+    });
+
+    let count = 0;
+    if (ids) {
+      for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+        const docs = (await collection.getMany(ids.slice(i, i + CHUNK_SIZE))).filter(Boolean);
+        if (!docs.length) continue;
+        await moveToTrash(batchId, collectionName, docs, deletedAt);
+        count += docs.length;
+        await batches.set(batchId, { count }, { merge: true });
+      }
+    } else {
+      // Moved documents leave the collection, so each round reads the next chunk from the start
+      for (;;) {
+        const docs = await collection.query({ limit: CHUNK_SIZE });
+        if (!docs.length) break;
+        await moveToTrash(batchId, collectionName, docs, deletedAt);
+        count += docs.length;
+        await batches.set(batchId, { count }, { merge: true });
+      }
+    }
+
+    // Nothing matched: don't leave an empty batch in the list
+    if (!count) {
+      await batches.delete(batchId);
+      return { id: null, count: 0, purgeAfter: null };
+    }
+    return updateBatch(batchId, { status: 'trashed', count });
+  }
+
+  async function list({ status = null, limit = 100 } = {}) {
+    const where = status ? [['status', '==', status]] : [];
+    return batches.query({ where, orderBy: 'deletedAt', direction: 'desc', limit });
+  }
+
+  // Resolves to null when the batch doesn't exist, { error } when it is not in the trash
+  async function restore(batchId, by) {
+    const batch = await batches.get(batchId);
+    if (!batch) return null;
+    if (!['trashed', 'deleting', 'restoring'].includes(batch.status)) return { error: `Batch is ${batch.status}` };
+
+    await batches.set(batchId, { status: 'restoring' }, { merge: true });
+    const collection = storage[batch.collection];
+    let restored = batch.restored || 0;
+    let skipped = batch.skipped || 0;
+
+    for (;;) {
+      const entries = await trash.query({ where: [['batchId', '==', batchId]], limit: CHUNK_SIZE });
+      if (!entries.length) break;
+      // A document re-imported since the delete wins over its trashed copy
+      const current = await collection.getMany(entries.map(e => e.docId));
+      const missing = entries.filter((_, i) => !current[i]);
+      if (missing.length) await collection.setMany(missing.map(e => ({ ...e.data, id: e.docId })));
+      await trash.deleteMany(entries.map(e => e.id));
+      restored += missing.length;
+      skipped += entries.length - missing.length;
+      await batches.set(batchId, { restored, skipped }, { merge: true });
+    }
+
+    return updateBatch(batchId, { status: 'restored', restoredAt: now(), restoredBy: by || null, restored, skipped });
+  }
+
+  // Resolves to null when the batch doesn't exist, { error } while it is still inside the retention period
+  async function purge(batchId, by, { force = false } = {}) {
+    const batch = await batches.get(batchId);
+    if (!batch) return null;
+    if (!['trashed', 'deleting'].includes(batch.status)) return { error: `Batch is ${batch.status}` };
+    if (!force && batch.purgeAfter > now()) return { error: `Batch is kept until ${new Date(batch.purgeAfter).toISOString()}` };
+
+    let purged = 0;
+    for (;;) {
+      const entries = await trash.query({ where: [['batchId', '==', batchId]], limit: CHUNK_SIZE });
+      if (!entries.length) break;
+      purged += await trash.deleteMany(entries.map(e => e.id));
+    }
+    return updateBatch(batchId, { status: 'purged', purgedAt: now(), purgedBy: by || null, purged });
+  }
+
+  async function purgeExpired() {
+    const expired = (await list({ status: 'trashed', limit: 500 })).filter(b => b.purgeAfter <= now());
+    for (const batch of expired) await purge(batch.id, 'trash-retention');
+    return expired.length;
+  }
+
+  function start({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+    const run = () => purgeExpired()
+      .then(n => { if (n) console.log(`🗑️  Purged ${n} expired deletion batch(es)`); })
+      .catch(error => console.error('Trash purge failed:', error.message));
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  return { trashDocs, list, get: id => batches.get(id), restore, purge, purgeExpired, start, retentionMs };
+}
+
+let service = null;
+
+export function getTrashService() {
+  if (!service) service = createTrashService({ storage: getStorage() });
+  return service;
+}
+
+export function startTrashSweeper() {
+  return getTrashService().start();
+}
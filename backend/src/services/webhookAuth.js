@@ -0,0 +1,98 @@
+/**
+ * Webhook request signing
+ * Every sender (source) shares one or more secrets with the backend.
+ * A request is signed as HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and carries:
+ *   X-Webhook-Source     — source id, must exist in WEBHOOK_SECRETS
+ *   X-Webhook-Timestamp  — unix seconds at signing time
+ *   X-Webhook-Signature  — "sha256=<hex digest>"
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Signatures of handled requests, kept until their timestamp leaves the window: signature → expiry (ms).
+// Held in memory, so a restart forgets them and each instance keeps its own: a request captured before
+// a restart, or sent to another instance, can be replayed while its timestamp is still in the window.
+const seenSignatures = new Map();
+// Signatures whose request is still being handled, so a concurrent copy is rejected too
+const pendingSignatures = new Map();
+
+// WEBHOOK_SECRETS={"nexgent-ai":"secret"} — a list of secrets per source allows rotation
+export function getWebhookSecrets() {
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.WEBHOOK_SECRETS || '{}');
+  } catch {
+    console.error('❌ WEBHOOK_SECRETS is not valid JSON — all webhook requests will be rejected');
+    return {};
+  }
+
+  const secrets = {};
+  for (const [source, value] of Object.entries(parsed || {})) {
+    const list = (Array.isArray(value) ? value : [value]).filter(s => typeof s === 'string' && s);
+    if (list.length) secrets[source] = list;
+  }
+  return secrets;
+}
+
+export function getToleranceSeconds() {
+  return parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function pruneSeen(now) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(signature);
+  }
+}
+
+/**
+ * Verify a signed webhook request.
+ * Returns { ok: true, source } or { ok: false, reason } — reason is a stable machine-readable code.
+ * An accepted signature is held until settleWebhookRequest reports how the request went.
+ */
+export function verifyWebhookRequest({ source, timestamp, signature, rawBody }, now = Date.now()) {
+  const secrets = getWebhookSecrets();
+  if (Object.keys(secrets).length === 0) return { ok: false, reason: 'secrets_not_configured' };
+
+  if (!source) return { ok: false, reason: 'missing_source' };
+  if (!timestamp) return { ok: false, reason: 'missing_timestamp' };
+  if (!signature) return { ok: false, reason: 'missing_signature' };
+  if (rawBody === undefined) return { ok: false, reason: 'missing_body' };
+
+  const sourceSecrets = secrets[source];
+  if (!sourceSecrets) return { ok: false, reason: 'unknown_source' };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return { ok: false, reason: 'invalid_timestamp' };
+  const toleranceMs = getToleranceSeconds() * 1000;
+  if (Math.abs(now - ts * 1000) > toleranceMs) return { ok: false, reason: 'timestamp_out_of_window' };
+
+  const matched = sourceSecrets.some(secret => safeEqual(signPayload(secret, timestamp, rawBody), signature));
+  if (!matched) return { ok: false, reason: 'invalid_signature' };
+
+  pruneSeen(now);
+  if (seenSignatures.has(signature) || pendingSignatures.has(signature)) return { ok: false, reason: 'replayed_request' };
+  pendingSignatures.set(signature, ts * 1000 + toleranceMs);
+
+  return { ok: true, source };
+}
+
+// Once the handler is done: a handled request's signature can't be used again, a failed one can be retried
+export function settleWebhookRequest(signature, handled) {
+  const expiresAt = pendingSignatures.get(signature);
+  if (expiresAt === undefined) return;
+  pendingSignatures.delete(signature);
+  if (handled) seenSignatures.set(signature, expiresAt);
+}
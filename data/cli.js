@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * Nexgent data CLI — import, export, dedupe and verify trades and signals
+ *
+ * Usage:
+ *   node cli.js import [trades|signals] <paths or globs...>  [--agent <agent>] [--mode live|simulation] [--tz <zone>] [--dry-run]
+ *   node cli.js export trades|signals [--agent <agent>] [--mode live|simulation] [--format json|ndjson] [--out <file>]
+ *   node cli.js dedupe [--dry-run]
+ *   node cli.js verify [<paths or globs...>] [--tz <zone>]
+ *   node cli.js backup [--out <file.ndjson.gz>] [--collections trades,signals,...]
+ *   node cli.js restore <file.ndjson.gz> [--replace] [--collections trades,...] [--dry-run]
+ *
+ * Common options:
+ *   --storage firestore|local   where to read/write (default: STORAGE_BACKEND or firestore)
+ *   --data-dir <dir>            local store directory (default: LOCAL_DATA_DIR or ../backend/.data)
+ *   --json                      print a JSON summary to stdout instead of the human-readable log
+ *
+ * --tz is the IANA zone the exports' times were written in (default NEXGENT_TIMEZONE, then UTC).
+ * Without trades|signals, import detects each file's type from its header row. Agent and mode
+ * come from the filename ("Nexgent Pro Trade History - Live Mode.csv") unless overridden; a trade
+ * history with neither a mode in its name nor --mode fails instead of defaulting to simulation.
+ * Directories import every .csv inside; globs may use * and ? in the file-name part.
+ *
+ * backup writes every collection (or --collections) to a gzip-compressed NDJSON archive with a
+ * manifest and checksums. restore checks the archive first, then upserts its documents; with
+ * --replace it clears each restored collection first. Use them to snapshot before risky changes or to move
+ * data between Firebase projects (back up with one .env, restore with another).
+ *
+ * Exit codes: 0 success, 1 some rows or files failed (or verify found problems), 2 usage or fatal error.
+ *
+ * Firestore needs a .env in this folder (or env vars):
+ *   FIREBASE_SERVICE_ACCOUNT=<json string>
+ *   FIREBASE_USER_ID=<user id>
+ */
+
+import 'dotenv/config';
+import { createReadStream, createWriteStream, existsSync, readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { resolveAgentName, resolveExportFile, agentIdFromName } from '../shared/nexgent.js';
+import { normalizeMode } from '../shared/stats.js';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { createFirestoreStorage } from '../backend/src/services/storage/firestore.js';
+import { analyzeCsvStream, MODE_REQUIRED } from '../backend/src/services/csvImport.js';
+import { upsertDocs, dedupeTrades, verifyCollection } from '../backend/src/services/importer.js';
+import { loadAgentRegistry, registerUnknownAgents } from '../backend/src/services/agentRegistry.js';
+import { writeBackup, restoreBackup, backupFileName, BACKUP_COLLECTIONS, RESTORE_MODES } from '../backend/src/services/backup.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const KINDS = ['trades', 'signals'];
+const MAX_ISSUES_SHOWN = 10;
+
+class UsageError extends Error {}
+
+// ── Args ──────────────────────────────────────────────────────────────────────
+const ARG_OPTIONS = {
+  allowPositionals: true,
+  options: {
+    agent: { type: 'string' },
+    mode: { type: 'string' },
+    tz: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    storage: { type: 'string' },
+    'data-dir': { type: 'string' },
+    format: { type: 'string', default: 'json' },
+    out: { type: 'string' },
+    collections: { type: 'string' },
+    replace: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+};
+
+let opts = {};
+let positionals = [];
+
+const log = (...args) => { if (!opts.json) console.log(...args); };
+const warn = (...args) => { if (!opts.json) console.warn(...args); };
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+async function openStorage() {
+  const backend = (opts.storage || process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+
+  if (backend === 'local') {
+    const dir = resolve(opts['data-dir'] || process.env.LOCAL_DATA_DIR || join(__dirname, '../backend/.data'));
+    return { label: `local: ${dir}`, store: createLocalStorage(dir) };
+  }
+  if (backend !== 'firestore') throw new UsageError(`Unknown storage "${backend}" (expected firestore or local)`);
+
+  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || '{}');
+  if (!serviceAccount.project_id) throw new UsageError('FIREBASE_SERVICE_ACCOUNT env var not set or invalid (or use --storage local)');
+
+  // Loaded lazily so --storage local works without Firebase credentials
+  const { initializeApp, getApps, cert } = await import('firebase-admin/app');
+  const { getFirestore } = await import('firebase-admin/firestore');
+  if (getApps().length === 0) initializeApp({ credential: cert(serviceAccount) });
+  const userId = process.env.FIREBASE_USER_ID || 'nexgent';
+  return { label: `firestore: ${serviceAccount.project_id} / ${userId}`, store: createFirestoreStorage(getFirestore(), userId) };
+}
+
+// ── Paths and globs ───────────────────────────────────────────────────────────
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function expandPaths(args) {
+  const files = [];
+  for (const arg of args) {
+    if (/[*?]/.test(basename(arg))) {
+      const dir = dirname(arg);
+      const re = globToRegExp(basename(arg));
+      const matches = existsSync(dir) ? readdirSync(dir).filter(f => re.test(f)).sort() : [];
+      if (!matches.length) throw new UsageError(`No files match ${arg}`);
+      files.push(...matches.map(f => join(dir, f)));
+    } else if (existsSync(arg) && statSync(arg).isDirectory()) {
+      files.push(...readdirSync(arg).filter(f => f.toLowerCase().endsWith('.csv')).sort().map(f => join(arg, f)));
+    } else if (existsSync(arg)) {
+      files.push(arg);
+    } else {
+      throw new UsageError(`File not found: ${arg}`);
+    }
+  }
+  return [...new Set(files)];
+}
+
+// --agent resolved against the store's agent registry
+function agentOverride(agents) {
+  if (!opts.agent) return null;
+  const id = resolveAgentName(opts.agent, agents);
+  if (!id) throw new UsageError(`Unknown agent "${opts.agent}" (known: ${agents.map(a => a.id).join(', ')})`);
+  return id;
+}
+
+function modeOverride() {
+  if (!opts.mode) return null;
+  const mode = normalizeMode(opts.mode);
+  if (!['live', 'simulation'].includes(mode)) throw new UsageError('--mode must be live or simulation');
+  return mode;
+}
+
+// Neither --mode nor the file name gave one: there is no default, so say how to pass it
+function fileError(error) {
+  return error === MODE_REQUIRED ? 'No mode: the file name has no "Live Mode" / "Simulation Mode" — pass --mode live or --mode simulation' : error;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+async function importFiles(args) {
+  const kind = KINDS.includes(args[0]) ? args.shift() : null;
+  if (!args.length) throw new UsageError('import needs at least one file, directory or glob');
+  const files = expandPaths(args);
+  const mode = modeOverride();
+  const dryRun = opts['dry-run'];
+  const { label, store } = await openStorage();
+  const agents = await loadAgentRegistry(store.collection('agents'));
+  const agentId = agentOverride(agents);
+
+  log(`\n🚀 Importing ${files.length} file(s) into ${label}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const importedAt = new Date().toISOString();
+  const results = [];
+  for (const file of files) {
+    const inferred = resolveExportFile(file, agents);
+    // A trade history for an agent the registry doesn't know yet gets an id from its file name
+    const newAgentId = !agentId && inferred.kind === 'trades' && !inferred.agentId && inferred.agentName ? agentIdFromName(inferred.agentName) : null;
+    const entry = { file, agentId: agentId || inferred.agentId || newAgentId, mode: mode || inferred.mode };
+    results.push(entry);
+    log(`📂 ${basename(file)}`);
+
+    const analysis = await analyzeCsvStream(createReadStream(file), { agentId: entry.agentId, mode: entry.mode, timeZone: opts.tz });
+    if (!analysis.ok) {
+      entry.error = fileError(analysis.error);
+      warn(`   ❌ ${entry.error}\n`);
+      continue;
+    }
+
+    const { docs, ok: _ok, ...report } = analysis;
+    Object.assign(entry, report);
+    if (kind && report.format !== kind) {
+      entry.error = `Expected a ${kind} export but this is ${report.format}`;
+      warn(`   ❌ ${entry.error}\n`);
+      continue;
+    }
+    if (report.format === 'signals') {
+      delete entry.agentId;
+      delete entry.mode;
+    }
+
+    log(`   ${report.format}${entry.agentId ? ` · ${entry.agentId} · ${entry.mode}` : ''} · times in ${report.timeZone} · ${report.totalRows} rows, ${report.validRows} valid`);
+    for (const issue of report.issues.slice(0, MAX_ISSUES_SHOWN)) {
+      warn(`   ${issue.severity === 'error' ? '❌' : '⚠️ '} line ${issue.line} · ${issue.field}: ${issue.message}`);
+    }
+    if (report.issues.length > MAX_ISSUES_SHOWN) warn(`   … ${report.issues.length - MAX_ISSUES_SHOWN} more issues`);
+
+    const collection = store.collection(report.format);
+    entry.result = await upsertDocs(collection, docs.map(doc => ({ ...doc, importedAt })), { dryRun });
+    const { inserted, updated, skipped } = entry.result;
+    log(`   ${dryRun ? '🔍 Would write' : '✅'} ${inserted} inserted, ${updated} updated, ${skipped} skipped as duplicates${report.errorRows ? `, ${report.errorRows} rejected` : ''}\n`);
+    if (!dryRun && report.format === 'trades' && docs.length) {
+      const registered = await registerUnknownAgents(store.collection('agents'), [entry.agentId], { names: newAgentId ? { [newAgentId]: inferred.agentName } : {} });
+      for (const agent of registered) {
+        agents.push(agent);
+        log(`   🆕 Registered agent ${agent.id} (${agent.name})\n`);
+      }
+      entry.registeredAgents = registered.map(a => a.id);
+    }
+  }
+
+  const totals = { files: files.length, failedFiles: 0, inserted: 0, updated: 0, skipped: 0, rejected: 0 };
+  for (const r of results) {
+    if (r.error) totals.failedFiles++;
+    totals.inserted += r.result?.inserted || 0;
+    totals.updated += r.result?.updated || 0;
+    totals.skipped += r.result?.skipped || 0;
+    totals.rejected += r.errorRows || 0;
+  }
+  const ok = totals.failedFiles === 0 && totals.rejected === 0;
+  log(`${ok ? '🎉' : '⚠️ '} ${totals.inserted} inserted, ${totals.updated} updated, ${totals.skipped} skipped, ${totals.rejected} rejected rows, ${totals.failedFiles} failed files`);
+
+  return { ok, summary: { command: 'import', storage: label, dryRun, totals, files: results } };
+}
+
+async function exportDocs(args) {
+  const kind = args[0];
+  if (!KINDS.includes(kind)) throw new UsageError('export needs trades or signals');
+  if (!['json', 'ndjson'].includes(opts.format)) throw new UsageError('--format must be json or ndjson');
+  const mode = modeOverride();
+  const { label, store } = await openStorage();
+  const agentId = agentOverride(await loadAgentRegistry(store.collection('agents')));
+
+  const where = [];
+  if (agentId) where.push(['agentId', '==', agentId]);
+  if (mode) where.push(['mode', '==', mode]);
+  const docs = where.length ? await store.collection(kind).query({ where }) : await store.collection(kind).all();
+
+  const body = opts.format === 'ndjson'
+    ? docs.map(d => JSON.stringify(d)).join('\n') + (docs.length ? '\n' : '')
+    : JSON.stringify(docs, null, 2) + '\n';
+
+  if (opts.out) {
+    writeFileSync(opts.out, body);
+    log(`📤 Exported ${docs.length} ${kind} from ${label} to ${opts.out}`);
+  } else if (!opts.json) {
+    process.stdout.write(body);
+  }
+
+  return { ok: true, summary: { command: 'export', storage: label, kind, count: docs.length, out: opts.out || null } };
+}
+
+async function dedupe() {
+  const dryRun = opts['dry-run'];
+  const { label, store } = await openStorage();
+  log(`\n🧹 Deduplicating trades in ${label}${dryRun ? ' (dry run)' : ''}`);
+
+  const result = await dedupeTrades(store.collection('trades'), { dryRun });
+  log(`   Scanned:          ${result.scanned}`);
+  log(`   Duplicate groups: ${result.duplicateGroups}`);
+  log(`   Re-keyed:         ${result.rekeyed}`);
+  log(`   Removed:          ${result.removed}${dryRun ? ' (dry run, nothing written)' : ''}`);
+
+  return { ok: true, summary: { command: 'dedupe', storage: label, ...result } };
+}
+
+// Checks the store itself, and with paths also that every valid row of those files is stored unchanged
+async function verify(args) {
+  const files = args.length ? expandPaths(args) : [];
+  const mode = modeOverride();
+  const { label, store } = await openStorage();
+  const agents = await loadAgentRegistry(store.collection('agents'));
+  const agentId = agentOverride(agents);
+  log(`\n🔎 Verifying ${label}`);
+
+  const stored = {};
+  for (const kind of KINDS) {
+    stored[kind] = await verifyCollection(kind, store.collection(kind));
+    log(`   ${kind}: ${stored[kind].length ? `❌ ${stored[kind].length} problem(s)` : '✅ ok'}`);
+    for (const p of stored[kind].slice(0, MAX_ISSUES_SHOWN)) warn(`      ${p.id}: ${p.problem}`);
+  }
+
+  const fileResults = [];
+  for (const file of files) {
+    const inferred = resolveExportFile(file, agents);
+    const analysis = await analyzeCsvStream(createReadStream(file), { agentId: agentId || inferred.agentId, mode: mode || inferred.mode, timeZone: opts.tz });
+    if (!analysis.ok) {
+      const error = fileError(analysis.error);
+      fileResults.push({ file, error });
+      warn(`   ❌ ${basename(file)}: ${error}`);
+      continue;
+    }
+    const { inserted: missing, updated: changed } = await upsertDocs(store.collection(analysis.format), analysis.docs, { dryRun: true });
+    fileResults.push({ file, format: analysis.format, rows: analysis.validRows, missing, changed });
+    log(`   ${missing || changed ? '❌' : '✅'} ${basename(file)}: ${analysis.validRows} rows, ${missing} missing, ${changed} differ`);
+  }
+
+  const ok = !stored.trades.length && !stored.signals.length && fileResults.every(f => !f.error && !f.missing && !f.changed);
+  return { ok, summary: { command: 'verify', storage: label, problems: stored, files: fileResults } };
+}
+
+function collectionsOption() {
+  if (!opts.collections) return null;
+  const names = opts.collections.split(',').map(n => n.trim()).filter(Boolean);
+  const unknown = names.filter(n => !BACKUP_COLLECTIONS.includes(n));
+  if (unknown.length) throw new UsageError(`Unknown collection(s): ${unknown.join(', ')} (known: ${BACKUP_COLLECTIONS.join(', ')})`);
+  return names;
+}
+
+async function backup() {
+  const collections = collectionsOption() || BACKUP_COLLECTIONS;
+  const out = opts.out || backupFileName();
+  const { label, store } = await openStorage();
+  log(`\n💾 Backing up ${collections.length} collection(s) from ${label}`);
+
+  const manifest = await writeBackup(store, createWriteStream(out), { collections, source: { storage: label } });
+  for (const [name, { count }] of Object.entries(manifest.collections)) log(`   ${name.padEnd(18)} ${count}`);
+  log(`✅ ${manifest.totalDocs} documents written to ${out}`);
+
+  return { ok: true, summary: { command: 'backup', storage: label, out, ...manifest } };
+}
+
+async function restore(args) {
+  const [file] = args;
+  if (!file) throw new UsageError('restore needs a backup file');
+  if (!existsSync(file)) throw new UsageError(`File not found: ${file}`);
+  const mode = opts.replace ? 'replace' : RESTORE_MODES[0];
+  const dryRun = opts['dry-run'];
+  const { label, store } = await openStorage();
+  log(`\n♻️  Restoring ${basename(file)} into ${label} (${mode}${dryRun ? ', dry run' : ''})`);
+
+  const result = await restoreBackup(store, () => createReadStream(file), { mode, collections: collectionsOption(), dryRun });
+  if (!result.ok) {
+    warn(`   ❌ ${result.error}`);
+    return { ok: false, summary: { command: 'restore', storage: label, file, error: result.error } };
+  }
+
+  const { archive, current } = result.schemaVersion;
+  log(`   Archive from ${result.createdAt}, schema v${archive}${archive < current ? ` → migrated to v${current}` : ''}`);
+  for (const [name, count] of Object.entries(result.collections)) log(`   ${name.padEnd(18)} ${count}`);
+  log(`${dryRun ? '🔍 Checksums ok, would restore' : '✅ Restored'} ${result.total} documents`);
+
+  const { ok: _ok, ...rest } = result;
+  return { ok: true, summary: { command: 'restore', storage: label, file, ...rest } };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+const USAGE = readFileSync(fileURLToPath(import.meta.url), 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, '').trim();
+
+async function main() {
+  try {
+    ({ values: opts, positionals } = parseArgs(ARG_OPTIONS));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const [command, ...args] = positionals;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return command || opts.help ? 0 : 2;
+  }
+
+  const commands = { import: importFiles, export: exportDocs, dedupe, verify, backup, restore };
+  if (!commands[command]) throw new UsageError(`Unknown command "${command}"`);
+
+  const { ok, summary } = await commands[command](args);
+  if (opts.json) console.log(JSON.stringify({ ok, ...summary }, null, 2));
+  return ok ? 0 : 1;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    if (opts.json) console.log(JSON.stringify({ ok: false, error: err.message }, null, 2));
+    else console.error(err instanceof UsageError ? `❌ ${err.message}\n   Run with --help for usage.` : err);
+    process.exitCode = 2;
+  });
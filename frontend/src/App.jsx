@@ -1,88 +1,167 @@
-import { useState, useEffect, useMemo, useCallback, Fragment, useRef } from "react";
+import { useState, useEffect, useMemo, useCallback, Fragment, useRef, createContext, useContext } from "react";
 import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, CartesianGrid, Legend } from "recharts";
+import { calcStats } from "../../shared/stats.js";
+import { mapTradeRow, mapSignalRow, resolveExportFile, agentIdFromName, agentAbbr, NEXGENT_AGENTS } from "../../shared/nexgent.js";
+import { parseCsvRows } from "../../shared/csv.js";
+import { CONFIG_SECTIONS, validateAgentConfig, getPath, setPath, configChanges, emptyAgentConfig } from "../../shared/agentConfig.js";
+import { toCsv, toXlsx, exportFileName, EXPORT_FORMATS, EXPORT_TYPES } from "../../shared/export.js";
+import { formatInTimeZone, localTimeZone, timeZoneNames, zonedTimeToUtc } from "../../shared/time.js";
 
 // ═══ API ═══
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+const AUTH_KEY = "nexgent-auth";
+let onUnauthorized = null;
+function loadAuth() {
+  try { const a = JSON.parse(localStorage.getItem(AUTH_KEY)); return a && a.expiresAt > Date.now() ? a : null; }
+  catch { return null; }
+}
+function authHeaders() {
+  const a = loadAuth();
+  return a?.token ? { Authorization: `Bearer ${a.token}` } : {};
+}
 async function api(path, opts = {}) {
-  const res = await fetch(`${API_URL}${path}`, { ...opts, headers: { "Content-Type": "application/json", ...opts.headers } });
+  const res = await fetch(`${API_URL}${path}`, { ...opts, headers: { "Content-Type": "application/json", ...authHeaders(), ...opts.headers } });
+  if (res.status === 401 && loadAuth()) { localStorage.removeItem(AUTH_KEY); onUnauthorized?.(); }
   if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
   return res.json();
 }
+// Readable text for a failed api() call: field errors if the JSON body has them, else its error
+function apiErrorText(err) {
+  try {
+    const body = JSON.parse(err.message.replace(/^API \d+: /, ""));
+    return body.errors ? Object.values(body.errors).join(" · ") : body.error || err.message;
+  } catch { return err.message; }
+}
+// Field → message map from a rejected save, or null
+function apiErrorFields(err) {
+  try { return JSON.parse(err.message.replace(/^API \d+: /, "")).errors || null; }
+  catch { return null; }
+}
 
-// ═══ CSV PARSING (matches data/import-to-firestore.js) ═══
-function parseCSVLine(line) {
-  const fields = []; let current = ""; let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') inQuotes = !inQuotes;
-    else if (ch === ',' && !inQuotes) { fields.push(current.trim()); current = ""; }
-    else current += ch;
+// ═══ LIVE EVENTS ═══
+// GET /api/events is read with fetch rather than EventSource so the auth header can be sent.
+// Drops reconnect with exponential backoff (1s → 30s, jittered) and resume from the last event id.
+function parseSseBlock(block) {
+  const ev = { id: null, event: "message", data: "" };
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue;
+    const i = line.indexOf(":");
+    const field = i < 0 ? line : line.slice(0, i);
+    const value = i < 0 ? "" : line.slice(i + 1).replace(/^ /, "");
+    if (field === "id") ev.id = value;
+    else if (field === "event") ev.event = value;
+    else if (field === "data") ev.data += (ev.data ? "\n" : "") + value;
   }
-  fields.push(current.trim());
-  return fields;
+  return ev;
 }
-function parseCSV(content) {
-  const lines = content.split('\n').filter(l => l.trim());
-  if (lines.length < 2) return [];
-  const headers = parseCSVLine(lines[0]).map(h => h.trim());
-  return lines.slice(1).map(line => {
-    const values = parseCSVLine(line);
-    if (values.length < 2) return null;
-    const row = {};
-    headers.forEach((h, idx) => { row[h] = values[idx] || ""; });
-    return row;
-  }).filter(Boolean);
+function useEventStream(onEvent) {
+  const [status, setStatus] = useState("connecting");
+  const handler = useRef(onEvent);
+  useEffect(() => { handler.current = onEvent; }, [onEvent]);
+  useEffect(() => {
+    const ctrl = new AbortController();
+    let lastId = null, attempt = 0, timer = null;
+    const connect = async () => {
+      try {
+        const res = await fetch(`${API_URL}/api/events`, { headers: { Accept: "text/event-stream", ...authHeaders(), ...(lastId ? { "Last-Event-ID": lastId } : {}) }, signal: ctrl.signal });
+        if (res.status === 401) { if (loadAuth()) { localStorage.removeItem(AUTH_KEY); onUnauthorized?.(); } return; }
+        if (!res.ok || !res.body) throw new Error(`API ${res.status}`);
+        attempt = 0;
+        setStatus("live");
+        const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buf = "";
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buf += value.replace(/\r\n?/g, "\n");
+          let end;
+          while ((end = buf.indexOf("\n\n")) >= 0) {
+            const ev = parseSseBlock(buf.slice(0, end));
+            buf = buf.slice(end + 2);
+            if (ev.id) lastId = ev.id;
+            if (!ev.data) continue;
+            try { handler.current(ev.event, JSON.parse(ev.data)); } catch (err) { console.error("Event handler error:", err); }
+          }
+        }
+      } catch (err) {
+        if (!ctrl.signal.aborted) console.warn("Event stream error:", err.message);
+      }
+      if (ctrl.signal.aborted) return;
+      setStatus("reconnecting");
+      timer = setTimeout(connect, Math.min(30000, 1000 * 2 ** attempt++) * (0.5 + Math.random() / 2));
+    };
+    connect();
+    return () => { ctrl.abort(); clearTimeout(timer); };
+  }, []);
+  return status;
 }
-function mapTradeRow(row, agentId, mode) {
-  const pnlStr = (row['Profit / Loss (USD)'] || '0').replace(/[+$,]/g, '');
-  const changeStr = (row['Change (%)'] || '0%').replace(/[+%]/g, '');
-  const timestamp = row['Time'] ? new Date(row['Time']).getTime() : Date.now();
-  const id = `${agentId}_${timestamp}_${Math.random().toString(36).slice(2, 7)}`;
-  return {
-    id, agentId, mode,
-    token: row['Token Symbol'] || '', tokenSymbol: row['Token Symbol'] || '',
-    tokenAddress: row['Token Address'] || '', quantity: parseFloat(row['Amount']) || 0,
-    entryPrice: parseFloat(row['Average Purchase Price (USD)']) || 0,
-    exitPrice: parseFloat(row['Sale Price (USD)']) || 0,
-    pnl: parseFloat(pnlStr) || 0, pnlPercent: parseFloat(changeStr) || 0,
-    side: 'BUY', status: 'CLOSED', timestamp,
-    signalId: row['Signal ID'] || '', signalType: row['Signal Type'] || '',
-    activationReason: row['Activation Reason'] || '', source: 'nexgent',
-  };
+// Document counts from GET /api/stats/counts; pushed signals are added in place rather than refetched
+const EMPTY_COUNTS = { trades: { total: 0, byAgent: {}, signalTypes: [] }, signals: { total: 0, byType: [] } };
+function addSignalCounts(counts, docs) {
+  const byType = counts.signals.byType.map(t => ({ ...t }));
+  docs.forEach(s => {
+    if (!s.tradingStrategy) return;
+    let t = byType.find(x => x.type === s.tradingStrategy);
+    if (!t) byType.push(t = { type: s.tradingStrategy, n: 0, avgStrength: 0 });
+    t.avgStrength = +((t.avgStrength * t.n + (s.signalStrength || 0)) / (t.n + 1)).toFixed(1);
+    t.n++;
+  });
+  return { ...counts, signals: { total: counts.signals.total + docs.length, byType: byType.sort((a, b) => b.n - a.n) } };
 }
-function mapSignalRow(row) {
-  const timestamp = row['Created At'] ? new Date(row['Created At']).getTime() : Date.now();
-  const id = row['Signal ID'] || `sig_${timestamp}`;
-  return {
-    id: String(id), signalReceivedAt: timestamp,
-    token: row['Token Symbol'] || '', tokenSymbol: row['Token Symbol'] || '',
-    tokenAddress: row['Token Address'] || '', tradingStrategy: row['Trading Strategy'] || '',
-    activationReason: row['Activation Reason'] || '', source: row['Source'] || 'Nexgent AI',
-    signalStrength: parseInt(row['Signal Strength']) || 0, status: 'received',
-  };
+
+// ═══ AUTH ═══
+function useAuth() {
+  const [auth, setAuth] = useState(loadAuth);
+  const [checking, setChecking] = useState(true);
+  useEffect(() => {
+    onUnauthorized = () => setAuth(null);
+    // Validates a stored token, and signs in automatically when the backend runs with AUTH_DISABLED
+    api("/api/auth/me")
+      .then(res => setAuth(prev => prev || { token: null, role: res.role, expiresAt: Infinity }))
+      .catch(() => setAuth(null))
+      .finally(() => setChecking(false));
+    return () => { onUnauthorized = null; };
+  }, []);
+  const login = useCallback(async (password) => {
+    const res = await api("/api/auth/login", { method: "POST", body: JSON.stringify({ password }) });
+    const a = { token: res.token, role: res.role, expiresAt: res.expiresAt };
+    localStorage.setItem(AUTH_KEY, JSON.stringify(a));
+    setAuth(a);
+  }, []);
+  const logout = useCallback(() => { localStorage.removeItem(AUTH_KEY); setAuth(null); }, []);
+  return [auth, checking, login, logout];
 }
 
+// ═══ CSV PARSING ═══
+// RFC 4180 parser shared with the backend and data CLI (shared/csv.js). The local preview
+// stays empty for a malformed file; the server dry run reports the offending line.
+function parseCSV(content) {
+  try { return parseCsvRows(content).rows.map(r => r.record); }
+  catch { return []; }
+}
+// Row → document mappers (mapTradeRow / mapSignalRow) live in shared/nexgent.js
+
 // ═══ FIRESTORE → FRONTEND MAPPERS ═══
-const AGENT_ID_MAP = { "nexgent-degen": "degen", "nexgent-pro": "pro", "nexgent-scalper": "scalper", "nexgent-base": "basetest", "nexgent-boost-hunter": "boosthunter", "nexgent-signal-sniper": "signalsniper", "nexgent-scalper-2": "scalper2", "nexgent-base-2": "basetest2", "nexgent-ignition-tester": "ignitiontester" };
-const AGENT_ID_REVERSE = { degen: "nexgent-degen", pro: "nexgent-pro", scalper: "nexgent-scalper", basetest: "nexgent-base", boosthunter: "nexgent-boost-hunter", signalsniper: "nexgent-signal-sniper", scalper2: "nexgent-scalper-2", basetest2: "nexgent-base-2", ignitiontester: "nexgent-ignition-tester" };
-function mapFirestoreTrade(t) {
-  const agent = AGENT_ID_MAP[t.agentId] || t.agentId || "unknown";
+// Stored times are UTC epoch ms; `time` is formatted in the viewer's chosen zone, `ts` is for sorting.
+// `doc` keeps the stored document so exports carry every field, not just the mapped ones.
+function mapFirestoreTrade(t, timeZone) {
+  const agent = agentKey(t.agentId);
   const mode = t.mode === "simulation" ? "sim" : t.mode === "live" ? "live" : (t.mode || "sim");
-  const time = t.timestamp ? new Date(t.timestamp).toLocaleString() : "";
+  const time = t.timestamp ? formatInTimeZone(t.timestamp, timeZone) : "";
   return {
-    id: t.id, agent, mode, token: t.token || t.tokenSymbol || "",
-    time, pnlUsd: t.pnl || 0, changePct: t.pnlPercent || 0,
+    id: t.id, agent, mode, status: t.status || "", token: t.token || t.tokenSymbol || "",
+    time, ts: t.timestamp || 0, pnlUsd: t.pnl || 0, changePct: t.pnlPercent || 0,
     signalType: t.signalType || "", signalStrength: t.signalStrength || 0,
     signalId: t.signalId || "", tokenAddress: t.tokenAddress || "",
-    entryPrice: t.entryPrice || 0, exitPrice: t.exitPrice || 0,
+    entryPrice: t.entryPrice || 0, exitPrice: t.exitPrice || 0, doc: t,
   };
 }
-function mapFirestoreSignal(s) {
-  const time = s.signalReceivedAt ? new Date(s.signalReceivedAt).toLocaleString() : "";
+function mapFirestoreSignal(s, timeZone) {
+  const time = s.signalReceivedAt ? formatInTimeZone(s.signalReceivedAt, timeZone) : "";
   return {
     id: s.id, type: s.tradingStrategy || "", strength: s.signalStrength || 0,
-    token: s.token || s.tokenSymbol || "", timestamp: time,
-    tokenAddress: s.tokenAddress || "", reason: s.activationReason || "",
+    token: s.token || s.tokenSymbol || "", timestamp: time, ts: s.signalReceivedAt || 0,
+    tokenAddress: s.tokenAddress || "", reason: s.activationReason || "", doc: s,
   };
 }
 
@@ -115,46 +194,72 @@ function useTheme() {
   return [THEMES[mode], mode, toggle];
 }
 
+// ═══ TIME ZONE ═══
+// Zone every timestamp is displayed in; defaults to the browser's own
+const TIME_ZONES = timeZoneNames();
+function useTimeZone() {
+  const [timeZone, setTimeZone] = useState(() => localStorage.getItem("nexgent-timezone") || localTimeZone());
+  const change = useCallback((zone) => { localStorage.setItem("nexgent-timezone", zone); setTimeZone(zone); }, []);
+  return [timeZone, change];
+}
+
+// ═══ AGENT REGISTRY ═══
+// GET /api/agents/registry, held in AppShell state and read with useAgents(). AG maps agentId → entry,
+// AK lists the ids in registry order (archived included); the built-in agents stand in until it loads.
+const AGENT_PALETTE = NEXGENT_AGENTS.map(a => a.color);
+function agentRegistry(list) {
+  const AG = Object.fromEntries(list.map(a => [a.id, a]));
+  const AK = list.map(a => a.id);
+  const active = AK.filter(k => !AG[k].archived);
+  return {
+    AG, AK, active,
+    color: (k) => AG[k]?.color || AGENT_PALETTE[Math.max(AK.indexOf(k), 0) % AGENT_PALETTE.length],
+    label: (k) => AG[k] ? `${AG[k].abbr} ${AG[k].name}${AG[k].archived ? " (archived)" : ""}` : k,
+    // Agents a picker offers: the active ones, plus `value` when it's archived or not registered yet
+    choices: (value) => [...new Set([...active, ...(value ? [value] : [])])],
+    // Agent a Nexgent export's file name points to: a registered one, or the id a new agent would get
+    fromExportFile(filename) {
+      const { kind, agentId, mode, agentName } = resolveExportFile(filename, list);
+      const newAgent = !agentId && kind === "trades" && agentName ? agentIdFromName(agentName) : null;
+      return { agentId: agentId || newAgent || "", mode, newName: newAgent && !AG[newAgent] ? agentName : "" };
+    },
+  };
+}
+const AgentsContext = createContext(agentRegistry(NEXGENT_AGENTS));
+const useAgents = () => useContext(AgentsContext);
+
 // ═══ CONSTANTS ═══
-const AG = {
-  degen:{name:"Degen",abbr:"DG",tag:"Max Risk / Max Reward"},
-  pro:{name:"Pro",abbr:"PR",tag:"Balanced / Smart Reward"},
-  scalper:{name:"Scalper",abbr:"SC",tag:"Tight Risk / Max WR"},
-  basetest:{name:"Base Test",abbr:"BT",tag:"Control / Defaults"},
-  boosthunter:{name:"Boost Hunter",abbr:"BH",tag:"Dex Boost Focus"},
-  signalsniper:{name:"Signal Sniper",abbr:"SS",tag:"High Signal Quality"},
-  scalper2:{name:"Scalper 2.0",abbr:"S2",tag:"Refined Scalping"},
-  basetest2:{name:"Base Test 2.0",abbr:"B2",tag:"Updated Control"},
-  ignitiontester:{name:"Ignition Tester",abbr:"IT",tag:"Ignition Signals"},
-};
-const AK = Object.keys(AG);
 const F = `'Inter','DM Sans',system-ui,sans-serif`;
 const M = `'JetBrains Mono','Fira Code',monospace`;
 const pc = (v, T) => v>0?(T?.positive||"#16a34a"):v<0?(T?.negative||"#dc2626"):(T?.textMuted||"#9ca3af");
 
 // ═══ STATS ENGINE ═══
-function calcStats(trades) {
-  if(!trades.length) return {n:0,wins:0,losses:0,winRate:0,totalPnl:0,avgWinPct:0,avgLossPct:0,avgWinUsd:0,avgLossUsd:0,profitFactor:0,expectancy:0,avgReturn:0,avgReturnUsd:0,rr:0,grossWin:0,grossLoss:0,edgeScore:0};
-  const w=trades.filter(t=>t.pnlUsd>0), l=trades.filter(t=>t.pnlUsd<0);
-  const tp=trades.reduce((s,t)=>s+t.pnlUsd,0);
-  const tpPct=trades.reduce((s,t)=>s+t.changePct,0);
-  const aw=w.length?w.reduce((s,t)=>s+t.changePct,0)/w.length:0;
-  const al=l.length?l.reduce((s,t)=>s+t.changePct,0)/l.length:0;
-  const awU=w.length?w.reduce((s,t)=>s+t.pnlUsd,0)/w.length:0;
-  const alU=l.length?l.reduce((s,t)=>s+t.pnlUsd,0)/l.length:0;
-  const grossWin=w.reduce((s,t)=>s+t.pnlUsd,0);
-  const grossLoss=Math.abs(l.reduce((s,t)=>s+t.pnlUsd,0));
-  const wr=w.length/trades.length;
-  const rr=Math.abs(al)>0?Math.abs(aw/al):0;
-  const pf=grossLoss>0?grossWin/grossLoss:0;
-  const avgReturn=tpPct/trades.length;
-  const avgReturnUsd=tp/trades.length;
-  const expectancy=wr*aw+(1-wr)*al;
-  const edgeScore = expectancy * (1 + Math.log10(Math.max(pf,0.01))) * Math.min(trades.length/20,1);
-  return {n:trades.length,wins:w.length,losses:l.length,
-    winRate:wr*100, totalPnl:tp, avgWinPct:aw, avgLossPct:al,
-    avgWinUsd:awU, avgLossUsd:alU, grossWin, grossLoss,
-    profitFactor:pf, expectancy, avgReturn, avgReturnUsd, rr, edgeScore};
+// calcStats lives in shared/stats.js; aggregate tables come from GET /api/stats
+const EMPTY_STATS = calcStats([]);
+const agentKey = (agentId) => agentId || "unknown";
+const statRow = (s) => ({n:s.n,wr:s.winRate,avg:s.avgReturn,aw:s.avgWinPct,al:s.avgLossPct,rr:s.rr,pnl:s.totalPnl});
+function queryString(params) {
+  const q = new URLSearchParams();
+  Object.entries(params).forEach(([k,v]) => { if (v !== undefined && v !== null && v !== "" && v !== "all") q.set(k, v); });
+  return q.toString();
+}
+function fetchStats(params, groupings) {
+  return Promise.all(groupings.map(groupBy => api(`/api/stats?${queryString({ ...params, groupBy })}`)));
+}
+// One request per grouping, e.g. useStats({mode:"live"}, ["agent","agent,signalType"], version).
+// best/worst are filled when params ask for them with `top`.
+function useStats(params, groupings, version) {
+  const key = JSON.stringify([params, groupings, version]);
+  const [result, setResult] = useState({ key: null, overall: EMPTY_STATS, groups: groupings.map(() => []), best: [], worst: [] });
+  useEffect(() => {
+    let cancelled = false;
+    const [p, gs] = JSON.parse(key);
+    fetchStats(p, gs)
+      .then(res => { if (!cancelled) setResult({ key, overall: res[0]?.overall || EMPTY_STATS, groups: res.map(r => r.groups || []), best: res[0]?.best || [], worst: res[0]?.worst || [] }); })
+      .catch(err => console.error("Stats fetch error:", err));
+    return () => { cancelled = true; };
+  }, [key]);
+  return { ...result, loading: result.key !== key };
 }
 
 // ═══ UI PRIMITIVES ═══
@@ -174,7 +279,7 @@ const FilterBar = ({children,T}) => (
 const FilterLabel = ({children,T}) => <span style={{fontSize:9,fontWeight:700,letterSpacing:1.5,textTransform:"uppercase",color:T.textMuted,marginRight:-2}}>{children}</span>;
 const FilterDivider = ({T}) => <div style={{width:1,height:20,background:T.border,margin:"0 4px"}}/>;
 const Badge = ({color,children,T}) => {const c=color||T?.accent||"#6366f1";return <span style={{display:"inline-block",padding:"2px 7px",borderRadius:4,background:`${c}14`,color:c,fontSize:10,fontWeight:600,fontFamily:M,letterSpacing:.3}}>{children}</span>;};
-const ABadge = ({k,T}) => {const a=AG[k]; return a?<Badge color={T?.accent} T={T}>{a.abbr} {a.name}</Badge>:<Badge T={T}>{k}</Badge>;};
+const ABadge = ({k,T}) => {const agents=useAgents(),a=agents.AG[k]; return a?<Badge color={agents.color(k)} T={T}>{a.abbr} {a.name}</Badge>:<Badge T={T}>{k}</Badge>;};
 const Mono = ({children,style={}}) => <span style={{fontFamily:M,fontWeight:600,...style}}>{children}</span>;
 const PnL = ({v,pct,T}) => <Mono style={{color:pc(v,T)}}>{v>=0?"+":""}{pct?`${v?.toFixed(1)}%`:`$${v?.toFixed(2)}`}</Mono>;
 const Card = ({children,style={},accent,T}) => <div style={{background:T?.bgCard||"#fff",border:`1px solid ${T?.border||"#e2e4e9"}`,borderRadius:10,padding:20,marginBottom:16,borderTop:accent?`3px solid ${accent}`:undefined,...style}}>{children}</div>;
@@ -213,7 +318,7 @@ function sortTrades(trades,sort) {
   const s = [...trades];
   const dir = sort.dir==="asc"?1:-1;
   switch(sort.key) {
-    case "time": return s.sort((a,b)=>dir*(new Date(a.time||0)-new Date(b.time||0)));
+    case "time": return s.sort((a,b)=>dir*(a.ts-b.ts));
     case "pnl": return s.sort((a,b)=>dir*(a.pnlUsd-b.pnlUsd));
     case "pct": return s.sort((a,b)=>dir*(a.changePct-b.changePct));
     case "str": return s.sort((a,b)=>dir*(a.signalStrength-b.signalStrength));
@@ -222,11 +327,37 @@ function sortTrades(trades,sort) {
   }
 }
 
-function TradeTable({trades,limit,sort,onSort,showAgent=true,showMode=true,T}) {
+// ═══ EXPORTS ═══
+// Tables export the rows they show, in their order; each row's `doc` (stored document or API
+// group) is written when present so every field goes out. Whole datasets: GET /api/export.
+function saveFile(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name; a.click();
+  URL.revokeObjectURL(url);
+}
+function exportRows(rows, format, name) {
+  const docs = rows.map(r => r.doc ?? r);
+  const body = format === "json" ? JSON.stringify(docs, null, 2) : format === "xlsx" ? toXlsx(docs, undefined, { sheetName: name }) : `\uFEFF${toCsv(docs)}`;
+  saveFile(new Blob([body], { type: EXPORT_TYPES[format] }), exportFileName(name, format));
+}
+async function downloadFile(path, fallbackName) {
+  const res = await fetch(`${API_URL}${path}`, { headers: authHeaders() });
+  if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
+  const name = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  saveFile(await res.blob(), name);
+  return name;
+}
+const ExportButtons = ({rows,name,label,T}) => <span style={{display:"inline-flex",alignItems:"center",gap:4}}>
+  <span style={{fontSize:8,fontWeight:700,letterSpacing:1.2,textTransform:"uppercase",color:T.textFaint}}>{label||"Export"}</span>
+  {EXPORT_FORMATS.map(f=><button key={f} disabled={!rows.length} onClick={()=>exportRows(rows,f,name)} title={`${rows.length} rows, every field`} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:4,padding:"2px 6px",color:rows.length?T.textSecondary:T.textFaint,cursor:rows.length?"pointer":"default",fontSize:9,fontFamily:M,fontWeight:600,textTransform:"uppercase"}}>{f}</button>)}
+</span>;
+
+function TradeTable({trades,limit,sort,onSort,showAgent=true,showMode=true,exportName,T}) {
   const t_ = T || THEMES.light;
   const d = limit ? trades.slice(0,limit) : trades;
   if(!d.length) return <div style={{textAlign:"center",padding:"40px",color:t_.textFaint,fontSize:12}}>No trades match filters</div>;
-  return <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+  return <div style={{overflowX:"auto"}}>{exportName&&<div style={{display:"flex",justifyContent:"flex-end",marginBottom:8}}><ExportButtons rows={d} name={exportName} T={t_}/></div>}<table style={{width:"100%",borderCollapse:"collapse"}}>
     <thead><tr>
       {showAgent&&<TH T={t_}>Agent</TH>}
       {showMode&&<TH T={t_}>Mode</TH>}
@@ -253,22 +384,22 @@ function TradeTable({trades,limit,sort,onSort,showAgent=true,showMode=true,T}) {
 // ═══════════════════════════════
 // DASHBOARD
 // ═══════════════════════════════
-function Dashboard({trades,modeFilter,T}) {
-  const ft = useMemo(()=>modeFilter==="all"?trades:trades.filter(t=>t.mode===modeFilter),[trades,modeFilter]);
-  const stats = useMemo(()=>{const s={};AK.forEach(k=>{s[k]=calcStats(ft.filter(t=>t.agent===k));});s.all=calcStats(ft);return s;},[ft]);
-
-  const stStats = useMemo(()=>{
-    const m={};ft.forEach(t=>{const k=t.signalType||"?";if(!m[k])m[k]={type:k,n:0,w:0,pnl:0,pct:0};m[k].n++;if(t.pnlUsd>0)m[k].w++;m[k].pnl+=t.pnlUsd;m[k].pct+=t.changePct;});
-    return Object.values(m).map(s=>({...s,wr:s.n?s.w/s.n*100:0,avg:s.n?s.pct/s.n:0})).sort((a,b)=>b.wr-a.wr);
-  },[ft]);
-  const strStats = useMemo(()=>{
-    const m={};ft.forEach(t=>{const k=t.signalStrength||0;if(!m[k])m[k]={str:k,n:0,w:0,pnl:0,pct:0,wpct:0,lpct:0,wn:0,ln:0};m[k].n++;if(t.pnlUsd>0){m[k].w++;m[k].wpct+=t.changePct;m[k].wn++;}else{m[k].lpct+=t.changePct;m[k].ln++;}m[k].pnl+=t.pnlUsd;m[k].pct+=t.changePct;});
-    return Object.values(m).map(s=>{const aw=s.wn?s.wpct/s.wn:0;const al=s.ln?s.lpct/s.ln:0;return {...s,wr:s.n?s.w/s.n*100:0,avg:s.n?s.pct/s.n:0,aw,al,rr:Math.abs(al)>0?Math.abs(aw/al):0};}).sort((a,b)=>a.str-b.str);
-  },[ft]);
-  const stStatsSorted = useMemo(()=>{
-    return [...stStats].map(s=>{const ws=ft.filter(t=>t.signalType===s.type&&t.pnlUsd>0);const ls=ft.filter(t=>t.signalType===s.type&&t.pnlUsd<0);const aw=ws.length?ws.reduce((ac,t)=>ac+t.changePct,0)/ws.length:0;const al=ls.length?ls.reduce((ac,t)=>ac+t.changePct,0)/ls.length:0;return {...s,aw,al,rr:Math.abs(al)>0?Math.abs(aw/al):0};}).sort((a,b)=>b.avg-a.avg);
-  },[stStats,ft]);
-  const activeAK = AK.filter(k=>stats[k].n>0);
+const RECENT_TRADES = 20;
+function Dashboard({modeFilter,dataVersion,timeZone,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
+  const [recent,setRecent]=useState([]);
+  useEffect(()=>{
+    let cancelled=false;
+    api(`/api/trades/list?${queryString({raw:"true",live:"false",limit:RECENT_TRADES,mode:modeFilter})}`).then(res=>{if(!cancelled)setRecent(res.trades||[]);}).catch(err=>console.error("Trades fetch error:",err));
+    return ()=>{cancelled=true;};
+  },[modeFilter,dataVersion]);
+  const ft = useMemo(()=>recent.map(t=>mapFirestoreTrade(t,timeZone)),[recent,timeZone]);
+  const {overall,groups:[byAgent,byType,byStr]} = useStats({mode:modeFilter},["agent","signalType","signalStrength"],dataVersion);
+  const stats = useMemo(()=>{const s={};AK.forEach(k=>{s[k]=EMPTY_STATS;});byAgent.forEach(g=>{s[agentKey(g.agent)]=g.stats;});s.all=overall;return s;},[byAgent,overall,AK]);
+
+  const strStats = useMemo(()=>byStr.map(g=>({str:g.signalStrength||0,...statRow(g.stats),doc:g})).sort((a,b)=>a.str-b.str),[byStr]);
+  const stStatsSorted = useMemo(()=>byType.map(g=>({type:g.signalType||"?",...statRow(g.stats),doc:g})).sort((a,b)=>b.avg-a.avg),[byType]);
+  const activeAK = AK.filter(k=>stats[k]?.n>0);
   const chartData = activeAK.map(k=>({name:AG[k].name,exp:+stats[k].expectancy.toFixed(2),rr:+stats[k].rr.toFixed(2),avg:+stats[k].avgReturn.toFixed(2),pnl:+stats[k].totalPnl.toFixed(2),wr:+stats[k].winRate.toFixed(1),pf:+stats[k].profitFactor.toFixed(2)}));
   const [sort,onSort] = useSort();
 
@@ -284,9 +415,9 @@ function Dashboard({trades,modeFilter,T}) {
     </Card>
 
     <div style={{display:"grid",gridTemplateColumns:`repeat(${Math.min(activeAK.length,4)},1fr)`,gap:12,marginBottom:16}}>
-      {activeAK.map(k=>({k,s:stats[k],a:AG[k]})).sort((a,b)=>b.s.expectancy-a.s.expectancy).map(({k,s,a},rank)=> <Card key={k} accent={T.accent} T={T} style={{marginBottom:0,padding:16,position:"relative"}}>
+      {activeAK.map(k=>({k,s:stats[k],a:AG[k]})).sort((a,b)=>b.s.expectancy-a.s.expectancy).map(({k,s,a},rank)=> <Card key={k} accent={agents.color(k)} T={T} style={{marginBottom:0,padding:16,position:"relative"}}>
         <div style={{position:"absolute",top:8,right:10,fontSize:9,fontFamily:M,fontWeight:700,color:rank===0?T.positive:rank===activeAK.length-1?T.negative:T.textMuted}}>#{rank+1}</div>
-        <div style={{display:"flex",alignItems:"center",gap:6,marginBottom:10}}><span style={{fontSize:10,fontWeight:800,fontFamily:M,color:T.accent,background:T.accentBg,padding:"2px 6px",borderRadius:4}}>{a.abbr}</span><div><div style={{fontSize:12,fontWeight:700,color:T.text}}>{a.name}</div></div></div>
+        <div style={{display:"flex",alignItems:"center",gap:6,marginBottom:10}}><span style={{fontSize:10,fontWeight:800,fontFamily:M,color:agents.color(k),background:`${agents.color(k)}14`,padding:"2px 6px",borderRadius:4}}>{a.abbr}</span><div><div style={{fontSize:12,fontWeight:700,color:T.text}}>{a.name}</div></div></div>
         <div style={{textAlign:"center",padding:"6px 0 10px",borderBottom:`1px solid ${T.borderLight}`,marginBottom:8}}>
           <div style={{fontSize:20,fontWeight:800,fontFamily:M,color:pc(s.expectancy,T),letterSpacing:-1}}>{s.expectancy>=0?"+":""}{s.expectancy.toFixed(2)}%</div>
           <div style={{fontSize:8,color:T.textMuted,letterSpacing:1.5,textTransform:"uppercase",marginTop:2}}>Expectancy / Trade</div>
@@ -310,53 +441,70 @@ function Dashboard({trades,modeFilter,T}) {
       <Card T={T}><CTitle T={T}>Total P/L ($)</CTitle><ResponsiveContainer width="100%" height={180}><BarChart data={chartData} barSize={24}><CartesianGrid strokeDasharray="3 3" stroke={T.borderLight}/><XAxis dataKey="name" tick={{fontSize:10,fill:T.textMuted}}/><YAxis tick={{fontSize:10,fill:T.textMuted}}/><Tooltip contentStyle={{background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:6,fontSize:11,color:T.text}} formatter={v=>[`$${v}`,"P/L"]}/><Bar dataKey="pnl" radius={[4,4,0,0]}>{chartData.map((d,i)=><Cell key={i} fill={d.pnl>=0?T.accent:T.negative}/>)}</Bar></BarChart></ResponsiveContainer></Card>
     </div>
 
-    <Card T={T}><CTitle color={T.warning} T={T}>Signal Strength vs Performance</CTitle>
+    <Card T={T}><CTitle color={T.warning} right={<ExportButtons rows={strStats.filter(s=>s.str>0)} name="signal-strength" T={T}/>} T={T}>Signal Strength vs Performance</CTitle>
       <div style={{fontSize:11,color:T.textSecondary,marginBottom:14,lineHeight:1.6,padding:"10px 14px",background:`${T.warning}08`,borderLeft:`3px solid ${T.warning}60`,borderRadius:"0 6px 6px 0"}}>
         <strong style={{color:T.warning}}>Counterintuitive:</strong> Higher strength = <em>worse</em> avg return. Str 4 has the worst expectancy despite being "strongest". Str 1-2 lose less per trade.
       </div>
       <table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Str","Trades","Win Rate","Avg Return","R:R","Avg Win","Avg Loss","Total P/L"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{strStats.filter(s=>s.str>0).map(s=><tr key={s.str}><TD T={T}><Mono style={{color:s.str>=4?T.positive:s.str>=3?T.warning:s.str>=2?"#f97316":T.negative,fontSize:14,fontWeight:800}}>{s.str}</Mono></TD><TD T={T}><Mono>{s.n}</Mono></TD><TD T={T}><Mono style={{color:pc(s.wr-50,T)}}>{s.wr.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:pc(s.avg,T),fontWeight:700,fontSize:12}}>{s.avg>=0?"+":""}{s.avg.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:s.rr>=1?T.positive:T.negative}}>{s.rr.toFixed(2)}x</Mono></TD><TD T={T}><Mono style={{color:T.positive}}>+{s.aw.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:T.negative}}>{s.al.toFixed(1)}%</Mono></TD><TD T={T}><PnL v={s.pnl} T={T}/></TD></tr>)}</tbody></table>
     </Card>
 
-    <Card T={T}><CTitle T={T}>Signal Type Performance</CTitle>
+    <Card T={T}><CTitle right={<ExportButtons rows={stStatsSorted} name="signal-types" T={T}/>} T={T}>Signal Type Performance</CTitle>
       <table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Signal","Trades","Win Rate","Avg Return","Avg Win","Avg Loss","R:R","P/L"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{stStatsSorted.map(s=><tr key={s.type}><TD T={T}><Badge color={s.avg>=0?T.positive:s.avg>=-2?T.warning:T.negative} T={T}>{s.type}</Badge></TD><TD T={T}><Mono>{s.n}</Mono></TD><TD T={T}><Mono style={{color:pc(s.wr-50,T)}}>{s.wr.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:pc(s.avg,T),fontWeight:700,fontSize:12}}>{s.avg>=0?"+":""}{s.avg.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:T.positive}}>+{s.aw.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:T.negative}}>{s.al.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:s.rr>=1?T.positive:T.negative}}>{s.rr.toFixed(2)}x</Mono></TD><TD T={T}><PnL v={s.pnl} T={T}/></TD></tr>)}</tbody></table>
     </Card>
 
-    <Card T={T}><CTitle T={T}>Recent Trades</CTitle><TradeTable trades={sortTrades(ft,sort)} limit={20} sort={sort} onSort={onSort} T={T}/></Card>
+    <Card T={T}><CTitle T={T}>Recent Trades</CTitle><TradeTable trades={sortTrades(ft,sort)} limit={RECENT_TRADES} sort={sort} onSort={onSort} exportName="recent-trades" T={T}/></Card>
   </div>;
 }
 
 // ═══════════════════════════════
 // TRADES PAGE
 // ═══════════════════════════════
-function TradesPage({trades,modeFilter,T}) {
-  const SIGNAL_TYPES = useMemo(() => [...new Set(trades.map(t=>t.signalType).filter(Boolean))], [trades]);
+const TRADES_PAGE_SIZE = 50;
+function TradesPage({signalTypes,modeFilter,dataVersion,timeZone,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
   const [fa,setFa]=useState("all");
   const [fm,setFm]=useState(modeFilter);
   const [fs,setFs]=useState("all");
   const [fst,setFst]=useState("all");
   const [fstr,setFstr]=useState("all");
   const [sort,onSort]=useSort("time","desc");
-  const [limit,setLimit]=useState(50);
-
-  const filtered = useMemo(()=>{
-    let r=[...trades];
-    if(fm!=="all") r=r.filter(t=>t.mode===fm);
-    if(fa!=="all") r=r.filter(t=>t.agent===fa);
-    if(fs==="win") r=r.filter(t=>t.pnlUsd>0);
-    if(fs==="loss") r=r.filter(t=>t.pnlUsd<0);
-    if(fst!=="all") r=r.filter(t=>t.signalType===fst);
-    if(fstr!=="all") r=r.filter(t=>String(t.signalStrength)===fstr);
-    return sortTrades(r,sort);
-  },[trades,fm,fa,fs,fst,fstr,sort]);
-
-  const st = useMemo(()=>calcStats(filtered),[filtered]);
+  const [page,setPage]=useState({key:null,rows:[],cursor:null});
+  const [loadingMore,setLoadingMore]=useState(false);
+
+  // Filters run on the server; each page is TRADES_PAGE_SIZE matching trades, newest first
+  const filters = useMemo(()=>({agentId:fa==="all"?undefined:fa,mode:fm,outcome:fs,signalType:fst,minStrength:fstr}),[fa,fm,fs,fst,fstr]);
+  const pageKey = JSON.stringify([filters,dataVersion]);
+  const fetchPage = useCallback((cursor)=>api(`/api/trades/list?${queryString({raw:"true",live:"false",limit:TRADES_PAGE_SIZE,...filters,cursor})}`),[filters]);
+  useEffect(()=>{
+    let cancelled=false;
+    fetchPage().then(res=>{if(!cancelled)setPage({key:pageKey,rows:res.trades||[],cursor:res.nextCursor||null});}).catch(err=>console.error("Trades fetch error:",err));
+    return ()=>{cancelled=true;};
+  },[fetchPage,pageKey]);
+  const loadMore = useCallback(async ()=>{
+    setLoadingMore(true);
+    try {
+      const res=await fetchPage(page.cursor);
+      setPage(p=>({...p,rows:[...p.rows,...(res.trades||[])],cursor:res.nextCursor||null}));
+    } catch (err) { console.error("Trades fetch error:",err); }
+    setLoadingMore(false);
+  },[fetchPage,page.cursor]);
+
+  const filtered = useMemo(()=>sortTrades(page.rows.map(t=>mapFirestoreTrade(t,timeZone)),sort),[page.rows,sort,timeZone]);
+  const {overall:st} = useStats(filters,[""],dataVersion);
+  // Every matching trade, streamed by the server; it can only order by time
+  const [exporting,setExporting]=useState(null);
+  const exportAll = async (format)=>{
+    setExporting({format});
+    try { await downloadFile(`/api/export/trades?${queryString({...filters,format,direction:sort.key==="time"?sort.dir:"desc"})}`,exportFileName("trades",format)); setExporting(null); }
+    catch (err) { setExporting({error:err.message}); }
+  };
 
   return <div>
     <FilterBar T={T}>
       <FilterLabel T={T}>Agent</FilterLabel>
       <Select value={fa} onChange={setFa} T={T}>
         <option value="all">All Agents</option>
-        {AK.map(k=><option key={k} value={k}>{AG[k].abbr} {AG[k].name}</option>)}
+        {AK.map(k=><option key={k} value={k}>{agents.label(k)}</option>)}
       </Select>
       <FilterDivider T={T}/>
       <FilterLabel T={T}>Mode</FilterLabel>
@@ -376,7 +524,7 @@ function TradesPage({trades,modeFilter,T}) {
       <FilterLabel T={T}>Signal</FilterLabel>
       <Select value={fst} onChange={setFst} T={T}>
         <option value="all">All Signals</option>
-        {SIGNAL_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+        {signalTypes.map(t=><option key={t} value={t}>{t}</option>)}
       </Select>
       <FilterDivider T={T}/>
       <FilterLabel T={T}>Strength</FilterLabel>
@@ -387,7 +535,7 @@ function TradesPage({trades,modeFilter,T}) {
     </FilterBar>
 
     <Card T={T} style={{display:"grid",gridTemplateColumns:"repeat(7,1fr)",gap:4,padding:14,marginBottom:14}}>
-      <Stat label="Showing" value={filtered.length} sub={`of ${trades.length}`} T={T}/>
+      <Stat label="Showing" value={filtered.length} sub={page.key!==pageKey?"loading...":page.cursor?"more available":"all loaded"} T={T}/>
       <Stat label="Avg Return" value={`${st.avgReturn>=0?"+":""}${st.avgReturn.toFixed(2)}%`} color={pc(st.avgReturn,T)} sub="per trade" T={T}/>
       <Stat label="Expectancy" value={`${st.expectancy>=0?"+":""}${st.expectancy.toFixed(2)}%`} color={pc(st.expectancy,T)} T={T}/>
       <Stat label="R:R" value={st.rr>0?`${st.rr.toFixed(2)}x`:"---"} color={st.rr>=1?T.positive:T.negative} T={T}/>
@@ -396,37 +544,243 @@ function TradesPage({trades,modeFilter,T}) {
       <Stat label="P/L" value={`${st.totalPnl>=0?"+":""}$${st.totalPnl.toFixed(0)}`} color={pc(st.totalPnl,T)} T={T}/>
     </Card>
 
-    <Card T={T}><TradeTable trades={filtered} limit={limit} sort={sort} onSort={onSort} T={T}/></Card>
-    {filtered.length>limit&&<div style={{textAlign:"center",padding:12}}>
-      <button onClick={()=>setLimit(l=>l+50)} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"8px 24px",color:T.textSecondary,cursor:"pointer",fontSize:11,fontFamily:F}}>Load more ({filtered.length-limit} remaining)</button>
+    <Card T={T}>
+      <div style={{display:"flex",justifyContent:"flex-end",alignItems:"center",gap:12,marginBottom:8}}>
+        {exporting?.error&&<span style={{fontSize:9,color:T.negative,fontFamily:M}}>{exporting.error}</span>}
+        <span title="Streams every trade matching the filters from the server, newest or oldest first" style={{display:"inline-flex",alignItems:"center",gap:4}}>
+          <span style={{fontSize:8,fontWeight:700,letterSpacing:1.2,textTransform:"uppercase",color:T.textFaint}}>{exporting?.format?"Preparing...":"All matching"}</span>
+          {EXPORT_FORMATS.map(f=><button key={f} disabled={!!exporting?.format} onClick={()=>exportAll(f)} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:4,padding:"2px 6px",color:T.textSecondary,cursor:exporting?.format?"wait":"pointer",fontSize:9,fontFamily:M,fontWeight:600,textTransform:"uppercase"}}>{f}</button>)}
+        </span>
+        <ExportButtons rows={filtered} name="trades" label="Loaded rows" T={T}/>
+      </div>
+      <TradeTable trades={filtered} sort={sort} onSort={onSort} T={T}/>
+    </Card>
+    {page.cursor&&<div style={{textAlign:"center",padding:12}}>
+      <button onClick={loadMore} disabled={loadingMore} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"8px 24px",color:T.textSecondary,cursor:loadingMore?"wait":"pointer",fontSize:11,fontFamily:F}}>{loadingMore?"Loading...":`Load ${TRADES_PAGE_SIZE} more`}</button>
     </div>}
   </div>;
 }
 
+// ═══════════════════════════════
+// OPEN POSITIONS PAGE
+// ═══════════════════════════════
+const REFRESH_OPTIONS = [{ms:0,label:"Off"},{ms:15000,label:"15s"},{ms:30000,label:"30s"},{ms:60000,label:"1m"},{ms:300000,label:"5m"}];
+// Stop-loss / take-profit levels from an agent's config (GET /api/agents/configs), as % moves from entry.
+// trailing is the "Price Up → SL%" table: once up that far, the stop sits at least at SL%.
+function exitLevels(config) {
+  const sl = config?.stopLoss, tp = config?.takeProfit;
+  return {
+    stopLoss: sl?.enabled ? sl.defaultPct : null,
+    trailing: sl?.enabled ? sl.levels.map(l=>[l.priceUpPct,l.stopLossPct]) : [],
+    takeProfits: tp?.enabled ? tp.levels.map(l=>l.targetPct).sort((a,b)=>a-b) : [],
+  };
+}
+// Distance in P/L points from the current move to the stop (positive = room left) and to the next TP target
+function exitDistances(levels, pnlPct) {
+  const trail = levels.trailing.filter(([up])=>pnlPct>=up).map(([,sl])=>sl);
+  const stop = levels.stopLoss===null ? null : Math.max(levels.stopLoss, ...trail);
+  const nextTp = levels.takeProfits.find(tp=>tp>pnlPct) ?? null;
+  return { stop, trailed: trail.length>0, toStop: stop===null?null:pnlPct-stop, nextTp, toTp: nextTp===null?null:nextTp-pnlPct };
+}
+function fmtDuration(ms) {
+  if (!(ms > 0)) return "—";
+  const m = Math.floor(ms/60000), h = Math.floor(m/60), d = Math.floor(h/24);
+  return d>0 ? `${d}d ${h%24}h` : h>0 ? `${h}h ${m%60}m` : `${m}m`;
+}
+const fmtPrice = (v) => v>0 ? (v>=1 ? v.toFixed(2) : v.toPrecision(4)) : "—";
+const fmtSol = (v) => `${v>=0?"+":""}${v.toFixed(3)}`;
+// Unified OPEN trades from /api/trades/list → rows for the positions table
+function mapOpenPosition(t, configs) {
+  const agent = agentKey(t.agentId);
+  const pnlPct = t.pnlPercent || 0;
+  return {
+    id: t.id, agent, mode: t.mode === "live" ? "live" : "sim", token: t.token || t.tokenSymbol || "", tokenAddress: t.tokenAddress || "",
+    entryPrice: t.entryPrice || 0, currentPrice: t.currentPrice || 0, priceStale: Boolean(t.priceStale), priceSource: t.priceSource, priceAt: t.priceAt,
+    sizeSol: t.entryPositionSol || 0, pnlSol: t.pnlSol || 0, pnlUsd: t.pnl ?? null, pnlPct, ts: t.entryTime || t.timestamp || 0, holdTime: t.holdTime || 0,
+    ...exitDistances(exitLevels(configs[t.agentId]), pnlPct),
+  };
+}
+
+function OpenPositionsPage({modeFilter,timeZone,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
+  const [fa,setFa]=useState("all");
+  const [fm,setFm]=useState(modeFilter);
+  const [refreshMs,setRefreshMs]=useState(30000);
+  const [nonce,setNonce]=useState(0);
+  const [data,setData]=useState({rows:[],stale:0,at:null,error:null});
+  const [configs,setConfigs]=useState({});
+
+  useEffect(()=>{
+    let cancelled=false;
+    api("/api/agents/configs").then(res=>{if(!cancelled)setConfigs(Object.fromEntries((res.configs||[]).map(c=>[c.agentId,c.config])));}).catch(()=>{});
+    return ()=>{cancelled=true;};
+  },[]);
+
+  // One fetch on open and on "Refresh now", then every refreshMs; prices come from the backend's cached provider
+  useEffect(()=>{
+    let cancelled=false;
+    const load=()=>api(`/api/trades/list?${queryString({status:"OPEN",limit:500})}`)
+      .then(res=>{if(!cancelled)setData({rows:(res.trades||[]).filter(t=>t.status==="OPEN"),stale:(res.stalePrices||[]).length,at:Date.now(),error:null});})
+      .catch(err=>{if(!cancelled)setData(d=>({...d,error:err.message}));});
+    load();
+    const timer=refreshMs>0?setInterval(load,refreshMs):null;
+    return ()=>{cancelled=true;if(timer)clearInterval(timer);};
+  },[refreshMs,nonce]);
+
+  const positions=useMemo(()=>data.rows.map(t=>mapOpenPosition(t,configs))
+    .filter(p=>(fa==="all"||p.agent===fa)&&(fm==="all"||p.mode===fm))
+    .sort((a,b)=>b.ts-a.ts),[data.rows,configs,fa,fm]);
+
+  const byAgent=useMemo(()=>{
+    const groups={};
+    for(const p of positions){
+      const g=groups[`${p.agent}|${p.mode}`]||(groups[`${p.agent}|${p.mode}`]={agent:p.agent,mode:p.mode,n:0,sizeSol:0,pnlSol:0,pnlUsd:0,stale:0});
+      g.n++; g.sizeSol+=p.sizeSol; g.pnlSol+=p.pnlSol; g.pnlUsd+=p.pnlUsd||0; if(p.priceStale)g.stale++;
+    }
+    return Object.values(groups).sort((a,b)=>b.sizeSol-a.sizeSol);
+  },[positions]);
+  const tot=useMemo(()=>byAgent.reduce((t,g)=>({sizeSol:t.sizeSol+g.sizeSol,pnlSol:t.pnlSol+g.pnlSol,pnlUsd:t.pnlUsd+g.pnlUsd,stale:t.stale+g.stale}),{sizeSol:0,pnlSol:0,pnlUsd:0,stale:0}),[byAgent]);
+  const agentsOpen=useMemo(()=>[...new Set(data.rows.map(t=>agentKey(t.agentId)))],[data.rows]);
+
+  return <div>
+    <FilterBar T={T}>
+      <FilterLabel T={T}>Agent</FilterLabel>
+      <Select value={fa} onChange={setFa} T={T}>
+        <option value="all">All Agents</option>
+        {[...new Set([...AK,...agentsOpen])].map(k=><option key={k} value={k}>{agents.label(k)}</option>)}
+      </Select>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>Mode</FilterLabel>
+      <Select value={fm} onChange={setFm} T={T}>
+        <option value="all">All Modes</option>
+        <option value="live">Live</option>
+        <option value="sim">Simulation</option>
+      </Select>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>Auto-refresh</FilterLabel>
+      <Select value={String(refreshMs)} onChange={v=>setRefreshMs(Number(v))} T={T}>
+        {REFRESH_OPTIONS.map(o=><option key={o.ms} value={String(o.ms)}>{o.label}</option>)}
+      </Select>
+      <button onClick={()=>setNonce(n=>n+1)} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"5px 12px",color:T.textSecondary,cursor:"pointer",fontSize:10,fontFamily:F}}>Refresh now</button>
+      <span style={{fontSize:9,color:data.error?T.negative:T.textFaint,fontFamily:M}}>{data.error?`refresh failed: ${data.error}`:data.at?`updated ${formatInTimeZone(data.at,timeZone,"time")}`:"loading..."}</span>
+    </FilterBar>
+
+    <Card T={T} style={{display:"grid",gridTemplateColumns:"repeat(5,1fr)",gap:4,padding:14,marginBottom:14}}>
+      <Stat label="Open Positions" value={positions.length} sub={`${byAgent.length} agent/mode groups`} T={T}/>
+      <Stat label="Exposure" value={`${tot.sizeSol.toFixed(2)} SOL`} sub="at entry" T={T}/>
+      <Stat label="Unrealized SOL" value={fmtSol(tot.pnlSol)} color={pc(tot.pnlSol,T)} T={T}/>
+      <Stat label="Unrealized USD" value={`${tot.pnlUsd>=0?"+":""}$${tot.pnlUsd.toFixed(2)}`} color={pc(tot.pnlUsd,T)} T={T}/>
+      <Stat label="Stale Prices" value={tot.stale} color={tot.stale>0?T.warning:undefined} sub={tot.stale>0?"last known or entry price":"all live"} T={T}/>
+    </Card>
+
+    <Card T={T}>
+      <CTitle T={T}>Exposure by Agent</CTitle>
+      {byAgent.length===0?<div style={{textAlign:"center",padding:"20px",color:T.textFaint,fontSize:12}}>No open positions</div>:
+      <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+        <thead><tr>
+          <TH T={T}>Agent</TH><TH T={T}>Mode</TH><TH align="right" T={T}>Open</TH><TH align="right" T={T}>Exposure SOL</TH>
+          <TH align="right" T={T}>Share</TH><TH align="right" T={T}>Unrealized SOL</TH><TH align="right" T={T}>Unrealized USD</TH><TH align="right" T={T}>Stale</TH>
+        </tr></thead>
+        <tbody>{byAgent.map(g=><tr key={`${g.agent}|${g.mode}`}>
+          <TD T={T}><ABadge k={g.agent} T={T}/></TD>
+          <TD T={T}><Badge color={g.mode==="live"?T.modeLive:T.modeSim} T={T}>{g.mode}</Badge></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono>{g.n}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono>{g.sizeSol.toFixed(3)}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono>{tot.sizeSol>0?`${(g.sizeSol/tot.sizeSol*100).toFixed(0)}%`:"—"}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono style={{color:pc(g.pnlSol,T)}}>{fmtSol(g.pnlSol)}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}><PnL v={g.pnlUsd} T={T}/></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono style={{color:g.stale>0?T.warning:T.textFaint}}>{g.stale}</Mono></TD>
+        </tr>)}</tbody>
+      </table></div>}
+    </Card>
+
+    <Card T={T}>
+      <CTitle T={T} right={<span style={{fontSize:9,color:T.textFaint}}>SL / TP distance in P/L points · ≥ = trailing level reached</span>}>Positions</CTitle>
+      {positions.length===0?<div style={{textAlign:"center",padding:"40px",color:T.textFaint,fontSize:12}}>{data.at?"No open positions match filters":"Loading..."}</div>:
+      <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+        <thead><tr>
+          <TH T={T}>Agent</TH><TH T={T}>Mode</TH><TH T={T}>Token</TH><TH align="right" T={T}>Entry</TH><TH align="right" T={T}>Current</TH>
+          <TH align="right" T={T}>Size SOL</TH><TH align="right" T={T}>Δ%</TH><TH align="right" T={T}>P/L SOL</TH><TH align="right" T={T}>P/L USD</TH>
+          <TH align="right" T={T}>Held</TH><TH align="right" T={T}>To SL</TH><TH align="right" T={T}>To TP</TH>
+        </tr></thead>
+        <tbody>{positions.map((p,i)=><tr key={p.id} style={{background:i%2?T.bgFilterBar:"transparent"}}>
+          <TD T={T}><ABadge k={p.agent} T={T}/></TD>
+          <TD T={T}><Badge color={p.mode==="live"?T.modeLive:T.modeSim} T={T}>{p.mode}</Badge></TD>
+          <TD style={{fontWeight:700,color:T.text,fontFamily:M,fontSize:11}} T={T}>{p.token||p.tokenAddress.slice(0,6)}</TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono>${fmtPrice(p.entryPrice)}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}>
+            <Mono style={{color:p.priceStale?T.warning:undefined}}>${fmtPrice(p.currentPrice)}</Mono>
+            {p.priceStale&&<span title={p.priceSource==="entry"?"No live price — showing entry price":`Last refreshed ${p.priceAt?formatInTimeZone(p.priceAt,timeZone,"time"):"—"}`} style={{marginLeft:5}}><Badge color={T.warning} T={T}>{p.priceSource==="entry"?"no price":"stale"}</Badge></span>}
+          </TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono>{p.sizeSol.toFixed(3)}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}><PnL v={p.pnlPct} pct T={T}/></TD>
+          <TD style={{textAlign:"right"}} T={T}><Mono style={{color:pc(p.pnlSol,T)}}>{fmtSol(p.pnlSol)}</Mono></TD>
+          <TD style={{textAlign:"right"}} T={T}>{p.pnlUsd===null?<Mono style={{color:T.textFaint}}>—</Mono>:<PnL v={p.pnlUsd} T={T}/>}</TD>
+          <TD style={{textAlign:"right",fontFamily:M,fontSize:10}} T={T}>{fmtDuration(p.holdTime)}</TD>
+          <TD style={{textAlign:"right"}} T={T}>{p.toStop===null?<Mono style={{color:T.textFaint}}>off</Mono>:<span title={`Stop at ${p.trailed?"≥ ":""}${p.stop}%`}><Mono style={{color:p.toStop<5?T.negative:T.textSecondary}}>{p.trailed?"≥ ":""}{p.toStop.toFixed(1)}</Mono></span>}</TD>
+          <TD style={{textAlign:"right"}} T={T}>{p.toTp===null?<Mono style={{color:T.textFaint}}>—</Mono>:<span title={`Next target +${p.nextTp}%`}><Mono style={{color:p.toTp<5?T.positive:T.textSecondary}}>{p.toTp.toFixed(1)}</Mono></span>}</TD>
+        </tr>)}</tbody>
+      </table></div>}
+    </Card>
+  </div>;
+}
+
 // ═══════════════════════════════
 // SIGNALS PAGE
 // ═══════════════════════════════
-function SignalsPage({signals,T}) {
+const SIGNALS_PAGE_SIZE = 80;
+// Pushed signals held for merging into the open signals page before it refetches instead
+const LIVE_SIGNALS_KEPT = 200;
+const matchesSignalFilters = (s, {signalType, strength}) =>
+  (signalType === "all" || s.tradingStrategy === signalType) && (strength === "all" || s.signalStrength === Number(strength));
+function SignalsPage({counts,signalVersion,liveSignals,timeZone,T}) {
   const [ft,setFt]=useState("all");
   const [fstr,setFstr]=useState("all");
   const [sort,setSort]=useState("newest");
-  const types=useMemo(()=>{const m={};signals.forEach(s=>{if(!s.type)return;if(!m[s.type])m[s.type]={n:0,str:0};m[s.type].n++;m[s.type].str+=s.strength;});return Object.entries(m).map(([t,v])=>({type:t,n:v.n,avg:(v.str/v.n).toFixed(1)})).sort((a,b)=>b.n-a.n);},[signals]);
+  const [page,setPage]=useState({key:null,rows:[],cursor:null});
+  const [loadingMore,setLoadingMore]=useState(false);
+  const types=counts.byType.map(t=>({type:t.type,n:t.n,avg:t.avgStrength.toFixed(1)}));
+
+  // Type, strength and time order run on the server; the strength sorts order the loaded rows
+  const filters = useMemo(()=>({signalType:ft,strength:fstr,direction:sort==="oldest"?"asc":"desc"}),[ft,fstr,sort]);
+  const pageKey = JSON.stringify([filters,signalVersion]);
+  const fetchPage = useCallback((cursor)=>api(`/api/signals/list?${queryString({limit:SIGNALS_PAGE_SIZE,...filters,cursor})}`),[filters]);
+  useEffect(()=>{
+    let cancelled=false;
+    fetchPage().then(res=>{if(!cancelled)setPage({key:pageKey,rows:res.signals||[],cursor:res.nextCursor||null});}).catch(err=>console.error("Signals fetch error:",err));
+    return ()=>{cancelled=true;};
+  },[fetchPage,pageKey]);
+  const loadMore = useCallback(async ()=>{
+    setLoadingMore(true);
+    try {
+      const res=await fetchPage(page.cursor);
+      setPage(p=>({...p,rows:[...p.rows,...(res.signals||[])],cursor:res.nextCursor||null}));
+    } catch (err) { console.error("Signals fetch error:",err); }
+    setLoadingMore(false);
+  },[fetchPage,page.cursor]);
+
+  // Signals pushed since the last load are merged in rather than refetched. Newest first they go on top;
+  // oldest first they belong after the last page, so they show once that page is loaded.
+  const rows=useMemo(()=>{
+    const loaded=new Set(page.rows.map(s=>s.id));
+    const pushed=liveSignals.filter(s=>!loaded.has(s.id)&&matchesSignalFilters(s,filters));
+    if(!pushed.length) return page.rows;
+    if(filters.direction==="asc") return page.cursor?page.rows:[...page.rows,...pushed.reverse()];
+    return [...pushed,...page.rows];
+  },[page,liveSignals,filters]);
+
   const filtered=useMemo(()=>{
-    let r=[...signals];
-    if(ft!=="all") r=r.filter(s=>s.type===ft);
-    if(fstr!=="all") r=r.filter(s=>String(s.strength)===fstr);
-    if(sort==="newest") r.sort((a,b)=>new Date(b.timestamp||0)-new Date(a.timestamp||0));
-    if(sort==="oldest") r.sort((a,b)=>new Date(a.timestamp||0)-new Date(b.timestamp||0));
+    const r=rows.map(s=>mapFirestoreSignal(s,timeZone));
     if(sort==="str_desc") r.sort((a,b)=>b.strength-a.strength);
     if(sort==="str_asc") r.sort((a,b)=>a.strength-b.strength);
     return r;
-  },[signals,ft,fstr,sort]);
+  },[rows,sort,timeZone]);
 
   return <div>
     <FilterBar T={T}>
       <FilterLabel T={T}>Signal Type</FilterLabel>
       <Select value={ft} onChange={setFt} T={T}>
-        <option value="all">All Types ({signals.length})</option>
+        <option value="all">All Types ({counts.total})</option>
         {types.map(t=><option key={t.type} value={t.type}>{t.type} ({t.n})</option>)}
       </Select>
       <FilterDivider T={T}/>
@@ -444,7 +798,7 @@ function SignalsPage({signals,T}) {
         <option value="str_asc">Strength asc</option>
       </Select>
       <FilterDivider T={T}/>
-      <span style={{fontSize:10,color:T.textMuted,fontFamily:M}}>{filtered.length} signals</span>
+      <span style={{fontSize:10,color:T.textMuted,fontFamily:M}}>{filtered.length} signals loaded</span>
     </FilterBar>
 
     <div style={{display:"grid",gridTemplateColumns:`repeat(${Math.min(Math.max(types.length,1),5)},1fr)`,gap:10,marginBottom:16}}>
@@ -457,142 +811,368 @@ function SignalsPage({signals,T}) {
       </Card>)}
     </div>
 
-    <Card T={T}><div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Type","Str","Token","Details","Time"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{filtered.slice(0,80).map((s,i)=><tr key={s.id||i} style={{background:i%2?T.bgFilterBar:"transparent"}} onMouseEnter={e=>e.currentTarget.style.background=T.bgHover} onMouseLeave={e=>e.currentTarget.style.background=i%2?T.bgFilterBar:"transparent"}><TD T={T}><Badge T={T}>{s.type?.replace("Hyper Surge","HS").replace("Dormant Explosion","DE").replace("Price Reversal","PR").replace("Dex Boost","DB").replace(" (Pullback)"," PB")}</Badge></TD><TD T={T}><Mono style={{color:s.strength>=4?T.positive:s.strength>=3?T.warning:s.strength>=2?"#f97316":T.negative,fontSize:13,fontWeight:800}}>{s.strength}</Mono></TD><TD style={{fontWeight:700,color:T.text,fontFamily:M,fontSize:11}} T={T}>{s.token}</TD><TD style={{fontSize:10,color:T.textMuted,maxWidth:320,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}} T={T}>{s.reason||"---"}</TD><TD style={{fontSize:9,color:T.textMuted,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{s.timestamp}</TD></tr>)}</tbody></table></div></Card>
+    <Card T={T}><div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Type","Str","Token","Details","Time"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{filtered.map((s,i)=><tr key={s.id||i} style={{background:i%2?T.bgFilterBar:"transparent"}} onMouseEnter={e=>e.currentTarget.style.background=T.bgHover} onMouseLeave={e=>e.currentTarget.style.background=i%2?T.bgFilterBar:"transparent"}><TD T={T}><Badge T={T}>{s.type?.replace("Hyper Surge","HS").replace("Dormant Explosion","DE").replace("Price Reversal","PR").replace("Dex Boost","DB").replace(" (Pullback)"," PB")}</Badge></TD><TD T={T}><Mono style={{color:s.strength>=4?T.positive:s.strength>=3?T.warning:s.strength>=2?"#f97316":T.negative,fontSize:13,fontWeight:800}}>{s.strength}</Mono></TD><TD style={{fontWeight:700,color:T.text,fontFamily:M,fontSize:11}} T={T}>{s.token}</TD><TD style={{fontSize:10,color:T.textMuted,maxWidth:320,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}} T={T}>{s.reason||"---"}</TD><TD style={{fontSize:9,color:T.textMuted,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{s.timestamp}</TD></tr>)}</tbody></table></div></Card>
+    {page.cursor&&<div style={{textAlign:"center",padding:12}}>
+      <button onClick={loadMore} disabled={loadingMore} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"8px 24px",color:T.textSecondary,cursor:loadingMore?"wait":"pointer",fontSize:11,fontFamily:F}}>{loadingMore?"Loading...":`Load ${SIGNALS_PAGE_SIZE} more`}</button>
+    </div>}
   </div>;
 }
 
 // ═══════════════════════════════
 // AGENTS PAGE
 // ═══════════════════════════════
-function AgentsPage({trades,modeFilter,T}) {
-  const [sel,setSel]=useState("degen");
-  const [tab,setTab]=useState("Purchase & Position");
-  const a = AG[sel];
-  const ft=useMemo(()=>(modeFilter==="all"?trades:trades.filter(t=>t.mode===modeFilter)).filter(t=>t.agent===sel),[trades,modeFilter,sel]);
-  const s=useMemo(()=>calcStats(ft),[ft]);
-  const TABS=["Purchase & Position","Signals","Risk Management","Stop Loss","Take-Profit","DCA","Stale Trade"];
-  const AGENT_DESCRIPTIONS={
-    degen:"Accept every signal, trade anything, ride to big multipliers.",
-    pro:"Balanced — strict filters, offset stop losses, stale trade closure.",
-    scalper:"Quick in/out — tight stops, ultra-early profit-taking.",
-    basetest:"Control benchmark — all defaults, Exponential Decay, no TP.",
-    boosthunter:"Targets Dex Boost signals — filters for boosted tokens only.",
-    signalsniper:"High signal quality filter — only trades top-tier signals.",
-    scalper2:"Refined scalping v2 — optimized TP/SL from Scalper learnings.",
-    basetest2:"Updated control v2 — revised defaults for Analytics 2.0.",
-    ignitiontester:"Ignition signal specialist — tests ignition-type signals.",
-  };
-  const configs={
-    degen:{"Purchase & Position":[{l:"Max Slippage",v:"3%",n:"Tight — prevents overpaying"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2",n:"0.2-3 SOL"},{l:"Medium from",v:"3",n:"3-7 SOL"},{l:"Large from",v:"7",n:"7+ SOL"},{d:"Position Size per Range"},{l:"Small",v:"0.3-0.5",n:"Up to ~25% of balance"},{l:"Medium",v:"0.5-1.0",n:"Up to ~30% per trade"},{l:"Large",v:"1.0-1.5"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"1 (All)",n:"Every signal triggers"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"No Filter"},{d:"Token Metrics"},{l:"Min Mcap",v:"---"},{l:"Min Liq",v:"---"},{l:"Min Holders",v:"---"},{i:"Pure exposure — trades everything."}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-20%"},{l:"Strategy",v:"Custom"},{i:"Custom levels avoid Exponential Decay clustering."},{d:"Custom Levels (desc)"},{t:[["Price Up","SL%"],["300%","92%"],["200%","85%"],["100%","65%"],["50%","20%"],["25%","3%"]]}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom"},{d:"Levels"},{t:[["Target","Sell%"],["100%","20%"],["200%","20%"],["400%","20%"],["600%","20%"]]},{i:"80% sold. 20% moon bag at 400%."},{l:"Moon Bag",v:"ON — 20% at 400%"}],
-      DCA:[{l:"Enabled",v:"OFF"},{i:"DCA multiplies losses on rugs."}],
-      "Stale Trade":[{l:"Enabled",v:"OFF"},{i:"Moonshots take hours — never cut short."}]},
-    pro:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.2-0.3"},{l:"Medium",v:"0.3-0.5",n:"~10-15% per trade"},{l:"Large",v:"0.5-1.0"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"2",n:"Filters weakest ~20%"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"No Filter (uses metrics)"},{d:"Token Metrics"},{l:"Min Mcap",v:"$50,000"},{l:"Min Liq",v:"$15,000"},{l:"Min Holders",v:"200"},{i:"Strict — filters rugs and bots."}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-15%"},{l:"Strategy",v:"Custom"},{i:"Offset from Step-Based Zones to avoid cascades."},{d:"Custom Levels"},{t:[["Price Up","SL%"],["250%","88%"],["120%","60%"],["60%","28%"],["30%","10%"],["15%","2%"]]}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom"},{i:"Exits before Moderate preset walls."},{d:"Levels"},{t:[["Target","Sell%"],["40%","25%"],["130%","25%"],["270%","25%"],["370%","15%"]]},{i:"90% sold. 10% moon bag at 270%."},{l:"Moon Bag",v:"ON — 10% at 270%"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"120 min"},{l:"P/L Range",v:"1%-10%"},{i:"After 2hrs, 1-10% trades auto-closed."}]},
-    scalper:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.2-0.3"},{l:"Medium",v:"0.3-0.5",n:"-10% SL caps risk to ~1.5%"},{l:"Large",v:"0.5-1.0"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"3",n:"Quality — filters bottom ~40%"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"No Filter (uses metrics)"},{d:"Token Metrics"},{l:"Min Mcap",v:"$10,000"},{l:"Min Liq",v:"$5,000"},{l:"Min Holders",v:"50"}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-10%",n:"Tightest of all"},{l:"Strategy",v:"Custom"},{d:"Custom Levels"},{t:[["Price Up","SL%"],["150%","85%"],["100%","65%"],["50%","30%"],["20%","8%"],["10%","2%"]]},{i:"Once up 10%, can NEVER lose money."}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom — ultra-aggressive"},{d:"Levels"},{t:[["Target","Sell%"],["5%","30%"],["15%","30%"],["35%","25%"],["60%","15%"]]},{i:"100% sold. No moon bag."},{l:"Moon Bag",v:"OFF"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"60 min"},{l:"P/L Range",v:"1%-8%"},{i:"After 1hr, 1-8% trades auto-closed."}]},
-    basetest:{"Purchase & Position":[{l:"Max Slippage",v:"5%",n:"Default — wider than custom (3%)"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2",n:"0.2-5 SOL"},{l:"Medium from",v:"5"},{l:"Large from",v:"10"},{d:"Position Size"},{l:"Small",v:"0.2-0.5"},{l:"Medium",v:"0.5-1.0"},{l:"Large",v:"1.0-1.5"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"1 (All)",n:"Same as Degen"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"No Filter"},{d:"Token Metrics"},{l:"Min Mcap",v:"---"},{l:"Min Liq",v:"---"},{l:"Min Holders",v:"---"},{i:"No filters — benchmark."}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-32%",n:"Wider than custom agents"},{l:"Strategy",v:"Exponential Decay (PRESET)"},{i:"Same preset most users run."},{d:"Behavior"},{t:[["Price Up","SL Set At"],["+10%","-32%"],["+25%","3.7%"],["+50%","30.8%"],["+100%","90%"]]}],
-      "Take-Profit":[{l:"Enabled",v:"OFF"},{i:"No TP — relies on stop loss only."}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"60 min"},{l:"P/L Range",v:"1%-10%"}]},
-    boosthunter:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.2-0.4"},{l:"Medium",v:"0.4-0.8"},{l:"Large",v:"0.8-1.2"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"2"},{l:"Signal Types",v:"Dex Boost only",n:"Filters for boosted tokens"}],
-      "Risk Management":[{l:"Filter Mode",v:"Metrics"},{d:"Token Metrics"},{l:"Min Mcap",v:"$25,000"},{l:"Min Liq",v:"$10,000"},{l:"Min Holders",v:"100"}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-18%"},{l:"Strategy",v:"Custom"}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom"},{d:"Levels"},{t:[["Target","Sell%"],["50%","25%"],["150%","25%"],["300%","25%"],["500%","15%"]]},{l:"Moon Bag",v:"ON — 10%"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"90 min"},{l:"P/L Range",v:"1%-8%"}]},
-    signalsniper:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.3-0.5"},{l:"Medium",v:"0.5-0.8"},{l:"Large",v:"0.8-1.2"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"3",n:"High quality only"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"Metrics"},{d:"Token Metrics"},{l:"Min Mcap",v:"$30,000"},{l:"Min Liq",v:"$10,000"},{l:"Min Holders",v:"150"}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-15%"},{l:"Strategy",v:"Custom"}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom"},{d:"Levels"},{t:[["Target","Sell%"],["80%","20%"],["180%","25%"],["350%","25%"],["500%","20%"]]},{l:"Moon Bag",v:"ON — 10%"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"90 min"},{l:"P/L Range",v:"1%-10%"}]},
-    scalper2:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.2-0.3"},{l:"Medium",v:"0.3-0.5"},{l:"Large",v:"0.5-0.8"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"3",n:"Quality filter"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"Metrics"},{d:"Token Metrics"},{l:"Min Mcap",v:"$15,000"},{l:"Min Liq",v:"$8,000"},{l:"Min Holders",v:"75"}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-12%",n:"Refined from Scalper v1"},{l:"Strategy",v:"Custom"}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom — aggressive"},{d:"Levels"},{t:[["Target","Sell%"],["8%","25%"],["20%","30%"],["45%","25%"],["80%","20%"]]},{l:"Moon Bag",v:"OFF"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"45 min"},{l:"P/L Range",v:"1%-6%"}]},
-    basetest2:{"Purchase & Position":[{l:"Max Slippage",v:"4%",n:"Slightly tighter than v1"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"4"},{l:"Large from",v:"8"},{d:"Position Size"},{l:"Small",v:"0.2-0.4"},{l:"Medium",v:"0.4-0.8"},{l:"Large",v:"0.8-1.2"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"1 (All)"},{l:"Signal Types",v:"All accepted"}],
-      "Risk Management":[{l:"Filter Mode",v:"No Filter"},{d:"Token Metrics"},{l:"Min Mcap",v:"---"},{l:"Min Liq",v:"---"},{l:"Min Holders",v:"---"},{i:"No filters — updated control benchmark."}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-28%",n:"Tighter than v1"},{l:"Strategy",v:"Exponential Decay (PRESET)"}],
-      "Take-Profit":[{l:"Enabled",v:"OFF"},{i:"No TP — relies on stop loss only."}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"75 min"},{l:"P/L Range",v:"1%-10%"}]},
-    ignitiontester:{"Purchase & Position":[{l:"Max Slippage",v:"3%"},{d:"Balance Boundaries"},{l:"Small from",v:"0.2"},{l:"Medium from",v:"3"},{l:"Large from",v:"7"},{d:"Position Size"},{l:"Small",v:"0.2-0.4"},{l:"Medium",v:"0.4-0.7"},{l:"Large",v:"0.7-1.0"},{l:"Randomization",v:"ON"}],
-      Signals:[{l:"Min Strength",v:"2"},{l:"Signal Types",v:"Ignition signals",n:"Tests ignition-type triggers"}],
-      "Risk Management":[{l:"Filter Mode",v:"Metrics"},{d:"Token Metrics"},{l:"Min Mcap",v:"$20,000"},{l:"Min Liq",v:"$8,000"},{l:"Min Holders",v:"100"}],
-      "Stop Loss":[{l:"Enabled",v:"ON"},{l:"Default",v:"-16%"},{l:"Strategy",v:"Custom"}],
-      "Take-Profit":[{l:"Enabled",v:"ON"},{l:"Strategy",v:"Custom"},{d:"Levels"},{t:[["Target","Sell%"],["60%","25%"],["150%","25%"],["300%","25%"],["500%","15%"]]},{l:"Moon Bag",v:"ON — 10%"}],
-      DCA:[{l:"Enabled",v:"OFF"}],
-      "Stale Trade":[{l:"Enabled",v:"ON"},{l:"Hold Time",v:"90 min"},{l:"P/L Range",v:"1%-10%"}]},
-  };
-  const renderField=(f,i)=>{
-    if(f.d)return <div key={i} style={{padding:"9px 0 3px",borderBottom:`1px solid ${T.accent}25`}}><span style={{fontSize:9,fontWeight:700,textTransform:"uppercase",letterSpacing:1.5,color:T.accent,fontFamily:M}}>{f.d}</span></div>;
-    if(f.i)return <div key={i} style={{margin:"6px 0",padding:"8px 12px",background:T.accentBg,borderLeft:`3px solid ${T.accent}60`,borderRadius:"0 6px 6px 0",fontSize:11,color:T.textSecondary,lineHeight:1.5,fontStyle:"italic"}}>{f.i}</div>;
-    if(f.t)return <div key={i} style={{margin:"6px 0"}}><table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{f.t[0].map((h,j)=><th key={j} style={{padding:"5px 10px",background:`${T.accent}14`,color:T.textSecondary,textAlign:"left",fontWeight:700,borderBottom:`2px solid ${T.accent}20`,fontFamily:M,fontSize:10}}>{h}</th>)}</tr></thead><tbody>{f.t.slice(1).map((row,ri)=><tr key={ri}>{row.map((cell,ci)=><td key={ci} style={{padding:"4px 10px",borderBottom:`1px solid ${T.borderLight}`,color:ci===0?T.accent:T.textSecondary,fontFamily:M,fontSize:11,fontWeight:ci===0?700:400}}>{cell}</td>)}</tr>)}</tbody></table></div>;
-    const isOn=f.v==="ON"||f.v?.startsWith("ON ");
-    const isOff=f.v==="OFF"||f.v?.startsWith("OFF ");
-    return <div key={i} style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:12,padding:"7px 0",borderBottom:`1px solid ${T.borderLight}`,alignItems:"center"}}>
-      <div><div style={{fontSize:11.5,color:T.text,fontWeight:500}}>{f.l}</div>{f.n&&<div style={{fontSize:9.5,color:T.textMuted,marginTop:1}}>{f.n}</div>}</div>
-      <div style={{fontFamily:M,fontSize:11.5,fontWeight:700,textAlign:"right",padding:"4px 10px",background:T.bgInput,borderRadius:4,border:`1px solid ${T.borderLight}`,color:isOn?T.positive:isOff?T.negative:f.v==="---"?T.textFaint:T.accent}}>{f.v}</div>
+// Nexgent settings come from GET /api/agents/configs, laid out by the shared schema (CONFIG_SECTIONS)
+const fmtUnit=(v,unit)=>v===null||v===undefined||v===""?"---":unit==="USD"?`$${Number(v).toLocaleString()}`:unit==="%"?`${v}%`:unit?`${v} ${unit}`:String(v);
+function fmtConfigValue(field,v) {
+  if(field.type==="boolean") return v?"ON":"OFF";
+  if(field.type==="select") return field.options.find(([o])=>o===v)?.[1]||v||"---";
+  if(field.type==="list") return v?.length?v.join(", "):"All accepted";
+  if(field.type==="range") return v?`${fmtUnit(v.min,field.unit)} – ${fmtUnit(v.max,field.unit)}`:"---";
+  return fmtUnit(v,field.unit);
+}
+
+// "stopLoss.defaultPct" → "Stop Loss: Default"
+function configFieldLabel(path) {
+  const section=CONFIG_SECTIONS.find(x=>path.startsWith(`${x.key}.`));
+  const field=section?.fields.find(f=>f.key===path.slice(section.key.length+1));
+  return field?`${section.label}: ${field.label}`:path;
+}
+// "YYYY-MM-DDTHH:MM" from a datetime-local input → epoch ms of that wall time in timeZone
+function dateTimeInZone(value, timeZone) {
+  const [date,time]=value.split("T");
+  const [year,month,day]=date.split("-").map(Number);
+  const [hour,minute]=(time||"0:0").split(":").map(Number);
+  return zonedTimeToUtc({year,month,day,hour,minute},timeZone);
+}
+
+function ConfigVersion({v,prev,current,active,onClick,timeZone,T}) {
+  const st=v.stats, delta=prev&&prev.stats.n&&st.n?st.expectancy-prev.stats.expectancy:null;
+  return <div onClick={onClick} style={{display:"grid",gridTemplateColumns:"14px 1fr auto",gap:10,padding:"9px 8px",borderBottom:`1px solid ${T.borderLight}`,cursor:"pointer",background:active?T.accentBg:"transparent",borderRadius:4}}>
+    <div style={{display:"flex",flexDirection:"column",alignItems:"center"}}><div style={{width:9,height:9,borderRadius:"50%",marginTop:3,background:current?T.accent:T.textFaint}}/><div style={{flex:1,width:1,background:T.borderLight,marginTop:3}}/></div>
+    <div>
+      <div style={{fontSize:11.5,color:T.text}}><Mono style={{fontWeight:700,color:current?T.accent:T.textSecondary}}>v{v.version}</Mono>
+        <span style={{marginLeft:8,fontSize:10,color:T.textMuted,fontFamily:M}}>{v.effectiveFrom?formatInTimeZone(v.effectiveFrom,timeZone):"from the start"} → {v.effectiveTo?formatInTimeZone(v.effectiveTo,timeZone):"now"}</span>
+        {current&&<span style={{marginLeft:8,fontSize:8.5,fontWeight:700,letterSpacing:1,color:T.accent,border:`1px solid ${T.accent}50`,borderRadius:3,padding:"1px 5px"}}>CURRENT</span>}
+      </div>
+      <div style={{fontSize:11,color:T.textSecondary,marginTop:3}}>{v.note}{v.createdBy&&<span style={{color:T.textFaint}}> — {v.createdBy}</span>}{!v.id&&<span style={{color:T.textFaint}}> (not saved yet)</span>}</div>
+      {v.changes.length>0&&<div style={{fontSize:9.5,color:T.textMuted,marginTop:3,fontFamily:M}}>Changed: {v.changes.map(configFieldLabel).join(", ")}</div>}
+    </div>
+    <div style={{textAlign:"right",fontSize:10,color:T.textSecondary,whiteSpace:"nowrap"}}>
+      {st.n?<>
+        <div>{st.n} trades · WR <Mono>{st.winRate.toFixed(0)}%</Mono> · PF <Mono>{st.profitFactor.toFixed(2)}</Mono></div>
+        <div style={{marginTop:2}}>Exp <Mono style={{color:pc(st.expectancy,T)}}>{st.expectancy>=0?"+":""}{st.expectancy.toFixed(2)}%</Mono>{delta!==null&&<Mono style={{marginLeft:4,color:pc(delta,T)}}>({delta>=0?"+":""}{delta.toFixed(2)} vs v{prev.version})</Mono>} · <PnL v={st.totalPnl} T={T}/></div>
+      </>:<span style={{color:T.textFaint}}>No closed trades</span>}
+    </div>
+  </div>;
+}
+
+// Agents' current configs side by side; a row is highlighted when the agents' values differ
+function ConfigCompare({agents,configs,modeFilter,dataVersion,T}) {
+  const [onlyDiff,setOnlyDiff]=useState(false);
+  const {groups:[byAgent]}=useStats({mode:modeFilter,agentId:agents.join(",")},["agent"],dataVersion);
+  const cols=useMemo(()=>agents.map(k=>({k,config:configs[k]?.config,stats:byAgent.find(g=>agentKey(g.agent)===k)?.stats||EMPTY_STATS})),[agents,configs,byAgent]);
+  const sections=useMemo(()=>{
+    const differs=(values)=>new Set(values.map(v=>JSON.stringify(v??null))).size>1;
+    return CONFIG_SECTIONS.map(section=>{
+      const out=[];
+      for(const field of section.fields){
+        if(field.heading) continue;
+        const values=cols.map(c=>getPath(c.config?.[section.key],field.key));
+        if(field.type!=="table"){
+          out.push({label:field.label,values:values.map(v=>fmtConfigValue(field,v)),diff:field.type!=="text"&&differs(values),text:field.type==="text"});
+          continue;
+        }
+        // Level tables line up row by row: level 1 against level 1, and so on
+        const n=Math.max(0,...values.map(v=>v?.length||0));
+        const [a,b]=field.columns;
+        if(!n) out.push({label:field.label,values:values.map(()=>"No levels"),diff:false});
+        for(let i=0;i<n;i++) out.push({label:i?"":`${field.label} (${a.label} → ${b.label})`,sub:`#${i+1}`,
+          values:values.map(v=>v?.[i]?`${fmtUnit(v[i][a.key],a.unit)} → ${fmtUnit(v[i][b.key],b.unit)}`:"---"),diff:differs(values.map(v=>v?.[i]))});
+      }
+      return {label:section.label,rows:out};
+    });
+  },[cols]);
+  const diffs=sections.reduce((n,x)=>n+x.rows.filter(r=>r.diff).length,0);
+  const shown=onlyDiff?sections.map(x=>({...x,rows:x.rows.filter(r=>r.diff)})).filter(x=>x.rows.length):sections;
+  const cell={padding:"6px 10px",borderBottom:`1px solid ${T.borderLight}`,fontSize:11,fontFamily:M,verticalAlign:"top"};
+  return <Card accent={T.accent} T={T}>
+    <CTitle T={T} right={<label style={{fontSize:10,color:T.textSecondary,cursor:"pointer"}}><input type="checkbox" checked={onlyDiff} onChange={e=>setOnlyDiff(e.target.checked)} style={{marginRight:5}}/>Only differences</label>}>
+      Config Comparison<span style={{marginLeft:8,fontWeight:400,letterSpacing:0,textTransform:"none",color:diffs?T.warning:T.textFaint}}>{diffs} setting{diffs===1?"":"s"} differ</span>
+    </CTitle>
+    <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+      <thead><tr><TH T={T}>Setting</TH>{cols.map(c=><th key={c.k} style={{padding:"8px 10px",background:T.bgTableHead,borderBottom:`2px solid ${T.border}`,textAlign:"left",minWidth:160,verticalAlign:"top"}}>
+        <ABadge k={c.k} T={T}/>
+        <div style={{fontSize:10,color:T.textSecondary,fontWeight:400,marginTop:6,lineHeight:1.6}}>{c.stats.n?<>
+          {c.stats.n} trades · WR <Mono>{c.stats.winRate.toFixed(0)}%</Mono><br/>
+          Exp <Mono style={{color:pc(c.stats.expectancy,T)}}>{c.stats.expectancy>=0?"+":""}{c.stats.expectancy.toFixed(2)}%</Mono> · PF <Mono>{c.stats.profitFactor.toFixed(2)}</Mono><br/>
+          R:R <Mono style={{color:c.stats.rr>=1?T.positive:T.negative}}>{c.stats.rr.toFixed(2)}x</Mono> · P/L <PnL v={c.stats.totalPnl} T={T}/>
+        </>:<span style={{color:T.textFaint}}>No closed trades</span>}</div>
+      </th>)}</tr></thead>
+      <tbody>{shown.map(x=><Fragment key={x.label}>
+        <tr><td colSpan={cols.length+1} style={{padding:"12px 10px 4px",fontSize:9,fontWeight:700,textTransform:"uppercase",letterSpacing:1.5,color:T.accent,fontFamily:M,borderBottom:`1px solid ${T.accent}25`}}>{x.label}</td></tr>
+        {x.rows.map((r,i)=><tr key={i} style={{background:r.diff?`${T.warning}12`:"transparent"}}>
+          <td style={{...cell,fontFamily:F,color:T.text,whiteSpace:"nowrap"}}>{r.label}{r.sub&&<span style={{marginLeft:6,color:T.textFaint,fontFamily:M,fontSize:10}}>{r.sub}</span>}</td>
+          {r.values.map((v,j)=><td key={j} style={{...cell,color:r.text?T.textMuted:r.diff?T.text:T.textSecondary,fontWeight:r.diff?700:400,fontFamily:r.text?F:M,fontSize:r.text?10:11,fontStyle:r.text?"italic":"normal"}}>{r.text&&v==="---"?"":v}</td>)}
+        </tr>)}
+      </Fragment>)}
+      {!shown.length&&<tr><td colSpan={cols.length+1} style={{...cell,fontFamily:F,color:T.textMuted}}>The configs are identical.</td></tr>}</tbody>
+    </table></div>
+  </Card>;
+}
+
+function ConfigField({field,value,error,editing,onChange,T}) {
+  const input={background:T.bgInput,border:`1px solid ${error?T.negative:T.borderInput}`,borderRadius:4,padding:"4px 8px",color:T.text,fontSize:11,fontFamily:M,outline:"none",width:80,textAlign:"right"};
+  const unit=field.unit&&<span style={{fontSize:9,color:T.textMuted,fontFamily:M,marginLeft:4}}>{field.unit}</span>;
+  const err=error&&<div style={{fontSize:9,color:T.negative,marginTop:3}}>{error}</div>;
+  if(field.heading) return <div style={{padding:"9px 0 3px",borderBottom:`1px solid ${T.accent}25`}}><span style={{fontSize:9,fontWeight:700,textTransform:"uppercase",letterSpacing:1.5,color:T.accent,fontFamily:M}}>{field.heading}</span></div>;
+  if(field.type==="text") {
+    if(editing) return <div style={{margin:"8px 0"}}><div style={{fontSize:9,color:T.textMuted,marginBottom:3}}>{field.label}</div><textarea value={value||""} onChange={e=>onChange(e.target.value)} rows={2} style={{...input,width:"100%",textAlign:"left",fontFamily:F,resize:"vertical",boxSizing:"border-box"}}/>{err}</div>;
+    return value?<div style={{margin:"6px 0",padding:"8px 12px",background:T.accentBg,borderLeft:`3px solid ${T.accent}60`,borderRadius:"0 6px 6px 0",fontSize:11,color:T.textSecondary,lineHeight:1.5,fontStyle:"italic"}}>{value}</div>:null;
+  }
+  if(field.type==="table") {
+    const rows=value||[];
+    const setCell=(ri,key,v)=>onChange(rows.map((r,i)=>i===ri?{...r,[key]:v}:r));
+    return <div style={{margin:"6px 0"}}>
+      <div style={{fontSize:9,fontWeight:700,textTransform:"uppercase",letterSpacing:1.5,color:T.accent,fontFamily:M,padding:"6px 0 3px"}}>{field.label}</div>
+      {field.hint&&<div style={{fontSize:9,color:T.textMuted,marginBottom:4}}>{field.hint}</div>}
+      {rows.length||editing?<table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{field.columns.map(c=><th key={c.key} style={{padding:"5px 10px",background:`${T.accent}14`,color:T.textSecondary,textAlign:"left",fontWeight:700,borderBottom:`2px solid ${T.accent}20`,fontFamily:M,fontSize:10}}>{c.label}{c.unit?` (${c.unit})`:""}</th>)}{editing&&<th style={{background:`${T.accent}14`,borderBottom:`2px solid ${T.accent}20`}}/>}</tr></thead>
+        <tbody>{rows.map((row,ri)=><tr key={ri}>{field.columns.map((c,ci)=><td key={c.key} style={{padding:"4px 10px",borderBottom:`1px solid ${T.borderLight}`,color:ci===0?T.accent:T.textSecondary,fontFamily:M,fontSize:11,fontWeight:ci===0?700:400}}>{editing?<input value={row[c.key]??""} onChange={e=>setCell(ri,c.key,e.target.value)} style={{...input,textAlign:"left"}}/>:fmtUnit(row[c.key],c.unit)}</td>)}
+          {editing&&<td style={{borderBottom:`1px solid ${T.borderLight}`,textAlign:"right"}}><button onClick={()=>onChange(rows.filter((_,i)=>i!==ri))} style={{background:"none",border:"none",color:T.negative,cursor:"pointer",fontSize:12}}>×</button></td>}</tr>)}</tbody></table>
+        :<div style={{fontSize:10,color:T.textFaint,fontFamily:M}}>No levels</div>}
+      {editing&&<button onClick={()=>onChange([...rows,Object.fromEntries(field.columns.map(c=>[c.key,""]))])} style={{marginTop:6,background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:4,padding:"3px 10px",color:T.textSecondary,cursor:"pointer",fontSize:10,fontFamily:F}}>+ Add level</button>}
+      {err}
     </div>;
+  }
+  const shown=fmtConfigValue(field,value);
+  const isOn=field.type==="boolean"&&value, isOff=field.type==="boolean"&&!value;
+  let control;
+  if(!editing) control=<div style={{fontFamily:M,fontSize:11.5,fontWeight:700,textAlign:"right",padding:"4px 10px",background:T.bgInput,borderRadius:4,border:`1px solid ${T.borderLight}`,color:isOn?T.positive:isOff?T.negative:shown==="---"?T.textFaint:T.accent}}>{shown}</div>;
+  else if(field.type==="boolean") control=<button onClick={()=>onChange(!value)} style={{...input,width:"auto",cursor:"pointer",fontWeight:700,color:value?T.positive:T.negative}}>{value?"ON":"OFF"}</button>;
+  else if(field.type==="select") control=<Select value={value||""} onChange={onChange} T={T}>{field.options.map(([v,l])=><option key={v} value={v}>{l}</option>)}</Select>;
+  else if(field.type==="list") control=<input value={Array.isArray(value)?value.join(", "):value||""} onChange={e=>onChange(e.target.value)} placeholder="All accepted" style={{...input,width:200,textAlign:"left"}}/>;
+  else if(field.type==="range") control=<span><input value={value?.min??""} onChange={e=>onChange({...value,min:e.target.value})} style={input}/> – <input value={value?.max??""} onChange={e=>onChange({...value,max:e.target.value})} style={input}/>{unit}</span>;
+  else control=<span><input value={value??""} onChange={e=>onChange(e.target.value)} placeholder={field.optional?"not set":""} style={input}/>{unit}</span>;
+  return <div style={{display:"grid",gridTemplateColumns:"1fr auto",gap:12,padding:"7px 0",borderBottom:`1px solid ${T.borderLight}`,alignItems:"center"}}>
+    <div><div style={{fontSize:11.5,color:T.text,fontWeight:500}}>{field.label}</div>{field.hint&&<div style={{fontSize:9.5,color:T.textMuted,marginTop:1}}>{field.hint}</div>}{err}</div>
+    <div style={{textAlign:"right"}}>{control}</div>
+  </div>;
+}
+
+// Registry entries as editable rows, plus a form for adding an agent. Archived agents keep their
+// trades and history but drop out of the import and alert pickers.
+const REGISTRY_COLUMNS=[["abbr","Abbr",44],["name","Name",130],["tag","Tag",150],["description","Description",null]];
+const NEW_AGENT={id:"",name:"",abbr:"",tag:"",description:"",color:""};
+function AgentRegistryEditor({agentCounts,onChanged,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
+  const [edits,setEdits]=useState({});
+  const [errors,setErrors]=useState({});
+  const [form,setForm]=useState(NEW_AGENT);
+  const [busy,setBusy]=useState(null);
+  const [msg,setMsg]=useState(null);
+  const newId=form.id.trim()||agentIdFromName(form.name)||"";
+
+  const submit=async(key,path,body,done)=>{
+    setBusy(key); setMsg(null);
+    try {
+      const res=await api(path,{method:"POST",body:JSON.stringify(body)});
+      setErrors(e=>({...e,[key]:null})); done();
+      setMsg({type:"success",text:`Saved ${res.agent.name}${res.agent.archived?" (archived)":""}`});
+      onChanged();
+    } catch (err) {
+      const fields=apiErrorFields(err);
+      setErrors(e=>({...e,[key]:fields}));
+      if(!fields) setMsg({type:"error",text:apiErrorText(err)});
+    }
+    setBusy(null);
+  };
+  const edit=(id,field,value)=>setEdits(e=>({...e,[id]:{...e[id],[field]:value}}));
+  const saveRow=(id)=>submit(id,`/api/agents/registry/${encodeURIComponent(id)}`,edits[id],()=>setEdits(e=>({...e,[id]:null})));
+  const toggleArchived=(id)=>submit(id,`/api/agents/registry/${encodeURIComponent(id)}`,{archived:!AG[id].archived},()=>{});
+  const add=()=>submit("new","/api/agents/registry",{...form,id:newId,abbr:form.abbr||agentAbbr(form.name),color:form.color||null},()=>setForm(NEW_AGENT));
+
+  const input=(value,onChange,width,placeholder,err)=><input value={value} onChange={e=>onChange(e.target.value)} placeholder={placeholder} style={{width:width||"100%",boxSizing:"border-box",background:T.bgInput,border:`1px solid ${err?T.negative:T.borderInput}`,borderRadius:4,padding:"4px 6px",color:T.text,fontSize:10.5,fontFamily:F,outline:"none"}}/>;
+  const btn=(color,disabled)=>({background:disabled?T.bgInput:color||T.bgInput,border:color&&!disabled?"none":`1px solid ${T.borderInput}`,borderRadius:4,padding:"4px 10px",color:color&&!disabled?"#fff":T.textSecondary,cursor:disabled?"not-allowed":"pointer",fontSize:10,fontWeight:600,fontFamily:F,whiteSpace:"nowrap"});
+  const th={padding:"4px 6px",fontSize:8,color:T.textMuted,textAlign:"left",borderBottom:`1px solid ${T.border}`,fontFamily:M,textTransform:"uppercase",letterSpacing:1};
+  const errLine=(key)=>errors[key]&&<div style={{fontSize:9.5,color:T.negative,marginTop:3}}>{Object.values(errors[key]).join(" · ")}</div>;
+
+  return <Card accent={T.accent} T={T}>
+    <CTitle T={T}>Agent Registry<span style={{marginLeft:8,fontWeight:400,letterSpacing:0,textTransform:"none",color:T.textFaint}}>agents found in imported trades are added automatically</span></CTitle>
+    {msg&&<div style={{fontSize:10,fontFamily:M,marginBottom:8,color:msg.type==="error"?T.negative:T.positive}}>{msg.text}</div>}
+    <table style={{width:"100%",borderCollapse:"collapse",marginBottom:16}}>
+      <thead><tr><th style={th}>Colour</th><th style={th}>Id</th>{REGISTRY_COLUMNS.map(([k,l])=><th key={k} style={th}>{l}</th>)}<th style={{...th,textAlign:"right"}}>Trades</th><th style={th}/></tr></thead>
+      <tbody>{AK.map(id=>{
+        const a=AG[id], e=edits[id]||{}, err=errors[id]||{}, dirty=Object.keys(e).length>0;
+        return <tr key={id} style={{opacity:a.archived?.55:1,verticalAlign:"top"}}>
+          <td style={{padding:"4px 6px"}}><input type="color" value={e.color??agents.color(id)} onChange={ev=>edit(id,"color",ev.target.value)} style={{width:28,height:22,padding:0,border:"none",background:"none",cursor:"pointer"}}/></td>
+          <td style={{padding:"6px",fontSize:9.5,fontFamily:M,color:T.textMuted,whiteSpace:"nowrap"}}>{id}{a.autoRegistered&&<div style={{fontSize:8.5,color:T.textFaint}}>from import</div>}</td>
+          {REGISTRY_COLUMNS.map(([k,,w])=><td key={k} style={{padding:"4px 6px"}}>{input(e[k]??a[k]??"",v=>edit(id,k,v),w,"",err[k])}</td>)}
+          <td style={{padding:"6px",fontSize:10,fontFamily:M,color:T.textSecondary,textAlign:"right"}}>{agentCounts[id]?.total||0}</td>
+          <td style={{padding:"4px 6px",textAlign:"right"}}>
+            <span style={{display:"inline-flex",gap:4}}>
+              <button disabled={!dirty||busy===id} onClick={()=>saveRow(id)} style={btn(T.accent,!dirty||busy===id)}>Save</button>
+              <button disabled={busy===id} onClick={()=>toggleArchived(id)} style={btn()}>{a.archived?"Restore":"Archive"}</button>
+            </span>
+            {errLine(id)}
+          </td>
+        </tr>;
+      })}</tbody>
+    </table>
+    <div style={{fontSize:9,fontWeight:700,letterSpacing:1.5,textTransform:"uppercase",color:T.textMuted,marginBottom:6}}>Add agent</div>
+    <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap"}}>
+      <input type="color" value={form.color||AGENT_PALETTE[AK.length%AGENT_PALETTE.length]} onChange={e=>setForm(f=>({...f,color:e.target.value}))} style={{width:28,height:22,padding:0,border:"none",background:"none",cursor:"pointer"}}/>
+      {input(form.name,v=>setForm(f=>({...f,name:v})),140,"Name",errors.new?.name)}
+      {input(form.abbr,v=>setForm(f=>({...f,abbr:v})),60,form.name?agentAbbr(form.name):"Abbr",errors.new?.abbr)}
+      {input(form.id,v=>setForm(f=>({...f,id:v})),180,newId||"Id, e.g. nexgent-moon-shot",errors.new?.id)}
+      {input(form.tag,v=>setForm(f=>({...f,tag:v})),150,"Tag",errors.new?.tag)}
+      <div style={{flex:1,minWidth:160}}>{input(form.description,v=>setForm(f=>({...f,description:v})),null,"Description",errors.new?.description)}</div>
+      <button disabled={!form.name.trim()||busy==="new"} onClick={add} style={btn(T.accent,!form.name.trim()||busy==="new")}>{busy==="new"?"Adding...":"Add agent"}</button>
+    </div>
+    {errLine("new")}
+  </Card>;
+}
+
+function AgentsPage({agentCounts,modeFilter,isAdmin,dataVersion,timeZone,onAgentsChanged,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
+  const [sel,setSel]=useState(()=>agents.active[0]||AK[0]);
+  const [tab,setTab]=useState(CONFIG_SECTIONS[0].key);
+  const [configs,setConfigs]=useState({loaded:false,byAgent:{}});
+  const [reload,setReload]=useState(0);
+  const [draft,setDraft]=useState(null);
+  const [saving,setSaving]=useState(false);
+  const [msg,setMsg]=useState(null);
+  const [history,setHistory]=useState({agent:null,versions:[],error:null});
+  const [viewing,setViewing]=useState(null);
+  const [note,setNote]=useState("");
+  const [effective,setEffective]=useState("");
+  const [compare,setCompare]=useState(null);
+  const [manage,setManage]=useState(false);
+  const a = AG[sel];
+  const {overall:s}=useStats({agentId:sel,mode:modeFilter},[""],dataVersion);
+  useEffect(()=>{
+    let cancelled=false;
+    api("/api/agents/configs").then(res=>{if(!cancelled)setConfigs({loaded:true,byAgent:Object.fromEntries((res.configs||[]).map(c=>[agentKey(c.agentId),c]))});})
+      .catch(err=>{if(!cancelled)setMsg({type:"error",text:err.message});});
+    return ()=>{cancelled=true;};
+  },[reload]);
+  // Versions with stats for the trades made under each, narrowed to the header's mode
+  useEffect(()=>{
+    let cancelled=false;
+    const mode=modeFilter==="all"?"":`?mode=${modeFilter}`;
+    api(`/api/agents/${encodeURIComponent(sel)}/config/versions${mode}`)
+      .then(res=>{if(!cancelled)setHistory({agent:sel,versions:res.versions||[],error:null});})
+      .catch(err=>{if(!cancelled)setHistory({agent:sel,versions:[],error:apiErrorText(err)});});
+    return ()=>{cancelled=true;};
+  },[sel,modeFilter,reload]);
+
+  const entry=configs.byAgent[sel];
+  const section=CONFIG_SECTIONS.find(x=>x.key===tab);
+  const editing=!!draft;
+  const versions=history.agent===sel?history.versions:[];
+  const viewed=!editing&&viewing!==null?versions.find(v=>v.version===viewing):null;
+  const shown=draft||viewed?.config||entry?.config;
+  // Same checks the server runs; fields are flagged as they are typed
+  const check=useMemo(()=>draft?validateAgentConfig(draft):{ok:true},[draft]);
+  const errors=check.ok?null:check.errors;
+  const errorTabs=errors?CONFIG_SECTIONS.filter(x=>Object.keys(errors).some(k=>k.startsWith(`${x.key}.`))):[];
+
+  const canSave=check.ok&&note.trim()&&!saving;
+  const changed=useMemo(()=>draft&&check.ok?configChanges(entry?.config||emptyAgentConfig(),check.config).map(c=>configFieldLabel(`${c.section.key}.${c.field.key}`)):[],[draft,check,entry]);
+
+  const selectAgent=(v)=>{setSel(v);setDraft(null);setViewing(null);setMsg(null);};
+  // At least two agents stay in a comparison
+  const toggleCompare=(k)=>setCompare(c=>c.includes(k)?(c.length>2?c.filter(x=>x!==k):c):AK.filter(x=>x===k||c.includes(x)));
+  const startEdit=()=>{setDraft(entry?.config||emptyAgentConfig());setViewing(null);setNote("");setEffective("");setMsg(null);};
+  const save=async()=>{
+    setSaving(true);
+    try {
+      const res=await api(`/api/agents/${encodeURIComponent(sel)}/config`,{method:"POST",body:JSON.stringify({config:draft,note,effectiveFrom:effective?dateTimeInZone(effective,timeZone):null})});
+      setDraft(null); setMsg({type:"success",text:`Saved as version ${res.version.version}`}); setReload(r=>r+1);
+    } catch (err) { setMsg({type:"error",text:apiErrorText(err)}); }
+    setSaving(false);
   };
+  const btn=(color)=>({background:color||T.bgInput,border:color?"none":`1px solid ${T.borderInput}`,borderRadius:6,padding:"5px 12px",color:color?"#fff":T.textSecondary,cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:F});
+
   return <div>
     <FilterBar T={T}>
+      {compare?<>
+      <FilterLabel T={T}>Compare</FilterLabel>
+      {AK.map(k=><button key={k} onClick={()=>toggleCompare(k)} title={AG[k].name} style={{background:compare.includes(k)?T.accentBg:T.bgInput,border:`1px solid ${compare.includes(k)?T.accent:T.borderInput}`,borderRadius:4,padding:"3px 8px",color:compare.includes(k)?T.accent:T.textMuted,cursor:"pointer",fontSize:10,fontWeight:600,fontFamily:M}}>{AG[k].abbr}</button>)}
+      <FilterDivider T={T}/>
+      <button onClick={()=>setCompare(null)} style={btn()}>Single agent</button>
+      </>:manage?<>
+      <FilterLabel T={T}>Agents</FilterLabel>
+      <span style={{fontSize:10,color:T.textSecondary}}>{agents.active.length} active · {AK.length-agents.active.length} archived</span>
+      <FilterDivider T={T}/>
+      <button onClick={()=>setManage(false)} style={btn()}>Back to configs</button>
+      </>:<>
       <FilterLabel T={T}>Agent</FilterLabel>
-      <Select value={sel} onChange={v=>{setSel(v);setTab("Purchase & Position");}} T={T}>
-        {AK.map(k=><option key={k} value={k}>{AG[k].abbr} {AG[k].name}</option>)}
+      <Select value={sel} onChange={selectAgent} T={T}>
+        {AK.map(k=><option key={k} value={k}>{agents.label(k)}</option>)}
       </Select>
       <FilterDivider T={T}/>
       <FilterLabel T={T}>Tab</FilterLabel>
       <Select value={tab} onChange={setTab} T={T}>
-        {TABS.map(t=><option key={t} value={t}>{t}</option>)}
+        {CONFIG_SECTIONS.map(x=><option key={x.key} value={x.key}>{x.label}{errorTabs.includes(x)?" ⚠":""}</option>)}
       </Select>
       <FilterDivider T={T}/>
       {s.n>0&&<span style={{fontSize:10,color:T.textSecondary}}>{s.n} trades | Exp: <Mono style={{color:pc(s.expectancy,T)}}>{s.expectancy>=0?"+":""}{s.expectancy.toFixed(2)}%</Mono> | R:R: <Mono style={{color:s.rr>=1?T.positive:T.negative}}>{s.rr.toFixed(2)}x</Mono> | P/L: <PnL v={s.totalPnl} T={T}/></span>}
+      {!editing&&<><FilterDivider T={T}/><button onClick={()=>setCompare(AK.filter((k,i)=>k===sel||i===(AK.indexOf(sel)+1)%AK.length))} style={btn()}>Compare agents</button></>}
+      {!editing&&isAdmin&&<button onClick={()=>setManage(true)} style={btn()}>Manage agents</button>}
+      </>}
     </FilterBar>
+    {compare?<ConfigCompare agents={compare} configs={configs.byAgent} modeFilter={modeFilter} dataVersion={dataVersion} T={T}/>
+    :manage?<AgentRegistryEditor agentCounts={agentCounts} onChanged={onAgentsChanged} T={T}/>:<>
     <div style={{margin:"0 0 12px",padding:"10px 14px",background:T.accentBg,borderLeft:`3px solid ${T.accent}`,borderRadius:"0 6px 6px 0",fontSize:11,color:T.textSecondary,lineHeight:1.5}}>
       <span style={{fontWeight:700,color:T.accent}}>{a.abbr} {a.name}</span>{" --- "}
-      {AGENT_DESCRIPTIONS[sel]||a.tag}
+      {a.description||a.tag}
+      {a.archived&&<span style={{marginLeft:8,fontSize:8.5,fontWeight:700,letterSpacing:1,color:T.warning,border:`1px solid ${T.warning}50`,borderRadius:3,padding:"1px 5px"}}>ARCHIVED</span>}
     </div>
-    <Card accent={T.accent} T={T}>{(configs[sel]?.[tab]||[{i:`Configuration data for ${a.name} will be added after initial testing period.`}]).map(renderField)}</Card>
+    <Card accent={T.accent} T={T}>
+      <CTitle T={T} right={(shown||configs.loaded)&&(editing
+        ?<span style={{display:"inline-flex",gap:6}}><button onClick={()=>{setDraft(null);setMsg(null);}} style={btn()}>Cancel</button><button disabled={!canSave} onClick={save} style={{...btn(canSave?T.accent:T.textFaint),cursor:canSave?"pointer":"not-allowed"}}>{saving?"Saving...":"Save as new version"}</button></span>
+        :viewed?<button onClick={()=>setViewing(null)} style={btn()}>Back to current</button>
+        :isAdmin&&<button onClick={startEdit} style={btn()}>Edit</button>)}>
+        {section.label}
+        <span style={{marginLeft:8,fontWeight:400,letterSpacing:0,textTransform:"none",color:viewed?T.accent:T.textFaint}}>{viewed?`viewing v${viewed.version} — ${viewed.note}`:!entry?"":entry.source==="default"?"defaults — not saved yet":`v${entry.version||1} saved ${entry.updatedAt?formatInTimeZone(entry.updatedAt,timeZone):""}${entry.updatedBy?` by ${entry.updatedBy}`:""}`}</span>
+      </CTitle>
+      {editing&&<div style={{display:"grid",gridTemplateColumns:"1fr auto",gap:10,marginBottom:10,padding:"8px 10px",background:T.bgInput,borderRadius:6,border:`1px solid ${T.borderLight}`}}>
+        <div><div style={{fontSize:9,color:T.textMuted,marginBottom:3}}>Change note (required)</div><input value={note} onChange={e=>setNote(e.target.value)} maxLength={500} placeholder="What changed and why" style={{width:"100%",boxSizing:"border-box",background:T.bgCard,border:`1px solid ${T.borderInput}`,borderRadius:4,padding:"5px 8px",color:T.text,fontSize:11,fontFamily:F,outline:"none"}}/></div>
+        <div><div style={{fontSize:9,color:T.textMuted,marginBottom:3}}>Effective from ({timeZone}; empty = now)</div><input type="datetime-local" value={effective} onChange={e=>setEffective(e.target.value)} style={{background:T.bgCard,border:`1px solid ${T.borderInput}`,borderRadius:4,padding:"4px 8px",color:T.text,fontSize:11,fontFamily:M,outline:"none"}}/></div>
+        {check.ok&&<div style={{gridColumn:"1 / -1",fontSize:9.5,color:changed.length?T.textSecondary:T.textFaint,fontFamily:M}}>{changed.length?`Changes: ${changed.join(", ")}`:"No changes yet"}</div>}
+      </div>}
+      {msg&&<div style={{fontSize:10,fontFamily:M,marginBottom:8,color:msg.type==="error"?T.negative:T.positive}}>{msg.text}</div>}
+      {errorTabs.length>0&&<div style={{fontSize:10,color:T.negative,marginBottom:8}}>Fix {Object.keys(errors).length} field{Object.keys(errors).length===1?"":"s"} before saving: {errorTabs.map(x=>x.label).join(", ")}</div>}
+      {!configs.loaded?<div style={{fontSize:11,color:T.textMuted}}>Loading config...</div>
+        :!shown?<div style={{fontSize:11,color:T.textMuted}}>No configuration stored for {a.name}.</div>
+        :section.fields.map((f,i)=><ConfigField key={f.key||`h${i}`} field={f} value={f.key&&getPath(shown[section.key],f.key)} error={f.key&&errors?.[`${section.key}.${f.key}`]} editing={editing} onChange={v=>setDraft(d=>({...d,[section.key]:setPath(d[section.key],f.key,v)}))} T={T}/>)}
+    </Card>
+    <Card accent={T.accent} T={T}>
+      <CTitle T={T}>Config Versions<span style={{marginLeft:8,fontWeight:400,letterSpacing:0,textTransform:"none",color:T.textFaint}}>closed trades by the version in force when they opened — click a version to view it</span></CTitle>
+      {history.agent!==sel?<div style={{fontSize:11,color:T.textMuted}}>Loading versions...</div>
+        :history.error?<div style={{fontSize:10,color:T.negative,fontFamily:M}}>{history.error}</div>
+        :versions.map((v,i)=><ConfigVersion key={v.version} v={v} prev={versions[i+1]} current={i===0} active={viewed===v} onClick={()=>{if(!editing)setViewing(viewing===v.version||i===0?null:v.version);}} timeZone={timeZone} T={T}/>)}
+    </Card>
+    </>}
   </div>;
 }
 
 // ═══════════════════════════════
 // ANALYTICS PAGE
 // ═══════════════════════════════
-function AnalyticsPage({trades,modeFilter,T}) {
-  const SIGNAL_TYPES = useMemo(() => [...new Set(trades.map(t=>t.signalType).filter(Boolean))], [trades]);
+const TOP_TRADES = 10;
+function AnalyticsPage({signalTypes,modeFilter,dataVersion,timeZone,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
   const [fm,setFm]=useState(modeFilter);
   const [fst,setFst]=useState("all");
-  const ft=useMemo(()=>{let r=fm==="all"?[...trades]:trades.filter(t=>t.mode===fm);if(fst!=="all")r=r.filter(t=>t.signalType===fst);return r;},[trades,fm,fst]);
-  const agentComp=useMemo(()=>AK.map(k=>({k,...calcStats(ft.filter(t=>t.agent===k))})).filter(d=>d.n>0).sort((a,b)=>b.expectancy-a.expectancy),[ft]);
-  const stByAgent=useMemo(()=>{const m={};ft.forEach(t=>{const k=`${t.agent}|${t.signalType}`;if(!m[k])m[k]={agent:t.agent,type:t.signalType,n:0,w:0,pnl:0,pct:0};m[k].n++;if(t.pnlUsd>0)m[k].w++;m[k].pnl+=t.pnlUsd;m[k].pct+=t.changePct;});return Object.values(m).map(d=>({...d,wr:d.n?d.w/d.n*100:0,avg:d.n?d.pct/d.n:0})).filter(d=>d.n>=3).sort((a,b)=>b.avg-a.avg);},[ft]);
-  const strByAgent=useMemo(()=>{const m={};ft.forEach(t=>{if(!t.signalStrength)return;const k=`${t.agent}|${t.signalStrength}`;if(!m[k])m[k]={agent:t.agent,str:t.signalStrength,n:0,w:0,pnl:0,pct:0};m[k].n++;if(t.pnlUsd>0)m[k].w++;m[k].pnl+=t.pnlUsd;m[k].pct+=t.changePct;});return Object.values(m).map(d=>({...d,wr:d.n?d.w/d.n*100:0,avg:d.n?d.pct/d.n:0})).sort((a,b)=>a.str===b.str?a.agent.localeCompare(b.agent):a.str-b.str);},[ft]);
-  const LINE_COLORS=["#6366f1","#818cf8","#a78bfa","#c084fc","#f472b6","#fb923c","#38bdf8","#34d399","#fbbf24"];
-  const cumPnl=useMemo(()=>{const by={};AK.forEach(k=>{by[k]=[];});const sorted=[...ft].sort((a,b)=>new Date(a.time||0)-new Date(b.time||0));const run={};AK.forEach(k=>{run[k]=0;});sorted.forEach((t,i)=>{if(!run.hasOwnProperty(t.agent))return;run[t.agent]+=t.pnlUsd;by[t.agent].push({i,pnl:+run[t.agent].toFixed(2)});});return by;},[ft]);
+  const {overall,best,worst}=useStats({mode:fm,signalType:fst,top:TOP_TRADES},[""],dataVersion);
+  const {groups:[byAgent,byType,byStr,byDay]}=useStats({mode:fm,signalType:fst},["agent","agent,signalType","agent,signalStrength","agent,time"],dataVersion);
+  const agentComp=useMemo(()=>byAgent.map(g=>({k:agentKey(g.agent),...g.stats,doc:g})).filter(d=>d.n>0).sort((a,b)=>b.expectancy-a.expectancy),[byAgent]);
+  const stByAgent=useMemo(()=>byType.map(g=>({agent:agentKey(g.agent),type:g.signalType,...statRow(g.stats),doc:g})).filter(d=>d.n>=3).sort((a,b)=>b.avg-a.avg),[byType]);
+  const strByAgent=useMemo(()=>byStr.filter(g=>g.signalStrength).map(g=>({agent:agentKey(g.agent),str:g.signalStrength,...statRow(g.stats),doc:g})).sort((a,b)=>a.str===b.str?a.agent.localeCompare(b.agent):a.str-b.str),[byStr]);
+  // Daily P/L per agent (UTC days) accumulated into a running total; i is the day's position on the shared axis
+  const cumPnl=useMemo(()=>{const days=[...new Set(byDay.map(g=>g.time))].sort();const by={},run={};AK.forEach(k=>{by[k]=[];run[k]=0;});[...byDay].sort((a,b)=>a.time.localeCompare(b.time)).forEach(g=>{const k=agentKey(g.agent);if(!by[k])return;run[k]+=g.stats.totalPnl;by[k].push({i:days.indexOf(g.time),day:g.time,pnl:+run[k].toFixed(2)});});return by;},[byDay,AK]);
+  const bestTrades=useMemo(()=>best.map(t=>mapFirestoreTrade(t,timeZone)),[best,timeZone]);
+  const worstTrades=useMemo(()=>worst.map(t=>mapFirestoreTrade(t,timeZone)),[worst,timeZone]);
   const [sort,onSort]=useSort("pct","desc");
 
   return <div>
@@ -607,29 +1187,29 @@ function AnalyticsPage({trades,modeFilter,T}) {
       <FilterLabel T={T}>Signal</FilterLabel>
       <Select value={fst} onChange={setFst} T={T}>
         <option value="all">All Signals</option>
-        {SIGNAL_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+        {signalTypes.map(t=><option key={t} value={t}>{t}</option>)}
       </Select>
       <FilterDivider T={T}/>
-      <span style={{fontSize:10,color:T.textMuted,fontFamily:M}}>{ft.length} trades analyzed</span>
+      <span style={{fontSize:10,color:T.textMuted,fontFamily:M}}>{overall.n} trades analyzed</span>
     </FilterBar>
 
-    {Object.values(cumPnl).some(a=>a.length>1)&&<Card T={T}><CTitle T={T}>Cumulative P/L Over Time</CTitle><ResponsiveContainer width="100%" height={220}><LineChart><CartesianGrid strokeDasharray="3 3" stroke={T.borderLight}/><XAxis dataKey="i" tick={false}/><YAxis tick={{fontSize:10,fill:T.textMuted}}/><Tooltip contentStyle={{background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:6,fontSize:11,color:T.text}}/>{AK.map((k,ki)=>cumPnl[k].length>1&&<Line key={k} data={cumPnl[k]} dataKey="pnl" name={AG[k].name} stroke={LINE_COLORS[ki%LINE_COLORS.length]} strokeWidth={2} dot={false}/>)}<Legend iconType="line" wrapperStyle={{fontSize:11}}/></LineChart></ResponsiveContainer></Card>}
+    {Object.values(cumPnl).some(a=>a.length>1)&&<Card T={T}><CTitle T={T}>Cumulative P/L Over Time</CTitle><ResponsiveContainer width="100%" height={220}><LineChart><CartesianGrid strokeDasharray="3 3" stroke={T.borderLight}/><XAxis dataKey="i" tick={false}/><YAxis tick={{fontSize:10,fill:T.textMuted}}/><Tooltip contentStyle={{background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:6,fontSize:11,color:T.text}}/>{AK.map(k=>cumPnl[k]?.length>1&&<Line key={k} data={cumPnl[k]} dataKey="pnl" name={AG[k].name} stroke={agents.color(k)} strokeWidth={2} dot={false}/>)}<Legend iconType="line" wrapperStyle={{fontSize:11}}/></LineChart></ResponsiveContainer></Card>}
 
-    <Card T={T}><CTitle T={T}>Agent Comparison</CTitle><div style={{fontSize:9,color:T.textFaint,marginTop:-8,marginBottom:10}}>Sorted by expectancy — the true measure of edge</div>
+    <Card T={T}><CTitle right={<ExportButtons rows={agentComp} name="agent-comparison" T={T}/>} T={T}>Agent Comparison</CTitle><div style={{fontSize:9,color:T.textFaint,marginTop:-8,marginBottom:10}}>Sorted by expectancy — the true measure of edge</div>
       <table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["#","Agent","Trades","Avg Return","Expectancy","R:R","WR","Avg Win","Avg Loss","PF","P/L"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{agentComp.map((d,rank)=><tr key={d.k} style={{background:rank===0?`${T.positive}06`:"transparent"}}><TD T={T}><Mono style={{color:rank===0?T.positive:rank===agentComp.length-1?T.negative:T.textMuted,fontWeight:700}}>#{rank+1}</Mono></TD><TD T={T}><ABadge k={d.k} T={T}/></TD><TD T={T}><Mono>{d.n}</Mono></TD><TD T={T}><Mono style={{color:pc(d.avgReturn,T),fontWeight:700,fontSize:12}}>{d.avgReturn>=0?"+":""}{d.avgReturn.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:pc(d.expectancy,T),fontWeight:700,fontSize:12}}>{d.expectancy>=0?"+":""}{d.expectancy.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:d.rr>=1?T.positive:T.negative}}>{d.rr.toFixed(2)}x</Mono></TD><TD T={T}><Mono style={{color:pc(d.winRate-50,T)}}>{d.winRate.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:T.positive}}>+{d.avgWinPct.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:T.negative}}>{d.avgLossPct.toFixed(1)}%</Mono></TD><TD T={T}><Mono style={{color:d.profitFactor>=1?T.positive:T.negative}}>{d.profitFactor>0?d.profitFactor.toFixed(2):"---"}</Mono></TD><TD T={T}><PnL v={d.totalPnl} T={T}/></TD></tr>)}</tbody></table>
     </Card>
 
-    <Card T={T}><CTitle color={T.warning} T={T}>Signal Strength x Agent</CTitle>
+    <Card T={T}><CTitle color={T.warning} right={<ExportButtons rows={strByAgent} name="strength-by-agent" T={T}/>} T={T}>Signal Strength x Agent</CTitle>
       <table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Agent","Str","Trades","Avg Return","Win Rate","P/L"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{strByAgent.map((d,i)=><tr key={i} style={{background:d.avg>=0?`${T.positive}06`:d.avg<-3?`${T.negative}06`:"transparent"}}><TD T={T}><ABadge k={d.agent} T={T}/></TD><TD T={T}><Mono style={{fontSize:14,fontWeight:800,color:d.str>=4?T.positive:d.str>=3?T.warning:d.str>=2?"#f97316":T.negative}}>{d.str}</Mono></TD><TD T={T}><Mono>{d.n}</Mono></TD><TD T={T}><Mono style={{color:pc(d.avg,T),fontWeight:700,fontSize:12}}>{d.avg>=0?"+":""}{d.avg.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:pc(d.wr-50,T)}}>{d.wr.toFixed(1)}%</Mono></TD><TD T={T}><PnL v={d.pnl} T={T}/></TD></tr>)}</tbody></table>
     </Card>
 
-    <Card T={T}><CTitle T={T}>Signal Type x Agent</CTitle>
+    <Card T={T}><CTitle right={<ExportButtons rows={stByAgent} name="signal-type-by-agent" T={T}/>} T={T}>Signal Type x Agent</CTitle>
       <table style={{width:"100%",borderCollapse:"collapse"}}><thead><tr>{["Agent","Signal","Trades","Avg Return","WR","P/L"].map(h=><TH key={h} T={T}>{h}</TH>)}</tr></thead><tbody>{stByAgent.map((d,i)=><tr key={i} style={{background:d.avg>=0?`${T.positive}06`:"transparent"}}><TD T={T}><ABadge k={d.agent} T={T}/></TD><TD T={T}><Badge color={d.avg>=0?T.positive:d.avg>=-2?T.warning:T.negative} T={T}>{d.type}</Badge></TD><TD T={T}><Mono>{d.n}</Mono></TD><TD T={T}><Mono style={{color:pc(d.avg,T),fontWeight:700,fontSize:12}}>{d.avg>=0?"+":""}{d.avg.toFixed(2)}%</Mono></TD><TD T={T}><Mono style={{color:pc(d.wr-50,T)}}>{d.wr.toFixed(1)}%</Mono></TD><TD T={T}><PnL v={d.pnl} T={T}/></TD></tr>)}</tbody></table>
     </Card>
 
     <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:16}}>
-      <Card T={T}><CTitle color={T.positive} T={T}>Best Trades</CTitle><TradeTable trades={sortTrades(ft,{key:"pct",dir:"desc"})} limit={10} sort={{key:"pct",dir:"desc"}} onSort={()=>{}} T={T}/></Card>
-      <Card T={T}><CTitle color={T.negative} T={T}>Worst Trades</CTitle><TradeTable trades={sortTrades(ft,{key:"pct",dir:"asc"})} limit={10} sort={{key:"pct",dir:"asc"}} onSort={()=>{}} T={T}/></Card>
+      <Card T={T}><CTitle color={T.positive} T={T}>Best Trades</CTitle><TradeTable trades={bestTrades} limit={TOP_TRADES} sort={{key:"pct",dir:"desc"}} onSort={()=>{}} exportName="best-trades" T={T}/></Card>
+      <Card T={T}><CTitle color={T.negative} T={T}>Worst Trades</CTitle><TradeTable trades={worstTrades} limit={TOP_TRADES} sort={{key:"pct",dir:"asc"}} onSort={()=>{}} exportName="worst-trades" T={T}/></Card>
     </div>
   </div>;
 }
@@ -637,7 +1217,8 @@ function AnalyticsPage({trades,modeFilter,T}) {
 // ═══════════════════════════════
 // AI ADVISOR PAGE
 // ═══════════════════════════════
-function AdvisorPage({ trades, signals, T }) {
+function AdvisorPage({ counts, isAdmin, dataVersion, timeZone, T }) {
+  const { AG } = useAgents();
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [streaming, setStreaming] = useState(false);
@@ -646,6 +1227,7 @@ function AdvisorPage({ trades, signals, T }) {
   const [showHistory, setShowHistory] = useState(false);
   const [loadingHistory, setLoadingHistory] = useState(false);
   const [pendingImages, setPendingImages] = useState([]);
+  const panelStats = useStats({}, ["agent", "agent,mode"], dataVersion);
   const chatEndRef = useRef(null);
   const inputRef = useRef(null);
   const fileInputRef = useRef(null);
@@ -707,70 +1289,55 @@ function AdvisorPage({ trades, signals, T }) {
     } catch (err) { console.error("Failed to delete:", err); }
   }, [conversationId, newConversation]);
 
-  // Build context from current trading data
-  const buildContext = useCallback(() => {
+  // Build context from current trading data (aggregates come from /api/stats)
+  const buildContext = useCallback(async () => {
+    const [byAgentMode, byAgent, byType, byStr] = await fetchStats({}, ["agent,mode", "agent", "agent,signalType", "agent,signalStrength"]);
+    const agentName = (id) => AG[agentKey(id)]?.name || id;
+    const statLine = (s) => `${s.n} | ${s.winRate.toFixed(1)}% | ${s.expectancy>=0?"+":""}${s.expectancy.toFixed(2)}% | ${s.rr.toFixed(2)}x | ${s.profitFactor.toFixed(2)} | $${s.totalPnl.toFixed(2)} | ${s.edgeScore.toFixed(2)}`;
     const lines = [];
     lines.push("### Agent Performance Summary\n");
     lines.push("| Agent | Mode | Trades | Win Rate | Expectancy | R:R | Profit Factor | Total P/L | Edge Score |");
     lines.push("|-------|------|--------|----------|------------|-----|---------------|-----------|------------|");
 
-    for (const k of AK) {
-      const a = AG[k];
-      for (const mode of ["live", "sim"]) {
-        const ft = trades.filter(t => t.agent === k && t.mode === mode);
-        if (!ft.length) continue;
-        const s = calcStats(ft);
-        lines.push(`| ${a.name} | ${mode} | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.expectancy>=0?"+":""}${s.expectancy.toFixed(2)}% | ${s.rr.toFixed(2)}x | ${s.profitFactor.toFixed(2)} | $${s.totalPnl.toFixed(2)} | ${s.edgeScore.toFixed(2)} |`);
+    for (const g of byAgent.groups) {
+      for (const m of byAgentMode.groups.filter(x => x.agent === g.agent)) {
+        lines.push(`| ${agentName(g.agent)} | ${m.mode === "simulation" ? "sim" : m.mode} | ${statLine(m.stats)} |`);
       }
       // All modes combined
-      const allFt = trades.filter(t => t.agent === k);
-      if (allFt.length) {
-        const s = calcStats(allFt);
-        lines.push(`| ${a.name} | **ALL** | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.expectancy>=0?"+":""}${s.expectancy.toFixed(2)}% | ${s.rr.toFixed(2)}x | ${s.profitFactor.toFixed(2)} | $${s.totalPnl.toFixed(2)} | ${s.edgeScore.toFixed(2)} |`);
-      }
+      lines.push(`| ${agentName(g.agent)} | **ALL** | ${statLine(g.stats)} |`);
     }
 
     // Signal analysis
-    const signalTypes = [...new Set(trades.map(t => t.signalType).filter(Boolean))];
-    if (signalTypes.length) {
+    const typeRows = byType.groups.filter(g => g.signalType && g.stats.n >= 2);
+    if (typeRows.length) {
       lines.push("\n### Signal Type Performance\n");
       lines.push("| Agent | Signal Type | Trades | Win Rate | Avg Return |");
       lines.push("|-------|-------------|--------|----------|------------|");
-      for (const k of AK) {
-        for (const st of signalTypes) {
-          const ft = trades.filter(t => t.agent === k && t.signalType === st);
-          if (ft.length < 2) continue;
-          const s = calcStats(ft);
-          lines.push(`| ${AG[k].name} | ${st} | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.avgReturn>=0?"+":""}${s.avgReturn.toFixed(2)}% |`);
-        }
+      for (const { agent, signalType, stats: s } of typeRows) {
+        lines.push(`| ${agentName(agent)} | ${signalType} | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.avgReturn>=0?"+":""}${s.avgReturn.toFixed(2)}% |`);
       }
     }
 
     // Signal strength correlation
-    const strengths = [...new Set(trades.map(t => t.signalStrength).filter(Boolean))].sort();
-    if (strengths.length) {
+    const strRows = byStr.groups.filter(g => g.signalStrength && g.stats.n >= 2);
+    if (strRows.length) {
       lines.push("\n### Signal Strength Correlation\n");
       lines.push("| Agent | Strength | Trades | Win Rate | Avg Return |");
       lines.push("|-------|----------|--------|----------|------------|");
-      for (const k of AK) {
-        for (const str of strengths) {
-          const ft = trades.filter(t => t.agent === k && t.signalStrength === str);
-          if (ft.length < 2) continue;
-          const s = calcStats(ft);
-          lines.push(`| ${AG[k].name} | ${str} | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.avgReturn>=0?"+":""}${s.avgReturn.toFixed(2)}% |`);
-        }
+      for (const { agent, signalStrength, stats: s } of strRows) {
+        lines.push(`| ${agentName(agent)} | ${signalStrength} | ${s.n} | ${s.winRate.toFixed(1)}% | ${s.avgReturn>=0?"+":""}${s.avgReturn.toFixed(2)}% |`);
       }
     }
 
     // Totals
-    lines.push(`\n### Overall: ${trades.length} total trades, ${signals.length} total signals`);
-    const overall = calcStats(trades);
+    lines.push(`\n### Overall: ${counts.trades.total} total trades, ${counts.signals.total} total signals`);
+    const overall = byAgent.overall;
     if (overall.n) {
       lines.push(`Overall Win Rate: ${overall.winRate.toFixed(1)}%, Expectancy: ${overall.expectancy>=0?"+":""}${overall.expectancy.toFixed(2)}%, Total P/L: $${overall.totalPnl.toFixed(2)}`);
     }
 
     return lines.join("\n");
-  }, [trades, signals]);
+  }, [counts, AG]);
 
   // Send message
   const sendMessage = useCallback(async (text) => {
@@ -786,7 +1353,7 @@ function AdvisorPage({ trades, signals, T }) {
     setStreaming(true);
 
     try {
-      const context = buildContext();
+      const context = await buildContext();
       // Build history for multi-turn (exclude the current message)
       const history = newMessages.slice(0, -1).map(m => ({
         role: m.role, content: m.content,
@@ -798,7 +1365,7 @@ function AdvisorPage({ trades, signals, T }) {
 
       const res = await fetch(`${API_URL}/api/ai/chat`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...authHeaders() },
         body: JSON.stringify(payload),
       });
 
@@ -988,10 +1555,10 @@ function AdvisorPage({ trades, signals, T }) {
               style={{padding:"8px 10px",borderRadius:6,marginBottom:2,cursor:"pointer",background:c.id===conversationId?T.bgHover:"transparent",borderLeft:c.id===conversationId?`3px solid ${T.accent}`:"3px solid transparent"}}>
               <div style={{fontSize:11,color:c.id===conversationId?T.text:T.textSecondary,fontWeight:c.id===conversationId?600:400,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{c.title}</div>
               <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginTop:3}}>
-                <span style={{fontSize:8,color:T.textFaint,fontFamily:M}}>{c.messageCount} msgs | {new Date(c.updatedAt).toLocaleDateString()}</span>
-                <button onClick={(e) => deleteConversation(c.id, e)}
+                <span style={{fontSize:8,color:T.textFaint,fontFamily:M}}>{c.messageCount} msgs | {formatInTimeZone(new Date(c.updatedAt).getTime(), timeZone, "date")}</span>
+                {isAdmin && <button onClick={(e) => deleteConversation(c.id, e)}
                   style={{background:"none",border:"none",color:T.textFaint,cursor:"pointer",fontSize:10,padding:"0 2px"}}
-                  title="Delete">x</button>
+                  title="Delete">x</button>}
               </div>
             </div>
           ))}
@@ -1118,21 +1685,20 @@ function AdvisorPage({ trades, signals, T }) {
     <div style={{width:280,borderLeft:`1px solid ${T.border}`,background:T.bgSidebar,overflowY:"auto",flexShrink:0}}>
       <div style={{padding:"14px 12px",borderBottom:`1px solid ${T.border}`}}>
         <span style={{fontSize:10,fontWeight:700,letterSpacing:1.5,textTransform:"uppercase",color:T.textMuted}}>Data Context</span>
-        <div style={{fontSize:8,color:T.textFaint,fontFamily:M,marginTop:3}}>{trades.length} trades | {signals.length} signals</div>
+        <div style={{fontSize:8,color:T.textFaint,fontFamily:M,marginTop:3}}>{counts.trades.total} trades | {counts.signals.total} signals</div>
       </div>
 
       <div style={{padding:"10px 12px"}}>
-        {AK.map(k => {
-          const a = AG[k];
-          const ft = trades.filter(t => t.agent === k);
-          if (!ft.length) return null;
-          const s = calcStats(ft);
-          const liveFt = ft.filter(t => t.mode === "live");
-          const simFt = ft.filter(t => t.mode === "sim");
+        {panelStats.groups[0].map(g => {
+          const k = agentKey(g.agent);
+          const a = AG[k] || { abbr: "", name: g.agent };
+          const s = g.stats;
+          const liveN = panelStats.groups[1].find(m => m.agent === g.agent && m.mode === "live")?.stats.n || 0;
+          const simN = panelStats.groups[1].find(m => m.agent === g.agent && m.mode === "simulation")?.stats.n || 0;
           return <div key={k} style={{marginBottom:12,padding:"10px",background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:8,borderLeft:`3px solid ${T.accent}`}}>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:6}}>
               <span style={{fontSize:11,fontWeight:700,color:T.accent}}>{a.abbr} {a.name}</span>
-              <span style={{fontSize:8,fontFamily:M,color:T.textFaint}}>{ft.length} trades</span>
+              <span style={{fontSize:8,fontFamily:M,color:T.textFaint}}>{s.n} trades</span>
             </div>
             <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:"4px 8px",fontSize:9}}>
               <div><span style={{color:T.textMuted}}>WR: </span><span style={{fontFamily:M,color:pc(s.winRate-50,T)}}>{s.winRate.toFixed(1)}%</span></div>
@@ -1140,16 +1706,16 @@ function AdvisorPage({ trades, signals, T }) {
               <div><span style={{color:T.textMuted}}>R:R: </span><span style={{fontFamily:M,color:s.rr>=1?T.positive:T.negative}}>{s.rr.toFixed(2)}x</span></div>
               <div><span style={{color:T.textMuted}}>PF: </span><span style={{fontFamily:M,color:s.profitFactor>=1?T.positive:T.negative}}>{s.profitFactor.toFixed(2)}</span></div>
               <div style={{gridColumn:"1/-1"}}><span style={{color:T.textMuted}}>P/L: </span><span style={{fontFamily:M,color:pc(s.totalPnl,T),fontWeight:700}}>{s.totalPnl>=0?"+":""}${s.totalPnl.toFixed(2)}</span></div>
-              {liveFt.length > 0 && <div style={{gridColumn:"1/-1",fontSize:8,color:T.textFaint}}>Live: {liveFt.length} | Sim: {simFt.length}</div>}
+              {liveN > 0 && <div style={{gridColumn:"1/-1",fontSize:8,color:T.textFaint}}>Live: {liveN} | Sim: {simN}</div>}
             </div>
           </div>;
         })}
 
-        {signals.length > 0 && <div style={{marginTop:8,padding:"10px",background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:8}}>
+        {counts.signals.total > 0 && <div style={{marginTop:8,padding:"10px",background:T.bgCard,border:`1px solid ${T.border}`,borderRadius:8}}>
           <div style={{fontSize:10,fontWeight:700,color:T.warning,marginBottom:6}}>Signals</div>
-          <div style={{fontSize:9,color:T.textSecondary}}>{signals.length} total signals received</div>
+          <div style={{fontSize:9,color:T.textSecondary}}>{counts.signals.total} total signals received</div>
           <div style={{fontSize:8,color:T.textFaint,fontFamily:M,marginTop:4}}>
-            Types: {[...new Set(signals.map(s=>s.type).filter(Boolean))].join(", ") || "---"}
+            Types: {counts.signals.byType.map(t => t.type).join(", ") || "---"}
           </div>
         </div>}
       </div>
@@ -1162,96 +1728,307 @@ function AdvisorPage({ trades, signals, T }) {
 // ═══════════════════════════════
 // IMPORT PAGE
 // ═══════════════════════════════
-function ImportPage({ allTrades, allSignals, onRefresh, T }) {
+const importSummary = (r) => `${r.inserted} inserted, ${r.updated} updated, ${r.skipped} skipped as duplicates`;
+function readFileText(file, setFile, setText) {
+  if (!file) return;
+  setFile(file);
+  const reader = new FileReader();
+  reader.onload = (e) => setText(e.target.result);
+  reader.readAsText(file);
+}
+// Raw CSV → POST /api/import/csv; dry run unless params.dryRun === "false"
+// Backups are binary (.ndjson.gz), so these skip api()'s JSON content type
+const downloadBackup = () => downloadFile("/api/backup", "nexgent-backup.ndjson.gz");
+const restoreBackup = (file, params) => api(`/api/backup/restore?${queryString(params)}`, { method: "POST", headers: { "Content-Type": "application/gzip" }, body: file });
+
+const importCsv = (text, params) => api(`/api/import/csv?${queryString(params)}`, { method: "POST", headers: { "Content-Type": "text/csv" }, body: text });
+
+function ImportReport({ report, expected, T }) {
+  if (!report) return <div style={{ fontSize: 10, color: T.textMuted, marginBottom: 12, fontFamily: M }}>Validating...</div>;
+  if (report.error) return <div style={{ fontSize: 10, color: T.negative, marginBottom: 12, fontFamily: M }}>{report.error}</div>;
+  if (report.format !== expected) return <div style={{ fontSize: 10, color: T.negative, marginBottom: 12 }}>This looks like a {report.format} export — drop it in the {report.format === "trades" ? "Trade History" : "Signals"} importer.</div>;
+  const r = report.result;
+  return <div style={{ marginBottom: 12, padding: "8px 10px", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: 6 }}>
+    <div style={{ fontSize: 10, fontFamily: M, color: T.textSecondary, marginBottom: 4 }}>
+      {report.totalRows} rows · <span style={{ color: T.positive }}>{report.validRows} valid</span>
+      {report.errorRows > 0 && <> · <span style={{ color: T.negative }}>{report.errorRows} with errors (not imported)</span></>}
+      {report.warningRows > 0 && <> · <span style={{ color: T.warning }}>{report.warningRows} with warnings</span></>}
+    </div>
+    <div style={{ fontSize: 9, fontFamily: M, color: T.textMuted }}>Would insert {r.inserted}, update {r.updated}, skip {r.skipped} duplicates</div>
+    {report.missingColumns.length > 0 && <div style={{ fontSize: 9, color: T.warning, marginTop: 4 }}>Missing columns: {report.missingColumns.join(", ")}</div>}
+    {report.issues.length > 0 && <div style={{ maxHeight: 120, overflowY: "auto", marginTop: 6, borderTop: `1px solid ${T.border}`, paddingTop: 4 }}>
+      {report.issues.slice(0, 100).map((i, n) => <div key={n} style={{ fontSize: 9, fontFamily: M, color: i.severity === "error" ? T.negative : T.warning, lineHeight: 1.6 }}>Line {i.line} · {i.field}: {i.message}</div>)}
+      {report.issues.length > 100 && <div style={{ fontSize: 9, color: T.textFaint }}>…and {report.issues.length - 100} more</div>}
+    </div>}
+  </div>;
+}
+
+// Zone a Nexgent export's times were written in; "" leaves it to the server (NEXGENT_TIMEZONE, else UTC)
+function SourceZoneSelect({ value, onChange, style, T }) {
+  return <Select value={value} onChange={onChange} style={style} T={T}>
+    <option value="">Server default</option>
+    {TIME_ZONES.map(z => <option key={z} value={z}>{z}</option>)}
+  </Select>;
+}
+
+// Multi-file drop: every file gets its own dry run; agent/mode come from the filename and can be corrected
+let bulkSeq = 0;
+function BulkImport({ isAdmin, onDone, T }) {
+  const agents = useAgents();
+  const { AG, AK } = agents;
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [over, setOver] = useState(false);
+  const inputRef = useRef(null);
+
+  const check = useCallback(async (item) => {
+    let report;
+    try { report = await importCsv(item.text, { agentId: item.agent, mode: item.mode, timeZone: item.zone, filename: item.name }); }
+    catch (err) { report = { error: err.message }; }
+    setItems(prev => prev.map(x => x.id === item.id && x.agent === item.agent && x.mode === item.mode && x.zone === item.zone ? { ...x, report } : x));
+  }, []);
+
+  const addFiles = useCallback(async (fileList) => {
+    const files = [...fileList].filter(f => f.name.toLowerCase().endsWith(".csv"));
+    const added = await Promise.all(files.map(async f => {
+      const { agentId, mode, newName } = agents.fromExportFile(f.name);
+      return { id: ++bulkSeq, name: f.name, text: await f.text(), agent: agentId, newName, mode: mode || "", zone: "", report: null, status: null };
+    }));
+    setItems(prev => [...prev, ...added]);
+    added.forEach(check);
+  }, [check, agents]);
+
+  const update = useCallback((item, patch) => {
+    const next = { ...item, ...patch, report: null, status: null };
+    setItems(prev => prev.map(x => x.id === item.id ? next : x));
+    check(next);
+  }, [check]);
+
+  const ready = items.filter(x => x.report && !x.report.error && x.report.validRows > 0 && !x.status);
+
+  const importAll = useCallback(async () => {
+    setRunning(true);
+    const totals = { files: 0, inserted: 0, updated: 0, skipped: 0, rejected: 0 };
+    for (const item of ready) {
+      try {
+        const res = await importCsv(item.text, { agentId: item.agent, mode: item.mode, timeZone: item.zone, filename: item.name, dryRun: "false" });
+        totals.files++; totals.inserted += res.result.inserted; totals.updated += res.result.updated; totals.skipped += res.result.skipped; totals.rejected += res.errorRows;
+        setItems(prev => prev.map(x => x.id === item.id ? { ...x, status: { ok: true, text: importSummary(res.result) } } : x));
+      } catch (err) {
+        setItems(prev => prev.map(x => x.id === item.id ? { ...x, status: { ok: false, text: err.message } } : x));
+      }
+    }
+    setRunning(false);
+    onDone(`Imported ${totals.files} file${totals.files === 1 ? "" : "s"}: ${importSummary(totals)}${totals.rejected ? `, ${totals.rejected} rejected` : ""}`);
+  }, [ready, onDone]);
+
+  return <Card T={T}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+      <CTitle T={T}>Bulk Import</CTitle>
+      {items.length > 0 && <button onClick={() => setItems([])} disabled={running} style={{ background: "none", border: "none", color: T.textMuted, cursor: "pointer", fontSize: 10, fontFamily: F }}>Clear list</button>}
+    </div>
+    <div style={{ border: `2px dashed ${over ? T.accent : T.border}`, borderRadius: 10, padding: "14px 20px", textAlign: "center", cursor: "pointer", background: over ? T.accentBg : T.bgInput, marginBottom: items.length ? 12 : 0 }}
+      onDragOver={e => { e.preventDefault(); setOver(true); }} onDragLeave={() => setOver(false)}
+      onDrop={e => { e.preventDefault(); setOver(false); addFiles(e.dataTransfer.files); }}
+      onClick={() => inputRef.current?.click()}>
+      <input ref={inputRef} type="file" accept=".csv" multiple style={{ display: "none" }} onChange={e => { addFiles(e.target.files); e.target.value = ""; }} />
+      <div style={{ fontSize: 11, color: T.textSecondary }}>Drop any number of trade history and signals exports</div>
+      <div style={{ fontSize: 9, color: T.textFaint, marginTop: 4 }}>Agent and mode are read from names like "Nexgent Pro Trade History - Live Mode.csv" (an agent that isn't registered yet is added on import); pick the zone the export's times are in</div>
+    </div>
+    {items.length > 0 && <>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 12 }}>
+        <thead><tr>{["File", "Type", "Agent", "Mode", "Time Zone", "Check"].map(h => <th key={h} style={{ padding: "4px 8px", fontSize: 8, color: T.textMuted, textAlign: "left", borderBottom: `1px solid ${T.border}`, fontFamily: M, textTransform: "uppercase", letterSpacing: 1 }}>{h}</th>)}</tr></thead>
+        <tbody>{items.map(x => {
+          const r = x.report;
+          const isTrades = r?.format === "trades" || (!r?.format && !/signal/i.test(x.name));
+          return <tr key={x.id}>
+            <td style={{ padding: "3px 8px", fontSize: 10, color: T.text, fontFamily: M, maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{x.name}</td>
+            <td style={{ padding: "3px 8px", fontSize: 9, color: T.textMuted }}>{r?.format || "—"}</td>
+            <td style={{ padding: "3px 8px" }}>{isTrades && <Select value={x.agent} onChange={v => update(x, { agent: v })} style={{ fontSize: 10 }} T={T}>
+              <option value="">Pick agent…</option>
+              {agents.choices(x.agent).map(k => <option key={k} value={k}>{AG[k] ? agents.label(k) : `New agent: ${x.newName || k}`}</option>)}
+            </Select>}</td>
+            <td style={{ padding: "3px 8px" }}>{isTrades && <Select value={x.mode} onChange={v => update(x, { mode: v })} style={{ fontSize: 10 }} T={T}>
+              <option value="">Pick mode…</option>
+              <option value="simulation">Simulation</option>
+              <option value="live">Live</option>
+            </Select>}</td>
+            <td style={{ padding: "3px 8px" }}><SourceZoneSelect value={x.zone} onChange={v => update(x, { zone: v })} style={{ fontSize: 10, maxWidth: 150 }} T={T} /></td>
+            <td style={{ padding: "3px 8px", fontSize: 9, fontFamily: M, color: x.status ? (x.status.ok ? T.positive : T.negative) : r?.error ? T.negative : r?.errorRows ? T.warning : T.textSecondary }}>
+              {x.status ? x.status.text : !r ? "checking…" : r.error ? r.error : `${r.validRows}/${r.totalRows} valid · ${r.result.inserted} new, ${r.result.updated} changed, ${r.result.skipped} duplicates`}
+            </td>
+          </tr>;
+        })}</tbody>
+      </table>
+      <button onClick={importAll} disabled={running || !isAdmin || !ready.length} style={{ width: "100%", padding: "10px", background: running || !isAdmin || !ready.length ? T.bgInput : T.accent, border: "none", borderRadius: 6, color: "#fff", fontSize: 12, fontWeight: 700, cursor: running ? "wait" : "pointer", fontFamily: F }}>
+        {running ? "Importing..." : `Confirm Import of ${ready.length} File${ready.length === 1 ? "" : "s"}`}
+      </button>
+    </>}
+  </Card>;
+}
+
+function ImportPage({ counts, onRefresh, isAdmin, timeZone, T }) {
+  const agents = useAgents();
+  const { AG, AK } = agents;
   const [tradeFile, setTradeFile] = useState(null);
   const [signalFile, setSignalFile] = useState(null);
-  const [tradeAgent, setTradeAgent] = useState("degen");
+  const [tradeAgent, setTradeAgent] = useState(() => agents.active[0] || "");
+  const [tradeNewName, setTradeNewName] = useState("");
   const [tradeMode, setTradeMode] = useState("simulation");
-  const [tradeParsed, setTradeParsed] = useState([]);
-  const [signalParsed, setSignalParsed] = useState([]);
+  const [tradeZone, setTradeZone] = useState("");
+  const [signalZone, setSignalZone] = useState("");
+  const [tradeText, setTradeText] = useState("");
+  const [tradeInferred, setTradeInferred] = useState(false);
+  const [signalText, setSignalText] = useState("");
+  const [tradeReport, setTradeReport] = useState(null);
+  const [signalReport, setSignalReport] = useState(null);
   const [importing, setImporting] = useState(false);
   const [msg, setMsg] = useState(null);
   const [confirmClear, setConfirmClear] = useState(null);
+  const [trash, setTrash] = useState({ batches: [], retentionDays: null, at: 0 });
+  const [trashVersion, setTrashVersion] = useState(0);
+  const [backupFile, setBackupFile] = useState(null);
+  const [backupMode, setBackupMode] = useState("merge");
+  const [backupCheck, setBackupCheck] = useState(null);
+  const backupInputRef = useRef(null);
   const tradeInputRef = useRef(null);
   const signalInputRef = useRef(null);
 
-  const handleTradeFile = useCallback((file) => {
-    if (!file) return;
-    setTradeFile(file);
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const rows = parseCSV(e.target.result);
-      const mapped = rows.map(r => mapTradeRow(r, AGENT_ID_REVERSE[tradeAgent], tradeMode));
-      setTradeParsed(mapped);
-    };
-    reader.readAsText(file);
-  }, [tradeAgent, tradeMode]);
+  const tradeParams = useMemo(() => ({ agentId: tradeAgent, mode: tradeMode, timeZone: tradeZone, filename: tradeFile?.name }), [tradeAgent, tradeMode, tradeZone, tradeFile]);
+  const signalParams = useMemo(() => ({ timeZone: signalZone }), [signalZone]);
+  const tradeParsed = useMemo(() => tradeText ? parseCSV(tradeText).map(r => mapTradeRow(r, tradeParams.agentId, tradeParams.mode, tradeZone || undefined)) : [], [tradeText, tradeParams, tradeZone]);
+  const signalParsed = useMemo(() => signalText ? parseCSV(signalText).map(r => mapSignalRow(r, signalZone || undefined)) : [], [signalText, signalZone]);
 
-  const handleSignalFile = useCallback((file) => {
+  // Pre-fill agent/mode from "<Agent> Trade History - Live|Simulation Mode.csv"
+  const handleTradeFile = useCallback((file) => {
     if (!file) return;
-    setSignalFile(file);
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const rows = parseCSV(e.target.result);
-      const mapped = rows.map(r => mapSignalRow(r));
-      setSignalParsed(mapped);
-    };
-    reader.readAsText(file);
-  }, []);
-
-  // Re-parse when agent/mode changes
+    const { agentId, mode, newName } = agents.fromExportFile(file.name);
+    if (agentId) setTradeAgent(agentId);
+    if (mode) setTradeMode(mode);
+    setTradeNewName(newName);
+    setTradeInferred(Boolean(agentId && mode));
+    readFileText(file, setTradeFile, setTradeText);
+  }, [agents]);
+  const handleSignalFile = useCallback((file) => readFileText(file, setSignalFile, setSignalText), []);
+
+  // Server-side dry run: format detection + row validation, re-run when agent/mode/zone changes
   useEffect(() => {
-    if (!tradeFile) return;
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const rows = parseCSV(e.target.result);
-      setTradeParsed(rows.map(r => mapTradeRow(r, AGENT_ID_REVERSE[tradeAgent], tradeMode)));
-    };
-    reader.readAsText(tradeFile);
-  }, [tradeAgent, tradeMode, tradeFile]);
+    if (!tradeText) return;
+    let cancelled = false;
+    importCsv(tradeText, tradeParams)
+      .then(r => { if (!cancelled) setTradeReport({ ...r, text: tradeText, params: tradeParams }); })
+      .catch(err => { if (!cancelled) setTradeReport({ error: err.message, text: tradeText, params: tradeParams }); });
+    return () => { cancelled = true; };
+  }, [tradeText, tradeParams]);
+  useEffect(() => {
+    if (!signalText) return;
+    let cancelled = false;
+    importCsv(signalText, signalParams)
+      .then(r => { if (!cancelled) setSignalReport({ ...r, text: signalText, params: signalParams }); })
+      .catch(err => { if (!cancelled) setSignalReport({ error: err.message, text: signalText, params: signalParams }); });
+    return () => { cancelled = true; };
+  }, [signalText, signalParams]);
+  // Only trust a report that matches what's on screen now
+  const tradeCheck = tradeReport?.text === tradeText && tradeReport.params === tradeParams ? tradeReport : null;
+  const signalCheck = signalReport?.text === signalText && signalReport.params === signalParams ? signalReport : null;
+  const tradeReady = tradeCheck?.format === "trades" && tradeCheck.validRows > 0;
+  const signalReady = signalCheck?.format === "signals" && signalCheck.validRows > 0;
 
   const importTrades = useCallback(async () => {
-    if (!tradeParsed.length) return;
+    if (!tradeText) return;
     setImporting(true); setMsg(null);
     try {
-      const res = await api("/api/trades/import", { method: "POST", body: JSON.stringify({ trades: tradeParsed, agentId: AGENT_ID_REVERSE[tradeAgent] }) });
-      setMsg({ type: "success", text: `Imported ${res.saved} trades for ${AG[tradeAgent].name} (${tradeMode})` });
-      setTradeParsed([]); setTradeFile(null);
+      const res = await importCsv(tradeText, { ...tradeParams, dryRun: "false" });
+      setMsg({ type: "success", text: `Trades for ${AG[tradeAgent]?.name || tradeNewName || tradeAgent} (${tradeMode}): ${importSummary(res.result)}${res.errorRows ? `, ${res.errorRows} rejected` : ""}${res.registeredAgents?.length ? ` · registered ${res.registeredAgents.map(a => a.name).join(", ")}` : ""}` });
+      setTradeText(""); setTradeFile(null); setTradeReport(null);
       if (tradeInputRef.current) tradeInputRef.current.value = "";
       onRefresh();
     } catch (err) { setMsg({ type: "error", text: `Trade import failed: ${err.message}` }); }
     setImporting(false);
-  }, [tradeParsed, tradeAgent, tradeMode, onRefresh]);
+  }, [tradeText, tradeParams, tradeAgent, tradeNewName, tradeMode, onRefresh, AG]);
 
   const importSignals = useCallback(async () => {
-    if (!signalParsed.length) return;
+    if (!signalText) return;
     setImporting(true); setMsg(null);
     try {
-      const res = await api("/api/signals/import", { method: "POST", body: JSON.stringify({ signals: signalParsed }) });
-      setMsg({ type: "success", text: `Imported ${res.saved} signals` });
-      setSignalParsed([]); setSignalFile(null);
+      const res = await importCsv(signalText, { ...signalParams, dryRun: "false" });
+      setMsg({ type: "success", text: `Signals: ${importSummary(res.result)}${res.errorRows ? `, ${res.errorRows} rejected` : ""}` });
+      setSignalText(""); setSignalFile(null); setSignalReport(null);
       if (signalInputRef.current) signalInputRef.current.value = "";
       onRefresh();
     } catch (err) { setMsg({ type: "error", text: `Signal import failed: ${err.message}` }); }
     setImporting(false);
-  }, [signalParsed, onRefresh]);
+  }, [signalText, signalParams, onRefresh]);
+
+  // Deletion batches (soft-deleted trades/signals) that can still be restored
+  useEffect(() => {
+    let cancelled = false;
+    api("/api/trash?limit=20")
+      .then(res => { if (!cancelled) setTrash({ batches: res.batches || [], retentionDays: res.retentionDays, at: Date.now() }); })
+      .catch(err => console.error("Trash fetch error:", err));
+    return () => { cancelled = true; };
+  }, [trashVersion]);
 
   const clearData = useCallback(async (type) => {
     setImporting(true); setMsg(null);
     try {
       if (type === "trades" || type === "all") {
         const res = await api("/api/trades/clear", { method: "DELETE" });
-        setMsg(prev => ({ type: "success", text: `${prev?.text ? prev.text + " | " : ""}Cleared ${res.deleted} trades` }));
+        setMsg(prev => ({ type: "success", text: `${prev?.text ? prev.text + " | " : ""}Moved ${res.deleted} trades to the trash` }));
       }
       if (type === "signals" || type === "all") {
         const res = await api("/api/signals/clear", { method: "DELETE" });
-        setMsg(prev => ({ type: "success", text: `${prev?.text ? prev.text + " | " : ""}Cleared ${res.deleted} signals` }));
+        setMsg(prev => ({ type: "success", text: `${prev?.text ? prev.text + " | " : ""}Moved ${res.deleted} signals to the trash` }));
       }
       setConfirmClear(null);
       onRefresh();
     } catch (err) { setMsg({ type: "error", text: `Clear failed: ${err.message}` }); }
+    setTrashVersion(v => v + 1);
+    setImporting(false);
+  }, [onRefresh]);
+
+  const trashAction = useCallback(async (batch, action) => {
+    setImporting(true); setMsg(null);
+    try {
+      if (action === "restore") {
+        const res = await api(`/api/trash/${batch.id}/restore`, { method: "POST" });
+        setMsg({ type: "success", text: `Restored ${res.restored} ${batch.collection}${res.skipped ? ` (${res.skipped} already re-imported, kept as they are)` : ""}` });
+        onRefresh();
+      } else {
+        const res = await api(`/api/trash/${batch.id}`, { method: "DELETE" });
+        setMsg({ type: "success", text: `Permanently deleted ${res.purged} ${batch.collection}` });
+      }
+    } catch (err) { setMsg({ type: "error", text: `${action === "restore" ? "Restore" : "Purge"} failed: ${err.message}` }); }
+    setTrashVersion(v => v + 1);
     setImporting(false);
   }, [onRefresh]);
+  const backup = useCallback(async () => {
+    setImporting(true); setMsg(null);
+    try { setMsg({ type: "success", text: `Backup saved as ${await downloadBackup()}` }); }
+    catch (err) { setMsg({ type: "error", text: `Backup failed: ${err.message}` }); }
+    setImporting(false);
+  }, []);
+
+  // Restore is two steps: a dry run checks the archive's checksums and shows what it holds, then the real run
+  const checkBackup = useCallback(async (file) => {
+    setBackupFile(file); setBackupCheck(null); setMsg(null);
+    if (!file) return;
+    try { setBackupCheck(await restoreBackup(file, { dryRun: "true" })); }
+    catch (err) { setBackupCheck({ error: err.message }); }
+  }, []);
+  const runRestore = useCallback(async () => {
+    setImporting(true); setMsg(null);
+    try {
+      const res = await restoreBackup(backupFile, { mode: backupMode });
+      setMsg({ type: "success", text: `Restored ${res.total} documents (${backupMode})` });
+      setBackupFile(null); setBackupCheck(null);
+      if (backupInputRef.current) backupInputRef.current.value = "";
+      onRefresh();
+    } catch (err) { setMsg({ type: "error", text: `Restore failed: ${err.message}` }); }
+    setImporting(false);
+  }, [backupFile, backupMode, onRefresh]);
+
+  const clearCounts = { trades: `${counts.trades.total} trades`, signals: `${counts.signals.total} signals`, all: `${counts.trades.total} trades and ${counts.signals.total} signals` };
 
   const dropZoneStyle = (active) => ({
     border: `2px dashed ${active ? T.accent : T.border}`, borderRadius: 10,
@@ -1260,14 +2037,12 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
     marginBottom: 14,
   });
 
-  const agentCounts = useMemo(() => {
-    const c = {};
-    AK.forEach(k => { c[k] = { total: 0, live: 0, sim: 0 }; });
-    allTrades.forEach(t => { if (c[t.agent]) { c[t.agent].total++; if (t.mode === "live") c[t.agent].live++; else c[t.agent].sim++; } });
-    return c;
-  }, [allTrades]);
+  const agentCounts = counts.trades.byAgent;
 
   return <div>
+    {!isAdmin && <div style={{ padding: "10px 16px", marginBottom: 16, borderRadius: 8, background: `${T.warning}10`, border: `1px solid ${T.warning}30`, color: T.warning, fontSize: 11 }}>
+      Read-only access — importing and clearing data requires the admin role.
+    </div>}
     {msg && <div style={{ padding: "10px 16px", marginBottom: 16, borderRadius: 8, background: msg.type === "success" ? `${T.positive}10` : `${T.negative}10`, border: `1px solid ${msg.type === "success" ? `${T.positive}30` : `${T.negative}30`}`, color: msg.type === "success" ? T.positive : T.negative, fontSize: 12, fontFamily: M, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
       <span>{msg.text}</span>
       <button onClick={() => setMsg(null)} style={{ background: "none", border: "none", color: T.textMuted, cursor: "pointer", fontSize: 14 }}>x</button>
@@ -1276,22 +2051,24 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
     {/* Data Summary */}
     <Card T={T}>
       <CTitle T={T}>Current Data in Firebase</CTitle>
-      <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(AK.filter(k=>agentCounts[k].total>0).length+1,6)},1fr)`, gap: 10 }}>
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(AK.filter(k=>agentCounts[k]?.total>0).length+1,6)},1fr)`, gap: 10 }}>
         <div style={{ textAlign: "center", padding: 10 }}>
-          <div style={{ fontSize: 22, fontWeight: 800, fontFamily: M, color: T.text }}>{allTrades.length}</div>
+          <div style={{ fontSize: 22, fontWeight: 800, fontFamily: M, color: T.text }}>{counts.trades.total}</div>
           <div style={{ fontSize: 8, color: T.textMuted, letterSpacing: 1.2, textTransform: "uppercase", marginTop: 3 }}>Total Trades</div>
         </div>
-        {AK.filter(k=>agentCounts[k].total>0).map(k => <div key={k} style={{ textAlign: "center", padding: 10 }}>
+        {AK.filter(k=>agentCounts[k]?.total>0).map(k => <div key={k} style={{ textAlign: "center", padding: 10 }}>
           <div style={{ fontSize: 18, fontWeight: 800, fontFamily: M, color: T.accent }}>{agentCounts[k].total}</div>
           <div style={{ fontSize: 8, color: T.textMuted, letterSpacing: 1.2, textTransform: "uppercase", marginTop: 3 }}>{AG[k].abbr} {AG[k].name}</div>
-          <div style={{ fontSize: 8, color: T.textFaint, fontFamily: M, marginTop: 2 }}>{agentCounts[k].live}L / {agentCounts[k].sim}S</div>
+          <div style={{ fontSize: 8, color: T.textFaint, fontFamily: M, marginTop: 2 }}>{agentCounts[k].live}L / {agentCounts[k].simulation}S</div>
         </div>)}
       </div>
       <div style={{ textAlign: "center", marginTop: 8, paddingTop: 8, borderTop: `1px solid ${T.border}` }}>
-        <span style={{ fontSize: 11, fontFamily: M, color: T.textSecondary }}>{allSignals.length} signals</span>
+        <span style={{ fontSize: 11, fontFamily: M, color: T.textSecondary }}>{counts.signals.total} signals</span>
       </div>
     </Card>
 
+    <BulkImport isAdmin={isAdmin} onDone={(text) => { setMsg({ type: "success", text }); onRefresh(); }} T={T} />
+
     <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
       {/* Trade Import */}
       <Card accent={T.accent} T={T}>
@@ -1299,8 +2076,8 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
         <div style={{ marginBottom: 12, display: "flex", gap: 8 }}>
           <div style={{ flex: 1 }}>
             <FilterLabel T={T}>Agent</FilterLabel>
-            <Select value={tradeAgent} onChange={setTradeAgent} style={{ width: "100%", marginTop: 4 }} T={T}>
-              {AK.map(k => <option key={k} value={k}>{AG[k].abbr} {AG[k].name}</option>)}
+            <Select value={tradeAgent} onChange={v => { setTradeAgent(v); setTradeNewName(""); }} style={{ width: "100%", marginTop: 4 }} T={T}>
+              {agents.choices(tradeAgent).map(k => <option key={k} value={k}>{AG[k] ? agents.label(k) : `New agent: ${tradeNewName || k}`}</option>)}
             </Select>
           </div>
           <div style={{ flex: 1 }}>
@@ -1310,6 +2087,10 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
               <option value="live">Live</option>
             </Select>
           </div>
+          <div style={{ flex: 1 }}>
+            <FilterLabel T={T}>Time Zone</FilterLabel>
+            <SourceZoneSelect value={tradeZone} onChange={setTradeZone} style={{ width: "100%", marginTop: 4 }} T={T} />
+          </div>
         </div>
 
         <div style={dropZoneStyle(!!tradeFile)}
@@ -1319,7 +2100,7 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
           <input ref={tradeInputRef} type="file" accept=".csv" style={{ display: "none" }} onChange={e => handleTradeFile(e.target.files[0])} />
           {tradeFile ? <div>
             <div style={{ fontSize: 12, fontWeight: 700, color: T.accent, marginBottom: 4 }}>{tradeFile.name}</div>
-            <div style={{ fontSize: 10, color: T.textSecondary }}>{tradeParsed.length} trades parsed</div>
+            <div style={{ fontSize: 10, color: T.textSecondary }}>{tradeParsed.length} trades parsed{tradeInferred ? " · agent & mode detected from filename" : ""}</div>
           </div> : <div>
             <div style={{ fontSize: 12, fontWeight: 700, color: T.textMuted, marginBottom: 6 }}>CSV</div>
             <div style={{ fontSize: 11, color: T.textSecondary }}>Drop trade CSV here or click to browse</div>
@@ -1327,6 +2108,8 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
           </div>}
         </div>
 
+        {tradeFile && <ImportReport report={tradeCheck} expected="trades" T={T} />}
+
         {tradeParsed.length > 0 && <div>
           <div style={{ fontSize: 9, color: T.textMuted, marginBottom: 6, fontFamily: M }}>Preview (first 5 rows)</div>
           <div style={{ overflowX: "auto", marginBottom: 12 }}>
@@ -1337,12 +2120,12 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
                 <td style={{ padding: "3px 8px", fontSize: 10, fontFamily: M, color: pc(t.pnl, T) }}>{t.pnl >= 0 ? "+" : ""}${t.pnl.toFixed(2)}</td>
                 <td style={{ padding: "3px 8px", fontSize: 10, fontFamily: M, color: pc(t.pnlPercent, T) }}>{t.pnlPercent >= 0 ? "+" : ""}{t.pnlPercent.toFixed(1)}%</td>
                 <td style={{ padding: "3px 8px", fontSize: 9, color: T.textMuted }}>{(t.signalType || "").slice(0, 30)}</td>
-                <td style={{ padding: "3px 8px", fontSize: 8, color: T.textFaint, fontFamily: M }}>{new Date(t.timestamp).toLocaleDateString()}</td>
+                <td style={{ padding: "3px 8px", fontSize: 8, color: T.textFaint, fontFamily: M }}>{formatInTimeZone(t.timestamp, timeZone, "date")}</td>
               </tr>)}</tbody>
             </table>
           </div>
-          <button onClick={importTrades} disabled={importing} style={{ width: "100%", padding: "10px", background: importing ? T.bgInput : T.accent, border: "none", borderRadius: 6, color: "#fff", fontSize: 12, fontWeight: 700, cursor: importing ? "wait" : "pointer", fontFamily: F }}>
-            {importing ? "Importing..." : `Import ${tradeParsed.length} Trades`}
+          <button onClick={importTrades} disabled={importing || !isAdmin || !tradeReady} style={{ width: "100%", padding: "10px", background: importing || !isAdmin || !tradeReady ? T.bgInput : T.accent, border: "none", borderRadius: 6, color: "#fff", fontSize: 12, fontWeight: 700, cursor: importing ? "wait" : "pointer", fontFamily: F }}>
+            {importing ? "Importing..." : `Confirm Import of ${tradeReady ? tradeCheck.validRows : 0} Trades`}
           </button>
         </div>}
       </Card>
@@ -1350,8 +2133,12 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
       {/* Signal Import */}
       <Card accent={T.warning} T={T}>
         <CTitle color={T.warning} T={T}>Signals Import</CTitle>
-        <div style={{ marginBottom: 12 }}>
-          <div style={{ fontSize: 10, color: T.textMuted, padding: "8px 0" }}>Signals are shared across all agents</div>
+        <div style={{ marginBottom: 12, display: "flex", gap: 8, alignItems: "flex-end" }}>
+          <div style={{ flex: 1, fontSize: 10, color: T.textMuted, padding: "8px 0" }}>Signals are shared across all agents</div>
+          <div style={{ flex: 1 }}>
+            <FilterLabel T={T}>Time Zone</FilterLabel>
+            <SourceZoneSelect value={signalZone} onChange={setSignalZone} style={{ width: "100%", marginTop: 4 }} T={T} />
+          </div>
         </div>
 
         <div style={dropZoneStyle(!!signalFile)}
@@ -1369,6 +2156,8 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
           </div>}
         </div>
 
+        {signalFile && <ImportReport report={signalCheck} expected="signals" T={T} />}
+
         {signalParsed.length > 0 && <div>
           <div style={{ fontSize: 9, color: T.textMuted, marginBottom: 6, fontFamily: M }}>Preview (first 5 rows)</div>
           <div style={{ overflowX: "auto", marginBottom: 12 }}>
@@ -1378,12 +2167,12 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
                 <td style={{ padding: "3px 8px", fontSize: 10, color: T.text, fontFamily: M, fontWeight: 700 }}>{s.token}</td>
                 <td style={{ padding: "3px 8px", fontSize: 9, color: T.textMuted }}>{(s.tradingStrategy || "").slice(0, 30)}</td>
                 <td style={{ padding: "3px 8px", fontSize: 11, fontFamily: M, fontWeight: 800, color: s.signalStrength >= 4 ? T.positive : s.signalStrength >= 3 ? T.warning : s.signalStrength >= 2 ? "#f97316" : T.negative }}>{s.signalStrength}</td>
-                <td style={{ padding: "3px 8px", fontSize: 8, color: T.textFaint, fontFamily: M }}>{new Date(s.signalReceivedAt).toLocaleDateString()}</td>
+                <td style={{ padding: "3px 8px", fontSize: 8, color: T.textFaint, fontFamily: M }}>{formatInTimeZone(s.signalReceivedAt, timeZone, "date")}</td>
               </tr>)}</tbody>
             </table>
           </div>
-          <button onClick={importSignals} disabled={importing} style={{ width: "100%", padding: "10px", background: importing ? T.bgInput : T.warning, border: "none", borderRadius: 6, color: "#000", fontSize: 12, fontWeight: 700, cursor: importing ? "wait" : "pointer", fontFamily: F }}>
-            {importing ? "Importing..." : `Import ${signalParsed.length} Signals`}
+          <button onClick={importSignals} disabled={importing || !isAdmin || !signalReady} style={{ width: "100%", padding: "10px", background: importing || !isAdmin || !signalReady ? T.bgInput : T.warning, border: "none", borderRadius: 6, color: "#000", fontSize: 12, fontWeight: 700, cursor: importing ? "wait" : "pointer", fontFamily: F }}>
+            {importing ? "Importing..." : `Confirm Import of ${signalReady ? signalCheck.validRows : 0} Signals`}
           </button>
         </div>}
       </Card>
@@ -1393,8 +2182,8 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
     <Card style={{ marginTop: 8 }} T={T}>
       <CTitle color={T.negative} T={T}>Data Management</CTitle>
       <div style={{ display: "flex", gap: 10 }}>
-        {confirmClear ? <div style={{ flex: 1, display: "flex", gap: 8, alignItems: "center" }}>
-          <span style={{ fontSize: 11, color: T.negative }}>Clear {confirmClear}? This cannot be undone.</span>
+        {!isAdmin ? <span style={{ fontSize: 11, color: T.textMuted }}>Admin role required.</span> : confirmClear ? <div style={{ flex: 1, display: "flex", gap: 8, alignItems: "center" }}>
+          <span style={{ fontSize: 11, color: T.negative }}>Move {clearCounts[confirmClear]} to the trash? {trash.retentionDays ? `They can be restored below for ${trash.retentionDays} day${trash.retentionDays === 1 ? "" : "s"}, then they are deleted for good.` : "They can be restored below until the trash is purged."}</span>
           <button onClick={() => clearData(confirmClear)} disabled={importing} style={{ padding: "6px 16px", background: T.negative, border: "none", borderRadius: 4, color: "#fff", fontSize: 10, fontWeight: 700, cursor: "pointer", fontFamily: F }}>Confirm</button>
           <button onClick={() => setConfirmClear(null)} style={{ padding: "6px 16px", background: T.bgInput, border: `1px solid ${T.borderInput}`, borderRadius: 4, color: T.textSecondary, fontSize: 10, cursor: "pointer", fontFamily: F }}>Cancel</button>
         </div> : <>
@@ -1403,6 +2192,49 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
           <button onClick={() => setConfirmClear("all")} style={{ padding: "6px 16px", background: T.bgInput, border: `1px solid ${T.negative}30`, borderRadius: 4, color: T.negative, fontSize: 10, cursor: "pointer", fontFamily: F }}>Clear Everything</button>
         </>}
       </div>
+
+      <div style={{ fontSize: 9, fontWeight: 700, letterSpacing: 1.5, textTransform: "uppercase", color: T.textMuted, margin: "18px 0 6px" }}>Backup</div>
+      {isAdmin && <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={backup} disabled={importing} style={{ padding: "6px 16px", background: T.bgInput, border: `1px solid ${T.borderInput}`, borderRadius: 4, color: T.textSecondary, fontSize: 10, cursor: "pointer", fontFamily: F }}>Download Backup</button>
+        <span style={{ fontSize: 10, color: T.textMuted }}>Restore from</span>
+        <input ref={backupInputRef} type="file" accept=".gz,application/gzip" onChange={e => checkBackup(e.target.files[0] || null)} style={{ fontSize: 10, color: T.textSecondary, fontFamily: F }} />
+      </div>}
+      {backupCheck && <div style={{ marginTop: 8, padding: "8px 10px", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: 6, fontSize: 10, fontFamily: M }}>
+        {backupCheck.error ? <span style={{ color: T.negative }}>{backupCheck.error}</span> : <>
+          <div style={{ color: T.textSecondary, marginBottom: 6 }}>
+            <span style={{ color: T.positive }}>Checksums ok</span> · backup from {formatInTimeZone(new Date(backupCheck.createdAt).getTime(), timeZone)} · schema v{backupCheck.schemaVersion.archive}{backupCheck.schemaVersion.archive < backupCheck.schemaVersion.current ? ` (migrated to v${backupCheck.schemaVersion.current})` : ""}
+            <div style={{ color: T.textMuted, marginTop: 2 }}>{Object.entries(backupCheck.collections).filter(([, n]) => n > 0).map(([c, n]) => `${n} ${c}`).join(" · ") || "no documents"}</div>
+          </div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <Select value={backupMode} onChange={setBackupMode} style={{ fontSize: 10 }} T={T}>
+              <option value="merge">Merge — add and overwrite, keep everything else</option>
+              <option value="replace">Replace — clear each collection in the backup first</option>
+            </Select>
+            <button onClick={runRestore} disabled={importing} style={{ padding: "6px 16px", background: backupMode === "replace" ? T.negative : T.accent, border: "none", borderRadius: 4, color: "#fff", fontSize: 10, fontWeight: 700, cursor: "pointer", fontFamily: F }}>{importing ? "Restoring..." : `Restore ${backupCheck.total} Documents`}</button>
+          </div>
+        </>}
+      </div>}
+
+      <div style={{ fontSize: 9, fontWeight: 700, letterSpacing: 1.5, textTransform: "uppercase", color: T.textMuted, margin: "18px 0 6px" }}>Trash</div>
+      {trash.batches.length === 0 ? <div style={{ fontSize: 11, color: T.textFaint }}>Nothing deleted yet.</div> :
+      <div style={{ overflowX: "auto" }}><table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead><tr><TH T={T}>Deleted</TH><TH T={T}>What</TH><TH T={T}>By</TH><TH T={T}>Status</TH><TH T={T}>Kept Until</TH><TH align="right" T={T}></TH></tr></thead>
+        <tbody>{trash.batches.map(b => {
+          const inTrash = ["trashed", "deleting", "restoring"].includes(b.status);
+          const purgeable = inTrash && b.purgeAfter <= trash.at;
+          return <tr key={b.id}>
+            <TD style={{ fontSize: 9, fontFamily: M, whiteSpace: "nowrap" }} T={T}>{formatInTimeZone(b.deletedAt, timeZone)}</TD>
+            <TD T={T}><Mono>{b.count}</Mono> {b.collection}{b.scope === "all" ? " (cleared)" : ""}</TD>
+            <TD style={{ fontSize: 10 }} T={T}>{b.deletedBy || "—"}</TD>
+            <TD T={T}><Badge color={inTrash ? T.warning : b.status === "restored" ? T.positive : T.textMuted} T={T}>{b.status}</Badge>{b.status === "restored" && b.skipped ? <span style={{ fontSize: 9, color: T.textFaint }}> {b.skipped} kept</span> : null}</TD>
+            <TD style={{ fontSize: 9, fontFamily: M, whiteSpace: "nowrap" }} T={T}>{inTrash ? formatInTimeZone(b.purgeAfter, timeZone) : "—"}</TD>
+            <TD style={{ textAlign: "right", whiteSpace: "nowrap" }} T={T}>{isAdmin && inTrash && <>
+              <button onClick={() => trashAction(b, "restore")} disabled={importing} style={{ padding: "4px 12px", background: T.accent, border: "none", borderRadius: 4, color: "#fff", fontSize: 10, fontWeight: 700, cursor: "pointer", fontFamily: F }}>Restore</button>
+              <button onClick={() => trashAction(b, "purge")} disabled={importing || !purgeable} title={purgeable ? "" : "Still inside the retention period"} style={{ marginLeft: 6, padding: "4px 12px", background: T.bgInput, border: `1px solid ${T.negative}30`, borderRadius: 4, color: T.negative, fontSize: 10, cursor: purgeable ? "pointer" : "not-allowed", opacity: purgeable ? 1 : .5, fontFamily: F }}>Purge</button>
+            </>}</TD>
+          </tr>;
+        })}</tbody>
+      </table></div>}
     </Card>
 
     {/* CSV Format Help */}
@@ -1426,50 +2258,540 @@ function ImportPage({ allTrades, allSignals, onRefresh, T }) {
   </div>;
 }
 
+// ═══════════════════════════════
+// ALERTS PAGE
+// ═══════════════════════════════
+const SNOOZE_OPTIONS = [{m:15,label:"15m"},{m:60,label:"1h"},{m:240,label:"4h"},{m:1440,label:"24h"}];
+const RULE_PARAM_LABELS = { count:"Losses in a row", threshold:"Max daily loss ($)", window:"Last N trades", minTrades:"Min trades", minutes:"Minutes without a signal" };
+const EMPTY_RULE = { type:"loss_streak", name:"", agentId:"*", mode:"", params:{}, timeZone:"UTC", enabled:true };
+const EMPTY_CHANNEL = { type:"webhook", name:"", url:"", chatId:"", botToken:"", enabled:true };
+const alertStatusColor = (s, T) => s==="active"?T.negative:s==="acknowledged"?T.warning:T.textMuted;
+const ruleScope = (r,AG) => r.type==="signal_silence"?"global":r.agentId==="*"?"each agent":r.agentId?(AG[agentKey(r.agentId)]?.name||r.agentId):"all agents";
+const GUARD_PARAM_LABELS = { threshold:"Limit ($)", count:"Losses in a row" };
+const EMPTY_GUARD = { type:"daily_loss", name:"", agentId:"", mode:"", action:"disable_webhook", params:{}, timeZone:"UTC", resumeAfterMinutes:0, enabled:true };
+const GUARD_ACTION_LABELS = { disable_webhook:"Switch webhook off", pause_agent:"Pause agent" };
+
+// Header banner while any circuit breaker trip is active (botStatus.breakers from /api/bot/status and bot-status-changed)
+function BreakerBanner({status,isAdmin,timeZone,onResumed,T}) {
+  const [busy,setBusy]=useState(false);
+  const trips=status?.breakers||[];
+  if(!trips.length) return null;
+  const resume=async(keys)=>{
+    setBusy(true);
+    try { await api("/api/breakers/resume",{method:"POST",body:JSON.stringify(keys?{keys}:{})}); onResumed(); }
+    catch(err){ console.error("Resume failed:",err); }
+    setBusy(false);
+  };
+  const btn={background:T.negative,border:"none",borderRadius:6,padding:"4px 10px",color:"#fff",cursor:busy?"wait":"pointer",fontSize:9.5,fontWeight:700,fontFamily:F};
+  return <div style={{padding:"10px 16px",marginBottom:16,borderRadius:8,background:`${T.negative}12`,border:`1px solid ${T.negative}40`,color:T.negative}}>
+    <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:6}}>
+      <span style={{fontSize:11,fontWeight:800,letterSpacing:1,textTransform:"uppercase"}}>Circuit breaker active</span>
+      <span style={{fontSize:10,color:T.textSecondary}}>{status.webhookEnabled?"":"webhook off · "}{Object.keys(status.pausedAgents||{}).length} agent(s) paused</span>
+      {isAdmin&&trips.length>1&&<button disabled={busy} onClick={()=>resume(null)} style={{...btn,marginLeft:"auto"}}>Resume all</button>}
+    </div>
+    {trips.map(t=><div key={t.key} style={{display:"flex",alignItems:"center",gap:10,padding:"3px 0",fontSize:10.5}}>
+      <Badge color={T.negative} T={T}>{GUARD_ACTION_LABELS[t.action]||t.action}</Badge>
+      <span style={{flex:1,color:T.text}}>{t.reason}</span>
+      <span style={{fontSize:9,fontFamily:M,color:T.textMuted}}>since {formatInTimeZone(t.trippedAt,timeZone)} · {t.resumeAt?`auto-resume ${formatInTimeZone(t.resumeAt,timeZone)}`:"manual resume"}</span>
+      {isAdmin&&<button disabled={busy} onClick={()=>resume([t.key])} style={btn}>Resume</button>}
+    </div>)}
+  </div>;
+}
+
+function AlertsPage({isAdmin,timeZone,alertVersion,breakerVersion,T}) {
+  const agents=useAgents(),{AG,AK}=agents;
+  const [data,setData]=useState({alerts:[],config:null,breakers:null,key:null});
+  const [reload,setReload]=useState(0);
+  const [statusFilter,setStatusFilter]=useState("all");
+  const [ruleForm,setRuleForm]=useState(EMPTY_RULE);
+  const [channelForm,setChannelForm]=useState(EMPTY_CHANNEL);
+  const [guardForm,setGuardForm]=useState(EMPTY_GUARD);
+  const [msg,setMsg]=useState(null);
+  const key=`${alertVersion}|${breakerVersion}|${reload}`;
+
+  useEffect(()=>{
+    let cancelled=false;
+    Promise.all([api("/api/alerts?limit=500"),api("/api/alerts/config"),api("/api/breakers")])
+      .then(([a,c,b])=>{if(!cancelled)setData({alerts:a.alerts||[],config:c,breakers:b,key,at:Date.now()});})
+      .catch(err=>{if(!cancelled)setMsg({type:"error",text:err.message});});
+    return ()=>{cancelled=true;};
+  },[key]);
+
+  const act=async(label,fn)=>{
+    try { const res=await fn(); setMsg(res?.success===false?{type:"error",text:res.error||`${label} failed`}:{type:"success",text:label}); }
+    catch(err){ setMsg({type:"error",text:err.message}); }
+    setReload(r=>r+1);
+  };
+  const post=(path,body)=>api(path,{method:"POST",body:JSON.stringify(body||{})});
+  const del=(path)=>api(path,{method:"DELETE"});
+
+  const open=data.alerts.filter(a=>a.status!=="resolved");
+  const history=data.alerts.filter(a=>statusFilter==="all"||a.status===statusFilter);
+  const ruleTypes=data.config?.ruleTypes||{};
+  const ruleDefaults=ruleTypes[ruleForm.type]?.params||{};
+  const fmt=(ms)=>ms?formatInTimeZone(ms,timeZone):"—";
+  const inputStyle={background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"6px 10px",color:T.text,fontSize:11,fontFamily:F,outline:"none"};
+  const btn=(color)=>({background:color||T.bgInput,border:color?"none":`1px solid ${T.borderInput}`,borderRadius:6,padding:"5px 12px",color:color?"#fff":T.textSecondary,cursor:isAdmin?"pointer":"not-allowed",fontSize:10,fontWeight:600,fontFamily:F,opacity:isAdmin?1:.5});
+
+  const saveRule=()=>act("Rule saved",()=>post("/api/alerts/rules",{...ruleForm,mode:ruleForm.mode||null,params:{...ruleDefaults,...ruleForm.params}}).then(r=>{if(r.success)setRuleForm(EMPTY_RULE);return r;}));
+  const guardTypes=data.breakers?.guardTypes||{};
+  const guardDefaults=guardTypes[guardForm.type]?.params||{};
+  const saveGuard=()=>act("Guard saved",()=>post("/api/breakers/guards",{...guardForm,mode:guardForm.mode||null,agentId:guardForm.agentId||null,params:{...guardDefaults,...guardForm.params}}).then(r=>{if(r.success)setGuardForm(EMPTY_GUARD);return r;}));
+  const saveChannel=()=>act("Channel saved",()=>post("/api/alerts/channels",channelForm).then(r=>{if(r.success)setChannelForm(EMPTY_CHANNEL);return r;}));
+
+  return <div>
+    {!isAdmin && <div style={{padding:"10px 16px",marginBottom:16,borderRadius:8,background:`${T.warning}10`,border:`1px solid ${T.warning}30`,color:T.warning,fontSize:11}}>
+      Read-only access — acknowledging alerts and editing rules requires the admin role.
+    </div>}
+    {msg && <div onClick={()=>setMsg(null)} style={{padding:"10px 16px",marginBottom:16,borderRadius:8,background:msg.type==="success"?`${T.positive}10`:`${T.negative}10`,border:`1px solid ${msg.type==="success"?`${T.positive}30`:`${T.negative}30`}`,color:msg.type==="success"?T.positive:T.negative,fontSize:12,fontFamily:M,cursor:"pointer"}}>{msg.text}</div>}
+
+    <Card T={T} accent={open.some(a=>a.status==="active")?T.negative:undefined}>
+      <CTitle T={T} right={<button disabled={!isAdmin} onClick={()=>act("Rules evaluated",()=>post("/api/alerts/evaluate"))} style={btn()}>Evaluate now</button>}>Open Alerts ({open.length})</CTitle>
+      {open.length===0?<div style={{textAlign:"center",padding:"20px",color:T.textFaint,fontSize:12}}>{data.key?"All clear":"Loading..."}</div>:
+      open.map(a=><div key={a.id} style={{display:"flex",alignItems:"center",gap:10,padding:"9px 0",borderBottom:`1px solid ${T.borderLight}`}}>
+        <Badge color={alertStatusColor(a.status,T)} T={T}>{a.status}</Badge>
+        <div style={{flex:1}}>
+          <div style={{fontSize:12,color:T.text,fontWeight:600}}>{a.ruleName}</div>
+          <div style={{fontSize:10.5,color:T.textSecondary}}>{a.message}</div>
+          <div style={{fontSize:9,color:T.textFaint,fontFamily:M,marginTop:2}}>fired {fmt(a.firedAt)}{a.acknowledgedBy?` · ack by ${a.acknowledgedBy}`:""}{a.snoozedUntil>(data.at||0)?` · snoozed until ${fmt(a.snoozedUntil)}`:""}{a.suppressed?" · notifications suppressed":""}</div>
+        </div>
+        {a.status==="active"&&<button disabled={!isAdmin} onClick={()=>act("Alert acknowledged",()=>post(`/api/alerts/${a.id}/ack`))} style={btn(T.accent)}>Acknowledge</button>}
+        <Select value="" onChange={m=>m&&act(`Snoozed for ${SNOOZE_OPTIONS.find(o=>String(o.m)===m)?.label}`,()=>post(`/api/alerts/${a.id}/snooze`,{minutes:Number(m)}))} style={{fontSize:10}} T={T}>
+          <option value="">Snooze...</option>
+          {SNOOZE_OPTIONS.map(o=><option key={o.m} value={String(o.m)} disabled={!isAdmin}>{o.label}</option>)}
+        </Select>
+      </div>)}
+    </Card>
+
+    <Card T={T}>
+      <CTitle T={T} right={<Select value={statusFilter} onChange={setStatusFilter} style={{fontSize:10}} T={T}>
+        <option value="all">All</option><option value="active">Active</option><option value="acknowledged">Acknowledged</option><option value="resolved">Resolved</option>
+      </Select>}>Alert History</CTitle>
+      {history.length===0?<div style={{textAlign:"center",padding:"20px",color:T.textFaint,fontSize:12}}>No alerts</div>:
+      <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+        <thead><tr><TH T={T}>Fired</TH><TH T={T}>Rule</TH><TH T={T}>Message</TH><TH T={T}>Status</TH><TH T={T}>Resolved</TH><TH align="right" T={T}>Sent</TH></tr></thead>
+        <tbody>{history.map(a=><tr key={a.id}>
+          <TD style={{fontSize:9,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{fmt(a.firedAt)}</TD>
+          <TD style={{fontWeight:600,color:T.text}} T={T}>{a.ruleName}</TD>
+          <TD T={T}>{a.message}</TD>
+          <TD T={T}><Badge color={alertStatusColor(a.status,T)} T={T}>{a.status}</Badge></TD>
+          <TD style={{fontSize:9,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{fmt(a.resolvedAt)}</TD>
+          <TD style={{textAlign:"right"}} T={T}>{a.suppressed?<Mono style={{color:T.textFaint}}>snoozed</Mono>:<span title={(a.notifications||[]).filter(n=>!n.ok).map(n=>n.error).join(", ")}><Mono style={{color:(a.notifications||[]).every(n=>n.ok)?T.positive:T.negative}}>{(a.notifications||[]).filter(n=>n.ok).length}/{(a.notifications||[]).length}</Mono></span>}</TD>
+        </tr>)}</tbody>
+      </table></div>}
+    </Card>
+
+    <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:16}}>
+      <Card T={T}>
+        <CTitle T={T}>Rules</CTitle>
+        {(data.config?.rules||[]).map(r=><div key={r.id} style={{display:"flex",alignItems:"center",gap:8,padding:"7px 0",borderBottom:`1px solid ${T.borderLight}`}}>
+          <div style={{flex:1}}>
+            <div style={{fontSize:11.5,color:r.enabled?T.text:T.textFaint,fontWeight:600}}>{r.name}</div>
+            <div style={{fontSize:9,color:T.textMuted,fontFamily:M}}>{r.type} · {ruleScope(r,AG)}{r.mode?` · ${r.mode}`:""} · {Object.entries(r.params).map(([k,v])=>`${k} ${v}`).join(", ")}</div>
+          </div>
+          <button disabled={!isAdmin} onClick={()=>act(r.enabled?"Rule disabled":"Rule enabled",()=>post("/api/alerts/rules",{...r,enabled:!r.enabled}))} style={btn()}>{r.enabled?"Disable":"Enable"}</button>
+          <button disabled={!isAdmin} onClick={()=>setRuleForm({...EMPTY_RULE,...r,mode:r.mode||""})} style={btn()}>Edit</button>
+          <button disabled={!isAdmin} onClick={()=>act("Rule deleted",()=>del(`/api/alerts/rules/${r.id}`))} style={btn()}>Delete</button>
+        </div>)}
+        {isAdmin&&<div style={{display:"grid",gap:8,marginTop:14}}>
+          <FilterLabel T={T}>{ruleForm.id?"Edit rule":"New rule"}</FilterLabel>
+          <Select value={ruleForm.type} onChange={v=>setRuleForm(f=>({...f,type:v,params:{}}))} T={T}>
+            {Object.entries(ruleTypes).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}
+          </Select>
+          <input placeholder="Name (optional)" value={ruleForm.name} onChange={e=>setRuleForm(f=>({...f,name:e.target.value}))} style={inputStyle}/>
+          {ruleForm.type!=="signal_silence"&&<div style={{display:"flex",gap:8}}>
+            <Select value={ruleForm.agentId||""} onChange={v=>setRuleForm(f=>({...f,agentId:v||null}))} style={{flex:1}} T={T}>
+              <option value="*">Each agent separately</option>
+              <option value="">All agents combined</option>
+              {agents.choices(ruleForm.agentId==="*"?null:ruleForm.agentId).map(k=><option key={k} value={k}>{AG[k]?.name||k}</option>)}
+            </Select>
+            <Select value={ruleForm.mode} onChange={v=>setRuleForm(f=>({...f,mode:v}))} T={T}>
+              <option value="">Any mode</option><option value="live">Live</option><option value="simulation">Simulation</option>
+            </Select>
+          </div>}
+          {Object.entries(ruleDefaults).map(([p,def])=><label key={p} style={{display:"flex",alignItems:"center",gap:8,fontSize:10.5,color:T.textSecondary}}>
+            <span style={{flex:1}}>{RULE_PARAM_LABELS[p]||p}</span>
+            <input type="number" min="1" value={ruleForm.params[p]??def} onChange={e=>setRuleForm(f=>({...f,params:{...f.params,[p]:e.target.value}}))} style={{...inputStyle,width:100}}/>
+          </label>)}
+          {ruleForm.type==="daily_pnl"&&<Select value={ruleForm.timeZone||"UTC"} onChange={v=>setRuleForm(f=>({...f,timeZone:v}))} T={T}>
+            {TIME_ZONES.map(z=><option key={z} value={z}>Day starts at midnight {z}</option>)}
+          </Select>}
+          <div style={{display:"flex",gap:8}}>
+            <button onClick={saveRule} style={btn(T.accent)}>{ruleForm.id?"Save rule":"Add rule"}</button>
+            {ruleForm.id&&<button onClick={()=>setRuleForm(EMPTY_RULE)} style={btn()}>Cancel</button>}
+          </div>
+        </div>}
+      </Card>
+
+      <Card T={T}>
+        <CTitle T={T}>Notification Channels</CTitle>
+        {(data.config?.channels||[]).map(c=><div key={c.id} style={{display:"flex",alignItems:"center",gap:8,padding:"7px 0",borderBottom:`1px solid ${T.borderLight}`}}>
+          <div style={{flex:1,minWidth:0}}>
+            <div style={{fontSize:11.5,color:c.enabled?T.text:T.textFaint,fontWeight:600}}>{c.name} <Badge T={T}>{c.type}</Badge></div>
+            <div style={{fontSize:9,color:T.textMuted,fontFamily:M,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{c.type==="telegram"?`chat ${c.chatId}${c.botTokenSet?" · token set":""}`:c.urlSet?`${c.urlOrigin||"url"}/…`:"---"}</div>
+          </div>
+          <button disabled={!isAdmin} onClick={()=>act("Test notification sent",()=>post(`/api/alerts/channels/${c.id}/test`))} style={btn()}>Test</button>
+          <button disabled={!isAdmin} onClick={()=>act(c.enabled?"Channel disabled":"Channel enabled",()=>post("/api/alerts/channels",{...c,enabled:!c.enabled}))} style={btn()}>{c.enabled?"Disable":"Enable"}</button>
+          <button disabled={!isAdmin} onClick={()=>act("Channel deleted",()=>del(`/api/alerts/channels/${c.id}`))} style={btn()}>Delete</button>
+        </div>)}
+        {isAdmin&&<div style={{display:"grid",gap:8,marginTop:14}}>
+          <FilterLabel T={T}>New channel</FilterLabel>
+          <Select value={channelForm.type} onChange={v=>setChannelForm(f=>({...f,type:v}))} T={T}>
+            <option value="webhook">Generic webhook (JSON)</option><option value="slack">Slack-style incoming webhook</option><option value="telegram">Telegram bot</option>
+          </Select>
+          <input placeholder="Name" value={channelForm.name} onChange={e=>setChannelForm(f=>({...f,name:e.target.value}))} style={inputStyle}/>
+          <input placeholder={channelForm.type==="telegram"?"API URL (optional, default api.telegram.org)":"https://..."} value={channelForm.url} onChange={e=>setChannelForm(f=>({...f,url:e.target.value}))} style={inputStyle}/>
+          {channelForm.type==="telegram"&&<>
+            <input placeholder="Chat ID" value={channelForm.chatId} onChange={e=>setChannelForm(f=>({...f,chatId:e.target.value}))} style={inputStyle}/>
+            <input type="password" placeholder="Bot token" value={channelForm.botToken} onChange={e=>setChannelForm(f=>({...f,botToken:e.target.value}))} style={inputStyle}/>
+          </>}
+          <div><button onClick={saveChannel} style={btn(T.accent)}>Add channel</button></div>
+        </div>}
+      </Card>
+    </div>
+
+    <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:16}}>
+      <Card T={T} accent={data.breakers?.active?.length?T.negative:undefined}>
+        <CTitle T={T} right={<button disabled={!isAdmin} onClick={()=>act("Guards checked",()=>post("/api/breakers/evaluate"))} style={btn()}>Check now</button>}>Circuit Breaker Guards</CTitle>
+        {(data.breakers?.guards||[]).map(g=><div key={g.id} style={{display:"flex",alignItems:"center",gap:8,padding:"7px 0",borderBottom:`1px solid ${T.borderLight}`}}>
+          <div style={{flex:1}}>
+            <div style={{fontSize:11.5,color:g.enabled?T.text:T.textFaint,fontWeight:600}}>{g.name} <Badge T={T}>{GUARD_ACTION_LABELS[g.action]}</Badge></div>
+            <div style={{fontSize:9,color:T.textMuted,fontFamily:M}}>{g.type} · {ruleScope(g,AG)}{g.mode?` · ${g.mode}`:""} · {Object.entries(g.params).map(([k,v])=>`${k} ${v}`).join(", ")} · {g.resumeAfterMinutes?`auto-resume after ${g.resumeAfterMinutes}m`:"manual resume"}</div>
+          </div>
+          <button disabled={!isAdmin} onClick={()=>act(g.enabled?"Guard disabled":"Guard enabled",()=>post("/api/breakers/guards",{...g,enabled:!g.enabled}))} style={btn()}>{g.enabled?"Disable":"Enable"}</button>
+          <button disabled={!isAdmin} onClick={()=>setGuardForm({...EMPTY_GUARD,...g,agentId:g.agentId||"",mode:g.mode||""})} style={btn()}>Edit</button>
+          <button disabled={!isAdmin} onClick={()=>act("Guard deleted",()=>del(`/api/breakers/guards/${g.id}`))} style={btn()}>Delete</button>
+        </div>)}
+        {isAdmin&&<div style={{display:"grid",gap:8,marginTop:14}}>
+          <FilterLabel T={T}>{guardForm.id?"Edit guard":"New guard"}</FilterLabel>
+          <div style={{display:"flex",gap:8}}>
+            <Select value={guardForm.type} onChange={v=>setGuardForm(f=>({...f,type:v,params:{}}))} style={{flex:1}} T={T}>
+              {Object.entries(guardTypes).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}
+            </Select>
+            <Select value={guardForm.action} onChange={v=>setGuardForm(f=>({...f,action:v,agentId:v==="pause_agent"&&!f.agentId?"*":f.agentId}))} T={T}>
+              {Object.entries(GUARD_ACTION_LABELS).map(([k,v])=><option key={k} value={k}>{v}</option>)}
+            </Select>
+          </div>
+          <input placeholder="Name (optional)" value={guardForm.name} onChange={e=>setGuardForm(f=>({...f,name:e.target.value}))} style={inputStyle}/>
+          <div style={{display:"flex",gap:8}}>
+            <Select value={guardForm.agentId} onChange={v=>setGuardForm(f=>({...f,agentId:v}))} style={{flex:1}} T={T}>
+              {guardForm.action!=="pause_agent"&&<option value="">All agents combined</option>}
+              <option value="*">Each agent separately</option>
+              {agents.choices(guardForm.agentId==="*"?null:guardForm.agentId).map(k=><option key={k} value={k}>{AG[k]?.name||k}</option>)}
+            </Select>
+            <Select value={guardForm.mode} onChange={v=>setGuardForm(f=>({...f,mode:v}))} T={T}>
+              <option value="">Any mode</option><option value="live">Live</option><option value="simulation">Simulation</option>
+            </Select>
+          </div>
+          {Object.entries(guardDefaults).map(([p,def])=><label key={p} style={{display:"flex",alignItems:"center",gap:8,fontSize:10.5,color:T.textSecondary}}>
+            <span style={{flex:1}}>{GUARD_PARAM_LABELS[p]||p}</span>
+            <input type="number" min="1" value={guardForm.params[p]??def} onChange={e=>setGuardForm(f=>({...f,params:{...f.params,[p]:e.target.value}}))} style={{...inputStyle,width:100}}/>
+          </label>)}
+          <label style={{display:"flex",alignItems:"center",gap:8,fontSize:10.5,color:T.textSecondary}}>
+            <span style={{flex:1}}>Auto-resume after (minutes, 0 = manual)</span>
+            <input type="number" min="0" value={guardForm.resumeAfterMinutes} onChange={e=>setGuardForm(f=>({...f,resumeAfterMinutes:e.target.value}))} style={{...inputStyle,width:100}}/>
+          </label>
+          {guardForm.type==="daily_loss"&&<Select value={guardForm.timeZone||"UTC"} onChange={v=>setGuardForm(f=>({...f,timeZone:v}))} T={T}>
+            {TIME_ZONES.map(z=><option key={z} value={z}>Day starts at midnight {z}</option>)}
+          </Select>}
+          <div style={{display:"flex",gap:8}}>
+            <button onClick={saveGuard} style={btn(T.accent)}>{guardForm.id?"Save guard":"Add guard"}</button>
+            {guardForm.id&&<button onClick={()=>setGuardForm(EMPTY_GUARD)} style={btn()}>Cancel</button>}
+          </div>
+        </div>}
+      </Card>
+
+      <Card T={T}>
+        <CTitle T={T}>Recent Trips</CTitle>
+        {(data.breakers?.history||[]).length===0?<div style={{textAlign:"center",padding:"20px",color:T.textFaint,fontSize:12}}>No trips yet</div>:
+        <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+          <thead><tr><TH T={T}>Tripped</TH><TH T={T}>Reason</TH><TH T={T}>Action</TH><TH T={T}>Resumed</TH></tr></thead>
+          <tbody>{data.breakers.history.slice(0,30).map(t=><tr key={`${t.key}:${t.trippedAt}:${t.resumedAt||""}`}>
+            <TD style={{fontSize:9,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{fmt(t.trippedAt)}</TD>
+            <TD T={T}>{t.reason}</TD>
+            <TD T={T}><Badge color={T.negative} T={T}>{GUARD_ACTION_LABELS[t.action]||t.action}</Badge></TD>
+            <TD style={{fontSize:9,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{t.resumedAt?`${fmt(t.resumedAt)} · ${t.resumedBy}`:"—"}</TD>
+          </tr>)}</tbody>
+        </table></div>}
+      </Card>
+    </div>
+  </div>;
+}
+
+// ═══════════════════════════════
+// AUDIT PAGE
+// ═══════════════════════════════
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_AREAS = [
+  {route:"/api/trades",label:"Trades"},{route:"/api/signals",label:"Signals"},{route:"/api/import",label:"CSV import"},
+  {route:"/api/bot",label:"Bot status"},{route:"/api/agents",label:"Agents"},{route:"/api/alerts",label:"Alerts"},
+  {route:"/api/breakers",label:"Circuit breaker"},{route:"/api/prices",label:"Prices"},{route:"/api/ai",label:"AI advisor"},
+  {route:"/api/auth",label:"Logins"},{route:"/api/webhook",label:"Webhook"},
+];
+
+// "YYYY-MM-DD" from a date input → epoch ms of that midnight (or the next one, for an inclusive end) in timeZone
+function dayInZone(value, timeZone, nextDay=false) {
+  if (!value) return undefined;
+  const [year,month,day]=value.split("-").map(Number);
+  return zonedTimeToUtc({year,month,day:day+(nextDay?1:0)},timeZone)-(nextDay?1:0);
+}
+const auditSummary = (v) => v==null?"":typeof v==="object"?Object.entries(v).filter(([,x])=>x!==null&&x!==undefined&&!(typeof x==="object"&&!Object.keys(x).length)).map(([k,x])=>`${k}: ${typeof x==="object"?JSON.stringify(x):x}`).join(" · "):String(v);
+
+function AuditPage({timeZone,T}) {
+  const [actor,setActor]=useState("");
+  const [method,setMethod]=useState("all");
+  const [route,setRoute]=useState("all");
+  const [outcome,setOutcome]=useState("all");
+  const [fromDay,setFromDay]=useState("");
+  const [toDay,setToDay]=useState("");
+  const [expanded,setExpanded]=useState(null);
+  const [page,setPage]=useState({key:null,rows:[],cursor:null,error:null});
+  const [loadingMore,setLoadingMore]=useState(false);
+
+  const filters = useMemo(()=>({actor:actor.trim(),method,route,outcome,from:dayInZone(fromDay,timeZone),to:dayInZone(toDay,timeZone,true)}),[actor,method,route,outcome,fromDay,toDay,timeZone]);
+  const pageKey = JSON.stringify(filters);
+  const fetchPage = useCallback((cursor)=>api(`/api/audit?${queryString({limit:AUDIT_PAGE_SIZE,...filters,cursor})}`),[filters]);
+  useEffect(()=>{
+    let cancelled=false;
+    fetchPage().then(res=>{if(!cancelled)setPage({key:pageKey,rows:res.entries||[],cursor:res.nextCursor||null,error:null});})
+      .catch(err=>{if(!cancelled)setPage({key:pageKey,rows:[],cursor:null,error:err.message});});
+    return ()=>{cancelled=true;};
+  },[fetchPage,pageKey]);
+  const loadMore = useCallback(async ()=>{
+    setLoadingMore(true);
+    try {
+      const res=await fetchPage(page.cursor);
+      setPage(p=>({...p,rows:[...p.rows,...(res.entries||[])],cursor:res.nextCursor||null}));
+    } catch (err) { console.error("Audit fetch error:",err); }
+    setLoadingMore(false);
+  },[fetchPage,page.cursor]);
+
+  const actors = useMemo(()=>[...new Set(page.rows.map(e=>e.actor))].sort(),[page.rows]);
+  const failed = page.rows.filter(e=>!e.success).length;
+  const inputStyle={background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"5px 8px",color:T.text,fontSize:11,fontFamily:F,outline:"none"};
+
+  return <div>
+    <FilterBar T={T}>
+      <FilterLabel T={T}>Actor</FilterLabel>
+      <input list="audit-actors" placeholder="Any" value={actor} onChange={e=>setActor(e.target.value)} style={{...inputStyle,width:140}}/>
+      <datalist id="audit-actors">{actors.map(a=><option key={a} value={a}/>)}</datalist>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>Area</FilterLabel>
+      <Select value={route} onChange={setRoute} T={T}>
+        <option value="all">Everything</option>
+        {AUDIT_AREAS.map(a=><option key={a.route} value={a.route}>{a.label}</option>)}
+      </Select>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>Method</FilterLabel>
+      <Select value={method} onChange={setMethod} T={T}>
+        <option value="all">POST + DELETE</option><option value="POST">POST</option><option value="DELETE">DELETE</option>
+      </Select>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>Outcome</FilterLabel>
+      <Select value={outcome} onChange={setOutcome} T={T}>
+        <option value="all">All</option><option value="success">Succeeded</option><option value="failed">Failed</option>
+      </Select>
+      <FilterDivider T={T}/>
+      <FilterLabel T={T}>From</FilterLabel>
+      <input type="date" value={fromDay} onChange={e=>setFromDay(e.target.value)} style={inputStyle}/>
+      <FilterLabel T={T}>To</FilterLabel>
+      <input type="date" value={toDay} onChange={e=>setToDay(e.target.value)} style={inputStyle}/>
+    </FilterBar>
+
+    {page.error&&<div style={{padding:"10px 16px",marginBottom:16,borderRadius:8,background:`${T.negative}10`,border:`1px solid ${T.negative}30`,color:T.negative,fontSize:12,fontFamily:M}}>{page.error}</div>}
+
+    <Card T={T} style={{display:"grid",gridTemplateColumns:"repeat(3,1fr)",gap:4,padding:14,marginBottom:14}}>
+      <Stat label="Showing" value={page.rows.length} sub={page.key!==pageKey?"loading...":page.cursor?"more available":"all loaded"} T={T}/>
+      <Stat label="Actors" value={actors.length} T={T}/>
+      <Stat label="Failed" value={failed} color={failed?T.negative:T.text} sub="rejected or errored" T={T}/>
+    </Card>
+
+    <Card T={T}>
+      {page.rows.length===0?<div style={{textAlign:"center",padding:"20px",color:T.textFaint,fontSize:12}}>{page.key===pageKey?"No matching entries":"Loading..."}</div>:
+      <div style={{overflowX:"auto"}}><table style={{width:"100%",borderCollapse:"collapse"}}>
+        <thead><tr><TH T={T}>Time</TH><TH T={T}>Actor</TH><TH T={T}>Request</TH><TH T={T}>Status</TH><TH T={T}>Affected</TH><TH T={T}>Source</TH></tr></thead>
+        <tbody>{page.rows.map(e=><Fragment key={e.id}>
+          <tr onClick={()=>setExpanded(x=>x===e.id?null:e.id)} style={{cursor:"pointer"}}>
+            <TD style={{fontSize:9,fontFamily:M,whiteSpace:"nowrap"}} T={T}>{formatInTimeZone(e.timestamp,timeZone)}</TD>
+            <TD style={{fontWeight:600,color:T.text}} T={T}>{e.actor}{e.role&&<span style={{fontSize:9,color:T.textFaint,fontWeight:400}}> · {e.role}</span>}</TD>
+            <TD T={T}><Badge color={e.method==="DELETE"?T.negative:T.accent} T={T}>{e.method}</Badge> <Mono style={{fontSize:10}}>{e.path}</Mono></TD>
+            <TD T={T}><span title={e.error||""}><Mono style={{color:e.success?T.positive:T.negative}}>{e.status}</Mono></span></TD>
+            <TD style={{fontSize:10,fontFamily:M}} T={T}>{auditSummary(e.affected)||"—"}</TD>
+            <TD style={{fontSize:9,fontFamily:M,color:T.textMuted}} T={T}>{e.forwardedFor||e.ip||"—"}</TD>
+          </tr>
+          {expanded===e.id&&<tr><td colSpan={6} style={{padding:"8px 10px 12px",borderBottom:`1px solid ${T.borderLight}`,background:T.bgHover}}>
+            <div style={{display:"grid",gridTemplateColumns:"110px 1fr",gap:"4px 12px",fontSize:10,fontFamily:M,color:T.textSecondary}}>
+              <span style={{color:T.textMuted}}>Route</span><span>{e.route}</span>
+              {e.error&&<><span style={{color:T.textMuted}}>Error</span><span style={{color:T.negative}}>{e.error}</span></>}
+              <span style={{color:T.textMuted}}>Parameters</span><span style={{wordBreak:"break-all"}}>{auditSummary(e.params)||"—"}</span>
+              {e.previous&&<><span style={{color:T.textMuted}}>Previous</span><span style={{wordBreak:"break-all"}}>{auditSummary(e.previous)}</span></>}
+              <span style={{color:T.textMuted}}>Client</span><span>{e.ip||"—"}{e.forwardedFor?` (via ${e.forwardedFor})`:""} · {e.userAgent||"unknown agent"}</span>
+              <span style={{color:T.textMuted}}>Auth</span><span>{e.authMethod||"none"} · {e.durationMs} ms</span>
+            </div>
+          </td></tr>}
+        </Fragment>)}</tbody>
+      </table></div>}
+    </Card>
+    {page.cursor&&<div style={{textAlign:"center",padding:12}}>
+      <button onClick={loadMore} disabled={loadingMore} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"8px 24px",color:T.textSecondary,cursor:loadingMore?"wait":"pointer",fontSize:11,fontFamily:F}}>{loadingMore?"Loading...":`Load ${AUDIT_PAGE_SIZE} more`}</button>
+    </div>}
+  </div>;
+}
+
+// ═══════════════════════════════
+// LOGIN PAGE
+// ═══════════════════════════════
+function LoginPage({ onLogin, T }) {
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!password || busy) return;
+    setBusy(true); setError(null);
+    try { await onLogin(password); }
+    catch (err) { setError(err.message.startsWith("API 401") ? "Invalid password" : err.message); }
+    setBusy(false);
+  };
+  return <div style={{minHeight:"100vh",background:T.bg,display:"flex",alignItems:"center",justifyContent:"center",fontFamily:F}}>
+    <form onSubmit={submit} style={{width:320}}>
+      <Card accent={T.accent} T={T} style={{padding:28}}>
+        <div style={{fontSize:7,fontWeight:700,letterSpacing:3.5,color:T.textMuted,textTransform:"uppercase"}}>Nexgent AI</div>
+        <div style={{fontSize:18,fontWeight:800,color:T.text,letterSpacing:-.5,margin:"2px 0 18px"}}>Analytics</div>
+        <FilterLabel T={T}>Password</FilterLabel>
+        <input type="password" autoFocus value={password} onChange={e=>setPassword(e.target.value)}
+          style={{width:"100%",marginTop:6,background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"9px 12px",color:T.text,fontSize:12,fontFamily:F,outline:"none"}}/>
+        {error && <div style={{fontSize:10,color:T.negative,fontFamily:M,marginTop:8}}>{error}</div>}
+        <button type="submit" disabled={busy||!password} style={{width:"100%",marginTop:14,padding:"10px",background:busy||!password?T.bgInput:T.accent,border:"none",borderRadius:6,color:busy||!password?T.textMuted:"#fff",fontSize:12,fontWeight:700,cursor:busy?"wait":"pointer",fontFamily:F}}>
+          {busy ? "Signing in..." : "Sign in"}
+        </button>
+        <div style={{fontSize:9,color:T.textFaint,marginTop:12,lineHeight:1.5}}>Admins can import and clear data. Viewers have read-only access.</div>
+      </Card>
+    </form>
+  </div>;
+}
+
 // ═══════════════════════════════
 // MAIN APP
 // ═══════════════════════════════
 const NAV=[
   {key:"dashboard",label:"Dashboard"},
   {key:"trades",label:"Trades"},
+  {key:"positions",label:"Open Positions"},
   {key:"signals",label:"Signals"},
   {key:"analytics",label:"Analytics"},
   {key:"agents",label:"Agents"},
+  {key:"alerts",label:"Alerts"},
   {key:"import",label:"Import"},
   {key:"advisor",label:"AI Advisor"},
+  {key:"audit",label:"Audit Log",admin:true},
 ];
 
 export default function App(){
   const [T,themeMode,toggleTheme]=useTheme();
+  const [auth,authChecking,login,logout]=useAuth();
+  if(authChecking) return <div style={{minHeight:"100vh",background:T.bg}}/>;
+  if(!auth) return <LoginPage onLogin={login} T={T}/>;
+  return <AppShell auth={auth} logout={logout} T={T} themeMode={themeMode} toggleTheme={toggleTheme}/>;
+}
+
+function AppShell({auth,logout,T,themeMode,toggleTheme}){
   const [page,setPage]=useState("dashboard");
   const [mf,setMf]=useState("all");
-  const [allTrades,setAllTrades]=useState([]);
-  const [allSignals,setAllSignals]=useState([]);
+  const [timeZone,setTimeZone]=useTimeZone();
+  const [counts,setCounts]=useState(EMPTY_COUNTS);
   const [loading,setLoading]=useState(true);
   const [fetchError,setFetchError]=useState(null);
+  const [dataVersion,setDataVersion]=useState(0);
+  const [signalVersion,setSignalVersion]=useState(0);
+  const [liveSignals,setLiveSignals]=useState([]);
+  const [botStatus,setBotStatus]=useState(null);
+  const [unseen,setUnseen]=useState({trades:0,signals:0,alerts:0});
+  const [alertVersion,setAlertVersion]=useState(0);
+  const [agents,setAgents]=useState(()=>agentRegistry(NEXGENT_AGENTS));
+  const {AG,AK}=agents;
+  const isAdmin = auth.role === "admin";
+
+  const applyRegistry = useCallback((res) => setAgents(agentRegistry(res.agents || [])), []);
+  const reloadAgents = useCallback(() => {
+    api("/api/agents/registry").then(applyRegistry).catch(err => console.error("Agent registry fetch error:", err));
+  }, [applyRegistry]);
+
+  // The signals page refetches on signalVersion; pushed signals since then are in liveSignals
+  const reloadSignals = useCallback(() => {
+    setLiveSignals([]);
+    setSignalVersion(v => v + 1);
+  }, []);
+
+  const reloadCounts = useCallback(() => {
+    api("/api/stats/counts").then(setCounts).catch(err => console.error("Counts fetch error:", err));
+  }, []);
 
+  // Pages load their own trades and signals a page at a time and their figures from /api/stats;
+  // the shell only needs counts, the bot status and the agent registry
   const fetchData = useCallback(async () => {
     setLoading(true); setFetchError(null);
     try {
-      const [tradesRes, signalsRes] = await Promise.all([
-        api("/api/trades/list?limit=5000&raw=true"),
-        api("/api/signals/list?limit=5000"),
+      const [countsRes, botRes, registryRes] = await Promise.all([
+        api("/api/stats/counts"),
+        api("/api/bot/status").catch(() => null),
+        api("/api/agents/registry"),
       ]);
-      setAllTrades((tradesRes.trades || []).map(mapFirestoreTrade));
-      setAllSignals((signalsRes.signals || []).map(mapFirestoreSignal));
+      applyRegistry(registryRes);
+      setCounts(countsRes);
+      if (botRes) setBotStatus(botRes);
+      setUnseen(u=>({...u,trades:0,signals:0}));
+      setDataVersion(v => v + 1);
+      reloadSignals();
     } catch (err) {
       console.error("Fetch error:", err);
       setFetchError(err.message);
     }
     setLoading(false);
-  }, []);
+  }, [applyRegistry, reloadSignals]);
 
   useEffect(() => { fetchData(); }, [fetchData]);
 
-  const lc = useMemo(() => allTrades.filter(t => t.mode === "live").length, [allTrades]);
-  const sc = useMemo(() => allTrades.filter(t => t.mode === "sim").length, [allTrades]);
+  // Live updates: pushed signals are merged into the signals page (liveSignals), past LIVE_SIGNALS_KEPT
+  // it refetches instead. Imports make the open page refetch (dataVersion / signalVersion). Pushed items
+  // count as new until viewed. Imports too large to send in an event, or a gap in the stream (resync),
+  // reload everything.
+  const onEvent = useCallback((type, data) => {
+    const markNew = (key, n) => { if (page !== key && n > 0) setUnseen(u => ({ ...u, [key]: u[key] + n })); };
+    if (type === "signal-received") {
+      setCounts(c => addSignalCounts(c, [data.signal]));
+      if (liveSignals.length >= LIVE_SIGNALS_KEPT) reloadSignals();
+      else setLiveSignals(s => [data.signal, ...s]);
+      markNew("signals", 1);
+    } else if (type === "trade-imported") {
+      if (!data.trades) { fetchData(); return; }
+      // Imports register agents the dashboard hasn't seen yet
+      if (data.trades.some(t => t.agentId && !AG[t.agentId])) reloadAgents();
+      reloadCounts();
+      setDataVersion(v => v + 1);
+      markNew("trades", data.trades.length);
+    } else if (type === "import-completed" && data.format === "signals") {
+      if (!data.signals) { fetchData(); return; }
+      reloadCounts();
+      reloadSignals();
+      markNew("signals", data.result?.inserted || 0);
+    } else if (type === "alert-fired" || type === "alert-resolved") {
+      setAlertVersion(v => v + 1);
+      if (type === "alert-fired") markNew("alerts", 1);
+    } else if (type === "bot-status-changed") {
+      setBotStatus(data);
+    } else if (type === "resync") {
+      fetchData();
+    }
+  }, [page, fetchData, reloadAgents, reloadCounts, reloadSignals, liveSignals.length, AG]);
+  const streamStatus = useEventStream(onEvent);
+  const openPage = (key) => { setPage(key); setUnseen(u => (u[key] ? { ...u, [key]: 0 } : u)); };
+
+  const agentCounts = counts.trades.byAgent;
+  const lc = useMemo(() => Object.values(agentCounts).reduce((n, c) => n + c.live, 0), [agentCounts]);
+  const sc = useMemo(() => Object.values(agentCounts).reduce((n, c) => n + c.simulation, 0), [agentCounts]);
 
-  return <div style={{minHeight:"100vh",background:T.bg,color:T.text,fontFamily:F}}>
+  return <AgentsContext.Provider value={agents}><div style={{minHeight:"100vh",background:T.bg,color:T.text,fontFamily:F}}>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&family=DM+Sans:wght@300;400;500;600;700;800&family=JetBrains+Mono:wght@400;500;600;700&display=swap" rel="stylesheet"/>
     <style>{`*{box-sizing:border-box}::-webkit-scrollbar{width:6px;height:6px}::-webkit-scrollbar-track{background:${T.bg}}::-webkit-scrollbar-thumb{background:${T.borderLight};border-radius:3px}::-webkit-scrollbar-thumb:hover{background:${T.textMuted}}select:focus{border-color:${T.accent};box-shadow:0 0 0 1px ${T.accent}40}table{font-variant-numeric:tabular-nums}`}</style>
 
@@ -1477,17 +2799,22 @@ export default function App(){
       <div style={{padding:"20px 16px 14px",borderBottom:`1px solid ${T.border}`}}>
         <div style={{fontSize:7,fontWeight:700,letterSpacing:3.5,color:T.textMuted,textTransform:"uppercase"}}>Nexgent AI</div>
         <div style={{fontSize:16,fontWeight:800,color:T.text,letterSpacing:-.5,marginTop:2}}>Analytics</div>
-        <div style={{fontSize:9,color:T.textFaint,marginTop:6,fontFamily:M}}>{loading?"loading...":fetchError?"connection error":`${allTrades.length} trades · ${allSignals.length} signals`}</div>
+        <div style={{fontSize:9,color:T.textFaint,marginTop:6,fontFamily:M}}>{loading?"loading...":fetchError?"connection error":`${counts.trades.total} trades · ${counts.signals.total} signals`}</div>
+        <div style={{display:"flex",alignItems:"center",gap:5,marginTop:5,fontSize:8.5,fontFamily:M,color:T.textFaint}}>
+          <span style={{width:6,height:6,borderRadius:"50%",background:streamStatus==="live"?T.positive:T.warning}}/>
+          {streamStatus==="live"?"live updates":streamStatus}
+          {botStatus&&<span style={{marginLeft:"auto",color:botStatus.botEnabled?T.textFaint:T.negative}}>bot {botStatus.botEnabled?"on":"off"}</span>}
+        </div>
       </div>
 
       <nav style={{padding:"12px 8px",flex:1}}>
-        {NAV.map(n=><button key={n.key} onClick={()=>setPage(n.key)} style={{display:"flex",alignItems:"center",gap:8,width:"100%",padding:"9px 10px",marginBottom:2,border:"none",borderRadius:6,background:page===n.key?T.accentBg:"transparent",color:page===n.key?T.text:T.textMuted,cursor:"pointer",fontSize:11.5,fontWeight:page===n.key?700:400,fontFamily:F,textAlign:"left",borderLeft:page===n.key?`3px solid ${T.accent}`:"3px solid transparent",transition:"all .15s"}}>{n.label}</button>)}
+        {NAV.filter(n=>!n.admin||isAdmin).map(n=><button key={n.key} onClick={()=>openPage(n.key)} style={{display:"flex",alignItems:"center",gap:8,width:"100%",padding:"9px 10px",marginBottom:2,border:"none",borderRadius:6,background:page===n.key?T.accentBg:"transparent",color:page===n.key?T.text:T.textMuted,cursor:"pointer",fontSize:11.5,fontWeight:page===n.key?700:400,fontFamily:F,textAlign:"left",borderLeft:page===n.key?`3px solid ${T.accent}`:"3px solid transparent",transition:"all .15s"}}>{n.label}{unseen[n.key]>0&&<span style={{marginLeft:"auto",padding:"1px 6px",borderRadius:8,background:T.accent,color:"#fff",fontSize:8.5,fontWeight:700,fontFamily:M}}>{unseen[n.key]} new</span>}</button>)}
       </nav>
 
       <div style={{padding:"12px 14px",borderTop:`1px solid ${T.border}`}}>
         <div style={{fontSize:7.5,fontWeight:700,letterSpacing:2,color:T.textFaint,textTransform:"uppercase",marginBottom:6}}>Data Mode</div>
         <Select value={mf} onChange={setMf} style={{width:"100%",fontSize:10}} T={T}>
-          <option value="all">All ({allTrades.length})</option>
+          <option value="all">All ({counts.trades.total})</option>
           <option value="live">Live ({lc})</option>
           <option value="sim">Sim ({sc})</option>
         </Select>
@@ -1495,7 +2822,19 @@ export default function App(){
 
       <div style={{padding:"10px 14px 14px",borderTop:`1px solid ${T.border}`}}>
         <div style={{fontSize:7.5,fontWeight:700,letterSpacing:2,color:T.textFaint,textTransform:"uppercase",marginBottom:6}}>Agents</div>
-        {AK.map(k=>{const ag=AG[k],n=allTrades.filter(t=>t.agent===k).length,nl=allTrades.filter(t=>t.agent===k&&t.mode==="live").length;return <div key={k} style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"3px 0"}}><div style={{display:"flex",alignItems:"center",gap:5}}><div style={{width:5,height:5,borderRadius:"50%",background:n>0?T.accent:T.borderLight}}/><span style={{fontSize:9,color:n>0?T.textSecondary:T.textFaint}}>{ag.name}</span></div><span style={{fontSize:8,fontFamily:M,color:T.textFaint}}>{nl>0?`${nl}L/`:""}{n-nl}S</span></div>;})}
+        {AK.map(k=>{const ag=AG[k],n=agentCounts[k]?.total||0,nl=agentCounts[k]?.live||0;if(ag.archived&&!n)return null;return <div key={k} style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"3px 0"}}><div style={{display:"flex",alignItems:"center",gap:5}}><div style={{width:5,height:5,borderRadius:"50%",background:n>0?agents.color(k):T.borderLight}}/><span style={{fontSize:9,color:n>0?T.textSecondary:T.textFaint,textDecoration:ag.archived?"line-through":"none"}}>{ag.name}</span></div><span style={{fontSize:8,fontFamily:M,color:T.textFaint}}>{nl>0?`${nl}L/`:""}{n-nl}S</span></div>;})}
+      </div>
+
+      <div style={{padding:"10px 14px",borderTop:`1px solid ${T.border}`}}>
+        <div style={{fontSize:7.5,fontWeight:700,letterSpacing:2,color:T.textFaint,textTransform:"uppercase",marginBottom:6}}>Time Zone</div>
+        <Select value={timeZone} onChange={setTimeZone} style={{width:"100%",fontSize:10}} T={T}>
+          {(TIME_ZONES.includes(timeZone)?TIME_ZONES:[timeZone,...TIME_ZONES]).map(z=><option key={z} value={z}>{z}</option>)}
+        </Select>
+      </div>
+
+      <div style={{padding:"8px 14px",borderTop:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
+        <span style={{fontSize:8,color:T.textFaint,letterSpacing:1,textTransform:"uppercase",fontWeight:600}}>{auth.role}</span>
+        {auth.token&&<button onClick={logout} style={{background:"none",border:"none",padding:0,cursor:"pointer",fontSize:9,color:T.textMuted,fontFamily:F}}>Log out</button>}
       </div>
 
       <div style={{padding:"8px 14px 14px",borderTop:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
@@ -1509,22 +2848,26 @@ export default function App(){
         <div>
           <h1 style={{fontSize:20,fontWeight:800,color:T.text,margin:0,letterSpacing:-.3}}>{NAV.find(n=>n.key===page)?.label}</h1>
           <p style={{fontSize:10,color:T.textFaint,margin:"3px 0 0",fontFamily:M}}>
-            {loading?"loading data from firebase...":fetchError?<span style={{color:T.negative}}>{fetchError}</span>:`${mf==="live"?"live only":mf==="sim"?"simulation only":"all data"} · ${allTrades.length} trades`}
+            {loading?"loading data from firebase...":fetchError?<span style={{color:T.negative}}>{fetchError}</span>:`${mf==="live"?"live only":mf==="sim"?"simulation only":"all data"} · ${mf==="live"?lc:mf==="sim"?sc:counts.trades.total} trades`}
           </p>
         </div>
         {!loading && <button onClick={fetchData} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"5px 12px",color:T.textSecondary,cursor:"pointer",fontSize:10,fontFamily:F}}>Refresh</button>}
       </div>
+      <BreakerBanner status={botStatus} isAdmin={isAdmin} timeZone={timeZone} onResumed={()=>api("/api/bot/status").then(setBotStatus).catch(()=>{})} T={T}/>
       {loading && <Card style={{textAlign:"center",padding:60}} T={T}><div style={{fontSize:14,color:T.textMuted}}>Loading data from Firebase...</div></Card>}
       {fetchError && !loading && <Card style={{textAlign:"center",padding:40}} T={T}><div style={{fontSize:13,color:T.negative,marginBottom:12}}>Could not connect to backend</div><div style={{fontSize:10,color:T.textMuted,fontFamily:M,marginBottom:16}}>{fetchError}</div><button onClick={fetchData} style={{background:T.bgInput,border:`1px solid ${T.borderInput}`,borderRadius:6,padding:"8px 20px",color:T.textSecondary,cursor:"pointer",fontSize:11,fontFamily:F}}>Retry</button></Card>}
       {!loading && !fetchError && <>
-        {page==="dashboard"&&<Dashboard trades={allTrades} modeFilter={mf} T={T}/>}
-        {page==="trades"&&<TradesPage trades={allTrades} modeFilter={mf} T={T}/>}
-        {page==="signals"&&<SignalsPage signals={allSignals} T={T}/>}
-        {page==="analytics"&&<AnalyticsPage trades={allTrades} modeFilter={mf} T={T}/>}
-        {page==="agents"&&<AgentsPage trades={allTrades} modeFilter={mf} T={T}/>}
-        {page==="import"&&<ImportPage allTrades={allTrades} allSignals={allSignals} onRefresh={fetchData} T={T}/>}
-        {page==="advisor"&&<AdvisorPage trades={allTrades} signals={allSignals} T={T}/>}
+        {page==="dashboard"&&<Dashboard modeFilter={mf} dataVersion={dataVersion} timeZone={timeZone} T={T}/>}
+        {page==="trades"&&<TradesPage signalTypes={counts.trades.signalTypes} modeFilter={mf} dataVersion={dataVersion} timeZone={timeZone} T={T}/>}
+        {page==="positions"&&<OpenPositionsPage modeFilter={mf} timeZone={timeZone} T={T}/>}
+        {page==="signals"&&<SignalsPage counts={counts.signals} signalVersion={signalVersion} liveSignals={liveSignals} timeZone={timeZone} T={T}/>}
+        {page==="analytics"&&<AnalyticsPage signalTypes={counts.trades.signalTypes} modeFilter={mf} dataVersion={dataVersion} timeZone={timeZone} T={T}/>}
+        {page==="agents"&&<AgentsPage agentCounts={agentCounts} modeFilter={mf} isAdmin={isAdmin} dataVersion={dataVersion} timeZone={timeZone} onAgentsChanged={reloadAgents} T={T}/>}
+        {page==="alerts"&&<AlertsPage isAdmin={isAdmin} timeZone={timeZone} alertVersion={alertVersion} breakerVersion={botStatus?.lastUpdated} T={T}/>}
+        {page==="import"&&<ImportPage counts={counts} onRefresh={fetchData} isAdmin={isAdmin} timeZone={timeZone} T={T}/>}
+        {page==="audit"&&isAdmin&&<AuditPage timeZone={timeZone} T={T}/>}
+        {page==="advisor"&&<AdvisorPage counts={counts} isAdmin={isAdmin} dataVersion={dataVersion} timeZone={timeZone} T={T}/>}
       </>}
     </div>
-  </div>;
+  </div></AgentsContext.Provider>;
 }
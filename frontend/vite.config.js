@@ -4,6 +4,8 @@ import react from '@vitejs/plugin-react';
 export default defineConfig({
   plugins: [react()],
   server: {
+    // Allow importing the pure-JS modules in ../shared
+    fs: { allow: ['..'] },
     // In development, proxy /api calls to local backend
     proxy: {
       '/api': {
@@ -0,0 +1,243 @@
+/**
+ * Typed schema for an agent's Nexgent settings, shared by the Agents page form and the agents API
+ * so both validate a config the same way. Seven sections, one per Nexgent settings tab; each field
+ * has a dotted key into the section object and a type:
+ *   number   { unit, min, max, integer, optional }   optional fields may be null ("not set")
+ *   range    { unit, min, max }                      { min, max }
+ *   boolean
+ *   select   { options: [[value, label]] }
+ *   list     comma separated strings, stored as an array
+ *   table    { columns: [{ key, label, unit, min, max }] }   rows of numbers
+ *   text     free-form note
+ * { heading } entries only group fields on the page. Dependency-free so the browser and Node can
+ * both import it.
+ */
+
+import { MAX_SIGNAL_STRENGTH } from './nexgent.js';
+
+const note = { key: 'note', label: 'Notes', type: 'text' };
+
+export const CONFIG_SECTIONS = [
+  { key: 'purchase', label: 'Purchase & Position', fields: [
+    { key: 'maxSlippagePct', label: 'Max Slippage', type: 'number', unit: '%', min: 0, max: 100 },
+    { heading: 'Balance Boundaries' },
+    { key: 'balance.small', label: 'Small from', type: 'number', unit: 'SOL', min: 0 },
+    { key: 'balance.medium', label: 'Medium from', type: 'number', unit: 'SOL', min: 0 },
+    { key: 'balance.large', label: 'Large from', type: 'number', unit: 'SOL', min: 0 },
+    { heading: 'Position Size per Range' },
+    { key: 'positionSize.small', label: 'Small', type: 'range', unit: 'SOL', min: 0 },
+    { key: 'positionSize.medium', label: 'Medium', type: 'range', unit: 'SOL', min: 0 },
+    { key: 'positionSize.large', label: 'Large', type: 'range', unit: 'SOL', min: 0 },
+    { key: 'randomization', label: 'Randomization', type: 'boolean' },
+    note,
+  ] },
+  { key: 'signals', label: 'Signals', fields: [
+    { key: 'minStrength', label: 'Min Strength', type: 'number', integer: true, min: 1, max: MAX_SIGNAL_STRENGTH },
+    { key: 'signalTypes', label: 'Signal Types', type: 'list', hint: 'Comma separated; empty accepts every type' },
+    note,
+  ] },
+  { key: 'risk', label: 'Risk Management', fields: [
+    { key: 'filterMode', label: 'Filter Mode', type: 'select', options: [['none', 'No Filter'], ['metrics', 'Metrics']] },
+    { heading: 'Token Metrics' },
+    { key: 'minMarketCap', label: 'Min Mcap', type: 'number', unit: 'USD', min: 0, optional: true },
+    { key: 'minLiquidity', label: 'Min Liq', type: 'number', unit: 'USD', min: 0, optional: true },
+    { key: 'minHolders', label: 'Min Holders', type: 'number', integer: true, min: 0, optional: true },
+    note,
+  ] },
+  { key: 'stopLoss', label: 'Stop Loss', fields: [
+    { key: 'enabled', label: 'Enabled', type: 'boolean' },
+    { key: 'defaultPct', label: 'Default', type: 'number', unit: '%', min: -100, max: 0 },
+    { key: 'strategy', label: 'Strategy', type: 'select', options: [['fixed', 'Fixed'], ['custom', 'Custom'], ['exponential_decay', 'Exponential Decay (preset)'], ['step_based', 'Step-Based Zones (preset)']] },
+    { key: 'levels', label: 'Levels', type: 'table', hint: 'Once price is up this much, the stop moves to this P/L', columns: [
+      { key: 'priceUpPct', label: 'Price Up', unit: '%', min: 0 },
+      { key: 'stopLossPct', label: 'SL', unit: '%', min: -100 },
+    ] },
+    note,
+  ] },
+  { key: 'takeProfit', label: 'Take-Profit', fields: [
+    { key: 'enabled', label: 'Enabled', type: 'boolean' },
+    { key: 'strategy', label: 'Strategy', type: 'select', options: [['custom', 'Custom'], ['conservative', 'Conservative (preset)'], ['moderate', 'Moderate (preset)'], ['aggressive', 'Aggressive (preset)']] },
+    { key: 'levels', label: 'Levels', type: 'table', columns: [
+      { key: 'targetPct', label: 'Target', unit: '%', min: 0 },
+      { key: 'sellPct', label: 'Sell', unit: '%', min: 0, max: 100 },
+    ] },
+    { heading: 'Moon Bag' },
+    { key: 'moonBag.enabled', label: 'Moon Bag', type: 'boolean' },
+    { key: 'moonBag.pct', label: 'Kept', type: 'number', unit: '%', min: 0, max: 100, optional: true },
+    { key: 'moonBag.atTargetPct', label: 'Set aside at', type: 'number', unit: '%', min: 0, optional: true },
+    note,
+  ] },
+  { key: 'dca', label: 'DCA', fields: [
+    { key: 'enabled', label: 'Enabled', type: 'boolean' },
+    { key: 'levels', label: 'Levels', type: 'table', columns: [
+      { key: 'dropPct', label: 'Price Down', unit: '%', min: -100, max: 0 },
+      { key: 'buyPct', label: 'Add', unit: '%', min: 0 },
+    ] },
+    note,
+  ] },
+  { key: 'staleTrade', label: 'Stale Trade', fields: [
+    { key: 'enabled', label: 'Enabled', type: 'boolean' },
+    { key: 'holdMinutes', label: 'Hold Time', type: 'number', unit: 'min', integer: true, min: 1, optional: true },
+    { key: 'pnlRange', label: 'P/L Range', type: 'range', unit: '%', min: -100 },
+    note,
+  ] },
+];
+
+export function getPath(obj, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), obj);
+}
+
+export function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const out = { ...obj };
+  let node = out;
+  for (const k of keys.slice(0, -1)) {
+    node[k] = { ...(node[k] || {}) };
+    node = node[k];
+  }
+  node[keys[keys.length - 1]] = value;
+  return out;
+}
+
+const isBlank = v => v === null || v === undefined || String(v).trim() === '';
+
+function checkNumber(raw, { min, max, integer, optional }, label) {
+  if (isBlank(raw)) return optional ? { value: null } : { error: `${label} is required` };
+  const value = Number(raw);
+  if (!Number.isFinite(value)) return { error: `${label} must be a number` };
+  if (integer && !Number.isInteger(value)) return { error: `${label} must be a whole number` };
+  if (min !== undefined && value < min) return { error: `${label} must be at least ${min}` };
+  if (max !== undefined && value > max) return { error: `${label} must be at most ${max}` };
+  return { value };
+}
+
+function checkField(field, raw) {
+  switch (field.type) {
+    case 'number': return checkNumber(raw, field, field.label);
+    case 'boolean':
+      if (raw === undefined || raw === null) return { value: false };
+      return typeof raw === 'boolean' ? { value: raw } : { error: `${field.label} must be true or false` };
+    case 'select': {
+      const value = raw ?? field.options[0][0];
+      return field.options.some(([v]) => v === value) ? { value } : { error: `${field.label} must be one of ${field.options.map(([v]) => v).join(', ')}` };
+    }
+    case 'text': return { value: isBlank(raw) ? '' : String(raw).slice(0, 2000) };
+    case 'list': {
+      const items = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+      return { value: [...new Set(items.map(v => String(v).trim()).filter(Boolean))] };
+    }
+    case 'range': {
+      const min = checkNumber(raw?.min, field, `${field.label} min`);
+      const max = checkNumber(raw?.max, field, `${field.label} max`);
+      if (min.error || max.error) return { error: min.error || max.error };
+      if (min.value > max.value) return { error: `${field.label} min must not exceed max` };
+      return { value: { min: min.value, max: max.value } };
+    }
+    case 'table': {
+      if (raw !== undefined && raw !== null && !Array.isArray(raw)) return { error: `${field.label} must be a list of rows` };
+      const rows = [];
+      for (const [i, row] of (raw || []).entries()) {
+        const out = {};
+        for (const col of field.columns) {
+          const cell = checkNumber(row?.[col.key], col, `Row ${i + 1} ${col.label}`);
+          if (cell.error) return { error: cell.error };
+          out[col.key] = cell.value;
+        }
+        rows.push(out);
+      }
+      return { value: rows };
+    }
+    default: return { error: `Unknown field type ${field.type}` };
+  }
+}
+
+// Rules across fields; `config` has passed the per-field checks. Errors keyed like the fields.
+function crossChecks(config) {
+  const errors = {};
+  const { balance } = config.purchase;
+  if (!(balance.small < balance.medium && balance.medium < balance.large)) {
+    errors['purchase.balance.medium'] = 'Balance boundaries must increase: small < medium < large';
+  }
+
+  const slLevels = config.stopLoss.levels;
+  if (new Set(slLevels.map(l => l.priceUpPct)).size !== slLevels.length) errors['stopLoss.levels'] = 'Each Price Up level may appear once';
+  else if (slLevels.some(l => l.stopLossPct >= l.priceUpPct)) errors['stopLoss.levels'] = 'A stop must sit below the price rise that sets it';
+
+  const tpLevels = config.takeProfit.levels;
+  const sold = tpLevels.reduce((sum, l) => sum + l.sellPct, 0);
+  if (new Set(tpLevels.map(l => l.targetPct)).size !== tpLevels.length) errors['takeProfit.levels'] = 'Each target may appear once';
+  else if (sold > 100) errors['takeProfit.levels'] = `Levels sell ${sold}% in total — at most 100%`;
+  const { moonBag } = config.takeProfit;
+  if (moonBag.enabled && moonBag.pct === null) errors['takeProfit.moonBag.pct'] = 'Set how much the moon bag keeps';
+  if (moonBag.enabled && moonBag.pct !== null && sold <= 100 && sold + moonBag.pct > 100) errors['takeProfit.moonBag.pct'] = `Levels (${sold}%) and moon bag (${moonBag.pct}%) exceed 100%`;
+
+  if (config.staleTrade.enabled && config.staleTrade.holdMinutes === null) errors['staleTrade.holdMinutes'] = 'Set a hold time for stale trade closing';
+  return errors;
+}
+
+/**
+ * Check and normalize a config (form values may be strings). Returns { ok: true, config }
+ * with numbers coerced, lists split and level tables sorted, or { ok: false, errors } where
+ * errors maps "section.field" → message for every field that failed.
+ */
+export function validateAgentConfig(input) {
+  const config = {};
+  const errors = {};
+  for (const section of CONFIG_SECTIONS) {
+    let values = {};
+    for (const field of section.fields) {
+      if (field.heading) continue;
+      const result = checkField(field, getPath(input?.[section.key], field.key));
+      if (result.error) errors[`${section.key}.${field.key}`] = result.error;
+      else values = setPath(values, field.key, result.value);
+    }
+    config[section.key] = values;
+  }
+  if (Object.keys(errors).length) return { ok: false, errors };
+
+  config.stopLoss.levels.sort((a, b) => b.priceUpPct - a.priceUpPct);
+  config.takeProfit.levels.sort((a, b) => a.targetPct - b.targetPct);
+  config.dca.levels.sort((a, b) => b.dropPct - a.dropPct);
+  const cross = crossChecks(config);
+  return Object.keys(cross).length ? { ok: false, errors: cross } : { ok: true, config };
+}
+
+// Fields whose values differ between two configs: [{ section, field, from, to }]. Notes only count with `notes`
+export function configChanges(before, after, { notes = false } = {}) {
+  const changes = [];
+  for (const section of CONFIG_SECTIONS) {
+    for (const field of section.fields) {
+      if (field.heading || (field.type === 'text' && !notes)) continue;
+      const from = getPath(before?.[section.key], field.key);
+      const to = getPath(after?.[section.key], field.key);
+      if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) changes.push({ section, field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * The config version in force at `timestamp`: the latest one whose effectiveFrom is not after it.
+ * `versions` are sorted oldest first; trades from before the first version get null.
+ */
+export function configVersionAt(versions, timestamp) {
+  let active = null;
+  for (const version of versions) {
+    if (version.effectiveFrom > timestamp) break;
+    active = version;
+  }
+  return active;
+}
+
+// Starting point for an agent with no saved config
+export function emptyAgentConfig() {
+  return {
+    purchase: { maxSlippagePct: 5, balance: { small: 0.2, medium: 5, large: 10 }, positionSize: { small: { min: 0.2, max: 0.5 }, medium: { min: 0.5, max: 1 }, large: { min: 1, max: 1.5 } }, randomization: true, note: '' },
+    signals: { minStrength: 1, signalTypes: [], note: '' },
+    risk: { filterMode: 'none', minMarketCap: null, minLiquidity: null, minHolders: null, note: '' },
+    stopLoss: { enabled: true, defaultPct: -32, strategy: 'exponential_decay', levels: [], note: '' },
+    takeProfit: { enabled: false, strategy: 'custom', levels: [], moonBag: { enabled: false, pct: null, atTargetPct: null }, note: '' },
+    dca: { enabled: false, levels: [], note: '' },
+    staleTrade: { enabled: false, holdMinutes: null, pnlRange: { min: 1, max: 10 }, note: '' },
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * RFC 4180 CSV parsing shared by the dashboard, the backend and the data CLI.
+ * Handles a UTF-8 BOM, CRLF / LF / CR line endings, "" escaped quotes and quoted fields that
+ * span several lines. The parser is incremental: feed it chunks as they arrive and it hands
+ * back the records completed so far, so large files never need to be in memory at once.
+ * Dependency-free so the browser and Node can both import it.
+ */
+
+export class CsvError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+const isBlank = c => c === ' ' || c === '\t';
+
+/**
+ * Incremental parser. push(chunk) and end() return the records completed so far as
+ * { line, fields } — line is the 1-based line the record starts on. Blank lines are skipped.
+ * Throws CsvError for a stray quote or an unterminated quoted field.
+ */
+export function createCsvParser() {
+  let fields = [];
+  let field = '';
+  let quoted = false;    // current field started with a quote
+  let inQuotes = false;  // inside a quoted field
+  let closed = false;    // just saw the closing quote (or the first half of a "" escape)
+  let skipLF = false;    // previous char was \r, so a following \n belongs to the same line break
+  let started = false;
+  let line = 1;
+  let recordLine = 1;
+  let out = [];
+
+  function endField() {
+    fields.push(field);
+    field = '';
+    quoted = false;
+    closed = false;
+  }
+
+  function endRecord() {
+    const blank = fields.length === 0 && field === '' && !quoted;
+    endField();
+    if (!blank) out.push({ line: recordLine, fields });
+    fields = [];
+  }
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (!started) {
+        started = true;
+        if (c === '\uFEFF') continue;
+      }
+      if (skipLF) {
+        skipLF = false;
+        if (c === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (c === '"') {
+          inQuotes = false;
+          closed = true;
+        } else if (c === '\r' || c === '\n') {
+          field += '\n';
+          line++;
+          skipLF = c === '\r';
+        } else {
+          field += c;
+        }
+        continue;
+      }
+
+      if (c === '"' && closed) {
+        field += '"';
+        inQuotes = true;
+        closed = false;
+      } else if (c === ',') {
+        endField();
+      } else if (c === '\r' || c === '\n') {
+        endRecord();
+        line++;
+        recordLine = line;
+        skipLF = c === '\r';
+      } else if (closed) {
+        if (!isBlank(c)) throw new CsvError(`unexpected "${c}" after a closing quote`, line);
+      } else if (c === '"') {
+        if (field.trim() !== '') throw new CsvError('quote inside an unquoted field (quote the whole field and double the quote)', line);
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else {
+        field += c;
+      }
+    }
+
+    const records = out;
+    out = [];
+    return records;
+  }
+
+  function end() {
+    if (inQuotes) throw new CsvError('quoted field is never closed', recordLine);
+    if (fields.length || field !== '' || quoted) endRecord();
+    const records = out;
+    out = [];
+    return records;
+  }
+
+  return { push, end };
+}
+
+// Whole-text convenience wrapper: [{ line, fields }]
+export function parseCsv(text) {
+  const parser = createCsvParser();
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Stream records from an (async) iterable of string or byte chunks — a Node stream,
+ * a fetch/File ReadableStream in browsers that make them iterable, or an array of strings.
+ */
+export async function* streamCsv(source) {
+  const parser = createCsvParser();
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of source) {
+    yield* parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+  }
+  yield* parser.push(decoder.decode());
+  yield* parser.end();
+}
+
+/**
+ * Turns records into header-keyed rows. Call with the first record to get the column
+ * names (trimmed), then with each data record for { line, record }. Values are trimmed;
+ * missing trailing columns become ''.
+ */
+export function createRowMapper() {
+  let headers = null;
+  return function mapRecord({ line, fields }) {
+    if (!headers) {
+      headers = fields.map(h => h.trim());
+      return { headers };
+    }
+    const record = {};
+    headers.forEach((h, i) => { record[h] = (fields[i] ?? '').trim(); });
+    return { line, record };
+  };
+}
+
+// { headers, rows: [{ line, record }] } for a whole CSV text with a header row
+export function parseCsvRows(text) {
+  const mapRecord = createRowMapper();
+  const [head, ...records] = parseCsv(text);
+  return { headers: head ? mapRecord(head).headers : [], rows: records.map(mapRecord) };
+}
@@ -0,0 +1,262 @@
+/**
+ * Spreadsheet exports shared by the dashboard and the backend export endpoint.
+ * Rows are flattened first: nested objects become dotted columns ("config.stopLoss"), arrays are
+ * written as JSON. Every column any row has is kept, in first-seen order.
+ *
+ * XLSX files are a zip of the minimal SpreadsheetML parts with one inline-string sheet, written
+ * a batch of rows at a time so the backend can stream them like CSV. Dependency-free so the
+ * browser and Node can both import it (the backend passes in Node's deflate).
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+export const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+// Excel's row limit, header included
+export const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_CELL = 32767;
+
+export function exportFileName(name, format, date = new Date()) {
+  return `nexgent-${name}-${date.toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${format}`;
+}
+
+export function flattenRecord(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flattenRecord(value, column, out);
+    else out[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+  }
+  return out;
+}
+
+// Union of the flattened columns of `rows`, in the order they first appear
+export function exportColumns(rows, columns = []) {
+  const seen = new Set(columns);
+  for (const row of rows) {
+    for (const column of Object.keys(flattenRecord(row))) {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    }
+  }
+  return columns;
+}
+
+// Strings a spreadsheet would run as a formula get a leading apostrophe
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+// One CSV line for a record; columns come from exportColumns
+export function csvRow(record, columns) {
+  const flat = flattenRecord(record);
+  return csvLine(columns.map(c => flat[c]));
+}
+
+export function toCsv(rows, columns = exportColumns(rows)) {
+  return csvLine(columns) + rows.map(row => csvRow(row, columns)).join('');
+}
+
+// ─── XLSX ───
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+function binary(fields) {
+  const size = fields.reduce((n, [bytes]) => n + bytes, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  for (const [bytes, value] of fields) {
+    if (bytes === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += bytes;
+  }
+  return new Uint8Array(view.buffer);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOC_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Control characters other than tab, LF and CR are not allowed in XML 1.0
+const XML_CONTROL_OK = new Set([0x09, 0x0a, 0x0d]);
+const xmlAllowed = ch => ch.charCodeAt(0) >= 0x20 || XML_CONTROL_OK.has(ch.charCodeAt(0));
+
+function xmlEscape(text) {
+  return Array.from(text).filter(xmlAllowed).join('')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function xlsxCell(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = String(value).slice(0, XLSX_MAX_CELL);
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+function sheetRow(values, rowNo) {
+  return `<row r="${rowNo}">${values.map((v, i) => xlsxCell(v, `${columnName(i)}${rowNo}`)).join('')}</row>`;
+}
+
+function packageParts(sheetName) {
+  return {
+    '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>',
+    '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${REL_NS}"><Relationship Id="rId1" Type="${DOC_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOC_REL}"><sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${REL_NS}"><Relationship Id="rId1" Type="${DOC_REL}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+  };
+}
+
+/**
+ * Incremental XLSX writer for one sheet. start() returns the opening bytes, rows(records) the
+ * bytes for a batch of records, end() the rest of the file; concatenated in order they are the
+ * whole workbook. Throws once XLSX_MAX_ROWS is passed.
+ *
+ * Without `deflate` the sheet is held back and written uncompressed by end(), since a stored
+ * zip entry must carry its size up front. With it the sheet streams out compressed and its size
+ * follows in a data descriptor: deflate(bytes, final) returns the raw-deflate bytes for the next
+ * piece of the sheet, ending the stream when final is set.
+ */
+export function createXlsxWriter(columns, { sheetName = 'Export', date = new Date(), deflate = null } = {}) {
+  const encoder = new TextEncoder();
+  const stamp = dosDateTime(date);
+  const entries = [];
+  let offset = 0;
+  let sheet = null;
+  let held = [];
+  let rowNo = 0;
+
+  function localHeader(entry) {
+    entries.push({ ...entry, offset });
+    const streamed = entry.flags & 0x08;
+    const head = concat([binary([
+      [4, 0x04034b50], [2, 20], [2, entry.flags], [2, entry.method], [2, stamp.time], [2, stamp.date],
+      [4, streamed ? 0 : entry.crc], [4, streamed ? 0 : entry.compressed], [4, streamed ? 0 : entry.size],
+      [2, entry.name.length], [2, 0],
+    ]), entry.name]);
+    offset += head.length;
+    return head;
+  }
+
+  function storedFile(name, bytes) {
+    const head = localHeader({ name: encoder.encode(name), flags: 0, method: 0, crc: crc32(bytes), size: bytes.length, compressed: bytes.length });
+    offset += bytes.length;
+    return concat([head, bytes]);
+  }
+
+  function sheetText(text, final = false) {
+    const bytes = encoder.encode(text);
+    sheet.crc = crc32(bytes, sheet.crc);
+    sheet.size += bytes.length;
+    if (!deflate) {
+      held.push(bytes);
+      return new Uint8Array(0);
+    }
+    const out = deflate(bytes, final);
+    sheet.compressed += out.length;
+    offset += out.length;
+    return out;
+  }
+
+  function start() {
+    const name = sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Export';
+    const files = Object.entries(packageParts(name)).map(([file, text]) => storedFile(file, encoder.encode(text)));
+    sheet = { name: encoder.encode('xl/worksheets/sheet1.xml'), crc: 0, size: 0, compressed: 0 };
+    if (deflate) files.push(localHeader({ ...sheet, flags: 0x08, method: 8 }));
+    rowNo = 1;
+    return concat([...files, sheetText(`${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${sheetRow(columns, rowNo)}`)]);
+  }
+
+  function rows(records) {
+    if (rowNo + records.length > XLSX_MAX_ROWS) throw new Error(`XLSX holds at most ${XLSX_MAX_ROWS - 1} rows`);
+    const xml = records.map((record) => {
+      const flat = flattenRecord(record);
+      rowNo++;
+      return sheetRow(columns.map(c => flat[c]), rowNo);
+    }).join('');
+    return sheetText(xml);
+  }
+
+  function end() {
+    const parts = [sheetText('</sheetData></worksheet>', true)];
+    if (deflate) {
+      // The streamed entry's header was written with zero sizes; patch the directory copy
+      Object.assign(entries[entries.length - 1], { crc: sheet.crc, size: sheet.size, compressed: sheet.compressed });
+      parts.push(binary([[4, 0x08074b50], [4, sheet.crc], [4, sheet.compressed], [4, sheet.size]]));
+      offset += 16;
+    } else {
+      parts.push(storedFile('xl/worksheets/sheet1.xml', concat(held)));
+      held = [];
+    }
+
+    const directoryStart = offset;
+    const directory = concat(entries.map(e => concat([binary([
+      [4, 0x02014b50], [2, 20], [2, 20], [2, e.flags], [2, e.method], [2, stamp.time], [2, stamp.date],
+      [4, e.crc], [4, e.compressed], [4, e.size], [2, e.name.length], [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, e.offset],
+    ]), e.name])));
+    const footer = binary([
+      [4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+      [4, directory.length], [4, directoryStart], [2, 0],
+    ]);
+    return concat([...parts, directory, footer]);
+  }
+
+  return { start, rows, end };
+}
+
+// Whole workbook in memory, for tables the browser already holds
+export function toXlsx(rows, columns = exportColumns(rows), options) {
+  const writer = createXlsxWriter(columns, options);
+  return concat([writer.start(), writer.rows(rows), writer.end()]);
+}
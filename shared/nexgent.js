@@ -0,0 +1,293 @@
+/**
+ * Nexgent CSV export → stored document mappers, shared by the dashboard importer,
+ * the backend import routes and the data/ scripts so every path produces the same IDs.
+ */
+
+import { DEFAULT_TIME_ZONE, parseNexgentTime } from './time.js';
+
+export const TRADE_HEADERS = [
+  'Time', 'Token Symbol', 'Token Address', 'Amount', 'Average Purchase Price (USD)', 'Sale Price (USD)',
+  'Profit / Loss (USD)', 'Change (%)', 'Signal ID', 'Signal Type', 'Activation Reason',
+];
+export const SIGNAL_HEADERS = [
+  'Signal ID', 'Created At', 'Signal Strength', 'Token Symbol', 'Token Address',
+  'Trading Strategy', 'Activation Reason', 'Source', 'Updated At',
+];
+export const MAX_SIGNAL_STRENGTH = 5;
+
+// Columns that must be present for a header row to count as that export
+const TRADE_KEY_HEADERS = ['Time', 'Amount', 'Profit / Loss (USD)', 'Change (%)'];
+const SIGNAL_KEY_HEADERS = ['Signal ID', 'Created At', 'Signal Strength'];
+
+// P/L vs Change % tolerance: Nexgent's USD figure includes fees, so only flag clear disagreements
+const PNL_TOLERANCE_USD = 1;
+const PNL_TOLERANCE_RATIO = 0.25;
+
+// The agents the dashboard started with, in dashboard order. The agent registry
+// (GET /api/agents/registry) serves these until they are edited, plus every agent added since.
+export const NEXGENT_AGENTS = [
+  { id: 'nexgent-degen', name: 'Degen', abbr: 'DG', tag: 'Max Risk / Max Reward', color: '#6366f1', description: 'Accept every signal, trade anything, ride to big multipliers.' },
+  { id: 'nexgent-pro', name: 'Pro', abbr: 'PR', tag: 'Balanced / Smart Reward', color: '#818cf8', description: 'Balanced — strict filters, offset stop losses, stale trade closure.' },
+  { id: 'nexgent-scalper', name: 'Scalper', abbr: 'SC', tag: 'Tight Risk / Max WR', color: '#a78bfa', description: 'Quick in/out — tight stops, ultra-early profit-taking.' },
+  { id: 'nexgent-base', name: 'Base Test', abbr: 'BT', tag: 'Control / Defaults', color: '#c084fc', description: 'Control benchmark — all defaults, Exponential Decay, no TP.' },
+  { id: 'nexgent-boost-hunter', name: 'Boost Hunter', abbr: 'BH', tag: 'Dex Boost Focus', color: '#f472b6', description: 'Targets Dex Boost signals — filters for boosted tokens only.' },
+  { id: 'nexgent-signal-sniper', name: 'Signal Sniper', abbr: 'SS', tag: 'High Signal Quality', color: '#fb923c', description: 'High signal quality filter — only trades top-tier signals.' },
+  { id: 'nexgent-scalper-2', name: 'Scalper 2.0', abbr: 'S2', tag: 'Refined Scalping', color: '#38bdf8', description: 'Refined scalping v2 — optimized TP/SL from Scalper learnings.' },
+  { id: 'nexgent-base-2', name: 'Base Test 2.0', abbr: 'B2', tag: 'Updated Control', color: '#34d399', description: 'Updated control v2 — revised defaults for Analytics 2.0.' },
+  { id: 'nexgent-ignition-tester', name: 'Ignition Tester', abbr: 'IT', tag: 'Ignition Signals', color: '#fbbf24', description: 'Ignition signal specialist — tests ignition-type signals.' },
+];
+
+// "Moon Shot" → "nexgent-moon-shot"
+export function agentIdFromName(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').replace(/^nexgent-/, '');
+  return slug ? `nexgent-${slug}` : null;
+}
+
+// "nexgent-moon-shot" → "Moon Shot"
+export function agentNameFromId(id) {
+  const words = String(id).replace(/^nexgent-/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words.map(w => w[0].toUpperCase() + w.slice(1)).join(' ') || String(id);
+}
+
+// "Moon Shot" → "MS", "Degen" → "DE"
+export function agentAbbr(name) {
+  const words = String(name).toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  if (!words.length) return '??';
+  return words.length > 1 ? words.slice(0, 2).map(w => w[0]).join('') : words[0].slice(0, 2);
+}
+
+// 64-bit FNV-1a, hex encoded. Not cryptographic — only needs to be stable and well spread.
+export function fnv1a64(input) {
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of new TextEncoder().encode(input)) {
+    hash ^= BigInt(byte);
+    hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Identity of a trade: agent, mode, time, token, signal and amount. The time is the export's own
+// string (timeRaw) rather than the epoch, which depends on the zone it was read in; docs without
+// one fall back to the timestamp.
+export function tradeFingerprint(trade) {
+  return fnv1a64([
+    trade.agentId,
+    trade.mode,
+    trade.timeRaw || trade.timestamp,
+    trade.tokenAddress,
+    trade.signalId,
+    trade.quantity,
+  ].map(v => String(v ?? '')).join('|'));
+}
+
+export function tradeId(trade) {
+  return `${trade.agentId}_${tradeFingerprint(trade)}`;
+}
+
+/**
+ * Work out which Nexgent export a header row belongs to.
+ * Returns { format: 'trades' | 'signals' | null, missing } — missing lists the format's
+ * non-essential columns that aren't in the file.
+ */
+export function detectFormat(headers) {
+  const present = new Set(headers.map(h => String(h).trim()));
+  const has = cols => cols.every(c => present.has(c));
+  if (has(TRADE_KEY_HEADERS)) return { format: 'trades', missing: TRADE_HEADERS.filter(c => !present.has(c)) };
+  if (has(SIGNAL_KEY_HEADERS)) return { format: 'signals', missing: SIGNAL_HEADERS.filter(c => !present.has(c)) };
+  return { format: null, missing: [] };
+}
+
+// Strict number parsing: '+$5.83', '-21.06%', '1,234' are fine, '', 'n/a' and '12abc' are not
+function parseNumber(value) {
+  const cleaned = String(value ?? '').replace(/[+$,%\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+// Whether a time parses at all; the zone it is read in is chosen when mapping
+function isValidDate(value) {
+  return Number.isFinite(parseNexgentTime(value));
+}
+
+/**
+ * Check one trade history row before it is mapped.
+ * Returns { errors, warnings }, each a list of { field, message }. Rows with errors are not imported.
+ */
+export function validateTradeRow(row) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isValidDate(row['Time'])) errors.push({ field: 'Time', message: `Unparseable date "${row['Time'] || ''}"` });
+  if (!row['Token Address']) warnings.push({ field: 'Token Address', message: 'Missing token address' });
+
+  const numbers = {};
+  for (const field of ['Amount', 'Average Purchase Price (USD)', 'Sale Price (USD)', 'Profit / Loss (USD)', 'Change (%)']) {
+    numbers[field] = parseNumber(row[field]);
+    if (!Number.isFinite(numbers[field])) errors.push({ field, message: `Not a number: "${row[field] || ''}"` });
+  }
+
+  const pnl = numbers['Profit / Loss (USD)'];
+  const change = numbers['Change (%)'];
+  if (Number.isFinite(pnl) && Number.isFinite(change) && pnl !== 0 && change !== 0) {
+    if (Math.sign(pnl) !== Math.sign(change)) {
+      errors.push({ field: 'Profit / Loss (USD)', message: `P/L ${pnl} and Change ${change}% have opposite signs` });
+    } else {
+      const cost = numbers['Amount'] * numbers['Average Purchase Price (USD)'];
+      const expected = cost * change / 100;
+      if (Number.isFinite(expected) && Math.abs(expected - pnl) > Math.max(PNL_TOLERANCE_USD, Math.abs(pnl) * PNL_TOLERANCE_RATIO)) {
+        warnings.push({ field: 'Profit / Loss (USD)', message: `P/L $${pnl.toFixed(2)} disagrees with Change ${change}% (expected about $${expected.toFixed(2)})` });
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// Same contract as validateTradeRow, for the signals export
+export function validateSignalRow(row) {
+  const errors = [];
+  const warnings = [];
+
+  if (!row['Signal ID']) errors.push({ field: 'Signal ID', message: 'Missing signal ID' });
+  if (!isValidDate(row['Created At'])) errors.push({ field: 'Created At', message: `Unparseable date "${row['Created At'] || ''}"` });
+
+  const strength = parseNumber(row['Signal Strength']);
+  if (!Number.isInteger(strength) || strength < 1 || strength > MAX_SIGNAL_STRENGTH) {
+    warnings.push({ field: 'Signal Strength', message: `Expected a strength from 1 to ${MAX_SIGNAL_STRENGTH}, got "${row['Signal Strength'] || ''}"` });
+  }
+  if (!row['Token Address']) warnings.push({ field: 'Token Address', message: 'Missing token address' });
+
+  return { errors, warnings };
+}
+
+// ── Trade mapper: Nexgent Trade History CSV → stored doc ──────────────────────
+// timeZone is the IANA zone the export's wall-clock times were written in
+export function mapTradeRow(row, agentId, mode, timeZone = DEFAULT_TIME_ZONE) {
+  const pnlStr = (row['Profit / Loss (USD)'] || '0').replace(/[+$,]/g, '');
+  const changeStr = (row['Change (%)'] || '0%').replace(/[+%]/g, '');
+  const timestamp = row['Time'] ? parseNexgentTime(row['Time'], timeZone) : Date.now();
+
+  const trade = {
+    agentId,
+    mode, // 'live' or 'simulation'
+    token: row['Token Symbol'] || '',
+    tokenSymbol: row['Token Symbol'] || '',
+    tokenAddress: row['Token Address'] || '',
+    quantity: parseFloat(row['Amount']) || 0,
+    entryPrice: parseFloat(row['Average Purchase Price (USD)']) || 0,
+    exitPrice: parseFloat(row['Sale Price (USD)']) || 0,
+    pnl: parseFloat(pnlStr) || 0,
+    pnlPercent: parseFloat(changeStr) || 0,
+    side: 'BUY',
+    status: 'CLOSED',
+    timestamp, // UTC epoch ms
+    timeRaw: row['Time'] || '',
+    sourceTimeZone: timeZone,
+    signalId: row['Signal ID'] || '',
+    signalType: row['Signal Type'] || '',
+    activationReason: row['Activation Reason'] || '',
+    source: 'nexgent',
+  };
+  return { id: tradeId(trade), ...trade };
+}
+
+// ── Signal mapper: Nexgent signals CSV → stored doc ───────────────────────────
+export function mapSignalRow(row, timeZone = DEFAULT_TIME_ZONE) {
+  const timestamp = row['Created At'] ? parseNexgentTime(row['Created At'], timeZone) : Date.now();
+  const id = row['Signal ID'] || `sig_${timestamp}`;
+
+  return {
+    id: String(id),
+    signalReceivedAt: timestamp, // UTC epoch ms
+    createdAtRaw: row['Created At'] || '',
+    sourceTimeZone: timeZone,
+    token: row['Token Symbol'] || '',
+    tokenSymbol: row['Token Symbol'] || '',
+    tokenAddress: row['Token Address'] || '',
+    tradingStrategy: row['Trading Strategy'] || '',
+    activationReason: row['Activation Reason'] || '',
+    source: row['Source'] || 'Nexgent AI',
+    signalStrength: parseInt(row['Signal Strength']) || 0,
+    status: 'received',
+  };
+}
+
+// ── Filename resolver ─────────────────────────────────────────────────────────
+
+// Optimal string alignment distance: edits plus adjacent transpositions ("Histroy" → "History" is 1)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const compact = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+const near = (word, target, maxEdits) => editDistance(word, target) <= maxEdits;
+
+// Spellings a filename might use for an agent: "Base Test 2.0" → basetest20, basetest2, base2
+function agentAliases(agent) {
+  const name = compact(agent.name);
+  const idName = compact(agent.id.replace(/^nexgent-/, ''));
+  return [...new Set([name, name.replace(/20$/, '2'), idName])];
+}
+
+function resolveAgent(words, agents) {
+  const candidate = compact(words.filter(w => w !== 'nexgent').join(''));
+  const exact = agents.find(a => compact(a.id) === candidate);
+  if (exact) return exact.id;
+  if (!candidate) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  let tie = false;
+  for (const agent of agents) {
+    for (const alias of agentAliases(agent)) {
+      const distance = editDistance(candidate, alias);
+      if (distance > Math.floor(alias.length / 4)) continue;
+      if (distance < bestDistance) {
+        best = agent; bestDistance = distance; tie = false;
+      } else if (distance === bestDistance && best !== agent) {
+        tie = true;
+      }
+    }
+  }
+  return tie ? null : best?.id || null;
+}
+
+// "pro", "Nexgent Pro", "nexgent-pro", "Scalper 2.0" → agent id, or null
+export function resolveAgentName(name, agents = NEXGENT_AGENTS) {
+  return resolveAgent(String(name).toLowerCase().split(/[^a-z0-9.]+/).map(w => w.replace(/\./g, '')).filter(Boolean), agents);
+}
+
+/**
+ * Infer what a Nexgent export file contains from its name, e.g.
+ *   "Nexgent Scalper Trade Histroy - Live Mode.csv" → { kind: 'trades', agentId: 'nexgent-scalper', mode: 'live', agentName: 'Scalper' }
+ *   "trading-signals-2026-02-22.csv"               → { kind: 'signals', agentId: null, mode: null, agentName: null }
+ * Tolerates typos and transpositions in "Trade History" and the agent name. Anything that
+ * can't be inferred confidently comes back null. agentName is the name as written in the file
+ * name, so an agent that isn't in `agents` yet can still be registered under it.
+ */
+export function resolveExportFile(filename, agents = NEXGENT_AGENTS) {
+  const base = String(filename).split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+  const tokens = base.split(/[^A-Za-z0-9.]+/).filter(w => w.replace(/\./g, ''));
+  const words = tokens.map(w => w.toLowerCase().replace(/\./g, ''));
+  const nameOf = end => tokens.slice(0, end).filter(w => w.toLowerCase() !== 'nexgent').join(' ') || null;
+
+  const modeAt = words.findIndex(w => w === 'live' || w.startsWith('sim') || near(w, 'simulation', 2));
+  const mode = modeAt === -1 ? null : words[modeAt] === 'live' ? 'live' : 'simulation';
+
+  const historyAt = words.findIndex((w, i) => i > 0 && near(words[i - 1], 'trade', 1) && near(w, 'history', 2));
+  if (historyAt !== -1) {
+    return { kind: 'trades', agentId: resolveAgent(words.slice(0, historyAt - 1), agents), mode, agentName: nameOf(historyAt - 1) };
+  }
+  if (words.some(w => near(w, 'signals', 1))) {
+    return { kind: 'signals', agentId: null, mode: null, agentName: null };
+  }
+  return { kind: null, agentId: modeAt > 0 ? resolveAgent(words.slice(0, modeAt), agents) : null, mode, agentName: modeAt > 0 ? nameOf(modeAt) : null };
+}
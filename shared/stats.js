@@ -0,0 +1,109 @@
+/**
+ * Trade statistics shared by the backend (/api/stats) and the frontend.
+ * Pure functions, no dependencies — safe to import from Node and from the Vite bundle.
+ */
+
+export const GROUP_DIMENSIONS = ['agent', 'mode', 'signalType', 'signalStrength', 'token', 'time'];
+export const TIME_BUCKETS = ['hour', 'day', 'week', 'month'];
+
+// 'sim' is what the dashboard calls simulation mode
+export function normalizeMode(mode) {
+  if (mode === 'sim' || mode === 'simulation') return 'simulation';
+  if (mode === 'live') return 'live';
+  return mode || 'simulation';
+}
+
+// Stored trade document → the shape calcStats works on
+export function normalizeTrade(t) {
+  return {
+    id: t.id,
+    agentId: t.agentId || 'unknown',
+    mode: normalizeMode(t.mode),
+    token: t.token || t.tokenSymbol || '',
+    signalType: t.signalType || '',
+    signalStrength: t.signalStrength || 0,
+    timestamp: t.timestamp || 0,
+    status: t.status,
+    pnlUsd: t.pnl || 0,
+    changePct: t.pnlPercent || 0,
+  };
+}
+
+export function calcStats(trades) {
+  if(!trades.length) return {n:0,wins:0,losses:0,winRate:0,totalPnl:0,avgWinPct:0,avgLossPct:0,avgWinUsd:0,avgLossUsd:0,profitFactor:0,expectancy:0,avgReturn:0,avgReturnUsd:0,rr:0,grossWin:0,grossLoss:0,edgeScore:0};
+  const w=trades.filter(t=>t.pnlUsd>0), l=trades.filter(t=>t.pnlUsd<0);
+  const tp=trades.reduce((s,t)=>s+t.pnlUsd,0);
+  const tpPct=trades.reduce((s,t)=>s+t.changePct,0);
+  const aw=w.length?w.reduce((s,t)=>s+t.changePct,0)/w.length:0;
+  const al=l.length?l.reduce((s,t)=>s+t.changePct,0)/l.length:0;
+  const awU=w.length?w.reduce((s,t)=>s+t.pnlUsd,0)/w.length:0;
+  const alU=l.length?l.reduce((s,t)=>s+t.pnlUsd,0)/l.length:0;
+  const grossWin=w.reduce((s,t)=>s+t.pnlUsd,0);
+  const grossLoss=Math.abs(l.reduce((s,t)=>s+t.pnlUsd,0));
+  const wr=w.length/trades.length;
+  const rr=Math.abs(al)>0?Math.abs(aw/al):0;
+  const pf=grossLoss>0?grossWin/grossLoss:0;
+  const avgReturn=tpPct/trades.length;
+  const avgReturnUsd=tp/trades.length;
+  const expectancy=wr*aw+(1-wr)*al;
+  const edgeScore = expectancy * (1 + Math.log10(Math.max(pf,0.01))) * Math.min(trades.length/20,1);
+  return {n:trades.length,wins:w.length,losses:l.length,
+    winRate:wr*100, totalPnl:tp, avgWinPct:aw, avgLossPct:al,
+    avgWinUsd:awU, avgLossUsd:alU, grossWin, grossLoss,
+    profitFactor:pf, expectancy, avgReturn, avgReturnUsd, rr, edgeScore};
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// UTC bucket label for a timestamp: hour → 2026-02-15T13:00Z, day → 2026-02-15, week → Monday of the week, month → 2026-02
+export function timeBucket(timestamp, bucket = 'day') {
+  const d = new Date(timestamp);
+  if (Number.isNaN(d.getTime())) return 'unknown';
+  const ymd = (x) => `${x.getUTCFullYear()}-${pad(x.getUTCMonth() + 1)}-${pad(x.getUTCDate())}`;
+  switch (bucket) {
+    case 'hour': return `${ymd(d)}T${pad(d.getUTCHours())}:00Z`;
+    case 'week': {
+      const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+      return ymd(monday);
+    }
+    case 'month': return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+    default: return ymd(d);
+  }
+}
+
+function dimensionValue(trade, dimension, bucket) {
+  switch (dimension) {
+    case 'agent': return trade.agentId;
+    case 'time': return timeBucket(trade.timestamp, bucket);
+    default: return trade[dimension];
+  }
+}
+
+/**
+ * Group normalized trades by any combination of GROUP_DIMENSIONS and compute calcStats per group.
+ * Returns [{ agent: 'nexgent-pro', mode: 'live', stats }, ...] sorted by the group keys.
+ */
+export function groupStats(trades, groupBy, { bucket = 'day' } = {}) {
+  const groups = new Map();
+  for (const trade of trades) {
+    const keys = groupBy.map(dim => dimensionValue(trade, dim, bucket));
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, trades: [] });
+    groups.get(id).trades.push(trade);
+  }
+
+  return [...groups.values()]
+    .map(({ keys, trades: members }) => ({
+      ...Object.fromEntries(groupBy.map((dim, i) => [dim, keys[i]])),
+      stats: calcStats(members),
+    }))
+    .sort((a, b) => {
+      for (const dim of groupBy) {
+        if (a[dim] < b[dim]) return -1;
+        if (a[dim] > b[dim]) return 1;
+      }
+      return 0;
+    });
+}
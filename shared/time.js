@@ -0,0 +1,128 @@
+/**
+ * Time zone handling for Nexgent exports.
+ * Nexgent writes wall-clock times without a zone ("Feb 15, 2026 01:56:54 PM"), so the zone the
+ * export was made in has to be supplied at import time. Parsing here never depends on the
+ * machine's own zone. Uses only Intl, so the browser and Node can both import it.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// "Feb 15, 2026 01:56:54 PM", "February 5 2026 1:56 pm"
+const NEXGENT_TIME = /^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))? ?([ap]\.?m\.?)?$/i;
+// "2026-02-15 13:56:54", "2026-02-15T13:56" — ISO without an offset is wall-clock time too
+const LOCAL_ISO_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}:?\d{2}|\bUTC|\bGMT)$/i;
+
+const formatters = new Map();
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of `timeZone` from UTC at instant `ms`, in milliseconds
+function zoneOffset(ms, timeZone) {
+  const p = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(ms))) p[type] = Number(value);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Epoch ms for a wall-clock time in `timeZone`. A time repeated when clocks go back resolves to
+ * its first occurrence; one skipped when they go forward is shifted forward like Date does.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIME_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Offsets either side of any transition on that day
+  const candidates = [...new Set([zoneOffset(wall - DAY_MS, timeZone), zoneOffset(wall + DAY_MS, timeZone)])].map(o => wall - o);
+  const valid = candidates.filter(ms => wall - zoneOffset(ms, timeZone) === ms);
+  return valid.length ? Math.min(...valid) : Math.max(...candidates);
+}
+
+// Epoch ms of midnight, in `timeZone`, on the day containing `ms`
+export function startOfDayInTimeZone(ms, timeZone = DEFAULT_TIME_ZONE) {
+  const p = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(ms))) p[type] = Number(value);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timeZone);
+}
+
+// Day 0 of the next month is the last day of this one
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function validParts(p) {
+  return p.month >= 1 && p.month <= 12 && p.day >= 1 && p.day <= daysInMonth(p.year, p.month)
+    && p.hour <= 23 && p.minute <= 59 && p.second <= 59;
+}
+
+/**
+ * Parse a Nexgent export time as wall-clock time in `timeZone` (an IANA name like "America/New_York").
+ * Strings that carry their own offset ("...Z", "+02:00") keep it. Returns epoch ms, or NaN.
+ */
+export function parseNexgentTime(value, timeZone = DEFAULT_TIME_ZONE) {
+  const text = String(value ?? '').trim();
+  if (!text) return NaN;
+
+  let parts = null;
+  let m = text.match(NEXGENT_TIME);
+  if (m) {
+    const month = MONTHS.indexOf(m[1].toLowerCase()) + 1;
+    let hour = Number(m[4]);
+    if (m[7]) {
+      if (hour < 1 || hour > 12) return NaN;
+      hour = (hour % 12) + (m[7][0].toLowerCase() === 'p' ? 12 : 0);
+    }
+    parts = { year: Number(m[3]), month, day: Number(m[2]), hour, minute: Number(m[5]), second: Number(m[6] || 0) };
+  } else if ((m = text.match(LOCAL_ISO_TIME))) {
+    parts = { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), hour: Number(m[4] || 0), minute: Number(m[5] || 0), second: Number(m[6] || 0) };
+  } else if (EXPLICIT_ZONE.test(text)) {
+    return new Date(text).getTime();
+  }
+
+  if (!parts || !validParts(parts) || !isValidTimeZone(timeZone)) return NaN;
+  return zonedTimeToUtc(parts, timeZone);
+}
+
+// The viewer's zone as reported by the runtime
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+}
+
+// Every zone the runtime knows, for pickers (falls back to a short list on older runtimes)
+export function timeZoneNames() {
+  if (typeof Intl.supportedValuesOf === 'function') return ['UTC', ...Intl.supportedValuesOf('timeZone').filter(z => z !== 'UTC')];
+  return ['UTC', 'America/Los_Angeles', 'America/Chicago', 'America/New_York', 'Europe/London', 'Europe/Berlin', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'];
+}
+
+/**
+ * Display an epoch ms in `timeZone`. style: 'datetime' (default), 'date' or 'time'.
+ * Returns '' for missing or invalid times.
+ */
+export function formatInTimeZone(ms, timeZone, style = 'datetime') {
+  if (ms === null || ms === undefined || !Number.isFinite(Number(ms))) return '';
+  const key = `${timeZone}|${style}`;
+  if (!formatters.has(key)) {
+    const options = style === 'date' ? { dateStyle: 'medium' } : style === 'time' ? { timeStyle: 'medium' } : { dateStyle: 'medium', timeStyle: 'medium' };
+    formatters.set(key, new Intl.DateTimeFormat(undefined, { ...options, timeZone: isValidTimeZone(timeZone) ? timeZone : undefined }));
+  }
+  return formatters.get(key).format(new Date(Number(ms)));
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configChanges, configVersionAt, emptyAgentConfig, setPath, validateAgentConfig } from '../shared/agentConfig.js';
+
+test('the empty config is valid and survives validation unchanged', () => {
+  const result = validateAgentConfig(emptyAgentConfig());
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.config, emptyAgentConfig());
+});
+
+test('form strings are coerced, lists split and level tables sorted', () => {
+  const input = emptyAgentConfig();
+  input.purchase.maxSlippagePct = '7.5';
+  input.signals.signalTypes = 'Hypersurge, Breakout ,,Hypersurge';
+  input.risk.minHolders = '';
+  input.stopLoss.levels = [{ priceUpPct: '20', stopLossPct: '5' }, { priceUpPct: '50', stopLossPct: '30' }];
+  input.takeProfit.levels = [{ targetPct: 100, sellPct: 50 }, { targetPct: 40, sellPct: 25 }];
+
+  const { ok, config } = validateAgentConfig(input);
+  assert.equal(ok, true);
+  assert.equal(config.purchase.maxSlippagePct, 7.5);
+  assert.deepEqual(config.signals.signalTypes, ['Hypersurge', 'Breakout']);
+  assert.equal(config.risk.minHolders, null);
+  assert.deepEqual(config.stopLoss.levels.map(l => l.priceUpPct), [50, 20]);
+  assert.deepEqual(config.takeProfit.levels.map(l => l.targetPct), [40, 100]);
+});
+
+test('field errors are keyed by section and field', () => {
+  const input = emptyAgentConfig();
+  input.purchase.maxSlippagePct = '150';
+  input.signals.minStrength = 2.5;
+  input.purchase.positionSize.small = { min: 1, max: 0.5 };
+  input.stopLoss.levels = [{ priceUpPct: 'abc', stopLossPct: 1 }];
+
+  assert.deepEqual(validateAgentConfig(input), {
+    ok: false,
+    errors: {
+      'purchase.maxSlippagePct': 'Max Slippage must be at most 100',
+      'purchase.positionSize.small': 'Small min must not exceed max',
+      'signals.minStrength': 'Min Strength must be a whole number',
+      'stopLoss.levels': 'Row 1 Price Up must be a number',
+    },
+  });
+});
+
+test('cross-field rules run once the fields are valid', () => {
+  let input = setPath(emptyAgentConfig(), 'purchase', { ...emptyAgentConfig().purchase, balance: { small: 5, medium: 1, large: 10 } });
+  assert.deepEqual(Object.keys(validateAgentConfig(input).errors), ['purchase.balance.medium']);
+
+  input = emptyAgentConfig();
+  input.takeProfit.levels = [{ targetPct: 40, sellPct: 60 }, { targetPct: 80, sellPct: 30 }];
+  input.takeProfit.moonBag = { enabled: true, pct: 20, atTargetPct: null };
+  assert.deepEqual(validateAgentConfig(input).errors, { 'takeProfit.moonBag.pct': 'Levels (90%) and moon bag (20%) exceed 100%' });
+
+  input = emptyAgentConfig();
+  input.staleTrade.enabled = true;
+  assert.deepEqual(Object.keys(validateAgentConfig(input).errors), ['staleTrade.holdMinutes']);
+});
+
+test('configChanges lists changed fields and ignores notes unless asked', () => {
+  const before = emptyAgentConfig();
+  const after = emptyAgentConfig();
+  after.stopLoss.defaultPct = -20;
+  after.signals.signalTypes = ['Hypersurge'];
+  after.dca.note = 'trying this';
+
+  const changes = configChanges(before, after).map(c => [`${c.section.key}.${c.field.key}`, c.from, c.to]);
+  assert.deepEqual(changes, [
+    ['signals.signalTypes', [], ['Hypersurge']],
+    ['stopLoss.defaultPct', -32, -20],
+  ]);
+  assert.equal(configChanges(before, after, { notes: true }).length, 3);
+  assert.deepEqual(configChanges(before, emptyAgentConfig()), []);
+});
+
+test('configVersionAt picks the version in force at a time', () => {
+  const versions = [{ version: 1, effectiveFrom: 100 }, { version: 2, effectiveFrom: 200 }];
+  assert.equal(configVersionAt(versions, 50), null);
+  assert.equal(configVersionAt(versions, 100).version, 1);
+  assert.equal(configVersionAt(versions, 199).version, 1);
+  assert.equal(configVersionAt(versions, 500).version, 2);
+});
@@ -0,0 +1,28 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { loadAgentRegistry, registerUnknownAgents } from '../backend/src/services/agentRegistry.js';
+
+const root = mkdtempSync(join(tmpdir(), 'nexgent-registry-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+test('imports register new agent ids once, named from the file when known', async () => {
+  const agents = createLocalStorage(root).collection('agents');
+  const added = await registerUnknownAgents(agents, ['nexgent-moon-shot', 'nexgent-moon-shot', 'nexgent-pro'], {
+    names: { 'nexgent-moon-shot': 'Moon Shot' },
+    now: () => 1000,
+  });
+  assert.deepEqual(added.map(a => [a.id, a.name, a.autoRegistered]), [['nexgent-moon-shot', 'Moon Shot', true]]);
+  assert.deepEqual(await registerUnknownAgents(agents, ['nexgent-moon-shot']), []);
+});
+
+test('placeholder and invalid agent ids are not registered', async () => {
+  const agents = createLocalStorage(join(root, 'placeholders')).collection('agents');
+  assert.deepEqual(await registerUnknownAgents(agents, ['imported', 'unknown', 'Not An Id', '', null]), []);
+  const ids = (await loadAgentRegistry(agents)).map(a => a.id);
+  assert.ok(!ids.includes('imported'));
+  assert.ok(!ids.includes('unknown'));
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { affectedCounts, summarizeParams } from '../backend/src/services/audit.js';
+
+test('redacts credential fields by exact name, at any depth', () => {
+  assert.deepEqual(summarizeParams({
+    password: 'hunter2', botToken: 'bt', api_key: 'k', 'X-API-Key': 'k2', Signature: 's',
+    channel: { type: 'slack', url: 'https://hooks.slack.com/services/T/B/secret', webhookUrl: 'https://x' },
+  }), {
+    password: '[redacted]', botToken: '[redacted]', api_key: '[redacted]', 'X-API-Key': '[redacted]', Signature: '[redacted]',
+    channel: { type: 'slack', url: '[redacted]', webhookUrl: '[redacted]' },
+  });
+});
+
+test('keeps fields that only contain a secret word', () => {
+  const params = { tokenAddress: 'DezX', tokenSymbol: 'BONK', signalType: 'Hypersurge', urlOrigin: 'https://h', secretive: false };
+  assert.deepEqual(summarizeParams(params), params);
+});
+
+test('leaves empty secrets visible as empty and shrinks large values', () => {
+  assert.deepEqual(summarizeParams({ password: '', trades: [1, 2, 3], note: 'x'.repeat(250) }), {
+    password: '', trades: '[3 items]', note: `${'x'.repeat(200)}… (250 chars)`,
+  });
+});
+
+test('affectedCounts picks the count fields of a response', () => {
+  assert.deepEqual(affectedCounts({ success: true, inserted: 2, skipped: 0, agentId: 'x' }), { inserted: 2, skipped: 0 });
+  assert.equal(affectedCounts({ success: true }), null);
+});
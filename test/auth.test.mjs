@@ -0,0 +1,121 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  issueToken, verifyToken, resolveApiKey, resolvePassword, authenticateRequest, hasRole,
+  loginRetryAfter, recordLoginAttempt,
+} from '../backend/src/services/auth.js';
+import { requireRole } from '../backend/src/middleware/auth.js';
+
+const NOW = Date.UTC(2026, 1, 15, 12);
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = 'test-secret';
+  process.env.ADMIN_PASSWORD = 'admin-pw';
+  process.env.VIEWER_PASSWORD = 'viewer-pw';
+  process.env.API_KEYS = JSON.stringify({ 'ci-key': { role: 'admin', name: 'ci' }, 'read-key': 'viewer', 'bad-key': 'owner' });
+  delete process.env.AUTH_DISABLED;
+  delete process.env.AUTH_TOKEN_TTL_HOURS;
+  delete process.env.LOGIN_MAX_ATTEMPTS;
+  delete process.env.LOGIN_LOCKOUT_MINUTES;
+});
+
+test('issued tokens verify until they expire', (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const { token, expiresAt } = issueToken({ role: 'viewer', sub: 'dashboard:viewer' });
+  assert.equal(expiresAt, NOW + 12 * 60 * MINUTE);
+  assert.deepEqual(verifyToken(token), { role: 'viewer', sub: 'dashboard:viewer', method: 'token', expiresAt });
+
+  Date.now.mock.mockImplementation(() => expiresAt);
+  assert.equal(verifyToken(token), null);
+});
+
+test('tokens with a changed payload or another secret are rejected', () => {
+  const { token } = issueToken({ role: 'viewer', sub: 'dashboard:viewer' });
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+  assert.equal(verifyToken(`${payload}.`), null);
+
+  process.env.AUTH_SECRET = 'rotated';
+  assert.equal(verifyToken(token), null);
+  delete process.env.AUTH_SECRET;
+  assert.throws(() => issueToken({ role: 'admin', sub: 'x' }), /AUTH_SECRET/);
+});
+
+test('passwords map to roles', () => {
+  assert.equal(resolvePassword('admin-pw'), 'admin');
+  assert.equal(resolvePassword('viewer-pw'), 'viewer');
+  assert.equal(resolvePassword('guess'), null);
+  assert.equal(resolvePassword(''), null);
+  process.env.VIEWER_PASSWORD = 'admin-pw';
+  assert.equal(resolvePassword('admin-pw'), 'admin');
+});
+
+test('API keys resolve to their role and a label that never contains the key', (t) => {
+  assert.deepEqual(resolveApiKey('ci-key'), { role: 'admin', sub: 'apikey:ci', method: 'api_key' });
+  const viewer = resolveApiKey('read-key');
+  assert.equal(viewer.role, 'viewer');
+  assert.match(viewer.sub, /^apikey:#[0-9a-f]{8}$/);
+  assert.equal(resolveApiKey('bad-key'), null);
+  assert.equal(resolveApiKey('nope'), null);
+
+  t.mock.method(console, 'error', () => {});
+  process.env.API_KEYS = '{not json';
+  assert.equal(resolveApiKey('ci-key'), null);
+});
+
+test('requests authenticate with a bearer token, a bearer API key or X-API-Key', () => {
+  const { token } = issueToken({ role: 'admin', sub: 'dashboard:admin' });
+  assert.equal(authenticateRequest({ authorization: `Bearer ${token}` }).method, 'token');
+  assert.equal(authenticateRequest({ authorization: 'Bearer read-key' }).role, 'viewer');
+  assert.equal(authenticateRequest({ apiKey: 'ci-key' }).role, 'admin');
+  assert.equal(authenticateRequest({ authorization: token }), null);
+  assert.equal(authenticateRequest({}), null);
+
+  process.env.AUTH_DISABLED = 'true';
+  assert.equal(authenticateRequest({}).role, 'admin');
+});
+
+test('admin passes every role check, viewer only viewer ones', () => {
+  assert.ok(hasRole({ role: 'admin' }, 'viewer'));
+  assert.ok(hasRole({ role: 'admin' }, 'admin'));
+  assert.ok(hasRole({ role: 'viewer' }, 'viewer'));
+  assert.ok(!hasRole({ role: 'viewer' }, 'admin'));
+  assert.ok(!hasRole(null, 'viewer'));
+
+  const run = (auth) => {
+    const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+    let passed = false;
+    requireRole('admin')({ auth }, res, () => { passed = true; });
+    return passed ? 'next' : res.statusCode;
+  };
+  assert.equal(run({ role: 'admin' }), 'next');
+  assert.equal(run({ role: 'viewer' }), 403);
+});
+
+test('an IP is locked out after too many failed logins until the lockout ends', () => {
+  const ip = '203.0.113.1';
+  for (let i = 0; i < 4; i++) recordLoginAttempt(ip, false, NOW);
+  assert.equal(loginRetryAfter(ip, NOW), 0);
+  recordLoginAttempt(ip, false, NOW);
+  assert.equal(loginRetryAfter(ip, NOW + MINUTE), 14 * MINUTE);
+  assert.equal(loginRetryAfter('203.0.113.2', NOW), 0);
+  assert.equal(loginRetryAfter(ip, NOW + 15 * MINUTE), 0);
+
+  recordLoginAttempt(ip, false, NOW + 15 * MINUTE);
+  assert.equal(loginRetryAfter(ip, NOW + 15 * MINUTE), 0);
+});
+
+test('a successful login clears the failures, and the limits come from the environment', () => {
+  process.env.LOGIN_MAX_ATTEMPTS = '2';
+  process.env.LOGIN_LOCKOUT_MINUTES = '1';
+  const ip = '203.0.113.3';
+  recordLoginAttempt(ip, false, NOW);
+  recordLoginAttempt(ip, true, NOW);
+  recordLoginAttempt(ip, false, NOW);
+  assert.equal(loginRetryAfter(ip, NOW), 0);
+  recordLoginAttempt(ip, false, NOW);
+  assert.equal(loginRetryAfter(ip, NOW), MINUTE);
+});
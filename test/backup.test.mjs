@@ -0,0 +1,80 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable, Writable } from 'stream';
+import { gunzipSync, gzipSync } from 'zlib';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { restoreBackup, verifyBackup, writeBackup } from '../backend/src/services/backup.js';
+
+const root = mkdtempSync(join(tmpdir(), 'nexgent-backup-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+let runs = 0;
+const freshStore = () => createLocalStorage(join(root, String(runs++)));
+
+function sink() {
+  const chunks = [];
+  const output = new Writable({ write(chunk, _enc, done) { chunks.push(chunk); done(); } });
+  return { output, bytes: () => Buffer.concat(chunks) };
+}
+
+const opener = bytes => () => Readable.from([bytes]);
+
+// Decompress, change the NDJSON lines, compress again
+function edit(bytes, change) {
+  const lines = gunzipSync(bytes).toString('utf8').split('\n').filter(Boolean);
+  return gzipSync(`${change(lines).join('\n')}\n`);
+}
+
+let archive;
+let manifest;
+beforeEach(async () => {
+  const store = freshStore();
+  await store.collection('trades').setMany([{ id: 't1', pnl: 1 }, { id: 't2', pnl: -2 }]);
+  await store.collection('agents').setMany([{ id: 'nexgent-pro', name: 'Pro' }]);
+  const { output, bytes } = sink();
+  manifest = await writeBackup(store, output, { collections: ['trades', 'agents', 'alerts'], source: 'test' });
+  archive = bytes();
+});
+
+test('writeBackup records counts and checksums that verifyBackup accepts', async () => {
+  assert.equal(manifest.totalDocs, 3);
+  assert.equal(manifest.collections.trades.count, 2);
+  assert.equal(manifest.collections.alerts.count, 0);
+  assert.match(manifest.collections.trades.sha256, /^[0-9a-f]{64}$/);
+
+  const check = await verifyBackup(opener(archive));
+  assert.equal(check.ok, true);
+  assert.equal(check.header.source, 'test');
+});
+
+test('verifyBackup rejects an edited document', async () => {
+  const tampered = edit(archive, lines => lines.map(l => l.replace('"pnl":-2', '"pnl":200')));
+  assert.deepEqual(await verifyBackup(opener(tampered)), { ok: false, error: 'trades: checksum mismatch' });
+});
+
+test('verifyBackup rejects a missing document', async () => {
+  const dropped = edit(archive, lines => lines.filter(l => !l.includes('"id":"t1"')));
+  assert.deepEqual(await verifyBackup(opener(dropped)), { ok: false, error: 'trades: expected 2 documents, found 1' });
+});
+
+test('verifyBackup rejects a truncated or foreign archive', async () => {
+  const truncated = edit(archive, lines => lines.slice(0, -1));
+  assert.deepEqual(await verifyBackup(opener(truncated)), { ok: false, error: 'Archive is truncated (no manifest)' });
+  assert.equal((await verifyBackup(opener(gzipSync('{"hello":1}\n')))).error, 'Not a nexgent backup (missing header)');
+  assert.match((await verifyBackup(opener(Buffer.from('not gzip')))).error, /^Archive is unreadable/);
+});
+
+test('restoreBackup writes nothing from a damaged archive and restores an intact one', async () => {
+  const target = freshStore();
+  const tampered = edit(archive, lines => lines.map(l => l.replace('"name":"Pro"', '"name":"Con"')));
+  assert.equal((await restoreBackup(target, opener(tampered))).ok, false);
+  assert.equal((await target.collection('agents').all()).length, 0);
+
+  const result = await restoreBackup(target, opener(archive), { mode: 'replace' });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.collections, { trades: 2, agents: 1, alerts: 0 });
+  assert.deepEqual(await target.collection('trades').get('t2'), { id: 't2', pnl: -2 });
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { createBreakerService } from '../backend/src/services/breakers.js';
+
+const root = mkdtempSync(join(tmpdir(), 'nexgent-breakers-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const NOW = Date.UTC(2026, 1, 15, 12);
+const losses = (agentId, n) => Array.from({ length: n }, (_, i) => ({ id: `${agentId}-${i}`, agentId, mode: 'live', pnl: -10, pnlPercent: -5, timestamp: NOW - (i + 1) * 60000 }));
+
+let runs = 0;
+let storage;
+let events;
+beforeEach(async () => {
+  const base = createLocalStorage(join(root, String(runs++)));
+  storage = { settings: base.collection('settings'), trades: base.collection('trades') };
+  events = [];
+  await storage.trades.setMany([...losses('nexgent-pro', 3), ...losses('nexgent-degen', 1)]);
+});
+
+const service = () => createBreakerService({ storage, now: () => NOW, publish: (type, data) => events.push({ type, data }) });
+
+test('a trip pauses the agent and lifting it unpauses it', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const breakers = service();
+  await breakers.saveGuard({ type: 'loss_streak', params: { count: 3 }, action: 'pause_agent', agentId: '*' });
+
+  assert.equal((await breakers.evaluate()).tripped, 1);
+  const bot = await storage.settings.get('bot');
+  assert.deepEqual(Object.keys(bot.pausedAgents), ['nexgent-pro']);
+  assert.equal(events.at(-1).type, 'bot-status-changed');
+
+  await breakers.resume({ by: 'admin' });
+  assert.deepEqual((await storage.settings.get('bot')).pausedAgents, {});
+});
+
+test('an admin change made during an evaluation is kept', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  await storage.settings.set('bot', { enabled: true, webhookEnabled: true });
+  const breakers = service();
+  await breakers.saveGuard({ type: 'loss_streak', params: { count: 3 }, action: 'disable_webhook' });
+
+  // POST /api/bot/status lands while the guard is reading trades
+  const query = storage.trades.query.bind(storage.trades);
+  storage.trades.query = async (options) => {
+    await storage.settings.set('bot', { enabled: false, updatedBy: 'admin' }, { merge: true });
+    return query(options);
+  };
+
+  assert.equal((await breakers.evaluate()).tripped, 1);
+  const bot = await storage.settings.get('bot');
+  assert.equal(bot.enabled, false, 'admin switch survives');
+  assert.equal(bot.webhookEnabled, false, 'trip applied');
+  assert.equal(bot.updatedBy, `circuit-breaker:${(await breakers.publicState()).guards[0].id}`);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvError, createCsvParser, parseCsv, parseCsvRows, streamCsv } from '../shared/csv.js';
+
+test('parses quoted fields, escaped quotes and CRLF line endings', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, y","he said ""hi"""\r\n'), [
+    { line: 1, fields: ['a', 'b'] },
+    { line: 2, fields: ['x, y', 'he said "hi"'] },
+  ]);
+});
+
+test('strips a UTF-8 BOM from the first header', () => {
+  assert.deepEqual(parseCsv('\uFEFFTime,Amount\n1,2')[0].fields, ['Time', 'Amount']);
+});
+
+test('keeps line breaks inside quoted fields and numbers records by their first line', () => {
+  assert.deepEqual(parseCsv('a,b\n"line1\nline2",c\n\nd,e\n'), [
+    { line: 1, fields: ['a', 'b'] },
+    { line: 2, fields: ['line1\nline2', 'c'] },
+    { line: 5, fields: ['d', 'e'] },
+  ]);
+});
+
+test('handles chunks split inside quotes and between \\r and \\n', () => {
+  const parser = createCsvParser();
+  const records = [
+    ...parser.push('"ab'),
+    ...parser.push('c""d"'),
+    ...parser.push(',e\r'),
+    ...parser.push('\nf,g'),
+    ...parser.end(),
+  ];
+  assert.deepEqual(records, [
+    { line: 1, fields: ['abc"d', 'e'] },
+    { line: 2, fields: ['f', 'g'] },
+  ]);
+});
+
+test('reports the line of an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a,b\n"open,c\nd'), err => err instanceof CsvError && err.line === 2);
+});
+
+test('rejects a quote in the middle of an unquoted field', () => {
+  assert.throws(() => parseCsv('a"b,c'), CsvError);
+});
+
+test('streamCsv decodes multi-byte characters split across byte chunks', async () => {
+  const bytes = Buffer.from('né,ü\n1,2\n');
+  const records = [];
+  for await (const record of streamCsv([bytes.subarray(0, 2), bytes.subarray(2, 6), bytes.subarray(6)])) records.push(record);
+  assert.deepEqual(records.map(r => r.fields), [['né', 'ü'], ['1', '2']]);
+});
+
+test('parseCsvRows trims values and fills missing trailing columns', () => {
+  const { headers, rows } = parseCsvRows(' Time , Amount ,Note\n x , 5\n');
+  assert.deepEqual(headers, ['Time', 'Amount', 'Note']);
+  assert.deepEqual(rows, [{ line: 2, record: { Time: 'x', Amount: '5', Note: '' } }]);
+});
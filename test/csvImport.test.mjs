@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCsv } from '../backend/src/services/csvImport.js';
+import { TRADE_HEADERS } from '../shared/nexgent.js';
+
+const TRADES = `${TRADE_HEADERS.map(h => `"${h}"`).join(',')}
+"Feb 15, 2026 01:56:54 PM",BONK,tok,1000,0.01,0.012,+$2.00,+20%,42,Hypersurge,volume
+`;
+const SIGNALS = 'Signal ID,Created At,Signal Strength,Token Address\n1,2026-02-15 10:00,3,tok\n';
+
+test('trade histories need a mode instead of defaulting to simulation', () => {
+  assert.deepEqual(analyzeCsv(TRADES, { agentId: 'nexgent-pro' }), { ok: false, error: 'mode is required for trade history files (live or simulation)' });
+  assert.deepEqual(analyzeCsv(TRADES, { agentId: 'nexgent-pro', mode: 'paper' }), { ok: false, error: 'mode must be one of live, simulation' });
+  assert.equal(analyzeCsv(TRADES, { agentId: 'nexgent-pro', mode: 'sim' }).docs[0].mode, 'simulation');
+  assert.equal(analyzeCsv(TRADES, { agentId: 'nexgent-pro', mode: 'live' }).docs[0].mode, 'live');
+});
+
+test('trade histories need an agent', () => {
+  assert.deepEqual(analyzeCsv(TRADES, { mode: 'live' }), { ok: false, error: 'agentId is required for trade history files' });
+});
+
+test('signal exports need neither', () => {
+  const report = analyzeCsv(SIGNALS);
+  assert.equal(report.ok, true);
+  assert.equal(report.format, 'signals');
+  assert.equal(report.validRows, 1);
+});
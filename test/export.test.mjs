@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvLine, exportColumns, flattenRecord, toCsv, toXlsx } from '../shared/export.js';
+
+test('flattenRecord uses dotted columns and JSON for arrays', () => {
+  assert.deepEqual(flattenRecord({ a: 1, b: { c: 2, d: { e: 3 } }, f: [1, 2] }), { a: 1, 'b.c': 2, 'b.d.e': 3, f: '[1,2]' });
+});
+
+test('exportColumns keeps first-seen order across rows', () => {
+  assert.deepEqual(exportColumns([{ a: 1 }, { b: 2, a: 3 }, { c: { d: 4 } }], ['id']), ['id', 'a', 'b', 'c.d']);
+});
+
+test('CSV fields are quoted when needed and formulas are defused', () => {
+  assert.equal(csvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 5]), 'plain,"a,b","say ""hi""","two\nlines",,5\r\n');
+  assert.equal(csvLine(['=SUM(A1)', '+1', '-x', '@cmd', -5]), "'=SUM(A1),'+1,'-x,'@cmd,-5\r\n");
+  assert.equal(toCsv([{ id: 1, meta: { ok: true } }]), 'id,meta.ok\r\n1,true\r\n');
+});
+
+// Contents of a stored (uncompressed) zip entry, as toXlsx writes them without a deflate
+function zipEntry(bytes, name) {
+  const buf = Buffer.from(bytes);
+  for (let i = 0; i + 30 < buf.length; i++) {
+    if (buf.readUInt32LE(i) !== 0x04034b50) continue;
+    const size = buf.readUInt32LE(i + 18);
+    const nameLength = buf.readUInt16LE(i + 26);
+    const start = i + 30 + nameLength + buf.readUInt16LE(i + 28);
+    if (buf.toString('utf8', i + 30, i + 30 + nameLength) === name) return buf.toString('utf8', start, start + size);
+  }
+  return null;
+}
+
+test('XLSX cells drop characters XML 1.0 cannot hold', () => {
+  const sheet = zipEntry(toXlsx([{ note: 'a\u0001b\u0008c\td\ne <&>' }]), 'xl/worksheets/sheet1.xml');
+  assert.ok(sheet, 'sheet is in the workbook');
+  assert.ok(sheet.includes('ab') && sheet.includes('c\td\ne &lt;&amp;&gt;'));
+  assert.ok(!/[\u0001\u0008]/.test(sheet));
+});
@@ -0,0 +1,58 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { dedupeTrades, upsertDocs, withTradeIds } from '../backend/src/services/importer.js';
+import { tradeId } from '../shared/nexgent.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'nexgent-importer-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let trades;
+beforeEach(async () => {
+  trades = createLocalStorage(dir).collection('trades');
+  await trades.clear();
+});
+
+const trade = (overrides = {}) => ({
+  agentId: 'nexgent-pro', mode: 'live', timeRaw: 'Feb 15, 2026 01:56:54 PM', timestamp: 1771163814000,
+  tokenAddress: 'tok', signalId: '42', quantity: 1000, pnl: 2, source: 'nexgent', ...overrides,
+});
+
+test('upsertDocs reports inserted, updated and skipped documents', async () => {
+  const [a, b] = withTradeIds([trade(), trade({ signalId: '43' })]);
+  assert.deepEqual(await upsertDocs(trades, [a, b, a]), { inserted: 2, updated: 0, skipped: 1, saved: 2 });
+  assert.deepEqual(await upsertDocs(trades, [{ ...a, importedAt: 'later' }, { ...b, pnl: 3 }]), { inserted: 0, updated: 1, skipped: 1, saved: 1 });
+  assert.equal((await trades.get(b.id)).pnl, 3);
+});
+
+test('upsertDocs writes nothing on a dry run', async () => {
+  const docs = withTradeIds([trade()]);
+  assert.deepEqual(await upsertDocs(trades, docs, { dryRun: true }), { inserted: 1, updated: 0, skipped: 0, saved: 0 });
+  assert.equal((await trades.all()).length, 0);
+});
+
+test('dedupeTrades collapses copies onto the deterministic id and re-keys singles', async () => {
+  const id = tradeId(trade());
+  const single = trade({ signalId: '43' });
+  await trades.setMany([
+    { ...trade({ pnl: 1 }), id: 'old-1', importedAt: '2026-02-01T00:00:00.000Z' },
+    { ...trade({ pnl: 2 }), id: 'old-2', importedAt: '2026-02-03T00:00:00.000Z' },
+    { ...single, id: 'old-3' },
+    { agentId: 'manual', id: 'manual-1', source: 'api' },
+  ]);
+
+  assert.deepEqual(await dedupeTrades(trades, { dryRun: true }), { scanned: 4, duplicateGroups: 1, rekeyed: 1, removed: 3, dryRun: true });
+  assert.equal((await trades.all()).length, 4);
+
+  assert.deepEqual(await dedupeTrades(trades), { scanned: 4, duplicateGroups: 1, rekeyed: 1, removed: 3, dryRun: false });
+  const ids = (await trades.all()).map(t => t.id).sort();
+  assert.deepEqual(ids, [id, tradeId(single), 'manual-1'].sort());
+  const kept = await trades.get(id);
+  assert.equal(kept.pnl, 2, 'latest import wins');
+  assert.equal(kept.importedAt, '2026-02-01T00:00:00.000Z', 'earliest importedAt is kept');
+
+  assert.deepEqual(await dedupeTrades(trades), { scanned: 3, duplicateGroups: 0, rekeyed: 0, removed: 0, dryRun: false });
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLocalStorage } from '../backend/src/services/storage/local.js';
+import { decodeCursor, encodeCursor, paginate, parseLimit, parseTime, signalWhere, strengthsAtLeast, tradeWhere, MAX_PAGE_SIZE } from '../backend/src/services/listQuery.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'nexgent-list-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('cursors round-trip any document id and are URL-safe', () => {
+  for (const id of ['nexgent-pro_0123456789abcdef', 'a/b+c=d?', 'ünïcödé ✓', '42']) {
+    const cursor = encodeCursor(id);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.equal(decodeCursor(cursor), id);
+  }
+  assert.equal(decodeCursor(''), null);
+  assert.equal(decodeCursor(undefined), null);
+});
+
+test('parseTime and parseLimit', () => {
+  assert.equal(parseTime('1771163814000'), 1771163814000);
+  assert.equal(parseTime('2026-02-15T00:00:00Z'), Date.UTC(2026, 1, 15));
+  assert.equal(parseTime(''), null);
+  assert.ok(Number.isNaN(parseTime('yesterday')));
+  assert.equal(parseLimit(undefined, 50), 50);
+  assert.equal(parseLimit('0', 50), 50);
+  assert.equal(parseLimit('-3', 50), 1);
+  assert.equal(parseLimit('999999', 50), MAX_PAGE_SIZE);
+});
+
+test('minimum strengths become an in filter', () => {
+  assert.deepEqual(strengthsAtLeast(3), [3, 4, 5]);
+  assert.deepEqual(strengthsAtLeast(2.5), [3, 4, 5]);
+  assert.deepEqual(strengthsAtLeast(0), [1, 2, 3, 4, 5]);
+  assert.deepEqual(strengthsAtLeast(9), []);
+});
+
+test('tradeWhere and signalWhere build storage conditions', () => {
+  assert.deepEqual(tradeWhere({ agentId: 'nexgent-pro', mode: 'sim', minStrength: '4', from: 1, to: 2 }), [
+    ['agentId', '==', 'nexgent-pro'],
+    ['mode', '==', 'simulation'],
+    ['signalStrength', 'in', [4, 5]],
+    ['timestamp', '>=', 1],
+    ['timestamp', '<=', 2],
+  ]);
+  assert.deepEqual(signalWhere({ signalType: 'Hypersurge', strength: '3', minStrength: '2' }), [
+    ['tradingStrategy', '==', 'Hypersurge'],
+    ['signalStrength', '==', 3],
+  ]);
+});
+
+test('paginate walks every document once and keeps filling pages past filtered-out ones', async () => {
+  const trades = createLocalStorage(dir).collection('trades');
+  await trades.setMany(Array.from({ length: 25 }, (_, i) => ({ id: `t${String(i).padStart(2, '0')}`, timestamp: i, pnl: i % 3 ? 1 : -1 })));
+
+  const query = { orderBy: 'timestamp', direction: 'desc', limit: 4, filter: t => t.pnl > 0 };
+  const seen = [];
+  let cursor = null;
+  for (;;) {
+    const { items, nextCursor } = await paginate(trades, { ...query, startAfter: decodeCursor(cursor) });
+    assert.ok(items.length <= 4);
+    seen.push(...items.map(t => t.timestamp));
+    if (!nextCursor) break;
+    cursor = nextCursor;
+  }
+  const expected = Array.from({ length: 25 }, (_, i) => 24 - i).filter(i => i % 3);
+  assert.deepEqual(seen, expected);
+});
+
+test('paginate rejects a cursor whose document is gone', async () => {
+  const trades = createLocalStorage(dir).collection('trades');
+  await assert.rejects(paginate(trades, { orderBy: 'timestamp', limit: 4, startAfter: 'missing' }), /startAfter document "missing" not found/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, fnv1a64, mapTradeRow, resolveExportFile, TRADE_HEADERS, tradeId, validateTradeRow } from '../shared/nexgent.js';
+
+const ROW = {
+  'Time': 'Feb 15, 2026 01:56:54 PM',
+  'Token Symbol': 'BONK',
+  'Token Address': 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+  'Amount': '1000',
+  'Average Purchase Price (USD)': '0.01',
+  'Sale Price (USD)': '0.012',
+  'Profit / Loss (USD)': '+$2.00',
+  'Change (%)': '+20%',
+  'Signal ID': '42',
+  'Signal Type': 'Hypersurge',
+  'Activation Reason': 'volume',
+};
+
+test('fnv1a64 matches the reference vectors', () => {
+  assert.equal(fnv1a64(''), 'cbf29ce484222325');
+  assert.equal(fnv1a64('a'), 'af63dc4c8601ec8c');
+});
+
+test('a trade keeps its id when re-imported under another time zone', () => {
+  const utc = mapTradeRow(ROW, 'nexgent-pro', 'live', 'UTC');
+  const ny = mapTradeRow(ROW, 'nexgent-pro', 'live', 'America/New_York');
+  assert.notEqual(utc.timestamp, ny.timestamp);
+  assert.equal(utc.id, ny.id);
+  assert.match(utc.id, /^nexgent-pro_[0-9a-f]{16}$/);
+});
+
+test('the id changes with the agent, mode, token, signal or amount', () => {
+  const base = mapTradeRow(ROW, 'nexgent-pro', 'live');
+  assert.notEqual(mapTradeRow(ROW, 'nexgent-degen', 'live').id, base.id);
+  assert.notEqual(mapTradeRow(ROW, 'nexgent-pro', 'simulation').id, base.id);
+  assert.notEqual(mapTradeRow({ ...ROW, 'Amount': '1001' }, 'nexgent-pro', 'live').id, base.id);
+  assert.notEqual(mapTradeRow({ ...ROW, 'Signal ID': '43' }, 'nexgent-pro', 'live').id, base.id);
+  assert.equal(tradeId(base), base.id);
+});
+
+test('docs without timeRaw fall back to the timestamp', () => {
+  const doc = { agentId: 'nexgent-pro', mode: 'live', timestamp: 1, tokenAddress: 'x', signalId: '', quantity: 1 };
+  assert.notEqual(tradeId(doc), tradeId({ ...doc, timestamp: 2 }));
+});
+
+test('detectFormat recognises the exports and lists missing optional columns', () => {
+  assert.deepEqual(detectFormat(TRADE_HEADERS), { format: 'trades', missing: [] });
+  assert.deepEqual(detectFormat(['Time', 'Amount', 'Profit / Loss (USD)', 'Change (%)']).format, 'trades');
+  assert.equal(detectFormat(['Signal ID', 'Created At', 'Signal Strength', 'Token Address']).format, 'signals');
+  assert.deepEqual(detectFormat(['foo']), { format: null, missing: [] });
+});
+
+test('validateTradeRow flags bad numbers, bad dates and contradicting P/L', () => {
+  assert.deepEqual(validateTradeRow(ROW), { errors: [], warnings: [] });
+  assert.deepEqual(validateTradeRow({ ...ROW, 'Time': 'Feb 30, 2026 10:00 AM' }).errors.map(e => e.field), ['Time']);
+  assert.deepEqual(validateTradeRow({ ...ROW, 'Amount': '12abc' }).errors.map(e => e.field), ['Amount']);
+  assert.deepEqual(validateTradeRow({ ...ROW, 'Profit / Loss (USD)': '-$2.00' }).errors.map(e => e.field), ['Profit / Loss (USD)']);
+  assert.deepEqual(validateTradeRow({ ...ROW, 'Profit / Loss (USD)': '$9.00' }).warnings.map(e => e.field), ['Profit / Loss (USD)']);
+});
+
+test('resolveExportFile infers agent, mode and kind from the file name', () => {
+  assert.deepEqual(resolveExportFile('Nexgent Scalper Trade Histroy - Live Mode.csv'), { kind: 'trades', agentId: 'nexgent-scalper', mode: 'live', agentName: 'Scalper' });
+  assert.deepEqual(resolveExportFile('downloads/trading-signals-2026-02-22.csv'), { kind: 'signals', agentId: null, mode: null, agentName: null });
+  assert.equal(resolveExportFile('Pro Trade History Simulaton.csv').mode, 'simulation');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcStats, groupStats, normalizeMode, normalizeTrade, timeBucket } from '../shared/stats.js';
+
+const trade = (agentId, pnl, pnlPercent, timestamp = Date.UTC(2026, 1, 15, 13), mode = 'live') => normalizeTrade({ agentId, mode, pnl, pnlPercent, timestamp });
+
+test('normalizeMode maps the dashboard aliases', () => {
+  assert.equal(normalizeMode('sim'), 'simulation');
+  assert.equal(normalizeMode('live'), 'live');
+  assert.equal(normalizeMode(undefined), 'simulation');
+});
+
+test('calcStats on wins and losses', () => {
+  const stats = calcStats([trade('a', 10, 20), trade('a', -5, -10), trade('a', 20, 40), trade('a', 0, 0)]);
+  assert.equal(stats.n, 4);
+  assert.equal(stats.wins, 2);
+  assert.equal(stats.losses, 1);
+  assert.equal(stats.winRate, 50);
+  assert.equal(stats.totalPnl, 25);
+  assert.equal(stats.avgWinPct, 30);
+  assert.equal(stats.avgLossPct, -10);
+  assert.equal(calcStats([]).n, 0);
+});
+
+test('timeBucket labels in UTC, weeks starting Monday', () => {
+  const ts = Date.UTC(2026, 1, 15, 13, 56);
+  assert.equal(timeBucket(ts, 'hour'), '2026-02-15T13:00Z');
+  assert.equal(timeBucket(ts, 'day'), '2026-02-15');
+  assert.equal(timeBucket(ts, 'week'), '2026-02-09');
+  assert.equal(timeBucket(ts, 'month'), '2026-02');
+  assert.equal(timeBucket(NaN), 'unknown');
+});
+
+test('groupStats groups by several dimensions', () => {
+  const groups = groupStats([
+    trade('b', 1, 1),
+    trade('a', 1, 1, Date.UTC(2026, 1, 16)),
+    trade('a', -1, -1),
+  ], ['agent', 'time']);
+  assert.deepEqual(groups.map(g => [g.agent, g.time, g.stats.n]), [
+    ['a', '2026-02-15', 1],
+    ['a', '2026-02-16', 1],
+    ['b', '2026-02-15', 1],
+  ]);
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initStorage } from '../backend/src/services/storage/index.js';
+import { createStatsCache } from '../backend/src/services/statsCache.js';
+
+const root = mkdtempSync(join(tmpdir(), 'nexgent-stats-cache-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+let runs = 0;
+let storage;
+beforeEach(async () => {
+  process.env.STORAGE_BACKEND = 'local';
+  process.env.LOCAL_DATA_DIR = join(root, String(runs++));
+  storage = initStorage();
+  await storage.trades.setMany([
+    { id: 't1', agentId: 'nexgent-pro', mode: 'live', signalType: 'Hyper Surge', timestamp: 1 },
+    { id: 't2', agentId: 'nexgent-pro', mode: 'simulation', signalType: 'Dex Boost', timestamp: 2 },
+  ]);
+  await storage.signals.setMany([
+    { id: 's1', tradingStrategy: 'Hyper Surge', signalStrength: 3 },
+    { id: 's2', tradingStrategy: 'Hyper Surge', signalStrength: 4 },
+  ]);
+});
+
+test('counts are computed once until a collection is written to', async (t) => {
+  const reads = t.mock.method(storage.trades, 'all');
+  const cache = createStatsCache({ storage });
+
+  const counts = await cache.counts();
+  assert.deepEqual(counts.trades, {
+    total: 2,
+    byAgent: { 'nexgent-pro': { total: 2, live: 1, simulation: 1 } },
+    signalTypes: ['Dex Boost', 'Hyper Surge'],
+  });
+  assert.deepEqual(counts.signals, { total: 2, byType: [{ type: 'Hyper Surge', n: 2, avgStrength: 3.5 }] });
+  await cache.counts();
+  await cache.trades();
+  assert.equal(reads.mock.callCount(), 1);
+
+  await storage.trades.set('t3', { agentId: 'nexgent-degen', mode: 'live', timestamp: 3 });
+  assert.equal((await cache.counts()).trades.total, 3);
+  assert.equal(reads.mock.callCount(), 2);
+});
+
+test('signal writes leave the cached trades alone', async (t) => {
+  const reads = t.mock.method(storage.trades, 'all');
+  const cache = createStatsCache({ storage });
+  await cache.counts();
+
+  await storage.signals.delete('s1');
+  assert.equal((await cache.counts()).signals.total, 1);
+  assert.equal(reads.mock.callCount(), 1);
+});
+
+test('entries older than the TTL are read again', async (t) => {
+  const reads = t.mock.method(storage.trades, 'all');
+  let clock = 0;
+  const cache = createStatsCache({ storage, ttlMs: 1000, now: () => clock });
+
+  await cache.trades();
+  clock = 999;
+  await cache.trades();
+  assert.equal(reads.mock.callCount(), 1);
+  clock = 1000;
+  await cache.trades();
+  assert.equal(reads.mock.callCount(), 2);
+});
+
+test('concurrent callers share one read, and a failed read is not cached', async (t) => {
+  const cache = createStatsCache({ storage });
+  const failing = t.mock.method(storage.trades, 'all', async () => { throw new Error('unavailable'); });
+  await assert.rejects(cache.trades(), /unavailable/);
+  failing.mock.restore();
+
+  const reads = t.mock.method(storage.trades, 'all');
+  const [a, b] = await Promise.all([cache.trades(), cache.trades()]);
+  assert.equal(a, b);
+  assert.equal(a.length, 2);
+  assert.equal(reads.mock.callCount(), 1);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, parseNexgentTime, startOfDayInTimeZone, zonedTimeToUtc } from '../shared/time.js';
+
+const NY = 'America/New_York';
+
+test('reads Nexgent times as wall-clock time in the given zone', () => {
+  assert.equal(parseNexgentTime('Feb 15, 2026 01:56:54 PM'), Date.UTC(2026, 1, 15, 13, 56, 54));
+  assert.equal(parseNexgentTime('Feb 15, 2026 01:56:54 PM', NY), Date.UTC(2026, 1, 15, 18, 56, 54));
+  assert.equal(parseNexgentTime('Jul 4, 2026 12:00 AM', NY), Date.UTC(2026, 6, 4, 4));
+  assert.equal(parseNexgentTime('2026-02-15 13:56:54', 'Asia/Tokyo'), Date.UTC(2026, 1, 15, 4, 56, 54));
+});
+
+test('keeps an explicit offset regardless of the zone', () => {
+  assert.equal(parseNexgentTime('2026-02-15T13:56:54Z', NY), Date.UTC(2026, 1, 15, 13, 56, 54));
+  assert.equal(parseNexgentTime('2026-02-15T13:56:54+02:00', NY), Date.UTC(2026, 1, 15, 11, 56, 54));
+});
+
+test('shifts a time skipped by the spring-forward gap forward', () => {
+  // 02:30 on 2026-03-08 does not exist in New York; Date would give 03:30 EDT
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NY), Date.UTC(2026, 2, 8, 7, 30));
+});
+
+test('resolves a time repeated by the fall-back overlap to its first occurrence', () => {
+  // 01:30 on 2026-11-01 happens in EDT (05:30Z) and again in EST (06:30Z)
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NY), Date.UTC(2026, 10, 1, 5, 30));
+});
+
+test('rejects impossible dates instead of rolling over', () => {
+  assert.ok(Number.isNaN(parseNexgentTime('Feb 30, 2026 10:00 AM')));
+  assert.ok(Number.isNaN(parseNexgentTime('2026-02-29 10:00')));
+  assert.equal(parseNexgentTime('2024-02-29 10:00'), Date.UTC(2024, 1, 29, 10));
+  assert.ok(Number.isNaN(parseNexgentTime('Feb 15, 2026 13:00 PM')));
+  assert.ok(Number.isNaN(parseNexgentTime('')));
+});
+
+test('returns NaN for an unknown zone', () => {
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.ok(Number.isNaN(parseNexgentTime('Feb 15, 2026 01:56:54 PM', 'Mars/Olympus_Mons')));
+});
+
+test('startOfDayInTimeZone uses the calendar day in that zone', () => {
+  // 03:00Z on Feb 15 is still Feb 14 in New York
+  assert.equal(startOfDayInTimeZone(Date.UTC(2026, 1, 15, 3), NY), Date.UTC(2026, 1, 14, 5));
+  // The spring-forward day starts in EST
+  assert.equal(startOfDayInTimeZone(Date.UTC(2026, 2, 8, 20), NY), Date.UTC(2026, 2, 8, 5));
+});
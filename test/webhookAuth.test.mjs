@@ -0,0 +1,102 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { settleWebhookRequest, signPayload, verifyWebhookRequest } from '../backend/src/services/webhookAuth.js';
+import { verifyWebhookSignature } from '../backend/src/middleware/verifyWebhook.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 1, 15, 12);
+const TS = String(NOW / 1000);
+
+before(() => {
+  process.env.WEBHOOK_SECRETS = JSON.stringify({ 'nexgent-ai': ['old-secret', SECRET] });
+  delete process.env.WEBHOOK_TOLERANCE_SECONDS;
+});
+
+// Each test signs its own body so signatures never collide between tests
+const signed = (body, { secret = SECRET, timestamp = TS } = {}) => ({
+  source: 'nexgent-ai', timestamp, rawBody: body, signature: signPayload(secret, timestamp, body),
+});
+
+test('accepts a request signed with any of the source secrets', () => {
+  assert.deepEqual(verifyWebhookRequest(signed('{"id":"a"}'), NOW), { ok: true, source: 'nexgent-ai' });
+  assert.deepEqual(verifyWebhookRequest(signed('{"id":"b"}', { secret: 'old-secret' }), NOW), { ok: true, source: 'nexgent-ai' });
+});
+
+test('rejects a bad signature, a changed body and an unknown source', () => {
+  const request = signed('{"id":"c"}');
+  assert.equal(verifyWebhookRequest({ ...request, signature: 'sha256=00' }, NOW).reason, 'invalid_signature');
+  assert.equal(verifyWebhookRequest(signed('{"id":"c"}', { secret: 'wrong' }), NOW).reason, 'invalid_signature');
+  assert.equal(verifyWebhookRequest({ ...request, rawBody: '{"id":"c2"}' }, NOW).reason, 'invalid_signature');
+  assert.equal(verifyWebhookRequest({ ...request, source: 'someone' }, NOW).reason, 'unknown_source');
+  assert.equal(verifyWebhookRequest({ ...request, signature: undefined }, NOW).reason, 'missing_signature');
+});
+
+test('rejects a timestamp outside the window', () => {
+  const request = signed('{"id":"d"}');
+  assert.equal(verifyWebhookRequest(request, NOW + 301 * 1000).reason, 'timestamp_out_of_window');
+  assert.equal(verifyWebhookRequest(request, NOW - 301 * 1000).reason, 'timestamp_out_of_window');
+  assert.equal(verifyWebhookRequest({ ...request, timestamp: 'soon' }, NOW).reason, 'invalid_timestamp');
+  assert.equal(verifyWebhookRequest(request, NOW + 299 * 1000).ok, true);
+});
+
+test('rejects a replayed signature once the first request was handled', () => {
+  const request = signed('{"id":"e"}');
+  assert.equal(verifyWebhookRequest(request, NOW).ok, true);
+  assert.equal(verifyWebhookRequest(request, NOW + 1000).reason, 'replayed_request', 'while the first is in flight');
+  settleWebhookRequest(request.signature, true);
+  assert.equal(verifyWebhookRequest(request, NOW + 2000).reason, 'replayed_request');
+});
+
+test('lets a failed request be retried with the same signature', () => {
+  const request = signed('{"id":"f"}');
+  assert.equal(verifyWebhookRequest(request, NOW).ok, true);
+  settleWebhookRequest(request.signature, false);
+  assert.equal(verifyWebhookRequest(request, NOW + 1000).ok, true);
+});
+
+// Just enough of Express's req/res for the middleware
+function call(request, respond) {
+  const headers = {
+    'x-webhook-source': request.source, 'x-webhook-timestamp': request.timestamp, 'x-webhook-signature': request.signature,
+  };
+  const req = { get: name => headers[name.toLowerCase()], rawBody: Buffer.from(request.rawBody), ip: '127.0.0.1' };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    writableFinished: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.writableFinished = true; this.emit('close'); return this; },
+  });
+  let nextCalled = false;
+  verifyWebhookSignature(req, res, () => { nextCalled = true; respond?.(res); });
+  return { req, res, nextCalled };
+}
+
+test('middleware: 401 for a bad signature, the handler only runs for a good one', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const request = signed('{"id":"g"}', { timestamp: String(Math.floor(Date.now() / 1000)) });
+  const bad = call({ ...request, signature: 'sha256=00' });
+  assert.equal(bad.nextCalled, false);
+  assert.equal(bad.res.statusCode, 401);
+  assert.deepEqual(bad.res.body, { success: false, error: 'Unauthorized', reason: 'invalid_signature' });
+
+  const good = call(request, res => res.json({ success: true }));
+  assert.equal(good.nextCalled, true);
+  assert.equal(good.req.webhookSource, 'nexgent-ai');
+  assert.equal(call(request).res.body.reason, 'replayed_request');
+});
+
+test('middleware: a handler error frees the signature for a retry', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const request = signed('{"id":"h"}', { timestamp: String(Math.floor(Date.now() / 1000)) });
+  call(request, res => res.status(500).json({ success: false, error: 'storage down' }));
+  const retry = call(request, res => res.json({ success: true }));
+  assert.equal(retry.nextCalled, true);
+  assert.equal(call(request).res.statusCode, 401);
+});
+
+test('middleware: a dropped connection frees the signature too', () => {
+  const request = signed('{"id":"i"}', { timestamp: String(Math.floor(Date.now() / 1000)) });
+  call(request, res => res.emit('close'));
+  assert.equal(call(request, res => res.json({ success: true })).nextCalled, true);
+});